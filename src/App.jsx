@@ -14,7 +14,7 @@ import PriceSensitivityPanel from './components/MLModels/PriceSensitivityPanel';
 import ErrorNotification from './components/ErrorNotification/ErrorNotification';
 
 function App() {
-  const { darkMode, setDarkMode, dataSets } = useDataStore();
+  const { darkMode, setDarkMode, dataSets, undo, redo } = useDataStore();
 
   // Initialize dark mode from system preference
   useEffect(() => {
@@ -35,6 +35,27 @@ function App() {
     document.documentElement.classList.toggle('dark', darkMode);
   }, [darkMode]);
 
+  // Undo/redo shortcuts (Ctrl+Z, Ctrl+Shift+Z / Ctrl+Y), left alone while typing in a field
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
   return (
     <div className="min-h-screen bg-background-light dark:bg-background-dark transition-colors duration-200">
       <Header />
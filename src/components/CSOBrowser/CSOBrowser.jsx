@@ -1,5 +1,7 @@
 import { useState, useEffect, useCallback } from 'react';
 import useDataStore from '../../store/useDataStore';
+import { inferAndParseColumns } from '../../data/typeInference';
+import { tableFromRows } from '../../data/columnarTable';
 
 const GlobeIcon = () => (
   <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -239,26 +241,19 @@ export default function CSOBrowser() {
         throw new Error('No data found in dataset');
       }
 
-      // Detect column types
-      const columnTypes = {};
-      columns.forEach((col) => {
-        if (col === 'Value') {
-          columnTypes[col] = 'number';
-        } else {
-          const sampleValues = data.slice(0, 50).map((row) => row[col]);
-          const datePattern = /^\d{4}M\d{2}$|^\d{4}Q\d$|^\d{4}$/;
-          const isDate = sampleValues.some((v) => datePattern.test(String(v)));
-          columnTypes[col] = isDate ? 'date' : 'string';
-        }
-      });
+      // Detect column types ('Value' is always the observation)
+      const typed = inferAndParseColumns(data, columns);
+      typed.columnTypes['Value'] = 'number';
 
       const datasetInfo = CSO_DATASETS.find((d) => d.id === datasetId);
 
       addDataSet({
         name: `CSO - ${datasetInfo?.name || datasetId}${wasLimited ? ' (Limited)' : ''}`,
-        data,
+        table: tableFromRows(typed.data, columns, typed.columnTypes),
         columns,
-        columnTypes,
+        columnTypes: typed.columnTypes,
+        columnFormats: typed.columnFormats,
+        sourceValues: typed.sourceValues,
         source: 'cso',
         sourceId: datasetId,
         rowCount: data.length,
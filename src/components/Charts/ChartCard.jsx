@@ -1,6 +1,18 @@
-import { useState, useMemo, useCallback, useEffect } from 'react';
+import { useState, useMemo } from 'react';
 import ReactECharts from 'echarts-for-react';
 import useDataStore from '../../store/useDataStore';
+import { isNumericType } from '../../data/typeInference';
+import {
+  tableView,
+  filterMask,
+  applyMask,
+  sliceView,
+  groupAggregate,
+  distinctValues,
+  viewToRows,
+  viewRowIndex,
+} from '../../data/tableView';
+import { COLUMN_DETECTORS, detectOutliers } from '../../ml/anomalyDetection';
 
 const CHART_TYPES = [
   { id: 'bar', name: 'Bar Chart', icon: '📊' },
@@ -20,6 +32,18 @@ const AGGREGATION_TYPES = [
   { id: 'max', name: 'Max' },
 ];
 
+// Chart types whose points can be flagged as anomalies
+const ANOMALY_CHART_TYPES = ['line', 'area'];
+
+// Anomaly markers drawn over a line series
+const anomalyMarkPoint = (anomalies) => ({
+  symbol: 'circle',
+  symbolSize: 14,
+  itemStyle: { color: 'rgba(239, 68, 68, 0.25)', borderColor: '#ef4444', borderWidth: 2 },
+  label: { show: false },
+  data: anomalies.map((a) => ({ coord: [a.index, a.value], value: a.score })),
+});
+
 const CloseIcon = () => (
   <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
@@ -41,85 +65,98 @@ const SettingsIcon = () => (
   </svg>
 );
 
+// Whether a cell value passes a chart filter
+const matchesFilter = (value, filter) => {
+  const filterValue = filter.value;
+
+  switch (filter.operator) {
+    case 'equals':
+      return String(value) === String(filterValue);
+    case 'notEquals':
+      return String(value) !== String(filterValue);
+    case 'contains':
+      return String(value).toLowerCase().includes(String(filterValue).toLowerCase());
+    case 'gt':
+      return Number(value) > Number(filterValue);
+    case 'lt':
+      return Number(value) < Number(filterValue);
+    case 'gte':
+      return Number(value) >= Number(filterValue);
+    case 'lte':
+      return Number(value) <= Number(filterValue);
+    default:
+      return true;
+  }
+};
+
 export default function ChartCard({ chart, onUpdate, onRemove, onDuplicate }) {
-  const { dataSets, activeDataSetId, darkMode } = useDataStore();
+  const { dataSets, activeDataSetId, darkMode, setRowFocus } = useDataStore();
   const [showSettings, setShowSettings] = useState(true);
 
   const activeDataSet = useMemo(() => {
     return dataSets.find((ds) => ds.id === activeDataSetId);
   }, [dataSets, activeDataSetId]);
 
-  const data = activeDataSet?.data || [];
+  const table = activeDataSet?.table || null;
   const columns = activeDataSet?.columns || [];
   const columnTypes = activeDataSet?.columnTypes || {};
 
   // Get numeric and categorical columns
   const numericColumns = useMemo(() => {
-    return columns.filter((col) => columnTypes[col] === 'number');
+    return columns.filter((col) => isNumericType(columnTypes[col]));
   }, [columns, columnTypes]);
 
   const categoricalColumns = useMemo(() => {
-    return columns.filter((col) => columnTypes[col] !== 'number');
+    return columns.filter((col) => !isNumericType(columnTypes[col]));
   }, [columns, columnTypes]);
 
   // Get unique values for each column (for filter dropdowns)
   const columnUniqueValues = useMemo(() => {
     const uniqueValues = {};
     columns.forEach((col) => {
-      if (columnTypes[col] !== 'number') {
-        const values = [...new Set(data.map((row) => row[col]).filter(Boolean))];
+      if (!isNumericType(columnTypes[col])) {
+        const values = distinctValues(tableView(table), col).filter(Boolean);
         // Limit to 200 unique values for performance
         uniqueValues[col] = values.slice(0, 200).sort();
       }
     });
     return uniqueValues;
-  }, [data, columns, columnTypes]);
+  }, [table, columns, columnTypes]);
 
-  // Chart configuration state
-  const [config, setConfig] = useState({
+  // Chart configuration is owned by the store so undo/redo and workspace
+  // restores are reflected here. Axes fall back to sensible defaults until set.
+  const config = useMemo(() => ({
     type: chart.type || 'bar',
-    xAxis: chart.config?.xAxis || '',
-    yAxis: chart.config?.yAxis || '',
+    xAxis: chart.config?.xAxis ?? (categoricalColumns[0] || columns[0] || ''),
+    yAxis: chart.config?.yAxis ?? (numericColumns[0] || columns[1] || columns[0] || ''),
     groupBy: chart.config?.groupBy || '',
     aggregation: chart.config?.aggregation || 'sum',
+    anomalies: chart.config?.anomalies || 'none',
     filters: chart.filters || [],
-  });
-
-  // Initialize with sensible defaults
-  useEffect(() => {
-    if (columns.length > 0 && !config.xAxis) {
-      const defaultX = categoricalColumns[0] || columns[0];
-      const defaultY = numericColumns[0] || columns[1] || columns[0];
-
-      setConfig((prev) => ({
-        ...prev,
-        xAxis: defaultX,
-        yAxis: defaultY,
-      }));
-    }
-  }, [columns, categoricalColumns, numericColumns]);
+  }), [chart, columns, categoricalColumns, numericColumns]);
 
-  // Update parent when config changes
-  useEffect(() => {
+  const setConfig = (updater) => {
+    const next = updater(config);
     onUpdate({
-      type: config.type,
+      type: next.type,
       config: {
-        xAxis: config.xAxis,
-        yAxis: config.yAxis,
-        groupBy: config.groupBy,
-        aggregation: config.aggregation,
+        xAxis: next.xAxis,
+        yAxis: next.yAxis,
+        groupBy: next.groupBy,
+        aggregation: next.aggregation,
+        anomalies: next.anomalies,
       },
-      filters: config.filters,
+      filters: next.filters,
     });
-  }, [config]);
-
-  // Process data for chart
-  const chartData = useMemo(() => {
-    if (!data.length || !config.xAxis || !config.yAxis) return null;
+  };
 
-    let processedData = [...data];
+  // Rows passing the chart filters. Kept apart from the axis and aggregation
+  // settings so changing those does not re-scan the table.
+  const filteredView = useMemo(() => {
+    if (!table) return null;
+    let view = tableView(table);
 
-    // Apply filters - group by type for OR logic within same category
+    // Group filters by type for OR logic within same category
     const filtersByType = {};
     config.filters.forEach((filter) => {
       if (filter.column && filter.operator && filter.value !== '') {
@@ -133,84 +170,32 @@ export default function ChartCard({ chart, onUpdate, onRemove, onDuplicate }) {
 
     // Apply filters: OR within same type, AND between different types
     Object.values(filtersByType).forEach((typeFilters) => {
-      if (typeFilters.length === 0) return;
-
-      processedData = processedData.filter((row) => {
-        // For each filter type, at least one filter must match (OR logic)
-        return typeFilters.some((filter) => {
-          const value = row[filter.column];
-          const filterValue = filter.value;
-
-          switch (filter.operator) {
-            case 'equals':
-              return String(value) === String(filterValue);
-            case 'notEquals':
-              return String(value) !== String(filterValue);
-            case 'contains':
-              return String(value).toLowerCase().includes(String(filterValue).toLowerCase());
-            case 'gt':
-              return Number(value) > Number(filterValue);
-            case 'lt':
-              return Number(value) < Number(filterValue);
-            case 'gte':
-              return Number(value) >= Number(filterValue);
-            case 'lte':
-              return Number(value) <= Number(filterValue);
-            default:
-              return true;
-          }
-        });
-      });
+      const masks = typeFilters.map((filter) =>
+        filterMask(view, filter.column, (value) => matchesFilter(value, filter))
+      );
+      const combined = masks.reduce((acc, mask) => acc.map((bit, p) => bit | mask[p]));
+      view = applyMask(view, combined);
     });
 
+    return view;
+  }, [table, config.filters]);
+
+  // Process data for chart
+  const chartData = useMemo(() => {
+    if (!filteredView || !table.rowCount || !config.xAxis || !config.yAxis) return null;
+
+    let processedData;
+
     // Aggregate data
     if (config.aggregation !== 'none') {
-      const grouped = {};
-
-      processedData.forEach((row) => {
-        const key = String(row[config.xAxis] || 'Unknown');
-        if (!grouped[key]) {
-          grouped[key] = {
-            values: [],
-            count: 0,
-            label: key, // Preserve the original label
-          };
-        }
-        const val = parseFloat(row[config.yAxis]);
-        if (!isNaN(val)) {
-          grouped[key].values.push(val);
-        }
-        // Count all rows, not just numeric ones (for 'count' aggregation)
-        grouped[key].count++;
-      });
-
-      processedData = Object.entries(grouped).map(([key, { values, count, label }]) => {
-        let aggregatedValue;
-        switch (config.aggregation) {
-          case 'sum':
-            aggregatedValue = values.reduce((a, b) => a + b, 0);
-            break;
-          case 'avg':
-            aggregatedValue = values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
-            break;
-          case 'count':
-            aggregatedValue = count;
-            break;
-          case 'min':
-            aggregatedValue = values.length > 0 ? Math.min(...values) : 0;
-            break;
-          case 'max':
-            aggregatedValue = values.length > 0 ? Math.max(...values) : 0;
-            break;
-          default:
-            aggregatedValue = values[0] || 0;
-        }
-
-        return {
-          [config.xAxis]: label, // Use preserved label, not key
-          [config.yAxis]: aggregatedValue,
-        };
-      });
+      processedData = groupAggregate(filteredView, config.xAxis, config.yAxis, config.aggregation)
+        .map(({ key, value }) => ({
+          [config.xAxis]: String(key || 'Unknown'),
+          [config.yAxis]: value,
+        }));
+    } else {
+      const pointColumns = [...new Set([config.xAxis, config.yAxis, config.groupBy].filter(Boolean))];
+      processedData = viewToRows(sliceView(filteredView, 0, 500), pointColumns);
     }
 
     // Limit data for performance
@@ -219,7 +204,27 @@ export default function ChartCard({ chart, onUpdate, onRemove, onDuplicate }) {
     }
 
     return processedData;
-  }, [data, config]);
+  }, [table, filteredView, config.xAxis, config.yAxis, config.groupBy, config.aggregation]);
+
+  // Outlying points of line and area charts, by the plotted values
+  const chartAnomalies = useMemo(() => {
+    if (!chartData || config.anomalies === 'none' || !ANOMALY_CHART_TYPES.includes(config.type)) return null;
+    return detectOutliers(chartData.map((d) => d[config.yAxis]), { method: config.anomalies }).anomalies;
+  }, [chartData, config.anomalies, config.type, config.yAxis]);
+
+  // Show the rows behind the anomalous points in the data table: the rows
+  // aggregated into them, or the plotted rows themselves
+  const showAnomalyRows = () => {
+    let rows;
+    if (config.aggregation !== 'none') {
+      const keys = new Set(chartAnomalies.map((a) => chartData[a.index][config.xAxis]));
+      const view = applyMask(filteredView, filterMask(filteredView, config.xAxis, (value) => keys.has(String(value || 'Unknown'))));
+      rows = Array.from({ length: view.indices.length }, (_, p) => viewRowIndex(view, p));
+    } else {
+      rows = chartAnomalies.map((a) => viewRowIndex(filteredView, a.index));
+    }
+    setRowFocus(activeDataSetId, rows, `anomalies in ${config.yAxis}`);
+  };
 
   // Generate ECharts options
   const chartOptions = useMemo(() => {
@@ -319,6 +324,7 @@ export default function ChartCard({ chart, onUpdate, onRemove, onDuplicate }) {
             type: 'line',
             data: yData,
             smooth: true,
+            markPoint: chartAnomalies?.length ? anomalyMarkPoint(chartAnomalies) : undefined,
             lineStyle: { color: '#0ea5e9', width: 3 },
             itemStyle: { color: '#0ea5e9' },
             areaStyle: {
@@ -360,6 +366,7 @@ export default function ChartCard({ chart, onUpdate, onRemove, onDuplicate }) {
             type: 'line',
             data: yData,
             smooth: true,
+            markPoint: chartAnomalies?.length ? anomalyMarkPoint(chartAnomalies) : undefined,
             areaStyle: {
               color: {
                 type: 'linear',
@@ -522,7 +529,7 @@ export default function ChartCard({ chart, onUpdate, onRemove, onDuplicate }) {
       default:
         return baseOptions;
     }
-  }, [chartData, config, darkMode]);
+  }, [chartData, chartAnomalies, config, darkMode]);
 
   // Add filter
   const addFilter = () => {
@@ -544,11 +551,11 @@ export default function ChartCard({ chart, onUpdate, onRemove, onDuplicate }) {
   };
 
   // Update filter
-  const updateFilter = (index, field, value) => {
+  const updateFilter = (index, changes) => {
     setConfig((prev) => ({
       ...prev,
       filters: prev.filters.map((f, i) =>
-        i === index ? { ...f, [field]: value } : f
+        i === index ? { ...f, ...changes } : f
       ),
     }));
   };
@@ -659,6 +666,23 @@ export default function ChartCard({ chart, onUpdate, onRemove, onDuplicate }) {
                 ))}
               </select>
             </div>
+            {ANOMALY_CHART_TYPES.includes(config.type) && (
+              <div>
+                <label className="text-xs font-medium text-slate-600 dark:text-slate-400 mb-1 block">
+                  Anomalies
+                </label>
+                <select
+                  value={config.anomalies}
+                  onChange={(e) => setConfig((prev) => ({ ...prev, anomalies: e.target.value }))}
+                  className="select text-sm"
+                >
+                  <option value="none">None</option>
+                  {COLUMN_DETECTORS.map((detector) => (
+                    <option key={detector.id} value={detector.id}>{detector.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
             {config.type === 'heatmap' && (
               <div>
                 <label className="text-xs font-medium text-slate-600 dark:text-slate-400 mb-1 block">
@@ -696,8 +720,8 @@ export default function ChartCard({ chart, onUpdate, onRemove, onDuplicate }) {
                 <select
                   value={filter.column}
                   onChange={(e) => {
-                    updateFilter(index, 'column', e.target.value);
-                    updateFilter(index, 'value', ''); // Reset value when column changes
+                    // Reset value when column changes
+                    updateFilter(index, { column: e.target.value, value: '' });
                   }}
                   className="select text-sm w-36"
                 >
@@ -707,7 +731,7 @@ export default function ChartCard({ chart, onUpdate, onRemove, onDuplicate }) {
                 </select>
                 <select
                   value={filter.operator}
-                  onChange={(e) => updateFilter(index, 'operator', e.target.value)}
+                  onChange={(e) => updateFilter(index, { operator: e.target.value })}
                   className="select text-sm w-24"
                 >
                   <option value="equals">=</option>
@@ -722,7 +746,7 @@ export default function ChartCard({ chart, onUpdate, onRemove, onDuplicate }) {
                 {columnUniqueValues[filter.column] ? (
                   <select
                     value={filter.value}
-                    onChange={(e) => updateFilter(index, 'value', e.target.value)}
+                    onChange={(e) => updateFilter(index, { value: e.target.value })}
                     className="select text-sm flex-1"
                   >
                     <option value="">Select value...</option>
@@ -734,7 +758,7 @@ export default function ChartCard({ chart, onUpdate, onRemove, onDuplicate }) {
                   <input
                     type="text"
                     value={filter.value}
-                    onChange={(e) => updateFilter(index, 'value', e.target.value)}
+                    onChange={(e) => updateFilter(index, { value: e.target.value })}
                     placeholder="Value..."
                     className="input text-sm flex-1"
                   />
@@ -776,6 +800,15 @@ export default function ChartCard({ chart, onUpdate, onRemove, onDuplicate }) {
           <p className="text-xs text-slate-500 dark:text-slate-400">
             Showing {chartData.length.toLocaleString()} data points
             {config.filters.length > 0 && ` (${config.filters.length} filter${config.filters.length > 1 ? 's' : ''} applied)`}
+            {chartAnomalies && ` · ${chartAnomalies.length} anomal${chartAnomalies.length === 1 ? 'y' : 'ies'}`}
+            {chartAnomalies?.length > 0 && (
+              <>
+                {' · '}
+                <button onClick={showAnomalyRows} className="text-primary-500 hover:text-primary-600 font-medium">
+                  Show rows
+                </button>
+              </>
+            )}
           </p>
         </div>
       )}
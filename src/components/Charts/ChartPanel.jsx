@@ -19,6 +19,8 @@ const ChartIcon = () => (
 
 export default function ChartPanel() {
   const { charts, addChart, updateChart, removeChart, duplicateChart, dataSets, activeDataSetId } = useDataStore();
+  // Easy Filters selections only seed new charts, so they stay out of the
+  // undo history; the filters of each chart are undoable through updateChart
   const [globalFilters, setGlobalFilters] = useState([]);
   const [filterSettings, setFilterSettings] = useState({});
 
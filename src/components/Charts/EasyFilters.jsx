@@ -1,5 +1,6 @@
 import { useState, useMemo, useCallback, useEffect } from 'react';
 import useDataStore from '../../store/useDataStore';
+import { tableView, distinctValues } from '../../data/tableView';
 
 // Icons
 const CloseIcon = () => (
@@ -68,7 +69,7 @@ const TEA_PRODUCTS = [
 ];
 
 // ==================== CSO TRADE FILTERS ====================
-function CSOTradeFilters({ data, columns, onFiltersChange, activeFilterCount, clearAllFilters }) {
+function CSOTradeFilters({ view, columns, onFiltersChange, activeFilterCount, clearAllFilters }) {
   const [selectedCountries, setSelectedCountries] = useState([]);
   const [selectedMonths, setSelectedMonths] = useState([]);
   const [selectedCommodity, setSelectedCommodity] = useState('');
@@ -96,22 +97,14 @@ function CSOTradeFilters({ data, columns, onFiltersChange, activeFilterCount, cl
 
   // Extract unique values
   const uniqueValues = useMemo(() => {
-    const countries = new Set();
-    const months = new Set();
-    const commodities = new Set();
-
-    data.forEach(row => {
-      if (colInfo.countryCol && row[colInfo.countryCol]) countries.add(row[colInfo.countryCol]);
-      if (colInfo.monthCol && row[colInfo.monthCol]) months.add(row[colInfo.monthCol]);
-      if (colInfo.commodityCol && row[colInfo.commodityCol]) commodities.add(row[colInfo.commodityCol]);
-    });
+    const valuesOf = (col) => (col ? distinctValues(view, col).filter(Boolean) : []);
 
     return {
-      countries: [...countries].sort(),
-      months: [...months].sort(),
-      commodities: [...commodities].sort()
+      countries: valuesOf(colInfo.countryCol).sort(),
+      months: valuesOf(colInfo.monthCol).sort(),
+      commodities: valuesOf(colInfo.commodityCol).sort()
     };
-  }, [data, colInfo]);
+  }, [view, colInfo]);
 
   // Filter countries
   const filteredCountries = useMemo(() => {
@@ -298,7 +291,7 @@ function CSOTradeFilters({ data, columns, onFiltersChange, activeFilterCount, cl
 }
 
 // ==================== COFFEE SHOP FILTERS ====================
-function CoffeeShopFilters({ data, columns, onFiltersChange, activeFilterCount, clearAllFilters }) {
+function CoffeeShopFilters({ view, columns, onFiltersChange, activeFilterCount, clearAllFilters }) {
   const [selectedProducts, setSelectedProducts] = useState([]);
   const [selectedDays, setSelectedDays] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState('');
@@ -330,13 +323,9 @@ function CoffeeShopFilters({ data, columns, onFiltersChange, activeFilterCount,
 
   // Extract unique values
   const uniqueValues = useMemo(() => {
-    const products = new Set();
-    const days = new Set();
-
-    data.forEach(row => {
-      if (colInfo.productCol && row[colInfo.productCol]) products.add(row[colInfo.productCol]);
-      if (colInfo.dayCol && row[colInfo.dayCol]) days.add(row[colInfo.dayCol]);
-    });
+    const valuesOf = (col) => (col ? distinctValues(view, col).filter(Boolean) : []);
+    const products = valuesOf(colInfo.productCol);
+    const days = valuesOf(colInfo.dayCol);
 
     // Sort days in week order
     const dayOrder = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
@@ -346,7 +335,7 @@ function CoffeeShopFilters({ data, columns, onFiltersChange, activeFilterCount,
       products: [...products].sort(),
       days: sortedDays
     };
-  }, [data, colInfo]);
+  }, [view, colInfo]);
 
   // Filter products
   const filteredProducts = useMemo(() => {
@@ -539,7 +528,7 @@ function CoffeeShopFilters({ data, columns, onFiltersChange, activeFilterCount,
 }
 
 // ==================== GENERIC FILTERS ====================
-function GenericFilters({ data, columns, onFiltersChange, clearAllFilters }) {
+function GenericFilters({ view, columns, onFiltersChange, clearAllFilters }) {
   const [selectedColumn, setSelectedColumn] = useState('');
   const [filterOperator, setFilterOperator] = useState('equals');
   const [filterValue, setFilterValue] = useState('');
@@ -547,15 +536,9 @@ function GenericFilters({ data, columns, onFiltersChange, clearAllFilters }) {
 
   // Get unique values for selected column
   const uniqueValues = useMemo(() => {
-    if (!selectedColumn || !data.length) return [];
-    const values = new Set();
-    data.forEach(row => {
-      if (row[selectedColumn] !== undefined && row[selectedColumn] !== null) {
-        values.add(row[selectedColumn]);
-      }
-    });
-    return [...values].slice(0, 100).sort();
-  }, [data, selectedColumn]);
+    if (!selectedColumn) return [];
+    return distinctValues(view, selectedColumn, { limit: 100 }).sort();
+  }, [view, selectedColumn]);
 
   const addFilter = () => {
     if (selectedColumn && filterValue) {
@@ -636,7 +619,7 @@ export default function EasyFilters({ onFiltersChange, initialFilters = {} }) {
     return dataSets.find((ds) => ds.id === activeDataSetId);
   }, [dataSets, activeDataSetId]);
 
-  const data = activeDataSet?.data || [];
+  const view = useMemo(() => (activeDataSet ? tableView(activeDataSet.table) : null), [activeDataSet]);
   const columns = activeDataSet?.columns || [];
 
   // Detect dataset type
@@ -715,7 +698,7 @@ export default function EasyFilters({ onFiltersChange, initialFilters = {} }) {
         <>
           {datasetType === DATASET_TYPES.CSO_TRADE && (
             <CSOTradeFilters
-              data={data}
+              view={view}
               columns={columns}
               onFiltersChange={handleFiltersChange}
               activeFilterCount={activeFilterCount}
@@ -724,7 +707,7 @@ export default function EasyFilters({ onFiltersChange, initialFilters = {} }) {
           )}
           {datasetType === DATASET_TYPES.COFFEE_SHOP && (
             <CoffeeShopFilters
-              data={data}
+              view={view}
               columns={columns}
               onFiltersChange={handleFiltersChange}
               activeFilterCount={activeFilterCount}
@@ -733,7 +716,7 @@ export default function EasyFilters({ onFiltersChange, initialFilters = {} }) {
           )}
           {datasetType === DATASET_TYPES.GENERIC && (
             <GenericFilters
-              data={data}
+              view={view}
               columns={columns}
               onFiltersChange={handleFiltersChange}
               clearAllFilters={clearAllFilters}
@@ -1,5 +1,6 @@
 import { useMemo } from 'react';
 import useDataStore from '../../store/useDataStore';
+import { tableView, sliceView, viewToRows } from '../../data/tableView';
 
 const SparklesIcon = () => (
   <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -37,7 +38,7 @@ function detectDatasetType(columns) {
 }
 
 // Generate smart chart configurations based on filters and dataset type
-function generateSmartCharts(datasetType, filters, columns, data) {
+function generateSmartCharts(datasetType, filters, columns, sampleRows) {
   const charts = [];
 
   // Analyze active filters
@@ -240,12 +241,12 @@ function generateSmartCharts(datasetType, filters, columns, data) {
   } else {
     // Generic dataset - create basic charts
     const categoricalCols = columns.filter(c => {
-      const sampleValues = data.slice(0, 100).map(row => row[c]);
+      const sampleValues = sampleRows.map(row => row[c]);
       return sampleValues.some(v => typeof v === 'string' && isNaN(Number(v)));
     });
 
     const numericCols = columns.filter(c => {
-      const sampleValues = data.slice(0, 100).map(row => row[c]).filter(v => v !== null && v !== undefined);
+      const sampleValues = sampleRows.map(row => row[c]).filter(v => v !== null && v !== undefined);
       return sampleValues.every(v => !isNaN(Number(v)));
     });
 
@@ -287,7 +288,11 @@ export default function SmartChartGenerator({ filters, onGenerateCharts }) {
     return dataSets.find((ds) => ds.id === activeDataSetId);
   }, [dataSets, activeDataSetId]);
 
-  const data = activeDataSet?.data || [];
+  // Column kinds are judged from the first rows
+  const sampleRows = useMemo(() => {
+    if (!activeDataSet) return [];
+    return viewToRows(sliceView(tableView(activeDataSet.table), 0, 100));
+  }, [activeDataSet]);
   const columns = activeDataSet?.columns || [];
 
   const datasetType = useMemo(() => {
@@ -296,8 +301,8 @@ export default function SmartChartGenerator({ filters, onGenerateCharts }) {
 
   const suggestedCharts = useMemo(() => {
     if (!columns.length) return [];
-    return generateSmartCharts(datasetType, filters, columns, data);
-  }, [datasetType, filters, columns, data]);
+    return generateSmartCharts(datasetType, filters, columns, sampleRows);
+  }, [datasetType, filters, columns, sampleRows]);
 
   const handleGenerateAll = () => {
     onGenerateCharts(suggestedCharts);
@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import { createPortal } from 'react-dom';
+import {
+  COLUMN_TYPES,
+  DECIMAL_SEPARATORS,
+  CURRENCY_SYMBOLS,
+  DATE_FORMATS,
+  parseValue,
+} from '../../data/typeInference';
+
+const CloseIcon = () => (
+  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+  </svg>
+);
+
+const MENU_WIDTH = 288;
+
+export default function ColumnTypeMenu({ column, type, format, sampleValues, anchorRect, onApply, onClose }) {
+  const [selectedType, setSelectedType] = useState(type || 'string');
+  const [decimalSeparator, setDecimalSeparator] = useState(format?.decimalSeparator || '.');
+  const [currencySymbol, setCurrencySymbol] = useState(format?.currencySymbol || '€');
+  const [dateFormat, setDateFormat] = useState(format?.dateFormat || DATE_FORMATS[0].id);
+
+  const buildFormat = () => {
+    if (selectedType === 'number') return { decimalSeparator };
+    if (selectedType === 'currency') return { decimalSeparator, currencySymbol };
+    if (selectedType === 'date') return { dateFormat };
+    return {};
+  };
+
+  const preview = sampleValues
+    .filter((v) => v !== null && v !== undefined && v !== '')
+    .slice(0, 4)
+    .map((raw) => ({ raw, parsed: parseValue(raw, selectedType, buildFormat()) }));
+
+  // Keep the menu inside the viewport
+  const left = Math.max(8, Math.min(anchorRect.left, window.innerWidth - MENU_WIDTH - 8));
+  const top = anchorRect.bottom + 6;
+
+  return createPortal(
+    <>
+      {/* Backdrop */}
+      <div className="fixed inset-0 z-40" onClick={onClose} />
+
+      <div
+        className="fixed card p-4 z-50 animate-slide-up space-y-3"
+        style={{ left, top, width: MENU_WIDTH }}
+      >
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold text-sm text-slate-800 dark:text-slate-200 truncate" title={column}>
+            {column}
+          </h4>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 text-slate-500 transition-colors"
+          >
+            <CloseIcon />
+          </button>
+        </div>
+
+        <div>
+          <label className="text-xs font-medium text-slate-600 dark:text-slate-400 mb-1 block">Type</label>
+          <select value={selectedType} onChange={(e) => setSelectedType(e.target.value)} className="select w-full">
+            {COLUMN_TYPES.map((t) => (
+              <option key={t.id} value={t.id}>{t.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {(selectedType === 'number' || selectedType === 'currency') && (
+          <div>
+            <label className="text-xs font-medium text-slate-600 dark:text-slate-400 mb-1 block">Decimal separator</label>
+            <select value={decimalSeparator} onChange={(e) => setDecimalSeparator(e.target.value)} className="select w-full">
+              {DECIMAL_SEPARATORS.map((sep) => (
+                <option key={sep.id} value={sep.id}>{sep.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {selectedType === 'currency' && (
+          <div>
+            <label className="text-xs font-medium text-slate-600 dark:text-slate-400 mb-1 block">Currency symbol</label>
+            <select value={currencySymbol} onChange={(e) => setCurrencySymbol(e.target.value)} className="select w-full">
+              {CURRENCY_SYMBOLS.map((symbol) => (
+                <option key={symbol} value={symbol}>{symbol}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {selectedType === 'date' && (
+          <div>
+            <label className="text-xs font-medium text-slate-600 dark:text-slate-400 mb-1 block">Date format</label>
+            <select value={dateFormat} onChange={(e) => setDateFormat(e.target.value)} className="select w-full">
+              {DATE_FORMATS.map((f) => (
+                <option key={f.id} value={f.id}>{f.id} (e.g. {f.example})</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {/* Preview */}
+        {preview.length > 0 && (
+          <div className="rounded-lg bg-slate-50 dark:bg-slate-800/50 p-2 space-y-1">
+            {preview.map(({ raw, parsed }, i) => (
+              <div key={i} className="flex items-center justify-between gap-2 text-xs">
+                <span className="text-slate-500 dark:text-slate-400 truncate">{String(raw)}</span>
+                <span className={parsed === undefined ? 'text-red-500' : 'text-slate-800 dark:text-slate-200 font-medium truncate'}>
+                  {parsed === undefined ? 'invalid' : String(parsed)}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <button onClick={() => onApply(selectedType, buildFormat())} className="btn-primary w-full">
+          Apply
+        </button>
+      </div>
+    </>,
+    document.body
+  );
+}
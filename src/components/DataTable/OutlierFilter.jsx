@@ -0,0 +1,43 @@
+import { useState } from 'react';
+import { columnReader } from '../../data/columnarTable';
+import { COLUMN_DETECTORS, detectOutliers } from '../../ml/anomalyDetection';
+
+/**
+ * Pick a numeric column and an outlier detector; onFilter receives the
+ * outlying row indices and a label for them
+ */
+export default function OutlierFilter({ table, columns, onFilter }) {
+  const [column, setColumn] = useState(null);
+  const [method, setMethod] = useState(COLUMN_DETECTORS[0].id);
+  const selected = columns.includes(column) ? column : columns[0];
+
+  const applyFilter = () => {
+    const read = columnReader(table, selected);
+    const values = Array.from({ length: table.rowCount }, (_, i) => read(i));
+    const { anomalies } = detectOutliers(values, { method });
+    const detector = COLUMN_DETECTORS.find((d) => d.id === method);
+    onFilter(anomalies.map((a) => a.index), `${detector.label} outliers in ${selected}`);
+  };
+
+  return (
+    <div className="flex items-center gap-1.5 text-sm">
+      <span className="text-xs text-slate-500 dark:text-slate-400">Outliers in</span>
+      <select value={selected} onChange={(e) => setColumn(e.target.value)} className="select text-sm py-1 w-36">
+        {columns.map((col) => (
+          <option key={col} value={col}>{col}</option>
+        ))}
+      </select>
+      <select value={method} onChange={(e) => setMethod(e.target.value)} className="select text-sm py-1 w-44">
+        {COLUMN_DETECTORS.map((detector) => (
+          <option key={detector.id} value={detector.id}>{detector.label}</option>
+        ))}
+      </select>
+      <button
+        onClick={applyFilter}
+        className="px-2 py-1 rounded text-xs font-medium text-primary-600 dark:text-primary-400 hover:bg-primary-50 dark:hover:bg-primary-900/20 transition-colors"
+      >
+        Show
+      </button>
+    </div>
+  );
+}
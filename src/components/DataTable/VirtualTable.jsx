@@ -1,6 +1,18 @@
-import { useMemo, useRef } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { useVirtualizer } from '@tanstack/react-virtual';
 import useDataStore from '../../store/useDataStore';
+import { isNumericType } from '../../data/typeInference';
+import { columnReader } from '../../data/columnarTable';
+import ColumnTypeMenu from './ColumnTypeMenu';
+import OutlierFilter from './OutlierFilter';
+
+const TYPE_BADGE_CLASSES = {
+  number: 'bg-blue-100 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400',
+  currency: 'bg-emerald-100 dark:bg-emerald-900/30 text-emerald-600 dark:text-emerald-400',
+  date: 'bg-purple-100 dark:bg-purple-900/30 text-purple-600 dark:text-purple-400',
+  boolean: 'bg-amber-100 dark:bg-amber-900/30 text-amber-600 dark:text-amber-400',
+  categorical: 'bg-pink-100 dark:bg-pink-900/30 text-pink-600 dark:text-pink-400',
+};
 
 const TableIcon = () => (
   <svg className="w-16 h-16" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -10,40 +22,86 @@ const TableIcon = () => (
 );
 
 export default function VirtualTable() {
-  const { dataSets, activeDataSetId } = useDataStore();
+  const { dataSets, activeDataSetId, setColumnType, setError, rowFocus, setRowFocus, clearRowFocus } = useDataStore();
+  const containerRef = useRef(null);
   const parentRef = useRef(null);
+  const [typeMenu, setTypeMenu] = useState(null); // { column, anchorRect }
 
   const activeDataSet = useMemo(() => {
     return dataSets.find((ds) => ds.id === activeDataSetId);
   }, [dataSets, activeDataSetId]);
 
-  const data = activeDataSet?.data || [];
   const columns = activeDataSet?.columns || [];
   const columnTypes = activeDataSet?.columnTypes || {};
+  const columnFormats = activeDataSet?.columnFormats || {};
+  const numericColumns = columns.filter((col) => isNumericType(columnTypes[col]));
+
+  // Cells are read from the columnar table as rows scroll into view. Rows
+  // focused from a model view (e.g. a confusion matrix cell) replace the
+  // full table until cleared.
+  const table = activeDataSet?.table || null;
+  const focus = rowFocus && rowFocus.dataSetId === activeDataSet?.id ? rowFocus : null;
+  const rowCount = focus ? focus.rowIndices.length : (table?.rowCount || 0);
+  const rowAt = (index) => (focus ? focus.rowIndices[index] : index);
+  const readers = useMemo(() => {
+    if (!table) return {};
+    return Object.fromEntries(table.columns.map((col) => [col, columnReader(table, col)]));
+  }, [table]);
 
   const rowVirtualizer = useVirtualizer({
-    count: data.length,
+    count: rowCount,
     getScrollElement: () => parentRef.current,
     estimateSize: () => 44,
     overscan: 10,
   });
 
-  const formatValue = (value, type) => {
+  // Values of the rows on screen (focused rows included) for the type
+  // editor's preview, from the loaded text where it was kept
+  const typeSampleValues = (column) => {
+    const first = rowVirtualizer.getVirtualItems()[0]?.index ?? 0;
+    const source = activeDataSet.sourceValues?.[column];
+    const read = (row) => (source ? source[row] : readers[column]?.(row)) ?? null;
+    return Array.from({ length: Math.max(0, Math.min(rowCount - first, 20)) }, (_, i) => read(rowAt(first + i)));
+  };
+
+  // Bring the focused rows into view
+  useEffect(() => {
+    if (!focus) return;
+    rowVirtualizer.scrollToIndex(0);
+    containerRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }, [focus, rowVirtualizer]);
+
+  const formatValue = (value, type, format) => {
     if (value === null || value === undefined) {
       return <span className="text-slate-400 italic">null</span>;
     }
 
-    if (type === 'number') {
+    if (isNumericType(type)) {
       const num = parseFloat(value);
       if (isNaN(num)) return value;
-      return new Intl.NumberFormat('en-US', {
+      const formatted = new Intl.NumberFormat('en-US', {
+        minimumFractionDigits: type === 'currency' ? 2 : 0,
         maximumFractionDigits: 2,
       }).format(num);
+      return type === 'currency' ? `${format?.currencySymbol || ''}${formatted}` : formatted;
     }
 
     return String(value);
   };
 
+  const openTypeMenu = (e, column) => {
+    setTypeMenu({ column, anchorRect: e.currentTarget.getBoundingClientRect() });
+  };
+
+  const handleTypeChange = (type, format) => {
+    const { column } = typeMenu;
+    setTypeMenu(null);
+    const result = setColumnType(activeDataSet.id, column, type, format);
+    if (result?.failed > 0) {
+      setError(`${result.failed.toLocaleString()} value${result.failed !== 1 ? 's' : ''} in "${column}" could not be parsed as ${type} and were left unchanged.`);
+    }
+  };
+
   if (dataSets.length === 0) {
     return (
       <div className="card p-12 text-center">
@@ -69,7 +127,7 @@ export default function VirtualTable() {
   }
 
   return (
-    <div className="card overflow-hidden">
+    <div ref={containerRef} className="card overflow-hidden">
       {/* Table Header Info */}
       <div className="px-4 py-3 border-b border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-800/50">
         <div className="flex items-center justify-between flex-wrap gap-2">
@@ -78,9 +136,29 @@ export default function VirtualTable() {
               {activeDataSet.name}
             </h3>
             <p className="text-sm text-slate-500 dark:text-slate-400">
-              {data.length.toLocaleString()} rows × {columns.length} columns
+              {(table?.rowCount || 0).toLocaleString()} rows × {columns.length} columns
             </p>
           </div>
+          {!focus && table && numericColumns.length > 0 && (
+            <OutlierFilter
+              table={table}
+              columns={numericColumns}
+              onFilter={(rows, label) => setRowFocus(activeDataSet.id, rows, label)}
+            />
+          )}
+          {focus && (
+            <div className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-primary-50 dark:bg-primary-900/20 text-sm text-primary-700 dark:text-primary-300">
+              <span>
+                {focus.rowIndices.length.toLocaleString()} row{focus.rowIndices.length !== 1 ? 's' : ''}: {focus.label}
+              </span>
+              <button
+                onClick={clearRowFocus}
+                className="px-2 py-0.5 rounded text-xs font-medium hover:bg-primary-100 dark:hover:bg-primary-900/40 transition-colors"
+              >
+                Show all rows
+              </button>
+            </div>
+          )}
           {activeDataSet.source === 'cso' && (
             <span className="badge-primary">
               CSO.ie
@@ -109,15 +187,15 @@ export default function VirtualTable() {
                 >
                   <div className="flex items-center gap-1.5">
                     <span>{col}</span>
-                    <span className={`text-[10px] px-1.5 py-0.5 rounded ${
-                      columnTypes[col] === 'number'
-                        ? 'bg-blue-100 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400'
-                        : columnTypes[col] === 'date'
-                          ? 'bg-purple-100 dark:bg-purple-900/30 text-purple-600 dark:text-purple-400'
-                          : 'bg-slate-200 dark:bg-slate-700 text-slate-500 dark:text-slate-400'
-                    }`}>
+                    <button
+                      onClick={(e) => openTypeMenu(e, col)}
+                      className={`text-[10px] px-1.5 py-0.5 rounded hover:ring-1 hover:ring-current transition-shadow ${
+                        TYPE_BADGE_CLASSES[columnTypes[col]] || 'bg-slate-200 dark:bg-slate-700 text-slate-500 dark:text-slate-400'
+                      }`}
+                      title="Change column type"
+                    >
                       {columnTypes[col] || 'str'}
-                    </span>
+                    </button>
                   </div>
                 </th>
               ))}
@@ -132,7 +210,6 @@ export default function VirtualTable() {
             }}
           >
             {rowVirtualizer.getVirtualItems().map((virtualRow) => {
-              const row = data[virtualRow.index];
               return (
                 <tr
                   key={virtualRow.index}
@@ -148,17 +225,20 @@ export default function VirtualTable() {
                   }}
                 >
                   <td className="px-3 py-2 text-slate-400 dark:text-slate-500 text-xs border-b border-slate-100 dark:border-slate-800 w-16">
-                    {virtualRow.index + 1}
+                    {rowAt(virtualRow.index) + 1}
                   </td>
-                  {columns.map((col) => (
-                    <td
-                      key={col}
-                      className="px-3 py-2 text-slate-700 dark:text-slate-300 border-b border-slate-100 dark:border-slate-800 whitespace-nowrap max-w-xs truncate"
-                      title={String(row[col] ?? '')}
-                    >
-                      {formatValue(row[col], columnTypes[col])}
-                    </td>
-                  ))}
+                  {columns.map((col) => {
+                    const value = readers[col]?.(rowAt(virtualRow.index)) ?? null;
+                    return (
+                      <td
+                        key={col}
+                        className="px-3 py-2 text-slate-700 dark:text-slate-300 border-b border-slate-100 dark:border-slate-800 whitespace-nowrap max-w-xs truncate"
+                        title={String(value ?? '')}
+                      >
+                        {formatValue(value, columnTypes[col], columnFormats[col])}
+                      </td>
+                    );
+                  })}
                 </tr>
               );
             })}
@@ -166,12 +246,26 @@ export default function VirtualTable() {
         </table>
       </div>
 
+      {/* Column type editor */}
+      {typeMenu && (
+        <ColumnTypeMenu
+          key={typeMenu.column}
+          column={typeMenu.column}
+          type={columnTypes[typeMenu.column]}
+          format={columnFormats[typeMenu.column]}
+          sampleValues={typeSampleValues(typeMenu.column)}
+          anchorRect={typeMenu.anchorRect}
+          onApply={handleTypeChange}
+          onClose={() => setTypeMenu(null)}
+        />
+      )}
+
       {/* Footer Stats */}
       <div className="px-4 py-2 border-t border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-800/50">
         <div className="flex items-center justify-between text-xs text-slate-500 dark:text-slate-400">
           <span>
-            Showing {Math.min(data.length, 100).toLocaleString()} of {data.length.toLocaleString()} rows
-            {data.length > 100 && ' (scroll for more)'}
+            Showing {Math.min(rowCount, 100).toLocaleString()} of {rowCount.toLocaleString()} rows
+            {rowCount > 100 && ' (scroll for more)'}
           </span>
           <span>
             {activeDataSet.uploadedAt && (
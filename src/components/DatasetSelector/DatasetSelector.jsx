@@ -1,4 +1,5 @@
 import useDataStore from '../../store/useDataStore';
+import { columnReader } from '../../data/columnarTable';
 
 const TrashIcon = () => (
   <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -35,7 +36,8 @@ export default function DatasetSelector() {
     const activeDataSet = dataSets.find((ds) => ds.id === activeDataSetId);
     if (!activeDataSet) return;
 
-    const { data, columns, name } = activeDataSet;
+    const { table, columns, name } = activeDataSet;
+    const readers = columns.map((col) => columnReader(table, col));
 
     // Create CSV content
     const csvRows = [];
@@ -44,15 +46,15 @@ export default function DatasetSelector() {
     csvRows.push(columns.map((col) => `"${col.replace(/"/g, '""')}"`).join(','));
 
     // Data rows
-    data.forEach((row) => {
-      const values = columns.map((col) => {
-        const value = row[col];
+    for (let i = 0; i < table.rowCount; i++) {
+      const values = readers.map((read) => {
+        const value = read(i);
         if (value === null || value === undefined) return '';
         const stringValue = String(value).replace(/"/g, '""');
         return `"${stringValue}"`;
       });
       csvRows.push(values.join(','));
-    });
+    }
 
     const csvContent = csvRows.join('\n');
     const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
@@ -113,7 +115,7 @@ export default function DatasetSelector() {
                 {dataset.name}
               </p>
               <p className="text-xs text-slate-500 dark:text-slate-400">
-                {dataset.rowCount?.toLocaleString() || dataset.data?.length?.toLocaleString()} rows
+                {dataset.rowCount.toLocaleString()} rows
                 × {dataset.columns?.length} cols
               </p>
             </div>
@@ -0,0 +1,237 @@
+import { useState, useMemo } from 'react';
+import {
+  ENCODINGS,
+  DELIMITERS,
+  QUOTE_CHARS,
+  THOUSANDS_SEPARATORS,
+  DEFAULT_CSV_OPTIONS,
+  detectEncoding,
+  decodeText,
+  parseCSVText,
+} from '../../data/csvImport';
+import { DECIMAL_SEPARATORS } from '../../data/typeInference';
+
+const CloseIcon = () => (
+  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+  </svg>
+);
+
+const WarningIcon = () => (
+  <svg className="w-4 h-4 shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2}
+      d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+  </svg>
+);
+
+const PREVIEW_ROWS = 50;
+const MAX_LISTED_ERRORS = 100;
+
+const delimiterLabel = (delimiter) =>
+  DELIMITERS.find((d) => d.id === delimiter)?.label || JSON.stringify(delimiter);
+
+// `buffer` holds the start of the file (all of it unless `truncated`); the
+// import streams the whole file with the chosen options
+export default function CsvImportDialog({ fileName, buffer, truncated, initialOptions, onImport, onCancel }) {
+  const [options, setOptions] = useState(() => ({
+    ...DEFAULT_CSV_OPTIONS,
+    encoding: detectEncoding(buffer),
+    ...initialOptions,
+  }));
+
+  const updateOption = (key, value) => {
+    setOptions((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const text = useMemo(() => decodeText(buffer, options.encoding), [buffer, options.encoding]);
+
+  const preview = useMemo(
+    () => parseCSVText(text, options, { previewRows: PREVIEW_ROWS }),
+    [text, options]
+  );
+
+  const handleImport = () => {
+    onImport(options);
+  };
+
+  const labelClass = 'text-xs font-medium text-slate-600 dark:text-slate-400 mb-1 block';
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 bg-black/20 dark:bg-black/40 z-40"
+        onClick={onCancel}
+      />
+
+      {/* Modal */}
+      <div className="fixed inset-x-4 top-12 bottom-12 lg:inset-x-auto lg:left-1/2 lg:-translate-x-1/2 lg:w-[64rem] card p-5 z-50 animate-slide-up flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="font-semibold text-slate-800 dark:text-slate-200">
+              Import delimited text
+            </h3>
+            <p className="text-xs text-slate-500 dark:text-slate-400">{fileName}</p>
+          </div>
+          <button
+            onClick={onCancel}
+            className="p-1 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 text-slate-500 transition-colors"
+          >
+            <CloseIcon />
+          </button>
+        </div>
+
+        {/* Options */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+          <div>
+            <label className={labelClass}>Encoding</label>
+            <select value={options.encoding} onChange={(e) => updateOption('encoding', e.target.value)} className="select">
+              {ENCODINGS.map((enc) => (
+                <option key={enc.id} value={enc.id}>{enc.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Delimiter</label>
+            <select value={options.delimiter} onChange={(e) => updateOption('delimiter', e.target.value)} className="select">
+              {DELIMITERS.map((d) => (
+                <option key={d.id} value={d.id}>
+                  {d.id === '' && preview.delimiter ? `Auto (${delimiterLabel(preview.delimiter)})` : d.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Quote character</label>
+            <select value={options.quoteChar} onChange={(e) => updateOption('quoteChar', e.target.value)} className="select">
+              {QUOTE_CHARS.map((q) => (
+                <option key={q.id} value={q.id}>{q.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Rows to skip</label>
+            <input
+              type="number"
+              min={0}
+              value={options.skipRows}
+              onChange={(e) => updateOption('skipRows', e.target.value)}
+              className="input"
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Decimal separator</label>
+            <select value={options.decimalSeparator} onChange={(e) => updateOption('decimalSeparator', e.target.value)} className="select">
+              <option value="">Auto</option>
+              {DECIMAL_SEPARATORS.map((sep) => (
+                <option key={sep.id} value={sep.id}>{sep.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Thousands separator</label>
+            <select value={options.thousandsSeparator} onChange={(e) => updateOption('thousandsSeparator', e.target.value)} className="select">
+              {THOUSANDS_SEPARATORS.map((sep) => (
+                <option key={sep.id} value={sep.id}>{sep.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Null values</label>
+            <input
+              type="text"
+              value={options.nullTokens}
+              onChange={(e) => updateOption('nullTokens', e.target.value)}
+              placeholder="e.g. NA, -, null"
+              className="input"
+            />
+          </div>
+          <div className="flex items-end pb-2">
+            <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+              <input
+                type="checkbox"
+                checked={options.hasHeader}
+                onChange={(e) => updateOption('hasHeader', e.target.checked)}
+                className="rounded"
+              />
+              First row is header
+            </label>
+          </div>
+        </div>
+
+        {/* Preview */}
+        <p className="text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+          Preview (first {Math.min(preview.data.length, PREVIEW_ROWS)} rows)
+          {truncated && (
+            <span className="ml-2 text-xs font-normal text-slate-500 dark:text-slate-400">
+              showing the start of a large file; the whole file is parsed on import
+            </span>
+          )}
+        </p>
+        <div className="flex-1 min-h-0 overflow-auto rounded-xl border border-slate-200 dark:border-slate-700">
+          {preview.columns.length > 0 ? (
+            <table className="w-full text-xs">
+              <thead className="sticky top-0 bg-slate-100 dark:bg-slate-800">
+                <tr>
+                  {preview.columns.map((col) => (
+                    <th key={col} className="px-2 py-1.5 text-left font-medium text-slate-600 dark:text-slate-300 whitespace-nowrap">
+                      {col}
+                      <span className="ml-1 text-[10px] text-slate-400">{preview.columnTypes[col]}</span>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {preview.data.map((row, i) => (
+                  <tr key={i} className="border-t border-slate-100 dark:border-slate-800">
+                    {preview.columns.map((col) => (
+                      <td key={col} className="px-2 py-1 text-slate-700 dark:text-slate-300 whitespace-nowrap max-w-[12rem] truncate">
+                        {row[col] === null || row[col] === undefined
+                          ? <span className="text-slate-400 italic">null</span>
+                          : String(row[col])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-sm text-slate-500 dark:text-slate-400 p-3">No rows found with these options.</p>
+          )}
+        </div>
+
+        {/* Parse problems */}
+        {preview.rowErrors.length > 0 && (
+          <div className="mt-3 max-h-32 overflow-y-auto rounded-xl bg-amber-50 dark:bg-amber-900/20 p-3 space-y-1">
+            {preview.rowErrors.slice(0, MAX_LISTED_ERRORS).map(({ row, messages }) => (
+              <p key={row ?? 'file'} className="flex items-start gap-2 text-xs text-amber-700 dark:text-amber-400">
+                <WarningIcon />
+                <span>
+                  <strong>{row === null ? 'File' : `Row ${row}`}:</strong> {messages.join('; ')}
+                </span>
+              </p>
+            ))}
+            {preview.rowErrors.length > MAX_LISTED_ERRORS && (
+              <p className="text-xs text-amber-700 dark:text-amber-400">
+                ...and {preview.rowErrors.length - MAX_LISTED_ERRORS} more rows with problems
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2 mt-4">
+          <button onClick={onCancel} className="btn-secondary">
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={preview.columns.length === 0}
+            className="btn-primary"
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -1,7 +1,13 @@
 import { useState, useRef, useCallback } from 'react';
 import useDataStore from '../../store/useDataStore';
-import Papa from 'papaparse';
-import * as XLSX from 'xlsx';
+import { readFileBuffer, decodeText, streamCSVFile, PREVIEW_BYTES } from '../../data/csvImport';
+import { createExcelWorker } from '../../data/excelWorkerClient';
+import { parseJSONText, parseNDJSONFile } from '../../data/jsonImport';
+import { parseParquetBuffer } from '../../data/parquetImport';
+import { tableFromRows } from '../../data/columnarTable';
+import SheetPicker from './SheetPicker';
+import CsvImportDialog from './CsvImportDialog';
+import ImportProgress from './ImportProgress';
 
 const UploadIcon = () => (
   <svg className="w-12 h-12" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -17,237 +23,254 @@ const FileIcon = () => (
   </svg>
 );
 
-const SpinnerIcon = () => (
-  <svg className="w-5 h-5 animate-spin" fill="none" viewBox="0 0 24 24">
-    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
-    <path className="opacity-75" fill="currentColor"
-      d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
-  </svg>
-);
+const DELIMITED_EXTENSIONS = ['csv', 'tsv'];
+const EXCEL_EXTENSIONS = ['xlsx', 'xls'];
+const JSON_EXTENSIONS = ['json'];
+const NDJSON_EXTENSIONS = ['ndjson', 'jsonl'];
+const PARQUET_EXTENSIONS = ['parquet'];
+const SUPPORTED_EXTENSIONS = [
+  ...DELIMITED_EXTENSIONS,
+  ...EXCEL_EXTENSIONS,
+  ...JSON_EXTENSIONS,
+  ...NDJSON_EXTENSIONS,
+  ...PARQUET_EXTENSIONS,
+];
+
+const isAbortError = (error) => error?.name === 'AbortError';
+
+// Read a whole file, reporting bytes read
+const readWithProgress = (file, signal, report) =>
+  readFileBuffer(file, {
+    onProgress: (bytes, totalBytes) => report({ stage: 'Reading file', bytes, totalBytes }),
+  }).then((buffer) => {
+    signal.throwIfAborted();
+    return buffer;
+  });
 
 export default function FileUpload() {
   const [isDragOver, setIsDragOver] = useState(false);
-  const [isProcessing, setIsProcessing] = useState(false);
-  const [processingFile, setProcessingFile] = useState('');
+  const [imports, setImports] = useState([]); // Running imports and their progress
+  const cancelers = useRef(new Map()); // Import id -> cancel function
   const fileInputRef = useRef(null);
+  const [pendingImports, setPendingImports] = useState([]); // Files waiting in the CSV or sheet dialog
   const { addDataSet, setError } = useDataStore();
 
-  const detectColumnTypes = (data, columns) => {
-    const columnTypes = {};
-
-    columns.forEach((col) => {
-      const sampleValues = data.slice(0, 100).map((row) => row[col]).filter((v) => v != null && v !== '');
+  // Run an import task with progress reporting. The task receives an
+  // AbortSignal that fires when the user cancels, and a report function
+  // taking { stage, rows, totalRows, bytes, totalBytes }.
+  const runImport = useCallback(async (fileName, task) => {
+    const id = `import_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const controller = new AbortController();
+    cancelers.current.set(id, () => controller.abort());
+    setImports((prev) => [...prev, { id, fileName, rows: 0, bytes: 0, totalBytes: 0, startedAt: Date.now() }]);
 
-      if (sampleValues.length === 0) {
-        columnTypes[col] = 'string';
-        return;
-      }
+    const report = (progress) => {
+      setImports((prev) => prev.map((item) => (item.id === id ? { ...item, ...progress } : item)));
+    };
 
-      // Check for numbers
-      const numericCount = sampleValues.filter((v) => !isNaN(parseFloat(v)) && isFinite(v)).length;
-      if (numericCount / sampleValues.length > 0.8) {
-        columnTypes[col] = 'number';
-        return;
-      }
+    try {
+      return await task(controller.signal, report);
+    } finally {
+      cancelers.current.delete(id);
+      setImports((prev) => prev.filter((item) => item.id !== id));
+    }
+  }, []);
 
-      // Check for dates
-      const datePatterns = [
-        /^\d{4}-\d{2}-\d{2}$/,
-        /^\d{2}\/\d{2}\/\d{4}$/,
-        /^\d{2}-\d{2}-\d{4}$/,
-        /^\d{4}\/\d{2}\/\d{2}$/,
-        /^\d{4}M\d{2}$/, // CSO format like 2024M01
-        /^\d{4}Q\d$/, // Quarter format like 2024Q1
-      ];
-      const dateCount = sampleValues.filter((v) =>
-        datePatterns.some((pattern) => pattern.test(String(v))) || !isNaN(Date.parse(v))
-      ).length;
-      if (dateCount / sampleValues.length > 0.8) {
-        columnTypes[col] = 'date';
-        return;
-      }
+  const cancelImport = (id) => {
+    cancelers.current.get(id)?.();
+  };
 
-      columnTypes[col] = 'string';
+  // Datasets loaded from files are stored as columnar tables
+  const addParsedDataSet = useCallback((name, result, extra = {}) => {
+    const table = result.table || tableFromRows(result.data, result.columns, result.columnTypes);
+    addDataSet({
+      name,
+      table,
+      columns: result.columns,
+      columnTypes: result.columnTypes,
+      columnFormats: result.columnFormats,
+      sourceValues: result.sourceValues || {},
+      source: 'file',
+      rowCount: table.rowCount,
+      uploadedAt: new Date().toISOString(),
+      ...extra,
     });
+  }, [addDataSet]);
 
-    return columnTypes;
-  };
+  // Open a workbook in a worker. Workbooks with several sheets, or whose
+  // header is below the first row, go through the sheet picker.
+  const processExcel = useCallback(async (file) => {
+    const worker = createExcelWorker();
+    let keepWorker = false;
 
-  const processCSV = (file) => {
-    return new Promise((resolve, reject) => {
-      Papa.parse(file, {
-        header: true,
-        skipEmptyLines: true,
-        dynamicTyping: true,
-        worker: true,
-        complete: (results) => {
-          if (results.errors.length > 0) {
-            console.warn('CSV parsing warnings:', results.errors);
-          }
-          const columns = results.meta.fields || [];
-          const columnTypes = detectColumnTypes(results.data, columns);
-          resolve({
-            data: results.data,
-            columns,
-            columnTypes,
-          });
-        },
-        error: (error) => {
-          reject(new Error(`CSV parsing failed: ${error.message}`));
-        },
+    try {
+      const result = await runImport(file.name, async (signal, report) => {
+        signal.addEventListener('abort', () => worker.terminate());
+        const buffer = await readWithProgress(file, signal, report);
+
+        report({ stage: 'Opening workbook' });
+        const sheets = await worker.load(buffer);
+
+        if (sheets.length > 1 || sheets[0]?.headerRow > 0) {
+          keepWorker = true;
+          setPendingImports((prev) => [...prev, {
+            id: `import_${Date.now()}_${file.name}`,
+            kind: 'excel',
+            fileName: file.name,
+            worker,
+            sheets,
+          }]);
+          return null;
+        }
+
+        return worker.parse(sheets[0].name, {}, {
+          onProgress: ({ rows, totalRows }) => report({ stage: 'Converting rows', rows, totalRows }),
+        });
       });
-    });
-  };
 
-  // Convert Excel serial date to JS Date string
-  const excelDateToString = (serial, includeTime = false) => {
-    // Excel epoch starts at 1900-01-01 (but Excel incorrectly thinks 1900 was a leap year)
-    // Serial 1 = 1900-01-01, Serial 2 = 1900-01-02, etc.
-    // We need to subtract 1 because JS Date months are 0-indexed
-    const utcDays = Math.floor(serial - 25569); // 25569 = days from 1900-01-01 to 1970-01-01
-    const utcValue = utcDays * 86400 * 1000; // Convert to milliseconds
-    const date = new Date(utcValue);
-
-    if (includeTime && serial % 1 !== 0) {
-      // Has time component
-      const timeFraction = serial % 1;
-      const totalSeconds = Math.round(timeFraction * 86400);
-      const hours = Math.floor(totalSeconds / 3600);
-      const minutes = Math.floor((totalSeconds % 3600) / 60);
-      const seconds = totalSeconds % 60;
-      date.setUTCHours(hours, minutes, seconds);
-      return date.toISOString().replace('T', ' ').substring(0, 19);
+      if (!result) return;
+      if (result.table.rowCount === 0) {
+        throw new Error('The file appears to be empty');
+      }
+      addParsedDataSet(file.name, result);
+    } finally {
+      if (!keepWorker) worker.terminate();
     }
+  }, [runImport, addParsedDataSet]);
 
-    return date.toISOString().split('T')[0];
-  };
+  const processFile = useCallback(async (file) => {
+    const extension = file.name.split('.').pop().toLowerCase();
 
-  // Check if a value looks like an Excel date serial number
-  const isExcelDateSerial = (value, colName) => {
-    if (typeof value !== 'number') return false;
-    // Excel dates are typically between 1 (1900-01-01) and 2958465 (9999-12-31)
-    // But realistically, most dates are between 30000 (1982) and 55000 (2050)
-    // Also check column name hints
-    const dateHints = ['date', 'time', 'tarih', 'saat', 'datetime', 'timestamp', 'created', 'updated', 'modified'];
-    const colLower = colName.toLowerCase();
-    const hasDateHint = dateHints.some(hint => colLower.includes(hint));
-
-    // If column name suggests date, be more lenient with range
-    if (hasDateHint && value > 1 && value < 2958465) {
-      return true;
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+      setError('Unsupported file type. Please upload CSV, TSV, Excel, JSON, NDJSON or Parquet files.');
+      return;
     }
-    // Otherwise, use a narrower range (1980-2050)
-    return value > 29221 && value < 54789 && Number.isFinite(value);
-  };
 
-  const processExcel = (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        try {
-          const data = new Uint8Array(e.target.result);
-          // Enable cellDates to parse dates, and use raw values for inspection
-          const workbook = XLSX.read(data, {
-            type: 'array',
-            cellDates: true,  // Parse dates as JS Date objects
-            cellNF: true,     // Keep number formats
-            cellText: false,  // Don't generate text
-          });
-          const sheetName = workbook.SheetNames[0];
-          const worksheet = workbook.Sheets[sheetName];
+    try {
+      // Delimited text always goes through the import dialog, which previews
+      // the start of the file; the import itself streams the whole file
+      if (DELIMITED_EXTENSIONS.includes(extension)) {
+        const buffer = await readFileBuffer(file.slice(0, PREVIEW_BYTES));
+        const initialOptions = extension === 'tsv' ? { delimiter: '\t' } : {};
+        setPendingImports((prev) => [...prev, {
+          id: `import_${Date.now()}_${file.name}`,
+          kind: 'csv',
+          file,
+          fileName: file.name,
+          buffer,
+          truncated: file.size > PREVIEW_BYTES,
+          initialOptions,
+        }]);
+        return;
+      }
 
-          // First, get raw data to detect date columns
-          const rawData = XLSX.utils.sheet_to_json(worksheet, {
-            defval: null,
-            raw: true,  // Get raw values to detect date serials
-          });
+      if (EXCEL_EXTENSIONS.includes(extension)) {
+        await processExcel(file);
+        return;
+      }
 
-          // Get data with dates parsed
-          const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-            defval: null,
-            raw: false,  // Format values
-            dateNF: 'YYYY-MM-DD HH:mm:ss',  // Date format
+      const result = await runImport(file.name, async (signal, report) => {
+        if (NDJSON_EXTENSIONS.includes(extension)) {
+          return parseNDJSONFile(file, {
+            signal,
+            onProgress: (progress) => report({ stage: 'Parsing', ...progress }),
           });
+        }
 
-          const columns = jsonData.length > 0 ? Object.keys(jsonData[0]) : [];
-
-          // Post-process: detect and convert any remaining Excel date serials
-          const processedData = jsonData.map((row, rowIndex) => {
-            const newRow = { ...row };
-            columns.forEach(col => {
-              const value = row[col];
-              const rawValue = rawData[rowIndex]?.[col];
-
-              // If value is a Date object, format it
-              if (value instanceof Date) {
-                newRow[col] = value.toISOString().split('T')[0];
-                if (value.getHours() !== 0 || value.getMinutes() !== 0) {
-                  newRow[col] = value.toISOString().replace('T', ' ').substring(0, 19);
-                }
-              }
-              // Check if raw value is a date serial that wasn't converted
-              else if (typeof rawValue === 'number' && isExcelDateSerial(rawValue, col)) {
-                const hasTime = rawValue % 1 !== 0;
-                newRow[col] = excelDateToString(rawValue, hasTime);
-              }
-            });
-            return newRow;
-          });
+        const buffer = await readWithProgress(file, signal, report);
+        report({ stage: 'Parsing' });
+        const parsed = JSON_EXTENSIONS.includes(extension)
+          ? parseJSONText(decodeText(buffer, 'utf-8'))
+          : await parseParquetBuffer(buffer);
+        signal.throwIfAborted();
+        return parsed;
+      });
 
-          const columnTypes = detectColumnTypes(processedData, columns);
-          resolve({
-            data: processedData,
-            columns,
-            columnTypes,
-          });
-        } catch (error) {
-          reject(new Error(`Excel parsing failed: ${error.message}`));
-        }
-      };
-      reader.onerror = () => reject(new Error('Failed to read file'));
-      reader.readAsArrayBuffer(file);
-    });
-  };
+      if (result.lineErrors?.length > 0) {
+        const first = result.lineErrors[0];
+        setError(`${file.name}: skipped ${result.lineErrors.length.toLocaleString()} invalid line${result.lineErrors.length !== 1 ? 's' : ''} (first at line ${first.line}: ${first.message})`);
+      }
 
-  const processFile = useCallback(async (file) => {
-    const extension = file.name.split('.').pop().toLowerCase();
+      if (result.data.length === 0) {
+        throw new Error('The file appears to be empty');
+      }
 
-    if (!['csv', 'xlsx', 'xls'].includes(extension)) {
-      setError('Unsupported file type. Please upload CSV or Excel files.');
-      return;
+      addParsedDataSet(file.name, result);
+    } catch (error) {
+      if (!isAbortError(error)) setError(error.message);
     }
+  }, [runImport, processExcel, addParsedDataSet, setError]);
 
-    setIsProcessing(true);
-    setProcessingFile(file.name);
+  const closePendingImport = () => {
+    setPendingImports((prev) => prev.slice(1));
+  };
+
+  const cancelPendingImport = () => {
+    pendingImports[0].worker?.terminate();
+    closePendingImport();
+  };
+
+  const handleImportCSV = async (options) => {
+    const { file, fileName } = pendingImports[0];
+    closePendingImport();
 
     try {
-      let result;
-      if (extension === 'csv') {
-        result = await processCSV(file);
-      } else {
-        result = await processExcel(file);
+      const result = await runImport(fileName, (signal, report) =>
+        streamCSVFile(file, options, {
+          signal,
+          onProgress: (progress) => report({ stage: 'Parsing', ...progress }),
+        })
+      );
+
+      if (result.table.rowCount === 0) {
+        setError(`${fileName} has no data rows with the chosen options`);
+        return;
       }
 
-      if (result.data.length === 0) {
-        throw new Error('The file appears to be empty');
-      }
+      addParsedDataSet(fileName, result);
 
-      addDataSet({
-        name: file.name,
-        data: result.data,
-        columns: result.columns,
-        columnTypes: result.columnTypes,
-        source: 'file',
-        rowCount: result.data.length,
-        uploadedAt: new Date().toISOString(),
-      });
+      if (result.problemRowCount > 0) {
+        const first = result.rowErrors.find((e) => e.row !== null);
+        setError(`${fileName}: ${result.problemRowCount.toLocaleString()} row${result.problemRowCount !== 1 ? 's' : ''} had parse problems (first at row ${first.row}: ${first.messages[0]})`);
+      }
     } catch (error) {
-      setError(error.message);
+      if (!isAbortError(error)) setError(error.message);
+    }
+  };
+
+  const handleImportSheets = async (selections) => {
+    const { fileName, worker, sheets } = pendingImports[0];
+    closePendingImport();
+
+    const failures = [];
+    try {
+      for (const { name, headerRow, range } of selections) {
+        const datasetName = sheets.length > 1 ? `${fileName} - ${name}` : fileName;
+        try {
+          const result = await runImport(datasetName, (signal, report) => {
+            signal.addEventListener('abort', () => worker.terminate());
+            return worker.parse(name, { headerRow, range }, {
+              onProgress: ({ rows, totalRows }) => report({ stage: 'Converting rows', rows, totalRows }),
+            });
+          });
+          if (result.table.rowCount === 0) {
+            throw new Error('no data rows below the header');
+          }
+          addParsedDataSet(datasetName, result, { sheetName: name });
+        } catch (error) {
+          // Cancelling stops the worker, so the remaining sheets are skipped too
+          if (isAbortError(error)) break;
+          failures.push(`${name}: ${error.message}`);
+        }
+      }
     } finally {
-      setIsProcessing(false);
-      setProcessingFile('');
+      worker.terminate();
+    }
+
+    if (failures.length > 0) {
+      setError(`Could not import ${failures.join('; ')}`);
     }
-  }, [addDataSet, setError]);
+  };
 
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
@@ -289,27 +312,14 @@ export default function FileUpload() {
         <input
           ref={fileInputRef}
           type="file"
-          accept=".csv,.xlsx,.xls"
+          accept={SUPPORTED_EXTENSIONS.map((ext) => `.${ext}`).join(',')}
           multiple
           onChange={handleFileSelect}
           className="hidden"
         />
 
-        {isProcessing ? (
-          <div className="flex flex-col items-center gap-4 py-4">
-            <div className="relative">
-              <div className="w-16 h-16 rounded-full border-4 border-primary-200 dark:border-primary-800" />
-              <div className="absolute inset-0 w-16 h-16 rounded-full border-4 border-primary-500 border-t-transparent animate-spin" />
-            </div>
-            <div className="space-y-1">
-              <p className="font-medium text-slate-700 dark:text-slate-200">
-                Processing file...
-              </p>
-              <p className="text-sm text-slate-500 dark:text-slate-400">
-                {processingFile}
-              </p>
-            </div>
-          </div>
+        {imports.length > 0 ? (
+          <ImportProgress imports={imports} onCancel={cancelImport} />
         ) : (
           <div className="flex flex-col items-center gap-4 py-4">
             <div className={`text-slate-400 dark:text-slate-500 transition-transform duration-300 ${isDragOver ? 'scale-110 text-primary-500' : ''}`}>
@@ -317,25 +327,46 @@ export default function FileUpload() {
             </div>
             <div className="space-y-2">
               <p className="text-lg font-medium text-slate-700 dark:text-slate-200">
-                {isDragOver ? 'Drop files here' : 'Drop CSV or Excel files here'}
+                {isDragOver ? 'Drop files here' : 'Drop data files here'}
               </p>
               <p className="text-sm text-slate-500 dark:text-slate-400">
                 or <span className="text-primary-500 hover:text-primary-600 font-medium">browse</span> to select
               </p>
             </div>
-            <div className="flex items-center gap-3 mt-2">
-              <span className="badge bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-400">
-                <FileIcon />
-                <span className="ml-1.5">.csv</span>
-              </span>
-              <span className="badge bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-400">
-                <FileIcon />
-                <span className="ml-1.5">.xlsx</span>
-              </span>
+            <div className="flex flex-wrap items-center justify-center gap-3 mt-2">
+              {['.csv', '.tsv', '.xlsx', '.json', '.ndjson', '.parquet'].map((ext) => (
+                <span key={ext} className="badge bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-400">
+                  <FileIcon />
+                  <span className="ml-1.5">{ext}</span>
+                </span>
+              ))}
             </div>
           </div>
         )}
       </div>
+
+      {pendingImports[0]?.kind === 'csv' && (
+        <CsvImportDialog
+          key={pendingImports[0].id}
+          fileName={pendingImports[0].fileName}
+          buffer={pendingImports[0].buffer}
+          truncated={pendingImports[0].truncated}
+          initialOptions={pendingImports[0].initialOptions}
+          onImport={handleImportCSV}
+          onCancel={closePendingImport}
+        />
+      )}
+
+      {pendingImports[0]?.kind === 'excel' && (
+        <SheetPicker
+          key={pendingImports[0].id}
+          fileName={pendingImports[0].fileName}
+          sheets={pendingImports[0].sheets}
+          loadPreview={pendingImports[0].worker.preview}
+          onImport={handleImportSheets}
+          onCancel={cancelPendingImport}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,86 @@
+import { useEffect, useState } from 'react';
+
+const CloseIcon = () => (
+  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+  </svg>
+);
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+};
+
+const formatDuration = (seconds) => {
+  if (seconds < 60) return `${Math.max(1, Math.round(seconds))}s`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}m ${Math.round(seconds % 60)}s`;
+};
+
+// Share of the work done, from rows when the total is known, else from bytes
+const progressFraction = ({ rows, totalRows, bytes, totalBytes }) => {
+  if (totalRows) return rows / totalRows;
+  if (totalBytes) return bytes / totalBytes;
+  return null;
+};
+
+/**
+ * Progress of the running imports: rows parsed, bytes read, a time estimate
+ * and a cancel button per file
+ */
+export default function ImportProgress({ imports, onCancel }) {
+  // Re-render every second so the elapsed time and estimate stay current
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <div className="space-y-4 py-2 text-left cursor-default" onClick={(e) => e.stopPropagation()}>
+      {imports.map((item) => {
+        const fraction = progressFraction(item);
+        const elapsed = Math.max(0, (now - item.startedAt) / 1000);
+        const eta = fraction > 0.01 && elapsed > 1 ? (elapsed / fraction) * (1 - fraction) : null;
+
+        return (
+          <div key={item.id}>
+            <div className="flex items-center justify-between gap-3 mb-1.5">
+              <div className="min-w-0">
+                <p className="font-medium text-sm text-slate-700 dark:text-slate-200 truncate">
+                  {item.fileName}
+                </p>
+                <p className="text-xs text-slate-500 dark:text-slate-400">
+                  {item.stage || 'Parsing'}
+                  {item.rows > 0 && <> · {item.rows.toLocaleString()}{item.totalRows ? ` of ${item.totalRows.toLocaleString()}` : ''} rows</>}
+                  {item.totalBytes > 0 && <> · {formatBytes(item.bytes)} of {formatBytes(item.totalBytes)}</>}
+                  {eta !== null && fraction < 1 && <> · about {formatDuration(eta)} left</>}
+                </p>
+              </div>
+              <button
+                onClick={() => onCancel(item.id)}
+                className="flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 transition-colors"
+                title="Cancel import"
+              >
+                <CloseIcon />
+                Cancel
+              </button>
+            </div>
+            <div className="h-2 rounded-full bg-slate-200 dark:bg-slate-700 overflow-hidden">
+              {fraction === null ? (
+                <div className="h-full w-1/3 rounded-full bg-primary-500 animate-pulse" />
+              ) : (
+                <div
+                  className="h-full rounded-full bg-gradient-to-r from-primary-500 to-purple-500 transition-[width] duration-300"
+                  style={{ width: `${Math.min(100, fraction * 100).toFixed(1)}%` }}
+                />
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
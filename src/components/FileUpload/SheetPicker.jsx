@@ -0,0 +1,216 @@
+import { useState, useEffect } from 'react';
+
+const CloseIcon = () => (
+  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+  </svg>
+);
+
+const SheetIcon = () => (
+  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2}
+      d="M3 10h18M3 14h18m-9-4v8m-7 0h14a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z" />
+  </svg>
+);
+
+const PREVIEW_ROWS = 5;
+
+// Convert the picker's options into parseSheet options (0-based header row)
+const toParseOptions = (opt) => ({
+  headerRow: opt.range.trim() ? null : Math.max(0, (parseInt(opt.headerRow, 10) || 1) - 1),
+  range: opt.range.trim(),
+});
+
+// The workbook lives in a worker; loadPreview(sheetName, options) resolves to
+// the first parsed rows of a sheet
+export default function SheetPicker({ fileName, sheets, loadPreview, onImport, onCancel }) {
+  // Per-sheet options; header rows are shown 1-based like in Excel
+  const [options, setOptions] = useState(() =>
+    Object.fromEntries(sheets.map((sheet, i) => [sheet.name, {
+      selected: i === 0,
+      headerRow: sheet.headerRow + 1,
+      range: '',
+    }]))
+  );
+  const [previewSheet, setPreviewSheet] = useState(sheets[0]?.name || '');
+
+  const selectedSheets = sheets.filter((sheet) => options[sheet.name].selected);
+  const allSelected = selectedSheets.length === sheets.length;
+
+  const updateOption = (name, changes) => {
+    setOptions((prev) => ({ ...prev, [name]: { ...prev[name], ...changes } }));
+  };
+
+  const toggleAll = () => {
+    setOptions((prev) => Object.fromEntries(
+      Object.entries(prev).map(([name, opt]) => [name, { ...opt, selected: !allSelected }])
+    ));
+  };
+
+  const previewOptions = options[previewSheet];
+  const [preview, setPreview] = useState(null);
+  useEffect(() => {
+    if (!previewSheet) return undefined;
+    let stale = false;
+    loadPreview(previewSheet, { ...toParseOptions(previewOptions), limit: PREVIEW_ROWS })
+      .then((result) => {
+        if (!stale) setPreview(result);
+      })
+      .catch((error) => {
+        if (!stale) setPreview({ error: error.message });
+      });
+    return () => {
+      stale = true;
+    };
+  }, [loadPreview, previewSheet, previewOptions]);
+
+  const handleImport = () => {
+    onImport(selectedSheets.map((sheet) => ({ name: sheet.name, ...toParseOptions(options[sheet.name]) })));
+  };
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 bg-black/20 dark:bg-black/40 z-40"
+        onClick={onCancel}
+      />
+
+      {/* Modal */}
+      <div className="fixed inset-x-4 top-16 bottom-16 md:inset-x-auto md:left-1/2 md:-translate-x-1/2 md:w-[48rem] card p-5 z-50 animate-slide-up flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="font-semibold text-slate-800 dark:text-slate-200">
+              Import sheets
+            </h3>
+            <p className="text-xs text-slate-500 dark:text-slate-400">{fileName}</p>
+          </div>
+          <button
+            onClick={onCancel}
+            className="p-1 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 text-slate-500 transition-colors"
+          >
+            <CloseIcon />
+          </button>
+        </div>
+
+        {/* Sheet list */}
+        <div className="flex items-center justify-between mb-2">
+          <span className="text-sm font-medium text-slate-700 dark:text-slate-300">
+            {sheets.length} sheet{sheets.length !== 1 ? 's' : ''}
+          </span>
+          <button onClick={toggleAll} className="text-xs font-medium text-primary-500 hover:text-primary-600">
+            {allSelected ? 'Select none' : 'Select all'}
+          </button>
+        </div>
+
+        <div className="space-y-2 max-h-64 overflow-y-auto pr-1 mb-4">
+          {sheets.map((sheet) => {
+            const opt = options[sheet.name];
+            return (
+              <div
+                key={sheet.name}
+                onClick={() => setPreviewSheet(sheet.name)}
+                className={`flex flex-wrap items-center gap-3 p-2.5 rounded-xl border cursor-pointer ${
+                  previewSheet === sheet.name
+                    ? 'bg-primary-50 dark:bg-primary-900/20 border-primary-200 dark:border-primary-800'
+                    : 'bg-slate-50 dark:bg-slate-800/50 border-transparent'
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={opt.selected}
+                  onClick={(e) => e.stopPropagation()}
+                  onChange={(e) => updateOption(sheet.name, { selected: e.target.checked })}
+                  className="rounded"
+                />
+                <div className="flex-1 min-w-[8rem]">
+                  <p className="flex items-center gap-1.5 font-medium text-sm text-slate-800 dark:text-slate-200">
+                    <SheetIcon />
+                    <span className="truncate">{sheet.name}</span>
+                  </p>
+                  <p className="text-xs text-slate-500 dark:text-slate-400">
+                    {sheet.range || 'empty'} · {sheet.rowCount.toLocaleString()} rows × {sheet.columnCount} columns
+                  </p>
+                </div>
+                <label className="flex items-center gap-1.5 text-xs text-slate-600 dark:text-slate-400">
+                  Header row
+                  <input
+                    type="number"
+                    min={1}
+                    value={opt.headerRow}
+                    disabled={!!opt.range.trim()}
+                    onClick={(e) => e.stopPropagation()}
+                    onChange={(e) => updateOption(sheet.name, { headerRow: e.target.value })}
+                    className="input w-16 py-1 text-xs"
+                  />
+                </label>
+                <label className="flex items-center gap-1.5 text-xs text-slate-600 dark:text-slate-400">
+                  Range
+                  <input
+                    type="text"
+                    value={opt.range}
+                    placeholder={sheet.range}
+                    onClick={(e) => e.stopPropagation()}
+                    onChange={(e) => updateOption(sheet.name, { range: e.target.value })}
+                    className="input w-24 py-1 text-xs"
+                  />
+                </label>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Preview */}
+        <div className="flex-1 min-h-0 flex flex-col">
+          <p className="text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+            Preview{previewSheet && `: ${previewSheet}`}
+          </p>
+          <div className="flex-1 overflow-auto rounded-xl border border-slate-200 dark:border-slate-700">
+            {preview?.error ? (
+              <p className="text-sm text-red-600 dark:text-red-400 p-3">{preview.error}</p>
+            ) : preview && preview.columns.length > 0 ? (
+              <table className="w-full text-xs">
+                <thead className="sticky top-0 bg-slate-100 dark:bg-slate-800">
+                  <tr>
+                    {preview.columns.map((col) => (
+                      <th key={col} className="px-2 py-1.5 text-left font-medium text-slate-600 dark:text-slate-300 whitespace-nowrap">
+                        {col}
+                        <span className="ml-1 text-[10px] text-slate-400">{preview.columnTypes[col]}</span>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.data.map((row, i) => (
+                    <tr key={i} className="border-t border-slate-100 dark:border-slate-800">
+                      {preview.columns.map((col) => (
+                        <td key={col} className="px-2 py-1 text-slate-700 dark:text-slate-300 whitespace-nowrap max-w-[12rem] truncate">
+                          {row[col] === null || row[col] === undefined ? '' : String(row[col])}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="text-sm text-slate-500 dark:text-slate-400 p-3">This sheet is empty.</p>
+            )}
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-2 mt-4">
+          <button onClick={onCancel} className="btn-secondary">
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={selectedSheets.length === 0}
+            className="btn-primary"
+          >
+            Import {selectedSheets.length > 1 ? `${selectedSheets.length} sheets` : 'sheet'}
+          </button>
+        </div>
+      </div>
+    </>
+  );
+}
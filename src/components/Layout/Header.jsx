@@ -1,4 +1,5 @@
 import useDataStore from '../../store/useDataStore';
+import WorkspaceManager from '../WorkspaceManager/WorkspaceManager';
 
 const SunIcon = () => (
   <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -14,6 +15,18 @@ const MoonIcon = () => (
   </svg>
 );
 
+const UndoIcon = () => (
+  <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a5 5 0 015 5v2M3 10l5-5M3 10l5 5" />
+  </svg>
+);
+
+const RedoIcon = () => (
+  <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 10H11a5 5 0 00-5 5v2m15-7l-5-5m5 5l-5 5" />
+  </svg>
+);
+
 const Logo = () => (
   <svg className="w-8 h-8" viewBox="0 0 100 100" fill="none">
     <defs>
@@ -35,7 +48,9 @@ const Logo = () => (
 );
 
 export default function Header() {
-  const { darkMode, toggleDarkMode, dataSets } = useDataStore();
+  const { darkMode, toggleDarkMode, dataSets, past, future, undo, redo } = useDataStore();
+  const undoLabel = past[past.length - 1]?.label;
+  const redoLabel = future[future.length - 1]?.label;
 
   return (
     <header className="glass sticky top-0 z-50 border-b border-slate-200/50 dark:border-slate-700/50">
@@ -56,6 +71,31 @@ export default function Header() {
 
           {/* Status & Controls */}
           <div className="flex items-center gap-4">
+            {/* Undo / redo */}
+            <div className="flex items-center gap-1">
+              <button
+                onClick={undo}
+                disabled={!undoLabel}
+                className="p-2 rounded-xl text-slate-600 dark:text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-800 transition-colors disabled:opacity-40 disabled:hover:bg-transparent"
+                title={undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+                aria-label="Undo"
+              >
+                <UndoIcon />
+              </button>
+              <button
+                onClick={redo}
+                disabled={!redoLabel}
+                className="p-2 rounded-xl text-slate-600 dark:text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-800 transition-colors disabled:opacity-40 disabled:hover:bg-transparent"
+                title={redoLabel ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                aria-label="Redo"
+              >
+                <RedoIcon />
+              </button>
+            </div>
+
+            {/* Saved workspaces */}
+            <WorkspaceManager />
+
             {/* Dataset count badge */}
             {dataSets.length > 0 && (
               <div className="badge-primary">
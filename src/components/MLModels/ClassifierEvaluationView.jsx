@@ -0,0 +1,242 @@
+import { useState, useMemo } from 'react';
+import ReactECharts from 'echarts-for-react';
+import useDataStore from '../../store/useDataStore';
+import { confusionMatrix, oneVsRestCurves } from '../../ml/evaluation';
+
+const VIEWS = [
+  { id: 'confusion', label: 'Confusion matrix' },
+  { id: 'roc', label: 'ROC curves' },
+  { id: 'pr', label: 'Precision-recall' }
+];
+
+// Above this many classes the heatmap cells are too small for labels
+const MAX_LABELLED_CLASSES = 12;
+
+const NO_COLORS = {};
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * Confusion matrix heatmap and one-vs-rest ROC / precision-recall curves of a
+ * classifier's held-out predictions ({ classes, rowIndices, actual,
+ * predicted, probabilities }). Clicking a matrix cell shows its rows in the
+ * data table. rowsLabel names the evaluated rows.
+ */
+export default function ClassifierEvaluationView({
+  testPredictions,
+  dataSetId,
+  darkMode,
+  classColors = NO_COLORS,
+  formatLabel = String,
+  rowsLabel = 'held-out rows'
+}) {
+  const setRowFocus = useDataStore(state => state.setRowFocus);
+  const [view, setView] = useState('confusion');
+  const [normalized, setNormalized] = useState(false);
+
+  const { classes, rowIndices, actual, predicted, probabilities } = testPredictions;
+  const names = useMemo(() => classes.map(label => formatLabel(label)), [classes, formatLabel]);
+  const counts = useMemo(() => confusionMatrix(actual, predicted, classes), [actual, predicted, classes]);
+  const curves = useMemo(() => oneVsRestCurves(actual, probabilities, classes), [actual, probabilities, classes]);
+
+  const misclassified = useMemo(
+    () => rowIndices.filter((_, i) => actual[i] !== predicted[i]),
+    [rowIndices, actual, predicted]
+  );
+
+  const focusRows = (keep, label) => {
+    setRowFocus(dataSetId, rowIndices.filter((_, i) => keep(i)), label);
+  };
+
+  const textColor = darkMode ? '#94a3b8' : '#64748b';
+  const lineColor = darkMode ? '#334155' : '#e2e8f0';
+
+  const confusionOption = useMemo(() => {
+    const showLabels = classes.length <= MAX_LABELLED_CLASSES;
+    const data = [];
+    let maxValue = 0;
+    counts.forEach((row, a) => {
+      const support = row.reduce((sum, v) => sum + v, 0);
+      row.forEach((count, p) => {
+        const share = support > 0 ? count / support : 0;
+        const value = normalized ? share : count;
+        maxValue = Math.max(maxValue, value);
+        data.push({ value: [p, a, value], count, share });
+      });
+    });
+
+    return {
+      tooltip: {
+        formatter: ({ data: cell }) =>
+          `Actual <b>${names[cell.value[1]]}</b><br/>Predicted <b>${names[cell.value[0]]}</b><br/>` +
+          `${cell.count} rows (${(cell.share * 100).toFixed(1)}% of the class)`
+      },
+      grid: { left: 16, right: 16, top: 16, bottom: 56, containLabel: true },
+      xAxis: {
+        type: 'category',
+        data: names,
+        name: 'Predicted',
+        nameLocation: 'middle',
+        nameGap: 36,
+        axisLabel: { color: textColor, rotate: classes.length > 6 ? 30 : 0, show: showLabels },
+        nameTextStyle: { color: textColor }
+      },
+      yAxis: {
+        type: 'category',
+        data: names,
+        inverse: true,
+        name: 'Actual',
+        axisLabel: { color: textColor, show: showLabels },
+        nameTextStyle: { color: textColor }
+      },
+      visualMap: {
+        show: false,
+        min: 0,
+        max: maxValue || 1,
+        inRange: { color: darkMode ? ['#1e293b', '#0ea5e9'] : ['#f8fafc', '#0284c7'] }
+      },
+      series: [{
+        type: 'heatmap',
+        data,
+        label: {
+          show: showLabels,
+          formatter: ({ data: cell }) => (normalized ? `${(cell.share * 100).toFixed(0)}%` : `${cell.count}`),
+          color: darkMode ? '#f1f5f9' : '#0f172a'
+        },
+        itemStyle: { borderColor: darkMode ? '#0f172a' : '#ffffff', borderWidth: 1 },
+        emphasis: { itemStyle: { borderColor: '#f59e0b', borderWidth: 2 } }
+      }]
+    };
+  }, [counts, classes, names, normalized, darkMode, textColor]);
+
+  const curveOption = useMemo(() => {
+    const roc = view === 'roc';
+    const series = curves
+      .filter(curve => (roc ? curve.roc.auc !== null : curve.pr.averagePrecision !== null))
+      .map(curve => {
+        const score = roc ? curve.roc.auc : curve.pr.averagePrecision;
+        return {
+          name: `${formatLabel(curve.label)} (${roc ? 'AUC' : 'AP'} ${score.toFixed(3)})`,
+          type: 'line',
+          step: roc ? false : 'end',
+          showSymbol: false,
+          data: roc ? curve.roc.points : curve.pr.points,
+          lineStyle: { width: 2 },
+          itemStyle: classColors[curve.label] ? { color: classColors[curve.label] } : undefined
+        };
+      });
+
+    if (roc) {
+      series.push({
+        name: 'Chance',
+        type: 'line',
+        showSymbol: false,
+        data: [[0, 0], [1, 1]],
+        lineStyle: { type: 'dashed', width: 1, color: textColor },
+        itemStyle: { color: textColor }
+      });
+    }
+
+    return {
+      tooltip: { trigger: 'item', valueFormatter: (value) => Number(value).toFixed(3) },
+      legend: { type: 'scroll', bottom: 0, textStyle: { color: textColor } },
+      grid: { left: 16, right: 24, top: 16, bottom: 72, containLabel: true },
+      xAxis: {
+        type: 'value',
+        min: 0,
+        max: 1,
+        name: roc ? 'False positive rate' : 'Recall',
+        nameLocation: 'middle',
+        nameGap: 28,
+        axisLabel: { color: textColor },
+        nameTextStyle: { color: textColor },
+        splitLine: { lineStyle: { color: lineColor } }
+      },
+      yAxis: {
+        type: 'value',
+        min: 0,
+        max: 1,
+        name: roc ? 'True positive rate' : 'Precision',
+        axisLabel: { color: textColor },
+        nameTextStyle: { color: textColor },
+        splitLine: { lineStyle: { color: lineColor } }
+      },
+      series
+    };
+  }, [curves, view, classColors, formatLabel, textColor, lineColor]);
+
+  const macroAuc = mean(curves.map(c => c.roc.auc).filter(v => v !== null));
+  const meanAp = mean(curves.map(c => c.pr.averagePrecision).filter(v => v !== null));
+
+  const onChartClick = {
+    click: ({ data: cell }) => {
+      if (!cell?.value) return;
+      const [p, a] = cell.value;
+      focusRows(
+        i => actual[i] === classes[a] && predicted[i] === classes[p],
+        `actual ${names[a]}, predicted ${names[p]}`
+      );
+    }
+  };
+
+  return (
+    <div className="bg-slate-50 dark:bg-slate-800/50 rounded-lg p-3">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <div className="flex gap-1">
+          {VIEWS.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => setView(id)}
+              className={`px-2.5 py-1 rounded-lg text-xs font-medium transition-colors ${
+                view === id
+                  ? 'bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 shadow-sm'
+                  : 'text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-200'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-3 text-xs text-slate-500 dark:text-slate-400">
+          {view === 'confusion' ? (
+            <>
+              <label className="flex items-center gap-1.5">
+                <input type="checkbox" checked={normalized} onChange={(e) => setNormalized(e.target.checked)} />
+                Normalize by actual class
+              </label>
+              <button
+                onClick={() => focusRows(i => actual[i] !== predicted[i], `misclassified ${rowsLabel}`)}
+                disabled={misclassified.length === 0}
+                className="px-2 py-1 rounded-lg font-medium hover:bg-slate-100 dark:hover:bg-slate-700 disabled:opacity-50 transition-colors"
+              >
+                Show {misclassified.length} misclassified rows
+              </button>
+            </>
+          ) : (
+            <span>
+              {view === 'roc'
+                ? `Macro AUC ${macroAuc !== null ? macroAuc.toFixed(3) : 'n/a'}`
+                : `Mean average precision ${meanAp !== null ? meanAp.toFixed(3) : 'n/a'}`}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {view === 'confusion' ? (
+        <>
+          <ReactECharts
+            option={confusionOption}
+            style={{ height: Math.max(260, classes.length * 36 + 100) }}
+            onEvents={onChartClick}
+            notMerge
+          />
+          <p className="text-xs text-slate-400 dark:text-slate-500">
+            {actual.length} {rowsLabel} · click a cell to show its rows in the data table
+          </p>
+        </>
+      ) : (
+        <ReactECharts option={curveOption} style={{ height: 320 }} notMerge />
+      )}
+    </div>
+  );
+}
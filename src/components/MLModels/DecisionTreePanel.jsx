@@ -1,7 +1,15 @@
-import { useState, useMemo, useCallback } from 'react';
+import { useState, useMemo } from 'react';
 import ReactECharts from 'echarts-for-react';
 import useDataStore from '../../store/useDataStore';
-import { DecisionTreeClassifier, preprocessCoffeeData } from '../../ml/decisionTree';
+import { DecisionTreeClassifier, getClassColors, SPLIT_CRITERIA, PRUNING_METHODS } from '../../ml/decisionTree';
+import { tableView, distinctValues } from '../../data/tableView';
+import { isNumericType } from '../../data/typeInference';
+import { DEFAULT_SEED, normalizeSeed } from '../../ml/random';
+import useModelTraining from './useModelTraining';
+import TrainingProgress from './TrainingProgress';
+import EvaluationSummary from './EvaluationSummary';
+import ClassifierEvaluationView from './ClassifierEvaluationView';
+import HyperparameterSearch from './HyperparameterSearch';
 
 const TreeIcon = () => (
   <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -24,87 +32,147 @@ const ChartIcon = () => (
   </svg>
 );
 
-// Product emoji mapping
-const productEmojis = {
-  'Hot Chocolate': '🍫',
-  'Latte': '☕',
-  'Americano': '🖤',
-  'Cortado': '🤎',
-  'Cappuccino': '🤍',
-  'Espresso': '⚫',
-  'Mocha': '🍫',
-  'Flat White': '🥛',
-};
+// Text columns with more distinct values are not offered as target or feature
+const MAX_CATEGORIES = 50;
+
+// Features selected by default
+const DEFAULT_FEATURE_COUNT = 6;
+
+const ClassDot = ({ color }) => (
+  <span className="inline-block w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: color }} />
+);
 
 export default function DecisionTreePanel() {
-  const { dataSets, activeDataSetId, darkMode } = useDataStore();
-  const [model, setModel] = useState(null);
-  const [isTraining, setIsTraining] = useState(false);
+  const { dataSets, activeDataSetId, darkMode, trainedModels, setTrainedModel } = useDataStore();
+  const savedModel = trainedModels.decisionTree;
+  const {
+    isTraining,
+    progress: trainingProgress,
+    train: trainModel,
+    search: searchModels,
+    predict: predictInWorker,
+    cancel: cancelTraining
+  } = useModelTraining('decisionTree');
+  const [error, setError] = useState(null);
   const [prediction, setPrediction] = useState(null);
   const [showTree, setShowTree] = useState(false);
 
-  // Form state for prediction
-  const [formData, setFormData] = useState({
-    Day: 'Monday',
-    TimeSlot: 'Morning',
-    IsRainy: 'No',
-    TempCategory: 'Mild'
+  const [targetSelection, setTargetSelection] = useState(null);
+  const [featureSelection, setFeatureSelection] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [settings, setSettings] = useState({
+    maxDepth: 5,
+    criterion: 'gainRatio',
+    minSamplesLeaf: 1,
+    minGain: 0,
+    pruning: 'none',
+    folds: 5,
+    seed: DEFAULT_SEED
   });
 
+  // Form state for prediction, by feature
+  const [formData, setFormData] = useState({});
+
   // Get active dataset
   const activeDataSet = useMemo(() => {
     return dataSets.find((ds) => ds.id === activeDataSetId);
   }, [dataSets, activeDataSetId]);
+  const table = activeDataSet?.table;
+
+  // Rehydrate the trained model kept in the store (survives workspace save/load)
+  const model = useMemo(() => {
+    return savedModel ? new DecisionTreeClassifier().fromJSON(savedModel.model) : null;
+  }, [savedModel]);
+  const classColors = useMemo(() => getClassColors(model?.classes || []), [model]);
+
+  // Distinct values per column (counting stops past MAX_CATEGORIES)
+  const columnCardinality = useMemo(() => {
+    if (!table) return {};
+    const view = tableView(table);
+    return Object.fromEntries(table.columns.map(col =>
+      [col, distinctValues(view, col, { limit: MAX_CATEGORIES + 1 }).length]
+    ));
+  }, [table]);
+
+  // Categorical columns that can be predicted or split on
+  const categoricalColumns = useMemo(() => {
+    return (table?.columns || []).filter(col =>
+      columnCardinality[col] >= 2 && columnCardinality[col] <= MAX_CATEGORIES
+    );
+  }, [table, columnCardinality]);
 
-  // Check if dataset is Coffee Shop type
-  const isCoffeeShopData = useMemo(() => {
-    if (!activeDataSet?.columns) return false;
-    const cols = activeDataSet.columns.map(c => c.toLowerCase());
-    return cols.some(c => c.includes('item') || c.includes('product')) &&
-           cols.some(c => c === 'day') &&
-           cols.some(c => c.includes('rain') || c.includes('temp'));
-  }, [activeDataSet]);
+  // Chosen target (defaults to an item/product column) and features (defaults to the first other columns).
+  const targetColumn = categoricalColumns.includes(targetSelection)
+    ? targetSelection
+    : categoricalColumns.find(c => c.toLowerCase().includes('item') || c.toLowerCase().includes('product'))
+      || categoricalColumns[0]
+      || null;
+  // Numeric columns are split at thresholds, so any number of values works
+  const featureOptions = (table?.columns || []).filter(col => col !== targetColumn && (
+    categoricalColumns.includes(col) || isNumericType(table.columnTypes[col])
+  ));
+  const features = featureSelection
+    ? featureSelection.filter(col => featureOptions.includes(col))
+    : featureOptions.slice(0, DEFAULT_FEATURE_COUNT);
 
-  // Train the model
-  const handleTrain = useCallback(() => {
-    if (!activeDataSet?.data) return;
+  const toggleFeature = (col) => {
+    setFeatureSelection(features.includes(col)
+      ? features.filter(f => f !== col)
+      : featureOptions.filter(f => f === col || features.includes(f)));
+  };
 
-    setIsTraining(true);
+  // Train the model in the worker
+  const handleTrain = async () => {
+    if (!table || !targetColumn || features.length === 0) return;
+
+    setError(null);
     setPrediction(null);
+    setFormData({});
+
+    try {
+      const trained = await trainModel(table, { features, targetColumn, ...settings });
+      if (!trained) return;
+
+      setTrainedModel('decisionTree', trained, activeDataSet.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const updateSetting = (key, value) => setSettings(prev => ({ ...prev, [key]: value }));
 
-    // Use setTimeout to allow UI to update
-    setTimeout(() => {
-      try {
-        // Preprocess data
-        const processedData = preprocessCoffeeData(activeDataSet.data);
-
-        // Define features and target
-        const features = ['Day', 'TimeSlot', 'IsRainy', 'TempCategory'];
-        const targetColumn = activeDataSet.columns.find(c =>
-          c.toLowerCase().includes('item') || c.toLowerCase().includes('product')
-        ) || 'Item';
-
-        // Create and train model
-        const classifier = new DecisionTreeClassifier(5);
-        const stats = classifier.train(processedData, features, targetColumn);
-
-        setModel(classifier);
-        console.log('Model trained:', stats);
-      } catch (error) {
-        console.error('Training error:', error);
-      } finally {
-        setIsTraining(false);
-      }
-    }, 100);
-  }, [activeDataSet]);
+  // Score candidate settings by cross-validation on the chosen columns
+  const handleSearch = (candidates, folds) =>
+    searchModels(table, candidates, { features, targetColumn, ...settings, folds });
+
+  const adoptSettings = (params) => {
+    setSettings(prev => ({ ...prev, ...params }));
+    setShowSettings(true);
+  };
+
+  // Form value of a feature: defaults to the middle of a numeric feature's
+  // range or a categorical feature's first value
+  const formValue = (feature) => {
+    if (formData[feature] !== undefined) return formData[feature];
+    const range = model?.featureRanges[feature];
+    if (range) return String(Number(((range.min + range.max) / 2).toFixed(2)));
+    return model?.featureValues[feature]?.[0] ?? '';
+  };
 
   // Make prediction
-  const handlePredict = useCallback(() => {
+  const handlePredict = async () => {
     if (!model) return;
 
-    const results = model.predictTopN(formData, 3);
-    setPrediction(results);
-  }, [model, formData]);
+    const sample = Object.fromEntries(model.features.map(feature => [feature, formValue(feature)]));
+    setError(null);
+    try {
+      const results = await predictInWorker(savedModel.model, [sample]);
+      if (results) setPrediction(results[0]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
   // Get tree visualization options
   const treeOptions = useMemo(() => {
@@ -134,9 +202,9 @@ export default function DecisionTreePanel() {
                 .sort((a, b) => b[1].count - a[1].count)
                 .slice(0, 5)
                 .forEach(([label, info]) => {
-                  const emoji = productEmojis[label] || '☕';
+                  const dot = `<span style="display:inline-block;width:8px;height:8px;border-radius:50%;margin-right:6px;background:${classColors[label] || '#6B7280'}"></span>`;
                   html += `<div style="display:flex;justify-content:space-between;gap:16px;">`;
-                  html += `<span>${emoji} ${label}</span>`;
+                  html += `<span>${dot}${label}</span>`;
                   html += `<span><b>${info.percentage}%</b> (${info.count})</span>`;
                   html += `</div>`;
                 });
@@ -249,10 +317,10 @@ export default function DecisionTreePanel() {
         }
       }]
     };
-  }, [model, showTree, darkMode]);
+  }, [model, showTree, darkMode, classColors]);
 
-  // Don't render if not coffee shop data
-  if (!isCoffeeShopData) {
+  // Needs a column with a handful of categories to predict
+  if (!targetColumn) {
     return null;
   }
 
@@ -266,13 +334,13 @@ export default function DecisionTreePanel() {
           <div className="flex items-center gap-2">
             <TreeIcon />
             <div>
-              <h3 className="font-semibold">Item Purchase Predictor</h3>
-              <p className="text-xs opacity-90">Decision Tree Classification Model</p>
+              <h3 className="font-semibold">Decision Tree Classifier</h3>
+              <p className="text-xs opacity-90">Predict a category from other columns</p>
             </div>
           </div>
           <button
             onClick={handleTrain}
-            disabled={isTraining}
+            disabled={isTraining || features.length === 0}
             className="px-4 py-2 bg-white/20 hover:bg-white/30 rounded-lg text-sm font-medium transition-colors flex items-center gap-2 disabled:opacity-50"
           >
             {isTraining ? (
@@ -294,6 +362,161 @@ export default function DecisionTreePanel() {
       </div>
 
       <div className="p-4">
+        {trainingProgress && (
+          <TrainingProgress progress={trainingProgress} onCancel={cancelTraining} />
+        )}
+
+        {error && (
+          <div className="mb-4 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+            <p className="text-red-800 dark:text-red-200 text-sm">{error}</p>
+          </div>
+        )}
+
+        {/* Target and feature columns */}
+        <div className="mb-4 space-y-3">
+          <div className="flex items-center gap-2">
+            <label className="text-xs font-medium text-slate-600 dark:text-slate-400 w-20">Predict</label>
+            <select
+              value={targetColumn}
+              onChange={(e) => setTargetSelection(e.target.value)}
+              className="select text-sm flex-1 sm:flex-none sm:w-64"
+            >
+              {categoricalColumns.map(col => (
+                <option key={col} value={col}>{col} ({columnCardinality[col]} classes)</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex items-start gap-2">
+            <span className="text-xs font-medium text-slate-600 dark:text-slate-400 w-20 pt-1">From</span>
+            <div className="flex flex-wrap gap-1.5 flex-1">
+              {featureOptions.length === 0 ? (
+                <span className="text-xs text-slate-500 dark:text-slate-400 pt-1">
+                  No numeric column and no other column with 2 to {MAX_CATEGORIES} distinct values
+                </span>
+              ) : featureOptions.map(col => (
+                <button
+                  key={col}
+                  onClick={() => toggleFeature(col)}
+                  className={`px-2 py-1 rounded text-xs transition-colors ${
+                    features.includes(col)
+                      ? 'bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-300'
+                      : 'bg-slate-100 dark:bg-slate-800 text-slate-500 dark:text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-700'
+                  }`}
+                >
+                  {col}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex gap-4">
+            <button
+              onClick={() => setShowSettings(!showSettings)}
+              className="text-xs text-slate-600 dark:text-slate-400 hover:text-emerald-600 dark:hover:text-emerald-400 transition-colors"
+            >
+              {showSettings ? '▼ Hide' : '▶ Show'} Tree Settings
+            </button>
+            <button
+              onClick={() => setShowSearch(!showSearch)}
+              className="text-xs text-slate-600 dark:text-slate-400 hover:text-emerald-600 dark:hover:text-emerald-400 transition-colors"
+            >
+              {showSearch ? '▼ Hide' : '▶ Show'} Hyperparameter Search
+            </button>
+          </div>
+
+          {showSettings && (
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 bg-slate-50 dark:bg-slate-800/50 rounded-lg p-3">
+              <div>
+                <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">Split criterion</label>
+                <select
+                  value={settings.criterion}
+                  onChange={(e) => updateSetting('criterion', e.target.value)}
+                  className="select text-sm w-full"
+                >
+                  {SPLIT_CRITERIA.map(({ id, label }) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">Max depth</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="20"
+                  value={settings.maxDepth}
+                  onChange={(e) => updateSetting('maxDepth', Math.max(1, parseInt(e.target.value, 10) || 1))}
+                  className="input text-sm w-full"
+                />
+              </div>
+              <div>
+                <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">Min samples per leaf</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={settings.minSamplesLeaf}
+                  onChange={(e) => updateSetting('minSamplesLeaf', Math.max(1, parseInt(e.target.value, 10) || 1))}
+                  className="input text-sm w-full"
+                />
+              </div>
+              <div>
+                <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">Min gain</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.001"
+                  value={settings.minGain}
+                  onChange={(e) => updateSetting('minGain', Math.max(0, parseFloat(e.target.value) || 0))}
+                  className="input text-sm w-full"
+                />
+              </div>
+              <div>
+                <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">Pruning</label>
+                <select
+                  value={settings.pruning}
+                  onChange={(e) => updateSetting('pruning', e.target.value)}
+                  className="select text-sm w-full"
+                >
+                  {PRUNING_METHODS.map(({ id, label }) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">CV folds (0 = off)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="20"
+                  value={settings.folds}
+                  onChange={(e) => updateSetting('folds', Math.min(20, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+                  className="input text-sm w-full"
+                />
+              </div>
+              <div>
+                <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">Random seed</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={settings.seed}
+                  onChange={(e) => updateSetting('seed', normalizeSeed(e.target.value))}
+                  className="input text-sm w-full"
+                />
+              </div>
+            </div>
+          )}
+
+          {showSearch && (
+            <HyperparameterSearch
+              kind="decisionTree"
+              onSearch={handleSearch}
+              onAdopt={adoptSettings}
+              disabled={isTraining || features.length === 0}
+              seed={settings.seed}
+            />
+          )}
+        </div>
+
         {!model ? (
           // No model trained yet
           <div className="text-center py-8">
@@ -307,20 +530,9 @@ export default function DecisionTreePanel() {
               Train Your Prediction Model
             </h4>
             <p className="text-sm text-slate-500 dark:text-slate-400 mb-4 max-w-md mx-auto">
-              Click "Train Model" to build a Decision Tree that predicts which item a customer
-              is likely to purchase based on day, time, and weather conditions.
+              Click "Train Model" to build a Decision Tree that predicts <b>{targetColumn}</b> from
+              the selected columns.
             </p>
-            <div className="flex flex-wrap justify-center gap-2 text-xs">
-              <span className="px-2 py-1 bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-300 rounded">
-                Day of Week
-              </span>
-              <span className="px-2 py-1 bg-teal-100 dark:bg-teal-900/30 text-teal-700 dark:text-teal-300 rounded">
-                Time of Day
-              </span>
-              <span className="px-2 py-1 bg-cyan-100 dark:bg-cyan-900/30 text-cyan-700 dark:text-cyan-300 rounded">
-                Weather
-              </span>
-            </div>
           </div>
         ) : (
           // Model trained - show stats over prediction
@@ -331,7 +543,7 @@ export default function DecisionTreePanel() {
                 <div className="text-2xl font-bold text-emerald-600 dark:text-emerald-400">
                   {(modelStats.accuracy * 100).toFixed(1)}%
                 </div>
-                <div className="text-xs text-slate-600 dark:text-slate-400">Accuracy</div>
+                <div className="text-xs text-slate-600 dark:text-slate-400">Test Accuracy</div>
               </div>
               <div className="bg-teal-50 dark:bg-teal-900/20 rounded-lg p-3 text-center">
                 <div className="text-2xl font-bold text-teal-600 dark:text-teal-400">
@@ -364,6 +576,24 @@ export default function DecisionTreePanel() {
                 <div className="text-xs text-slate-600 dark:text-slate-400">Leaf Nodes</div>
               </div>
             </div>
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              {SPLIT_CRITERIA.find(c => c.id === modelStats.criterion)?.label}
+              {modelStats.pruning !== 'none' && (
+                <> · {PRUNING_METHODS.find(m => m.id === modelStats.pruning)?.label} pruning removed {modelStats.prunedNodes} of {modelStats.treeNodes + modelStats.prunedNodes} decision nodes</>
+              )}
+              {' '}· seed {modelStats.seed}
+            </p>
+
+            <EvaluationSummary evaluation={modelStats.evaluation} crossValidation={modelStats.crossValidation} />
+
+            {modelStats.testPredictions && (
+              <ClassifierEvaluationView
+                testPredictions={modelStats.testPredictions}
+                dataSetId={savedModel.dataSetId}
+                darkMode={darkMode}
+                classColors={classColors}
+              />
+            )}
 
             {/* Feature Importance */}
             <div className="bg-slate-50 dark:bg-slate-800/50 rounded-lg p-3">
@@ -399,59 +629,36 @@ export default function DecisionTreePanel() {
                 Make a Prediction
               </h5>
               <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-3">
-                <div>
-                  <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">Day</label>
-                  <select
-                    value={formData.Day}
-                    onChange={(e) => setFormData(prev => ({ ...prev, Day: e.target.value }))}
-                    className="select text-sm w-full"
-                  >
-                    {['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'].map(day => (
-                      <option key={day} value={day}>{day}</option>
-                    ))}
-                  </select>
-                </div>
-                <div>
-                  <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">Time</label>
-                  <select
-                    value={formData.TimeSlot}
-                    onChange={(e) => setFormData(prev => ({ ...prev, TimeSlot: e.target.value }))}
-                    className="select text-sm w-full"
-                  >
-                    <option value="Morning">Morning (6-12)</option>
-                    <option value="Afternoon">Afternoon (12-17)</option>
-                    <option value="Evening">Evening (17-22)</option>
-                  </select>
-                </div>
-                <div>
-                  <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">Rain</label>
-                  <select
-                    value={formData.IsRainy}
-                    onChange={(e) => setFormData(prev => ({ ...prev, IsRainy: e.target.value }))}
-                    className="select text-sm w-full"
-                  >
-                    <option value="No">No Rain</option>
-                    <option value="Yes">Rainy</option>
-                  </select>
-                </div>
-                <div>
-                  <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">Temperature</label>
-                  <select
-                    value={formData.TempCategory}
-                    onChange={(e) => setFormData(prev => ({ ...prev, TempCategory: e.target.value }))}
-                    className="select text-sm w-full"
-                  >
-                    <option value="Cold">Cold (&lt;10°C)</option>
-                    <option value="Mild">Mild (10-18°C)</option>
-                    <option value="Warm">Warm (&gt;18°C)</option>
-                  </select>
-                </div>
+                {model.features.map(feature => (
+                  <div key={feature}>
+                    <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block truncate">{feature}</label>
+                    {model.featureRanges[feature] ? (
+                      <input
+                        type="number"
+                        value={formValue(feature)}
+                        onChange={(e) => setFormData(prev => ({ ...prev, [feature]: e.target.value }))}
+                        placeholder={`${model.featureRanges[feature].min} – ${model.featureRanges[feature].max}`}
+                        className="input text-sm w-full"
+                      />
+                    ) : (
+                      <select
+                        value={formValue(feature)}
+                        onChange={(e) => setFormData(prev => ({ ...prev, [feature]: e.target.value }))}
+                        className="select text-sm w-full"
+                      >
+                        {(model.featureValues[feature] || []).map(value => (
+                          <option key={value} value={value}>{value}</option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                ))}
               </div>
               <button
                 onClick={handlePredict}
                 className="btn-primary w-full sm:w-auto"
               >
-                Predict Item
+                Predict {model.targetColumn}
               </button>
             </div>
 
@@ -474,9 +681,7 @@ export default function DecisionTreePanel() {
                       <span className="text-2xl">
                         {index === 0 ? '🥇' : index === 1 ? '🥈' : '🥉'}
                       </span>
-                      <span className="text-xl">
-                        {productEmojis[result.label] || '☕'}
-                      </span>
+                      <ClassDot color={classColors[result.label] || '#6B7280'} />
                       <div className="flex-1">
                         <div className={`font-medium ${
                           index === 0
@@ -1,21 +1,43 @@
 import { useState, useMemo } from 'react';
 import useDataStore from '../../store/useDataStore';
 import { DemandForecaster, formatFeaturesForDisplay } from '../../ml/linearRegression';
+import { DEFAULT_SEED } from '../../ml/random';
+import { HYPERPARAMETERS, defaultHyperparameters } from '../../ml/hyperparameters';
 import ReactECharts from 'echarts-for-react';
+import useModelTraining from './useModelTraining';
+import TrainingProgress from './TrainingProgress';
+import SeedInput from './SeedInput';
+import HyperparameterForm from './HyperparameterForm';
+import HyperparameterSearch from './HyperparameterSearch';
 
 const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
 const TIME_SLOTS = ['Morning', 'Afternoon', 'Evening'];
 const SEASONS = ['Winter', 'Spring', 'Summer', 'Autumn'];
 
 export default function DemandRegressionPanel() {
-  const { dataSets, activeDataSetId } = useDataStore();
+  const { dataSets, activeDataSetId, trainedModels, setTrainedModel, clearTrainedModel } = useDataStore();
   const activeDataSet = dataSets.find(ds => ds.id === activeDataSetId);
-  const data = activeDataSet?.data || [];
-
-  const [forecaster, setForecaster] = useState(null);
-  const [stats, setStats] = useState(null);
-  const [isTraining, setIsTraining] = useState(false);
+  const table = activeDataSet?.table;
+  const savedModel = trainedModels.demandRegression;
+
+  // Rehydrate the trained forecaster kept in the store (survives workspace save/load)
+  const forecaster = useMemo(() => {
+    return savedModel ? new DemandForecaster().fromJSON(savedModel.model) : null;
+  }, [savedModel]);
+  const stats = useMemo(() => forecaster?.getStats() || null, [forecaster]);
+
+  const {
+    isTraining,
+    progress: trainingProgress,
+    train: trainModel,
+    search: searchModels,
+    predict: predictInWorker,
+    cancel: cancelTraining
+  } = useModelTraining('demandRegression');
   const [error, setError] = useState(null);
+  const [seed, setSeed] = useState(DEFAULT_SEED);
+  const [hyperparameters, setHyperparameters] = useState(() => defaultHyperparameters('demandRegression'));
+  const [showHyperparameters, setShowHyperparameters] = useState(false);
   const [prediction, setPrediction] = useState(null);
   const [showDetails, setShowDetails] = useState(false);
   const [predictionMode, setPredictionMode] = useState('total'); // 'total' or 'item'
@@ -34,58 +56,68 @@ export default function DemandRegressionPanel() {
 
   // Check if current dataset has required columns
   const hasRequiredColumns = useMemo(() => {
-    if (data.length === 0) return false;
-    const columns = Object.keys(data[0]).map(c => c.toLowerCase());
+    if (!table || table.rowCount === 0) return false;
+    const columns = table.columns.map(c => c.toLowerCase());
     const hasDay = columns.some(c => c.includes('day'));
     const hasTime = columns.some(c => c.includes('time'));
     const hasItem = columns.some(c => c.includes('item') || c.includes('product') || c.includes('coffee'));
     return hasDay && hasTime && hasItem;
-  }, [data]);
+  }, [table]);
 
   const handleTrain = async () => {
-    setIsTraining(true);
     setError(null);
 
     try {
-      // Small delay for UI feedback
-      await new Promise(resolve => setTimeout(resolve, 100));
-
-      const newForecaster = new DemandForecaster();
-      const trainStats = newForecaster.train(data);
+      const trained = await trainModel(table, { seed, ...hyperparameters });
+      if (!trained) return;
 
-      setForecaster(newForecaster);
-      setStats(newForecaster.getStats());
+      setTrainedModel('demandRegression', trained, activeDataSet.id);
 
       // Set default selected item
-      if (newForecaster.items.length > 0) {
-        setSelectedItem(newForecaster.items[0]);
+      if (trained.items.length > 0) {
+        setSelectedItem(trained.items[0]);
       }
 
       setPrediction(null);
     } catch (err) {
       setError(err.message);
-    } finally {
-      setIsTraining(false);
     }
   };
 
-  const handlePredict = () => {
+  // Score candidate ridge penalties by cross-validation
+  const handleSearch = (candidates, folds) =>
+    searchModels(table, candidates, { ...hyperparameters, seed, folds });
+
+  const adoptHyperparameters = (params) => setHyperparameters(prev => ({ ...prev, ...params }));
+
+  const handlePredict = async () => {
     if (!forecaster) return;
 
     try {
       if (predictionMode === 'total') {
-        const totalPredicted = forecaster.predictTotal(formData);
-        const allItems = forecaster.predictAllItems(formData);
+        // The total first, then every item in one batch
+        const samples = [{ features: formData }, ...forecaster.items.map(item => ({ features: formData, item }))];
+        const results = await predictInWorker(savedModel.model, samples);
+        if (!results) return;
+
+        const [totalPredicted, ...itemPredictions] = results;
+        const allItems = forecaster.items
+          .map((item, i) => ({ item, predicted: itemPredictions[i] }))
+          .sort((a, b) => b.predicted - a.predicted);
         setPrediction({
           mode: 'total',
           total: totalPredicted,
           breakdown: allItems.slice(0, 5)
         });
       } else {
-        const itemPredicted = forecaster.predictItem(formData, selectedItem);
+        const item = selectedItem || forecaster.items[0];
+        const results = await predictInWorker(savedModel.model, [{ features: formData, item }]);
+        if (!results) return;
+
+        const [itemPredicted] = results;
         setPrediction({
           mode: 'item',
-          item: selectedItem,
+          item,
           predicted: itemPredicted
         });
       }
@@ -213,7 +245,7 @@ export default function DemandRegressionPanel() {
     };
   }, [prediction, darkMode]);
 
-  if (data.length === 0) {
+  if (!table || table.rowCount === 0) {
     return (
       <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
         <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">
@@ -239,30 +271,32 @@ export default function DemandRegressionPanel() {
         </div>
 
         {!forecaster ? (
-          <button
-            onClick={handleTrain}
-            disabled={isTraining || !hasRequiredColumns}
-            className="px-4 py-2 bg-gradient-to-r from-emerald-500 to-blue-500 text-white rounded-lg
-                       hover:from-emerald-600 hover:to-blue-600 disabled:opacity-50 disabled:cursor-not-allowed
-                       transition-all duration-200 font-medium"
-          >
-            {isTraining ? (
-              <span className="flex items-center gap-2">
-                <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
-                </svg>
-                Training...
-              </span>
-            ) : (
-              'Train Model'
-            )}
-          </button>
+          <div className="flex items-center gap-3">
+            <SeedInput value={seed} onChange={setSeed} disabled={isTraining} />
+            <button
+              onClick={handleTrain}
+              disabled={isTraining || !hasRequiredColumns}
+              className="px-4 py-2 bg-gradient-to-r from-emerald-500 to-blue-500 text-white rounded-lg
+                         hover:from-emerald-600 hover:to-blue-600 disabled:opacity-50 disabled:cursor-not-allowed
+                         transition-all duration-200 font-medium"
+            >
+              {isTraining ? (
+                <span className="flex items-center gap-2">
+                  <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
+                  </svg>
+                  Training...
+                </span>
+              ) : (
+                'Train Model'
+              )}
+            </button>
+          </div>
         ) : (
           <button
             onClick={() => {
-              setForecaster(null);
-              setStats(null);
+              clearTrainedModel('demandRegression');
               setPrediction(null);
             }}
             className="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300
@@ -282,6 +316,43 @@ export default function DemandRegressionPanel() {
         </div>
       )}
 
+      <div className="mb-4 space-y-3">
+        <button
+          onClick={() => setShowHyperparameters(!showHyperparameters)}
+          className="text-xs text-gray-600 dark:text-gray-400 hover:text-emerald-600 dark:hover:text-emerald-400 transition-colors"
+        >
+          {showHyperparameters ? '▼ Hide' : '▶ Show'} Hyperparameters
+        </button>
+        {showHyperparameters && (
+          <>
+            <div className="bg-slate-50 dark:bg-slate-800/50 rounded-lg p-3">
+              <HyperparameterForm
+                definitions={HYPERPARAMETERS.demandRegression}
+                values={hyperparameters}
+                onChange={setHyperparameters}
+                disabled={isTraining}
+              />
+              {forecaster && (
+                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  Reset the model to train it with these settings
+                </p>
+              )}
+            </div>
+            <HyperparameterSearch
+              kind="demandRegression"
+              onSearch={handleSearch}
+              onAdopt={adoptHyperparameters}
+              disabled={isTraining || !hasRequiredColumns}
+              seed={seed}
+            />
+          </>
+        )}
+      </div>
+
+      {trainingProgress && (
+        <TrainingProgress progress={trainingProgress} onCancel={cancelTraining} />
+      )}
+
       {error && (
         <div className="mb-4 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
           <p className="text-red-800 dark:text-red-200 text-sm">{error}</p>
@@ -324,6 +395,9 @@ export default function DemandRegressionPanel() {
               <div className="text-sm text-amber-700 dark:text-amber-300">Items Tracked</div>
             </div>
           </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Trained with seed {stats.seed} and ridge penalty λ = {stats.lambda}
+          </p>
 
           {/* Feature Importance */}
           <div className="bg-gray-50 dark:bg-gray-900/50 rounded-lg p-4">
@@ -473,7 +547,7 @@ export default function DemandRegressionPanel() {
                     ☕ Item
                   </label>
                   <select
-                    value={selectedItem}
+                    value={selectedItem || stats.items[0] || ''}
                     onChange={(e) => setSelectedItem(e.target.value)}
                     className="w-full px-3 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600
                              rounded-lg text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500"
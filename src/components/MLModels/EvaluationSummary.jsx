@@ -0,0 +1,67 @@
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Holdout and cross-validated metrics of a classifier: accuracy (mean ± std
+ * over the folds), macro and weighted F1, and a per-class precision / recall /
+ * F1 table. Per-class numbers are pooled over the folds when the model was
+ * cross-validated, otherwise they come from the holdout rows.
+ */
+export default function EvaluationSummary({ evaluation, crossValidation, formatLabel = String }) {
+  if (!evaluation) return null;
+
+  const report = crossValidation?.report || evaluation;
+  const source = crossValidation
+    ? `pooled over ${crossValidation.folds} cross-validation folds`
+    : `on ${evaluation.samples} held-out rows`;
+
+  const metrics = [
+    { label: 'Holdout accuracy', value: percent(evaluation.accuracy), detail: `${evaluation.samples} test rows` },
+    crossValidation && {
+      label: 'CV accuracy',
+      value: `${percent(crossValidation.accuracy.mean)} ± ${(crossValidation.accuracy.std * 100).toFixed(1)}`,
+      detail: `${crossValidation.folds}-fold stratified`
+    },
+    { label: 'Macro F1', value: report.macroF1.toFixed(3), detail: 'classes weighted equally' },
+    { label: 'Weighted F1', value: report.weightedF1.toFixed(3), detail: 'weighted by support' }
+  ].filter(Boolean);
+
+  return (
+    <div className="bg-slate-50 dark:bg-slate-800/50 rounded-lg p-3 space-y-3">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {metrics.map(({ label, value, detail }) => (
+          <div key={label}>
+            <div className="text-xs text-slate-500 dark:text-slate-400">{label}</div>
+            <div className="text-lg font-semibold text-slate-800 dark:text-slate-100">{value}</div>
+            <div className="text-xs text-slate-400 dark:text-slate-500">{detail}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+              <th className="py-1.5 pr-3 font-medium">Class</th>
+              <th className="py-1.5 px-3 font-medium text-right">Precision</th>
+              <th className="py-1.5 px-3 font-medium text-right">Recall</th>
+              <th className="py-1.5 px-3 font-medium text-right">F1</th>
+              <th className="py-1.5 pl-3 font-medium text-right">Support</th>
+            </tr>
+          </thead>
+          <tbody className="text-slate-700 dark:text-slate-300">
+            {report.perClass.map(({ label, precision, recall, f1, support }) => (
+              <tr key={label} className="border-b border-slate-100 dark:border-slate-700/50 last:border-0">
+                <td className="py-1.5 pr-3 truncate max-w-[12rem]">{formatLabel(label)}</td>
+                <td className="py-1.5 px-3 text-right tabular-nums">{percent(precision)}</td>
+                <td className="py-1.5 px-3 text-right tabular-nums">{percent(recall)}</td>
+                <td className="py-1.5 px-3 text-right tabular-nums">{f1.toFixed(3)}</td>
+                <td className="py-1.5 pl-3 text-right tabular-nums">{support}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="mt-1.5 text-xs text-slate-400 dark:text-slate-500">Per-class metrics {source}</p>
+      </div>
+    </div>
+  );
+}
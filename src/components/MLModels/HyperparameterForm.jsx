@@ -0,0 +1,45 @@
+import { clampHyperparameter } from '../../ml/hyperparameters';
+
+// Choice ids may be numbers while a select's value is always a string
+const choiceFor = (param, text) => param.options.find(option => String(option.id) === text)?.id ?? param.default;
+
+/**
+ * Inputs for a model's hyperparameters (definitions from hyperparameters.js);
+ * onChange receives the whole updated values object
+ */
+export default function HyperparameterForm({ definitions, values, onChange, disabled }) {
+  const update = (param, value) => onChange({ ...values, [param.id]: value });
+
+  return (
+    <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+      {definitions.map(param => (
+        <div key={param.id}>
+          <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">{param.label}</label>
+          {param.type === 'choice' ? (
+            <select
+              value={String(values[param.id])}
+              disabled={disabled}
+              onChange={(e) => update(param, choiceFor(param, e.target.value))}
+              className="select text-sm w-full"
+            >
+              {param.options.map(({ id, label }) => (
+                <option key={id} value={String(id)}>{label}</option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type="number"
+              min={param.min}
+              max={param.max}
+              step={param.step ?? (param.type === 'int' ? 1 : 'any')}
+              value={values[param.id]}
+              disabled={disabled}
+              onChange={(e) => update(param, clampHyperparameter(param, e.target.value))}
+              className="input text-sm w-full"
+            />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
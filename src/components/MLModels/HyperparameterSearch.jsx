@@ -0,0 +1,259 @@
+import { useState } from 'react';
+import {
+  HYPERPARAMETERS,
+  SEARCH_METRICS,
+  clampHyperparameter,
+  gridCandidates,
+  randomCandidates
+} from '../../ml/hyperparameters';
+import { createRandom, DEFAULT_SEED } from '../../ml/random';
+
+// Grids larger than this are refused; random search samples at most this many
+const MAX_CANDIDATES = 100;
+
+const FORMATS = {
+  percent: (value) => `${(value * 100).toFixed(1)}%`,
+  percentValue: (value) => `${value.toFixed(1)}%`,
+  decimal: (value) => value.toFixed(3)
+};
+
+// Label of a hyperparameter value (choice ids are shown by their label)
+const formatValue = (param, value) => {
+  if (value === undefined) return '—';
+  if (param.type === 'choice') return param.options.find(option => option.id === value)?.label ?? String(value);
+  return String(value);
+};
+
+// Comma-separated search values of a numeric hyperparameter, clamped and deduplicated
+const parseValues = (param, text) => [...new Set(
+  text.split(',').map(part => part.trim()).filter(Boolean).map(part => clampHyperparameter(param, part))
+)];
+
+/**
+ * Grid or random search over a model's hyperparameters. Candidates are
+ * scored by onSearch(candidates, folds), which resolves to [{ params,
+ * metrics | error }] (or null when cancelled); the results table sorts by any
+ * metric and onAdopt(params) takes a candidate's settings.
+ */
+export default function HyperparameterSearch({ kind, onSearch, onAdopt, disabled, seed = DEFAULT_SEED }) {
+  const definitions = HYPERPARAMETERS[kind];
+  const metrics = SEARCH_METRICS[kind];
+
+  const [strategy, setStrategy] = useState('grid');
+  const [iterations, setIterations] = useState(10);
+  const [folds, setFolds] = useState(5);
+  const [numericText, setNumericText] = useState(() => Object.fromEntries(
+    definitions.filter(param => param.type !== 'choice').map(param => [param.id, param.searchValues.join(', ')])
+  ));
+  const [choices, setChoices] = useState(() => Object.fromEntries(
+    definitions.filter(param => param.type === 'choice').map(param => [param.id, param.searchValues])
+  ));
+  const [results, setResults] = useState(null);
+  const [sortMetric, setSortMetric] = useState(metrics[0].id);
+  const [error, setError] = useState(null);
+
+  const space = Object.fromEntries(definitions.map(param => [
+    param.id,
+    param.type === 'choice' ? choices[param.id] : parseValues(param, numericText[param.id])
+  ]));
+  const gridSize = Object.values(space).reduce((product, values) => product * values.length, 1);
+  const candidateCount = strategy === 'grid' ? gridSize : Math.min(iterations, MAX_CANDIDATES);
+  const emptyParam = definitions.find(param => space[param.id].length === 0);
+
+  const toggleChoice = (param, id) => {
+    const selected = choices[param.id];
+    setChoices({
+      ...choices,
+      [param.id]: selected.includes(id) ? selected.filter(value => value !== id) : [...selected, id]
+    });
+  };
+
+  const handleRun = async () => {
+    setError(null);
+    const candidates = strategy === 'grid'
+      ? gridCandidates(space)
+      : randomCandidates(definitions, space, candidateCount, createRandom(seed));
+
+    try {
+      const scored = await onSearch(candidates, folds);
+      if (scored) setResults(scored);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Best first by the chosen metric; candidates without it (failed, or a
+  // metric that is undefined such as MAPE on all-zero actuals) go last
+  const metric = metrics.find(m => m.id === sortMetric);
+  const scoreOf = (result) => (result.error ? null : result.metrics[sortMetric] ?? null);
+  const ranked = results
+    ? [...results].sort((a, b) => {
+        const scoreA = scoreOf(a);
+        const scoreB = scoreOf(b);
+        if (scoreA === null || scoreB === null) {
+          if (scoreA !== null || scoreB !== null) return scoreA === null ? 1 : -1;
+          return (a.error ? 1 : 0) - (b.error ? 1 : 0);
+        }
+        const difference = scoreA - scoreB;
+        return metric.higherIsBetter ? -difference : difference;
+      })
+    : [];
+  const best = ranked.find(result => scoreOf(result) !== null);
+
+  return (
+    <div className="bg-slate-50 dark:bg-slate-800/50 rounded-lg p-3 space-y-3">
+      <div className="flex flex-wrap items-end gap-3">
+        <div>
+          <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">Search</label>
+          <select value={strategy} onChange={(e) => setStrategy(e.target.value)} className="select text-sm">
+            <option value="grid">Grid (every combination)</option>
+            <option value="random">Random (sample the ranges)</option>
+          </select>
+        </div>
+        {strategy === 'random' && (
+          <div>
+            <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">Candidates</label>
+            <input
+              type="number"
+              min="1"
+              max={MAX_CANDIDATES}
+              value={iterations}
+              onChange={(e) => setIterations(Math.min(MAX_CANDIDATES, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+              className="input text-sm w-20"
+            />
+          </div>
+        )}
+        <div>
+          <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">CV folds</label>
+          <input
+            type="number"
+            min="2"
+            max="20"
+            value={folds}
+            onChange={(e) => setFolds(Math.min(20, Math.max(2, parseInt(e.target.value, 10) || 2)))}
+            className="input text-sm w-20"
+          />
+        </div>
+        <button
+          onClick={handleRun}
+          disabled={disabled || Boolean(emptyParam) || candidateCount > MAX_CANDIDATES}
+          className="px-3 py-2 rounded-lg text-sm font-medium bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-300 dark:hover:bg-slate-600 disabled:opacity-50 transition-colors"
+        >
+          Run search ({candidateCount} candidates)
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {definitions.map(param => (
+          <div key={param.id}>
+            <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">
+              {param.label}{param.type !== 'choice' && (strategy === 'grid' ? ' — values' : ' — range of values')}
+            </label>
+            {param.type === 'choice' ? (
+              <div className="flex flex-wrap gap-1.5">
+                {param.options.map(({ id, label }) => (
+                  <button
+                    key={id}
+                    onClick={() => toggleChoice(param, id)}
+                    className={`px-2 py-1 rounded text-xs transition-colors ${
+                      choices[param.id].includes(id)
+                        ? 'bg-primary-100 dark:bg-primary-900/30 text-primary-700 dark:text-primary-300'
+                        : 'bg-slate-100 dark:bg-slate-800 text-slate-500 dark:text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-700'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <input
+                type="text"
+                value={numericText[param.id]}
+                onChange={(e) => setNumericText({ ...numericText, [param.id]: e.target.value })}
+                placeholder="e.g. 1, 2, 5"
+                className="input text-sm w-full"
+              />
+            )}
+          </div>
+        ))}
+      </div>
+
+      {emptyParam && (
+        <p className="text-xs text-amber-600 dark:text-amber-400">Give at least one value for {emptyParam.label}</p>
+      )}
+      {candidateCount > MAX_CANDIDATES && (
+        <p className="text-xs text-amber-600 dark:text-amber-400">
+          The grid has {candidateCount} combinations; use at most {MAX_CANDIDATES} or switch to random search
+        </p>
+      )}
+      {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+
+      {results && (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between gap-3">
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              {results.length} candidates, {folds}-fold cross-validation · click a metric to sort
+            </p>
+            <button
+              onClick={() => onAdopt(best.params)}
+              disabled={!best}
+              className="px-2.5 py-1 rounded-lg text-xs font-medium bg-primary-500 text-white hover:bg-primary-600 disabled:opacity-50 transition-colors"
+            >
+              Adopt best
+            </button>
+          </div>
+          <div className="overflow-x-auto max-h-72">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                  <th className="py-1.5 pr-3 font-medium">#</th>
+                  {definitions.map(param => (
+                    <th key={param.id} className="py-1.5 px-3 font-medium">{param.label}</th>
+                  ))}
+                  {metrics.map(m => (
+                    <th key={m.id} className="py-1.5 px-3 font-medium text-right">
+                      <button
+                        onClick={() => setSortMetric(m.id)}
+                        className={sortMetric === m.id ? 'text-slate-900 dark:text-slate-100' : 'hover:text-slate-700 dark:hover:text-slate-200'}
+                      >
+                        {m.label} {sortMetric === m.id && (m.higherIsBetter ? '↓' : '↑')}
+                      </button>
+                    </th>
+                  ))}
+                  <th className="py-1.5 pl-3" />
+                </tr>
+              </thead>
+              <tbody className="text-slate-700 dark:text-slate-300">
+                {ranked.map((result, rank) => (
+                  <tr key={JSON.stringify(result.params)} className="border-b border-slate-100 dark:border-slate-700/50 last:border-0">
+                    <td className="py-1.5 pr-3 tabular-nums">{rank + 1}</td>
+                    {definitions.map(param => (
+                      <td key={param.id} className="py-1.5 px-3">{formatValue(param, result.params[param.id])}</td>
+                    ))}
+                    {result.error ? (
+                      <td colSpan={metrics.length} className="py-1.5 px-3 text-right text-red-600 dark:text-red-400">{result.error}</td>
+                    ) : metrics.map(m => (
+                      <td key={m.id} className="py-1.5 px-3 text-right tabular-nums">
+                        {result.metrics[m.id] !== null && result.metrics[m.id] !== undefined ? FORMATS[m.format](result.metrics[m.id]) : '—'}
+                      </td>
+                    ))}
+                    <td className="py-1.5 pl-3 text-right">
+                      {!result.error && (
+                        <button
+                          onClick={() => onAdopt(result.params)}
+                          className="px-2 py-0.5 rounded font-medium text-primary-600 dark:text-primary-400 hover:bg-slate-100 dark:hover:bg-slate-700 transition-colors"
+                        >
+                          Adopt
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
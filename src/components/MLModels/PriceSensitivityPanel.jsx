@@ -1,7 +1,16 @@
 import { useState, useMemo } from 'react';
 import useDataStore from '../../store/useDataStore';
 import { PriceSensitivityModel, featureDisplayNames } from '../../ml/priceSensitivity';
+import { DEFAULT_SEED } from '../../ml/random';
+import { HYPERPARAMETERS, defaultHyperparameters } from '../../ml/hyperparameters';
 import ReactECharts from 'echarts-for-react';
+import useModelTraining from './useModelTraining';
+import TrainingProgress from './TrainingProgress';
+import SeedInput from './SeedInput';
+import EvaluationSummary from './EvaluationSummary';
+import ClassifierEvaluationView from './ClassifierEvaluationView';
+import HyperparameterForm from './HyperparameterForm';
+import HyperparameterSearch from './HyperparameterSearch';
 
 const INCOME_LEVELS = [
   { value: 5000, label: '€5,000 (Low)' },
@@ -22,15 +31,41 @@ const AGE_GROUPS = [
   { value: 65, label: '65+' }
 ];
 
+const CATEGORY_LABELS = {
+  budget: 'Budget (€0-3)',
+  moderate: 'Moderate (€3-4.50)',
+  premium: 'Premium (€4.50+)'
+};
+
+const CATEGORY_COLORS = { budget: '#22c55e', moderate: '#3b82f6', premium: '#a855f7' };
+
+const formatCategory = (category) => CATEGORY_LABELS[category] || category;
+
 export default function PriceSensitivityPanel() {
-  const { dataSets, activeDataSetId } = useDataStore();
+  const { dataSets, activeDataSetId, trainedModels, setTrainedModel, clearTrainedModel } = useDataStore();
   const activeDataSet = dataSets.find(ds => ds.id === activeDataSetId);
-  const data = activeDataSet?.data || [];
-
-  const [model, setModel] = useState(null);
-  const [stats, setStats] = useState(null);
-  const [isTraining, setIsTraining] = useState(false);
+  const table = activeDataSet?.table;
+  const savedModel = trainedModels.priceSensitivity;
+
+  // Rehydrate the trained model kept in the store (survives workspace save/load)
+  const model = useMemo(() => {
+    return savedModel ? new PriceSensitivityModel().fromJSON(savedModel.model) : null;
+  }, [savedModel]);
+  const stats = model?.getStats() || null;
+
+  const {
+    isTraining,
+    progress: trainingProgress,
+    train: trainModel,
+    search: searchModels,
+    predict: predictInWorker,
+    cancel: cancelTraining
+  } = useModelTraining('priceSensitivity');
   const [error, setError] = useState(null);
+  const [seed, setSeed] = useState(DEFAULT_SEED);
+  const [hyperparameters, setHyperparameters] = useState(() => defaultHyperparameters('priceSensitivity'));
+  const [showHyperparameters, setShowHyperparameters] = useState(false);
+  const [evaluationSet, setEvaluationSet] = useState('test');
   const [prediction, setPrediction] = useState(null);
 
   const [formData, setFormData] = useState({
@@ -52,94 +87,133 @@ export default function PriceSensitivityPanel() {
 
   // Check if current dataset has survey-like columns
   const hasSurveyColumns = useMemo(() => {
-    if (data.length === 0) return false;
-    const columns = Object.keys(data[0]).map(c => c.toLowerCase());
+    if (!table || table.rowCount === 0) return false;
+    const columns = table.columns.map(c => c.toLowerCase());
     const hasPrice = columns.some(c => c.includes('pay') || c.includes('price') || c.includes('prepared'));
     const hasIncome = columns.some(c => c.includes('income'));
     return hasPrice && hasIncome;
-  }, [data]);
+  }, [table]);
 
   const handleTrain = async () => {
-    setIsTraining(true);
     setError(null);
 
     try {
-      await new Promise(resolve => setTimeout(resolve, 100));
+      const trained = await trainModel(table, { seed, ...hyperparameters });
+      if (!trained) return;
 
-      const newModel = new PriceSensitivityModel();
-      const trainStats = newModel.train(data);
-
-      setModel(newModel);
-      setStats(trainStats);
+      setTrainedModel('priceSensitivity', trained, activeDataSet.id);
       setPrediction(null);
     } catch (err) {
       setError(err.message);
-    } finally {
-      setIsTraining(false);
     }
   };
 
-  const handlePredict = () => {
-    if (!model) return;
+  // Score candidate forests by cross-validation
+  const handleSearch = (candidates, folds) =>
+    searchModels(table, candidates, { ...hyperparameters, seed, folds });
+
+  const adoptHyperparameters = (params) => setHyperparameters(prev => ({ ...prev, ...params }));
+
+  const handlePredict = async () => {
+    if (!savedModel) return;
 
     try {
-      const result = model.predict(formData);
-      setPrediction(result);
+      const results = await predictInWorker(savedModel.model, [formData]);
+      if (results) setPrediction(results[0]);
     } catch (err) {
       setError(err.message);
     }
   };
 
-  // Feature importance chart
+  // Feature importance chart: impurity decrease and OOB permutation
+  // importance side by side, with ±1 std across trees as error bars
   const featureImportanceOptions = useMemo(() => {
     if (!stats?.featureImportance) return null;
 
-    const importance = stats.featureImportance.slice(0, 8);
-
+    const importance = stats.featureImportance.slice(0, 8).reverse();
+    const hasPermutation = importance.every(d => d.permutation !== undefined);
+    const textColor = darkMode ? '#9ca3af' : '#6b7280';
+    const panels = [
+      { name: 'Mean decrease in impurity', mean: 'importance', std: 'importanceStd', color: '#f59e0b' },
+      hasPermutation && { name: 'Permutation (OOB accuracy drop)', mean: 'permutation', std: 'permutationStd', color: '#ef4444' }
+    ].filter(Boolean);
+
+    const errorBars = (panel, index) => ({
+      name: panel.name,
+      type: 'custom',
+      xAxisIndex: index,
+      yAxisIndex: index,
+      silent: true,
+      data: importance.map((d, i) => [i, d[panel.mean] - (d[panel.std] || 0), d[panel.mean] + (d[panel.std] || 0)]),
+      encode: { x: [1, 2], y: 0 },
+      renderItem: (params, api) => {
+        const low = api.coord([api.value(1), api.value(0)]);
+        const high = api.coord([api.value(2), api.value(0)]);
+        const cap = api.size([0, 1])[1] * 0.15;
+        const style = { stroke: darkMode ? '#e5e7eb' : '#374151', lineWidth: 1 };
+        return {
+          type: 'group',
+          children: [
+            { type: 'line', shape: { x1: low[0], y1: low[1], x2: high[0], y2: high[1] }, style },
+            { type: 'line', shape: { x1: low[0], y1: low[1] - cap, x2: low[0], y2: low[1] + cap }, style },
+            { type: 'line', shape: { x1: high[0], y1: high[1] - cap, x2: high[0], y2: high[1] + cap }, style }
+          ]
+        };
+      }
+    });
+
+    const width = 100 / panels.length;
     return {
       backgroundColor: 'transparent',
       tooltip: {
-        trigger: 'axis',
-        axisPointer: { type: 'shadow' }
+        trigger: 'item',
+        formatter: (params) => {
+          const d = importance[params.dataIndex];
+          const panel = panels[params.seriesIndex];
+          return `<b>${featureDisplayNames[d.feature] || d.feature}</b><br/>${panel.name}: ` +
+            `${(d[panel.mean] * 100).toFixed(1)}% ± ${((d[panel.std] || 0) * 100).toFixed(1)}`;
+        }
       },
-      grid: { left: '3%', right: '4%', bottom: '3%', top: '10%', containLabel: true },
-      xAxis: {
+      title: panels.map((panel, i) => ({
+        text: panel.name,
+        left: `${i * width + width / 2}%`,
+        textAlign: 'center',
+        textStyle: { fontSize: 12, fontWeight: 'normal', color: textColor }
+      })),
+      grid: panels.map((_, i) => ({
+        left: `${i * width + 1}%`,
+        width: `${width - 4}%`,
+        top: 32,
+        bottom: 8,
+        containLabel: true
+      })),
+      xAxis: panels.map((_, i) => ({
         type: 'value',
-        max: 1,
+        gridIndex: i,
         axisLabel: {
           formatter: (val) => `${(val * 100).toFixed(0)}%`,
-          color: darkMode ? '#9ca3af' : '#6b7280'
+          color: textColor
         },
         splitLine: { lineStyle: { color: darkMode ? '#374151' : '#e5e7eb' } }
-      },
-      yAxis: {
+      })),
+      yAxis: panels.map((_, i) => ({
         type: 'category',
-        data: importance.map(d => featureDisplayNames[d.feature] || d.feature).reverse(),
+        gridIndex: i,
+        data: importance.map(d => featureDisplayNames[d.feature] || d.feature),
         axisLabel: { color: darkMode ? '#e5e7eb' : '#374151' },
         axisLine: { lineStyle: { color: darkMode ? '#4b5563' : '#d1d5db' } }
-      },
-      series: [{
-        name: 'Importance',
-        type: 'bar',
-        data: importance.map(d => d.importance).reverse(),
-        itemStyle: {
-          color: {
-            type: 'linear',
-            x: 0, y: 0, x2: 1, y2: 0,
-            colorStops: [
-              { offset: 0, color: '#f59e0b' },
-              { offset: 1, color: '#ef4444' }
-            ]
-          },
-          borderRadius: [0, 4, 4, 0]
-        },
-        label: {
-          show: true,
-          position: 'right',
-          formatter: (params) => `${(params.value * 100).toFixed(1)}%`,
-          color: darkMode ? '#9ca3af' : '#6b7280'
-        }
-      }]
+      })),
+      series: [
+        ...panels.map((panel, i) => ({
+          name: panel.name,
+          type: 'bar',
+          xAxisIndex: i,
+          yAxisIndex: i,
+          data: importance.map(d => d[panel.mean]),
+          itemStyle: { color: panel.color, borderRadius: [0, 4, 4, 0] }
+        })),
+        ...panels.map(errorBars)
+      ]
     };
   }, [stats, darkMode]);
 
@@ -148,9 +222,9 @@ export default function PriceSensitivityPanel() {
     if (!stats?.distribution) return null;
 
     const data = [
-      { name: 'Budget (€0-3)', value: stats.distribution.budget || 0, itemStyle: { color: '#22c55e' } },
-      { name: 'Moderate (€3-4.50)', value: stats.distribution.moderate || 0, itemStyle: { color: '#3b82f6' } },
-      { name: 'Premium (€4.50+)', value: stats.distribution.premium || 0, itemStyle: { color: '#a855f7' } }
+      { name: CATEGORY_LABELS.budget, value: stats.distribution.budget || 0, itemStyle: { color: '#22c55e' } },
+      { name: CATEGORY_LABELS.moderate, value: stats.distribution.moderate || 0, itemStyle: { color: '#3b82f6' } },
+      { name: CATEGORY_LABELS.premium, value: stats.distribution.premium || 0, itemStyle: { color: '#a855f7' } }
     ];
 
     return {
@@ -245,7 +319,7 @@ export default function PriceSensitivityPanel() {
     };
   }, [prediction, darkMode]);
 
-  if (data.length === 0) {
+  if (!table || table.rowCount === 0) {
     return (
       <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
         <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">
@@ -271,30 +345,32 @@ export default function PriceSensitivityPanel() {
         </div>
 
         {!model ? (
-          <button
-            onClick={handleTrain}
-            disabled={isTraining || !hasSurveyColumns}
-            className="px-4 py-2 bg-gradient-to-r from-amber-500 to-red-500 text-white rounded-lg
-                       hover:from-amber-600 hover:to-red-600 disabled:opacity-50 disabled:cursor-not-allowed
-                       transition-all duration-200 font-medium"
-          >
-            {isTraining ? (
-              <span className="flex items-center gap-2">
-                <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
-                </svg>
-                Training...
-              </span>
-            ) : (
-              'Train Model'
-            )}
-          </button>
+          <div className="flex items-center gap-3">
+            <SeedInput value={seed} onChange={setSeed} disabled={isTraining} />
+            <button
+              onClick={handleTrain}
+              disabled={isTraining || !hasSurveyColumns}
+              className="px-4 py-2 bg-gradient-to-r from-amber-500 to-red-500 text-white rounded-lg
+                         hover:from-amber-600 hover:to-red-600 disabled:opacity-50 disabled:cursor-not-allowed
+                         transition-all duration-200 font-medium"
+            >
+              {isTraining ? (
+                <span className="flex items-center gap-2">
+                  <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
+                  </svg>
+                  Training...
+                </span>
+              ) : (
+                'Train Model'
+              )}
+            </button>
+          </div>
         ) : (
           <button
             onClick={() => {
-              setModel(null);
-              setStats(null);
+              clearTrainedModel('priceSensitivity');
               setPrediction(null);
             }}
             className="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300
@@ -314,6 +390,43 @@ export default function PriceSensitivityPanel() {
         </div>
       )}
 
+      <div className="mb-4 space-y-3">
+        <button
+          onClick={() => setShowHyperparameters(!showHyperparameters)}
+          className="text-xs text-gray-600 dark:text-gray-400 hover:text-amber-600 dark:hover:text-amber-400 transition-colors"
+        >
+          {showHyperparameters ? '▼ Hide' : '▶ Show'} Hyperparameters
+        </button>
+        {showHyperparameters && (
+          <>
+            <div className="bg-slate-50 dark:bg-slate-800/50 rounded-lg p-3">
+              <HyperparameterForm
+                definitions={HYPERPARAMETERS.priceSensitivity}
+                values={hyperparameters}
+                onChange={setHyperparameters}
+                disabled={isTraining}
+              />
+              {model && (
+                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  Reset the model to train it with these settings
+                </p>
+              )}
+            </div>
+            <HyperparameterSearch
+              kind="priceSensitivity"
+              onSearch={handleSearch}
+              onAdopt={adoptHyperparameters}
+              disabled={isTraining || !hasSurveyColumns}
+              seed={seed}
+            />
+          </>
+        )}
+      </div>
+
+      {trainingProgress && (
+        <TrainingProgress progress={trainingProgress} onCancel={cancelTraining} />
+      )}
+
       {error && (
         <div className="mb-4 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
           <p className="text-red-800 dark:text-red-200 text-sm">{error}</p>
@@ -329,7 +442,12 @@ export default function PriceSensitivityPanel() {
               <div className="text-2xl font-bold text-amber-600 dark:text-amber-400">
                 {(stats.accuracy * 100).toFixed(1)}%
               </div>
-              <div className="text-sm text-amber-700 dark:text-amber-300">Accuracy</div>
+              <div className="text-sm text-amber-700 dark:text-amber-300">Test Accuracy</div>
+              {stats.oobAccuracy !== undefined && (
+                <div className="mt-1 text-xs text-amber-700/80 dark:text-amber-300/80">
+                  Training {(stats.trainingAccuracy * 100).toFixed(1)}% · Out-of-bag {(stats.oobAccuracy * 100).toFixed(1)}%
+                </div>
+              )}
             </div>
 
             <div className="bg-gradient-to-br from-green-50 to-green-100 dark:from-green-900/30 dark:to-green-800/30
@@ -357,8 +475,49 @@ export default function PriceSensitivityPanel() {
             </div>
           </div>
 
+          <EvaluationSummary
+            evaluation={stats.evaluation}
+            crossValidation={stats.crossValidation}
+            formatLabel={formatCategory}
+          />
+
+          {stats.testPredictions && (
+            <div className="space-y-2">
+              {stats.oobPredictions && (
+                <div className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+                  <span>Evaluate on</span>
+                  {[
+                    { id: 'test', label: `Held-out responses (${stats.testSize})` },
+                    { id: 'oob', label: `Out-of-bag votes (${stats.oobSamples})` }
+                  ].map(({ id, label }) => (
+                    <button
+                      key={id}
+                      onClick={() => setEvaluationSet(id)}
+                      className={`px-2 py-1 rounded-lg font-medium transition-colors ${
+                        evaluationSet === id
+                          ? 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300'
+                          : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <ClassifierEvaluationView
+                key={evaluationSet}
+                testPredictions={evaluationSet === 'oob' && stats.oobPredictions ? stats.oobPredictions : stats.testPredictions}
+                dataSetId={savedModel.dataSetId}
+                darkMode={darkMode}
+                classColors={CATEGORY_COLORS}
+                formatLabel={formatCategory}
+                rowsLabel={evaluationSet === 'oob' && stats.oobPredictions ? 'out-of-bag rows' : 'held-out rows'}
+              />
+            </div>
+          )}
+
           {/* Charts Row */}
-          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
             {/* Distribution Chart */}
             <div className="bg-gray-50 dark:bg-gray-900/50 rounded-lg p-4">
               <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
@@ -370,13 +529,16 @@ export default function PriceSensitivityPanel() {
             </div>
 
             {/* Feature Importance */}
-            <div className="bg-gray-50 dark:bg-gray-900/50 rounded-lg p-4">
+            <div className="bg-gray-50 dark:bg-gray-900/50 rounded-lg p-4 lg:col-span-2">
               <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
                 Feature Importance
               </h3>
               {featureImportanceOptions && (
-                <ReactECharts option={featureImportanceOptions} style={{ height: 250 }} />
+                <ReactECharts option={featureImportanceOptions} style={{ height: 280 }} notMerge />
               )}
+              <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                Bars are averages over the forest's trees; whiskers show ±1 standard deviation across trees.
+              </p>
             </div>
           </div>
 
@@ -642,11 +804,17 @@ export default function PriceSensitivityPanel() {
               📊 About This Model
             </h4>
             <ul className="text-sm text-amber-700 dark:text-amber-300 space-y-1">
-              <li>• Uses <strong>Random Forest</strong> ensemble of decision trees</li>
+              <li>
+                • Uses <strong>Random Forest</strong> ensemble of decision trees
+                {stats.hyperparameters && <> ({stats.hyperparameters.nTrees} trees, max depth {stats.hyperparameters.maxDepth})</>}
+              </li>
               <li>• Classifies customers into Budget (€0-3), Moderate (€3-4.50), or Premium (€4.50+)</li>
-              <li>• Trained on {stats.samples} survey responses</li>
+              <li>• Trained on {stats.samples} survey responses with seed {stats.seed}</li>
               <li>• Best for: Pricing strategy, customer segmentation, targeted marketing</li>
-              <li>• Accuracy shows how well the model predicts on training data</li>
+              <li>
+                • Accuracy is measured on {stats.testSize} held-out responses and, out of bag, by the trees that did not see each response
+                {stats.crossValidation && <>; cross-validation repeats this over {stats.crossValidation.folds} stratified folds</>}
+              </li>
             </ul>
           </div>
         </div>
@@ -0,0 +1,21 @@
+import { normalizeSeed } from '../../ml/random';
+
+/**
+ * Random seed field shown next to a panel's train button; the same seed on
+ * the same data reproduces the same model
+ */
+export default function SeedInput({ value, onChange, disabled }) {
+  return (
+    <label className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+      Seed
+      <input
+        type="number"
+        min="0"
+        value={value}
+        disabled={disabled}
+        onChange={(e) => onChange(normalizeSeed(e.target.value))}
+        className="input text-sm w-20"
+      />
+    </label>
+  );
+}
@@ -0,0 +1,51 @@
+import { FREQUENCIES, AGGREGATIONS, GAP_FILLS } from '../../ml/timeSeriesForecasting';
+import { isNumericType } from '../../data/typeInference';
+
+// Empty select value standing for "no column"
+const NONE = '';
+
+/**
+ * Which columns and frequency a time series is built from (see
+ * preprocessTradeData); onChange receives only the changed settings
+ */
+export default function SeriesSettingsForm({ table, values, onChange, disabled }) {
+  const { columns, columnTypes = {} } = table;
+  const numericColumns = columns.filter(col => isNumericType(columnTypes[col]));
+
+  const fields = [
+    { id: 'dateColumn', label: 'Date column', options: columns.map(col => ({ id: col, label: col })) },
+    {
+      id: 'valueColumn',
+      label: 'Value column',
+      options: (numericColumns.length > 0 ? numericColumns : columns).map(col => ({ id: col, label: col }))
+    },
+    { id: 'seriesColumn', label: 'One series per', options: columns.map(col => ({ id: col, label: col })), optional: 'Single series' },
+    { id: 'breakdownColumn', label: 'Top contributors by', options: columns.map(col => ({ id: col, label: col })), optional: 'None' },
+    { id: 'frequency', label: 'Frequency', options: FREQUENCIES },
+    { id: 'aggregate', label: 'Values per period', options: AGGREGATIONS },
+    { id: 'fill', label: 'Fill gaps with', options: GAP_FILLS }
+  ];
+
+  return (
+    <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+      {fields.map(field => (
+        <div key={field.id}>
+          <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">{field.label}</label>
+          <select
+            value={values[field.id] ?? NONE}
+            disabled={disabled}
+            onChange={(e) => onChange({ [field.id]: e.target.value === NONE ? null : e.target.value })}
+            className="select text-sm w-full"
+          >
+            {(field.optional || values[field.id] === null) && (
+              <option value={NONE}>{field.optional ?? 'Choose…'}</option>
+            )}
+            {field.options.map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,72 +1,293 @@
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useEffect } from 'react';
 import useDataStore from '../../store/useDataStore';
-import { TradeForecaster, calculateGrowthRate } from '../../ml/timeSeriesForecasting';
+import {
+  TradeForecaster,
+  calculateGrowthRate,
+  inferFrequency,
+  suggestSeriesColumns,
+  FREQUENCIES,
+  SERIES_MODELS,
+  INTERVAL_METHODS,
+  RECONCILIATION_METHODS
+} from '../../ml/timeSeriesForecasting';
+import { SERIES_DETECTORS } from '../../ml/anomalyDetection';
+import { DEFAULT_SEED } from '../../ml/random';
+import { HYPERPARAMETERS, defaultHyperparameters } from '../../ml/hyperparameters';
 import ReactECharts from 'echarts-for-react';
+import useModelTraining from './useModelTraining';
+import TrainingProgress from './TrainingProgress';
+import SeedInput from './SeedInput';
+import HyperparameterForm from './HyperparameterForm';
+import HyperparameterSearch from './HyperparameterSearch';
+import SeriesSettingsForm from './SeriesSettingsForm';
+
+const FREQUENCY_BY_ID = Object.fromEntries(FREQUENCIES.map(frequency => [frequency.id, frequency]));
+
+// Separate forecasts for the largest breakdown groups (0: total only)
+const GROUP_COUNTS = [0, 5, 10, 20];
+
+// Periods of history each small multiple shows before its forecast
+const SMALL_MULTIPLE_HISTORY = 24;
+
+const RECONCILIATION_LABELS = Object.fromEntries(RECONCILIATION_METHODS.map(({ id, label }) => [id, label]));
+
+const MODEL_LABELS = Object.fromEntries(SERIES_MODELS.map(({ id, label }) => [id, label]));
+
+// Models trained before seasonal models existed have no method
+const modelLabel = (method) => MODEL_LABELS[method || 'holt'];
+
+// ARIMA(p,d,q), with (P,D,Q)m appended when the model is seasonal
+const arimaLabel = ({ p, d, q, P, D, Q }, seasonLength) => (
+  `ARIMA(${p},${d},${q})${P + D + Q > 0 ? `(${P},${D},${Q})${seasonLength}` : ''}`
+);
+
+// Nonseasonal and seasonal AR and MA coefficients of an ARIMA model's stats
+const arimaCoefficients = ({ ar, ma, seasonalAr, seasonalMa }) => {
+  const groups = [['φ', ar], ['θ', ma], ['Φ', seasonalAr], ['Θ', seasonalMa]]
+    .filter(([, values]) => values.length > 0)
+    .map(([symbol, values]) => `${symbol} ${values.map(v => v.toFixed(3)).join(', ')}`);
+  return groups.length > 0 ? groups.join(' · ') : 'none';
+};
+
+// Bar chart of correlations by lag with dashed ±bound significance lines
+const correlogramOptions = (series, bound, darkMode) => ({
+  backgroundColor: 'transparent',
+  tooltip: {
+    trigger: 'axis',
+    valueFormatter: (value) => value.toFixed(3)
+  },
+  legend: {
+    data: series.map(s => s.name),
+    textStyle: { color: darkMode ? '#e5e7eb' : '#374151' },
+    top: 0
+  },
+  grid: { left: '3%', right: '4%', bottom: '3%', top: '18%', containLabel: true },
+  xAxis: {
+    type: 'category',
+    name: 'Lag',
+    data: series[0].values.map((_, i) => i + 1),
+    axisLabel: { color: darkMode ? '#9ca3af' : '#6b7280', fontSize: 10 },
+    axisLine: { lineStyle: { color: darkMode ? '#4b5563' : '#d1d5db' } }
+  },
+  yAxis: {
+    type: 'value',
+    min: -1,
+    max: 1,
+    axisLabel: { color: darkMode ? '#9ca3af' : '#6b7280' },
+    splitLine: { lineStyle: { color: darkMode ? '#374151' : '#e5e7eb' } }
+  },
+  series: series.map(({ name, values, color }, i) => ({
+    name,
+    type: 'bar',
+    data: values,
+    itemStyle: { color },
+    markLine: i === 0 ? {
+      silent: true,
+      symbol: 'none',
+      lineStyle: { color: '#ef4444', type: 'dashed' },
+      label: { show: false },
+      data: [{ yAxis: bound }, { yAxis: -bound }]
+    } : undefined
+  }))
+});
+
+// Prediction interval levels offered for the forecast fan
+const INTERVAL_LEVELS = [0.8, 0.9, 0.95, 0.99];
+
+const percentLabel = (level) => `${Math.round(level * 100)}%`;
+
+const formatAmount = (value, digits = 0) => value.toLocaleString(undefined, { maximumFractionDigits: digits });
+
+// Backtest metrics are null when undefined (e.g. MAPE on all-zero actuals)
+const formatMetric = (value, suffix, digits = 1) => (value === null || value === undefined ? '—' : `${value.toFixed(digits)}${suffix}`);
 
 export default function TradeForecasterPanel() {
-  const { dataSets, activeDataSetId } = useDataStore();
+  const { dataSets, activeDataSetId, trainedModels, setTrainedModel, clearTrainedModel, setRowFocus } = useDataStore();
   const activeDataSet = dataSets.find(ds => ds.id === activeDataSetId);
-  const data = activeDataSet?.data || [];
+  const table = activeDataSet?.table;
+  const savedModel = trainedModels.tradeForecaster;
+
+  // Rehydrate the trained forecaster kept in the store (survives workspace save/load)
+  const forecaster = useMemo(() => {
+    return savedModel ? new TradeForecaster().fromJSON(savedModel.model) : null;
+  }, [savedModel]);
+  const trainResults = forecaster?.trainResults || null;
 
-  const [forecaster, setForecaster] = useState(null);
-  const [trainResults, setTrainResults] = useState(null);
-  const [isTraining, setIsTraining] = useState(false);
+  const {
+    isTraining,
+    progress: trainingProgress,
+    train: trainModel,
+    search: searchModels,
+    predict: predictInWorker,
+    cancel: cancelTraining
+  } = useModelTraining('tradeForecaster');
   const [error, setError] = useState(null);
-  const [selectedType, setSelectedType] = useState(null);
+  const [seed, setSeed] = useState(DEFAULT_SEED);
+  const [hyperparameters, setHyperparameters] = useState(() => defaultHyperparameters('tradeForecaster'));
+  const [showHyperparameters, setShowHyperparameters] = useState(false);
+  const [typeSelection, setSelectedType] = useState(null);
   const [forecastSteps, setForecastSteps] = useState(6);
   const [showAdvanced, setShowAdvanced] = useState(false);
+  const [intervalLevels, setIntervalLevels] = useState([0.8, 0.95]);
+  const [intervalMethod, setIntervalMethod] = useState('analytic');
+  const [seriesChoice, setSeriesChoice] = useState(null);
+  const [syncedFrequency, setSyncedFrequency] = useState(null);
+  const [groupSettings, setGroupSettings] = useState({ count: 0, reconcile: 'ols' });
+  const [anomalySettings, setAnomalySettings] = useState({ method: 'off', threshold: 3.5 });
+  const [predictions, setPredictions] = useState(null);
 
   const darkMode = document.documentElement.classList.contains('dark');
+  const columnFormats = activeDataSet?.columnFormats;
 
-  // Check if current dataset has time series columns
-  const hasTimeSeriesColumns = useMemo(() => {
-    if (data.length === 0) return false;
-    const columns = Object.keys(data[0]).map(c => c.toLowerCase());
-    const hasMonth = columns.some(c => c.includes('month') || c.includes('date') || c.includes('period'));
-    const hasValue = columns.some(c => c.includes('value') || c.includes('amount'));
-    return hasMonth && hasValue;
-  }, [data]);
+  // Date format the type inference detected for a column, if any
+  const dateFormatOf = (column) => columnFormats?.[column]?.dateFormat ?? null;
+
+  // Suggested columns and the frequency of the suggested date column
+  const suggestedSeries = useMemo(() => {
+    if (!table || table.rowCount === 0) return null;
+    const columns = suggestSeriesColumns(table);
+    const dateFormat = columnFormats?.[columns.dateColumn]?.dateFormat ?? null;
+    return {
+      ...columns,
+      dateFormat,
+      frequency: columns.dateColumn ? inferFrequency(table, columns.dateColumn, dateFormat) : 'month',
+      aggregate: 'sum',
+      fill: 'zero'
+    };
+  }, [table, columnFormats]);
+
+  // Choices only hold for the dataset they were made on
+  const seriesSettings = seriesChoice?.dataSetId === activeDataSetId ? seriesChoice.settings : suggestedSeries;
+  const canBuildSeries = Boolean(seriesSettings?.dateColumn && seriesSettings?.valueColumn);
+
+  const updateSeries = (changes) => {
+    const settings = { ...seriesSettings, ...changes };
+    // A new date column brings its own format and frequency
+    if (changes.dateColumn) {
+      settings.dateFormat = dateFormatOf(changes.dateColumn);
+      settings.frequency = inferFrequency(table, changes.dateColumn, settings.dateFormat);
+    }
+    setSeriesChoice({ dataSetId: activeDataSetId, settings });
+  };
+
+  // Groups need a breakdown column, and only summed groups add up to the total
+  const canReconcile = seriesSettings?.aggregate === 'sum';
+  const groupOptions = {
+    count: seriesSettings?.breakdownColumn ? groupSettings.count : 0,
+    reconcile: canReconcile ? groupSettings.reconcile : 'none'
+  };
+
+  // Keep the season length in step with the frequency (12 months, 7 days, …)
+  const frequency = seriesSettings?.frequency ?? 'month';
+  if (frequency !== syncedFrequency) {
+    setSyncedFrequency(frequency);
+    setHyperparameters(prev => ({ ...prev, seasonLength: FREQUENCY_BY_ID[frequency].seasonLength }));
+  }
 
   const handleTrain = async () => {
-    setIsTraining(true);
     setError(null);
 
     try {
-      await new Promise(resolve => setTimeout(resolve, 100));
-
-      const newForecaster = new TradeForecaster();
-      const results = newForecaster.train(data);
-
-      setForecaster(newForecaster);
-      setTrainResults(results);
+      const trained = await trainModel(table, { seed, ...hyperparameters, series: seriesSettings, groups: groupOptions });
+      if (!trained) return;
 
-      // Set default selected type
-      const types = newForecaster.getStatisticTypes();
-      if (types.length > 0) {
-        setSelectedType(types[0]);
-      }
+      setTrainedModel('tradeForecaster', trained, activeDataSet.id);
+      setSelectedType(null);
     } catch (err) {
       setError(err.message);
-    } finally {
-      setIsTraining(false);
     }
   };
 
-  // Get forecast data for selected type
-  const forecastData = useMemo(() => {
-    if (!forecaster || !selectedType) return null;
-    try {
-      return forecaster.forecast(selectedType, forecastSteps);
-    } catch (e) {
-      return null;
+  // Score candidate smoothing parameters by rolling one-step-ahead forecasts
+  const handleSearch = (candidates, folds) =>
+    searchModels(table, candidates, { ...hyperparameters, seed, folds, series: seriesSettings });
+
+  const adoptHyperparameters = (params) => setHyperparameters(prev => ({ ...prev, ...params }));
+
+  // Fall back to the first statistic type when nothing is selected (e.g. after a restore)
+  const selectedType = typeSelection ?? forecaster?.getStatisticTypes()[0] ?? null;
+
+  // Unit of the trained series ("month", "day", …) and its breakdown column
+  const periodUnit = FREQUENCY_BY_ID[forecaster?.getFrequency() ?? frequency].unit;
+  const breakdownColumn = forecaster?.processedData?.breakdownColumn ?? null;
+
+  // Keep at least one interval level selected
+  const toggleIntervalLevel = (level) => {
+    if (intervalLevels.includes(level)) {
+      if (intervalLevels.length > 1) setIntervalLevels(intervalLevels.filter(l => l !== level));
+    } else {
+      setIntervalLevels([...intervalLevels, level].sort((a, b) => a - b));
     }
-  }, [forecaster, selectedType, forecastSteps]);
+  };
+
+  // Forecast, reconciled group forecasts and anomalies of the selected type,
+  // predicted in the worker as one batch
+  useEffect(() => {
+    if (!savedModel || !selectedType) return;
+
+    const samples = [
+      { type: selectedType, steps: forecastSteps, levels: intervalLevels, method: intervalMethod },
+      { output: 'groups', type: selectedType, steps: forecastSteps },
+      ...(anomalySettings.method === 'off' ? [] : [{ output: 'anomalies', type: selectedType, ...anomalySettings }])
+    ];
+    predictInWorker(savedModel.model, samples)
+      .then((results) => {
+        if (!results) return;
+        const [forecast, groups, detected] = results;
+        setPredictions({ model: savedModel, type: selectedType, forecast, groups, anomalies: detected?.anomalies ?? null });
+      })
+      .catch((err) => setError(err.message));
+  }, [savedModel, selectedType, forecastSteps, intervalLevels, intervalMethod, anomalySettings, predictInWorker]);
+
+  // The latest predictions, kept on screen while newer settings are predicted
+  const current = predictions?.model === savedModel && predictions?.type === selectedType ? predictions : null;
+  const forecastData = current?.forecast ?? null;
+  const anomalies = anomalySettings.method === 'off' ? null : current?.anomalies ?? null;
+  // Reconciled forecasts of each breakdown group, when trained with groups
+  const groupForecast = current?.groups ?? null;
+
+  // Show the rows behind the anomalous periods in the data table
+  const showAnomalyRows = () => {
+    const trainedOn = dataSets.find(ds => ds.id === savedModel?.dataSetId);
+    if (!trainedOn) return;
+    const rows = forecaster.seriesRows(trainedOn.table, selectedType, anomalies.map(a => a.timestamp));
+    setRowFocus(trainedOn.id, rows, `anomalies in ${selectedType}`);
+  };
 
   // Main forecast chart
   const forecastChartOptions = useMemo(() => {
     if (!forecastData) return null;
 
     const { historical, forecasts } = forecastData;
+    const lastIndex = historical.length - 1;
+    const lastValue = historical[lastIndex].value;
+
+    // Nested fan: one stacked pair per band (invisible lower bound plus the
+    // band's width as an area), widest first, starting at the last actual value
+    const fanSeries = [...forecasts[0].bands].reverse().flatMap(({ level }) => {
+      const name = `${percentLabel(level)} interval`;
+      const bandAt = (f) => f.bands.find(band => band.level === level);
+      const common = {
+        name,
+        type: 'line',
+        stack: `band-${level}`,
+        symbol: 'none',
+        silent: true,
+        lineStyle: { opacity: 0 },
+        itemStyle: { color: 'rgba(59, 130, 246, 0.5)' }
+      };
+      return [
+        {
+          ...common,
+          data: [...historical.map((_, i) => (i === lastIndex ? lastValue : null)), ...forecasts.map(f => bandAt(f).lower)]
+        },
+        {
+          ...common,
+          data: [...historical.map((_, i) => (i === lastIndex ? 0 : null)), ...forecasts.map(f => bandAt(f).upper - bandAt(f).lower)],
+          areaStyle: { color: 'rgba(59, 130, 246, 0.18)' }
+        }
+      ];
+    });
 
     return {
       backgroundColor: 'transparent',
@@ -82,23 +303,28 @@ export default function TradeForecasterPanel() {
 
           if (isHistorical) {
             const data = historical[dataIndex];
+            const anomaly = anomalies?.find(a => a.index === dataIndex);
             return `
-              <div style="font-weight:bold">${data.month}</div>
+              <div style="font-weight:bold">${data.period}${data.filled ? ' (gap filled)' : ''}</div>
               <div>Value: ${data.value.toLocaleString(undefined, { maximumFractionDigits: 2 })}</div>
+              ${anomaly ? `<div style="color:#ef4444">Anomaly: expected ${formatAmount(anomaly.expected, 2)} (z = ${anomaly.score.toFixed(1)})</div>` : ''}
             `;
           } else {
             const forecastIndex = dataIndex - historical.length;
             const data = forecasts[forecastIndex];
+            const bands = data.bands
+              .map(band => `<div>${percentLabel(band.level)}: ${formatAmount(band.lower)} - ${formatAmount(band.upper)}</div>`)
+              .join('');
             return `
-              <div style="font-weight:bold">${data.month} (Forecast)</div>
-              <div>Predicted: ${data.prediction.toLocaleString(undefined, { maximumFractionDigits: 2 })}</div>
-              <div>Range: ${data.lower.toLocaleString(undefined, { maximumFractionDigits: 0 })} - ${data.upper.toLocaleString(undefined, { maximumFractionDigits: 0 })}</div>
+              <div style="font-weight:bold">${data.period} (Forecast)</div>
+              <div>Predicted: ${formatAmount(data.prediction, 2)}</div>
+              ${bands}
             `;
           }
         }
       },
       legend: {
-        data: ['Historical', 'Forecast', 'Confidence Interval'],
+        data: ['Historical', 'Forecast', ...forecasts[0].bands.map(({ level }) => `${percentLabel(level)} interval`)],
         textStyle: { color: darkMode ? '#e5e7eb' : '#374151' },
         top: 0
       },
@@ -112,8 +338,8 @@ export default function TradeForecasterPanel() {
       xAxis: {
         type: 'category',
         data: [
-          ...historical.map(h => h.month),
-          ...forecasts.map(f => f.month)
+          ...historical.map(h => h.period),
+          ...forecasts.map(f => f.period)
         ],
         axisLabel: {
           rotate: 45,
@@ -131,28 +357,7 @@ export default function TradeForecasterPanel() {
         splitLine: { lineStyle: { color: darkMode ? '#374151' : '#e5e7eb' } }
       },
       series: [
-        // Confidence interval (area)
-        {
-          name: 'Confidence Interval',
-          type: 'line',
-          data: [
-            ...historical.map(() => null),
-            ...forecasts.map(f => [f.lower, f.upper])
-          ],
-          lineStyle: { opacity: 0 },
-          areaStyle: {
-            color: {
-              type: 'linear',
-              x: 0, y: 0, x2: 0, y2: 1,
-              colorStops: [
-                { offset: 0, color: 'rgba(59, 130, 246, 0.3)' },
-                { offset: 1, color: 'rgba(59, 130, 246, 0.1)' }
-              ]
-            }
-          },
-          stack: 'confidence',
-          symbol: 'none'
-        },
+        ...fanSeries,
         // Historical line
         {
           name: 'Historical',
@@ -165,7 +370,14 @@ export default function TradeForecasterPanel() {
           lineStyle: { width: 2 },
           symbol: 'circle',
           symbolSize: 6,
-          smooth: true
+          smooth: true,
+          markPoint: anomalies?.length ? {
+            symbol: 'circle',
+            symbolSize: 14,
+            itemStyle: { color: 'rgba(239, 68, 68, 0.25)', borderColor: '#ef4444', borderWidth: 2 },
+            label: { show: false },
+            data: anomalies.map(a => ({ coord: [a.index, a.value], value: a.score }))
+          } : undefined
         },
         // Forecast line
         {
@@ -183,7 +395,210 @@ export default function TradeForecasterPanel() {
         }
       ]
     };
-  }, [forecastData, darkMode]);
+  }, [forecastData, anomalies, darkMode]);
+
+  const backtest = (selectedType && trainResults?.[selectedType]?.backtest) || null;
+
+  // Backtest chart: each cutoff's past forecast path over the actual values,
+  // starting from the last point the model was fitted on
+  const backtestChartOptions = useMemo(() => {
+    if (!backtest || !forecastData) return null;
+
+    const { historical } = forecastData;
+    // A year of context before the first cutoff
+    const start = Math.max(0, backtest.cutoffs[0].origin - 12);
+    const visible = historical.slice(start);
+
+    const paths = backtest.cutoffs.map(({ origin, predictions }) => ({
+      name: 'Past forecasts',
+      type: 'line',
+      data: visible.map((_, i) => {
+        const index = start + i;
+        if (index === origin - 1) return historical[index].value;
+        const h = index - origin;
+        return h >= 0 && h < predictions.length ? predictions[h] : null;
+      }),
+      itemStyle: { color: '#3b82f6' },
+      lineStyle: { width: 1, opacity: 0.5 },
+      symbol: 'none'
+    }));
+
+    return {
+      backgroundColor: 'transparent',
+      tooltip: {
+        trigger: 'item',
+        formatter: (params) => {
+          const period = visible[params.dataIndex].period;
+          if (params.seriesIndex === 0) {
+            return `<div style="font-weight:bold">${period}</div><div>Actual: ${formatAmount(params.value, 2)}</div>`;
+          }
+          const { origin } = backtest.cutoffs[params.seriesIndex - 1];
+          return `
+            <div style="font-weight:bold">${period}</div>
+            <div>Forecast from ${historical[origin - 1].period}: ${formatAmount(params.value, 2)}</div>
+          `;
+        }
+      },
+      legend: {
+        data: ['Actual', 'Past forecasts'],
+        textStyle: { color: darkMode ? '#e5e7eb' : '#374151' },
+        top: 0
+      },
+      grid: { left: '3%', right: '4%', bottom: '15%', top: '15%', containLabel: true },
+      xAxis: {
+        type: 'category',
+        data: visible.map(h => h.period),
+        axisLabel: {
+          rotate: 45,
+          color: darkMode ? '#9ca3af' : '#6b7280',
+          fontSize: 10
+        },
+        axisLine: { lineStyle: { color: darkMode ? '#4b5563' : '#d1d5db' } }
+      },
+      yAxis: {
+        type: 'value',
+        axisLabel: {
+          formatter: (val) => val >= 1000 ? `${(val / 1000).toFixed(1)}K` : val.toFixed(0),
+          color: darkMode ? '#9ca3af' : '#6b7280'
+        },
+        splitLine: { lineStyle: { color: darkMode ? '#374151' : '#e5e7eb' } }
+      },
+      series: [
+        {
+          name: 'Actual',
+          type: 'line',
+          data: visible.map(h => h.value),
+          itemStyle: { color: '#10b981' },
+          lineStyle: { width: 2 },
+          symbol: 'circle',
+          symbolSize: 6
+        },
+        ...paths
+      ]
+    };
+  }, [backtest, forecastData, darkMode]);
+
+  // ACF/PACF diagnostics of an ARIMA model
+  const diagnostics = (selectedType && trainResults?.[selectedType]?.diagnostics) || null;
+  const correlograms = useMemo(() => {
+    if (!diagnostics) return null;
+    return {
+      series: correlogramOptions([
+        { name: 'ACF', values: diagnostics.acf, color: '#3b82f6' },
+        { name: 'PACF', values: diagnostics.pacf, color: '#8b5cf6' }
+      ], diagnostics.bound, darkMode),
+      residuals: correlogramOptions([
+        { name: 'Residual ACF', values: diagnostics.residualAcf, color: '#10b981' }
+      ], diagnostics.residualBound, darkMode)
+    };
+  }, [diagnostics, darkMode]);
+
+  // Small multiples: one panel per group with its recent history and forecast
+  const smallMultiplesOptions = useMemo(() => {
+    if (!groupForecast || !forecastData) return null;
+
+    const columns = 3;
+    const rowHeight = 150;
+    const historyLength = Math.min(SMALL_MULTIPLE_HISTORY, forecastData.historical.length);
+    const periods = [
+      ...forecastData.historical.slice(-historyLength).map(h => h.period),
+      ...forecastData.forecasts.map(f => f.period)
+    ];
+    const cells = groupForecast.groups.map((group, i) => ({
+      ...group,
+      left: (i % columns) * (100 / columns),
+      top: Math.floor(i / columns) * rowHeight
+    }));
+    const axisColor = darkMode ? '#9ca3af' : '#6b7280';
+
+    return {
+      height: Math.ceil(cells.length / columns) * rowHeight,
+      options: {
+        backgroundColor: 'transparent',
+        tooltip: {
+          trigger: 'axis',
+          valueFormatter: (value) => (value === null || value === undefined ? '—' : formatAmount(value, 2))
+        },
+        title: cells.map(({ group, left, top }) => ({
+          text: group,
+          left: `${left + 1}%`,
+          top: top + 4,
+          textStyle: { fontSize: 11, fontWeight: 'normal', color: darkMode ? '#e5e7eb' : '#374151' }
+        })),
+        grid: cells.map(({ left, top }) => ({
+          left: `${left + 1}%`,
+          width: `${100 / columns - 3}%`,
+          top: top + 28,
+          height: rowHeight - 50,
+          containLabel: true
+        })),
+        xAxis: cells.map((_, i) => ({
+          type: 'category',
+          gridIndex: i,
+          data: periods,
+          axisLabel: { show: false },
+          axisTick: { show: false },
+          axisLine: { lineStyle: { color: darkMode ? '#4b5563' : '#d1d5db' } }
+        })),
+        yAxis: cells.map((_, i) => ({
+          type: 'value',
+          gridIndex: i,
+          splitNumber: 2,
+          axisLabel: {
+            formatter: (val) => val >= 1000 ? `${(val / 1000).toFixed(0)}K` : val.toFixed(0),
+            color: axisColor,
+            fontSize: 9
+          },
+          splitLine: { lineStyle: { color: darkMode ? '#374151' : '#e5e7eb' } }
+        })),
+        series: cells.flatMap(({ group, historical, predictions }, i) => {
+          const recent = historical.slice(-historyLength).map(point => point.value);
+          return [
+            {
+              name: `${group} actual`,
+              type: 'line',
+              xAxisIndex: i,
+              yAxisIndex: i,
+              data: [...recent, ...predictions.map(() => null)],
+              itemStyle: { color: '#10b981' },
+              lineStyle: { width: 1.5 },
+              symbol: 'none'
+            },
+            {
+              name: `${group} forecast`,
+              type: 'line',
+              xAxisIndex: i,
+              yAxisIndex: i,
+              data: [...recent.map((value, k) => (k === recent.length - 1 ? value : null)), ...predictions],
+              itemStyle: { color: '#3b82f6' },
+              lineStyle: { width: 1.5, type: 'dashed' },
+              symbol: 'none'
+            }
+          ];
+        })
+      }
+    };
+  }, [groupForecast, forecastData, darkMode]);
+
+  // Groups ranked by forecast growth over the horizon against the same number
+  // of periods before it; growth is null when those periods sum to zero
+  const groupRanking = useMemo(() => {
+    if (!groupForecast) return null;
+    const forecastTotal = groupForecast.total.reduce((a, b) => a + b, 0);
+    return groupForecast.groups
+      .map(({ group, historical, predictions }) => {
+        const recent = historical.slice(-predictions.length).reduce((sum, point) => sum + point.value, 0);
+        const upcoming = predictions.reduce((a, b) => a + b, 0);
+        return {
+          group,
+          recent,
+          upcoming,
+          growth: recent !== 0 ? ((upcoming - recent) / Math.abs(recent)) * 100 : null,
+          share: forecastTotal !== 0 ? (upcoming / forecastTotal) * 100 : null
+        };
+      })
+      .sort((a, b) => (b.growth ?? -Infinity) - (a.growth ?? -Infinity));
+  }, [groupForecast]);
 
   // Top countries chart
   const topCountriesOptions = useMemo(() => {
@@ -259,7 +674,7 @@ export default function TradeForecasterPanel() {
     return calculateGrowthRate(values);
   }, [forecastData]);
 
-  if (data.length === 0) {
+  if (!table || table.rowCount === 0) {
     return (
       <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
         <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">
@@ -285,30 +700,32 @@ export default function TradeForecasterPanel() {
         </div>
 
         {!forecaster ? (
-          <button
-            onClick={handleTrain}
-            disabled={isTraining || !hasTimeSeriesColumns}
-            className="px-4 py-2 bg-gradient-to-r from-violet-500 to-blue-500 text-white rounded-lg
-                       hover:from-violet-600 hover:to-blue-600 disabled:opacity-50 disabled:cursor-not-allowed
-                       transition-all duration-200 font-medium"
-          >
-            {isTraining ? (
-              <span className="flex items-center gap-2">
-                <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
-                </svg>
-                Training...
-              </span>
-            ) : (
-              'Train Forecaster'
-            )}
-          </button>
+          <div className="flex items-center gap-3">
+            <SeedInput value={seed} onChange={setSeed} disabled={isTraining} />
+            <button
+              onClick={handleTrain}
+              disabled={isTraining || !canBuildSeries}
+              className="px-4 py-2 bg-gradient-to-r from-violet-500 to-blue-500 text-white rounded-lg
+                         hover:from-violet-600 hover:to-blue-600 disabled:opacity-50 disabled:cursor-not-allowed
+                         transition-all duration-200 font-medium"
+            >
+              {isTraining ? (
+                <span className="flex items-center gap-2">
+                  <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
+                  </svg>
+                  Training...
+                </span>
+              ) : (
+                'Train Forecaster'
+              )}
+            </button>
+          </div>
         ) : (
           <button
             onClick={() => {
-              setForecaster(null);
-              setTrainResults(null);
+              clearTrainedModel('tradeForecaster');
               setSelectedType(null);
             }}
             className="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300
@@ -319,15 +736,100 @@ export default function TradeForecasterPanel() {
         )}
       </div>
 
-      {!hasTimeSeriesColumns && (
+      {!forecaster && seriesSettings && (
+        <div className="mb-4 bg-slate-50 dark:bg-slate-800/50 rounded-lg p-3">
+          <SeriesSettingsForm
+            table={table}
+            values={seriesSettings}
+            onChange={updateSeries}
+            disabled={isTraining}
+          />
+          {seriesSettings.breakdownColumn && (
+            <div className="mt-3 grid grid-cols-2 sm:grid-cols-4 gap-3">
+              <div>
+                <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">
+                  Forecast per {seriesSettings.breakdownColumn}
+                </label>
+                <select
+                  value={groupSettings.count}
+                  disabled={isTraining}
+                  onChange={(e) => setGroupSettings({ ...groupSettings, count: Number(e.target.value) })}
+                  className="select text-sm w-full"
+                >
+                  {GROUP_COUNTS.map(count => (
+                    <option key={count} value={count}>{count === 0 ? 'Total only' : `Top ${count} + all others`}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="text-xs text-slate-600 dark:text-slate-400 mb-1 block">Reconciliation</label>
+                <select
+                  value={groupOptions.reconcile}
+                  disabled={isTraining || groupOptions.count === 0 || !canReconcile}
+                  onChange={(e) => setGroupSettings({ ...groupSettings, reconcile: e.target.value })}
+                  className="select text-sm w-full"
+                >
+                  {RECONCILIATION_METHODS.map(({ id, label }) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              {groupOptions.count > 0 && !canReconcile && (
+                <p className="col-span-2 self-end text-xs text-slate-500 dark:text-slate-400">
+                  Averaged groups do not add up to the total, so they are forecast independently
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {!canBuildSeries && (
         <div className="mb-4 p-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg">
           <p className="text-amber-800 dark:text-amber-200 text-sm">
-            ⚠️ Dataset needs Month/Date and Value columns for time series forecasting.
+            ⚠️ Choose a date column and a value column to forecast.
             Try loading the coffee/tea/cocoa trade data.
           </p>
         </div>
       )}
 
+      <div className="mb-4 space-y-3">
+        <button
+          onClick={() => setShowHyperparameters(!showHyperparameters)}
+          className="text-xs text-gray-600 dark:text-gray-400 hover:text-violet-600 dark:hover:text-violet-400 transition-colors"
+        >
+          {showHyperparameters ? '▼ Hide' : '▶ Show'} Hyperparameters
+        </button>
+        {showHyperparameters && (
+          <>
+            <div className="bg-slate-50 dark:bg-slate-800/50 rounded-lg p-3">
+              <HyperparameterForm
+                definitions={HYPERPARAMETERS.tradeForecaster}
+                values={hyperparameters}
+                onChange={setHyperparameters}
+                disabled={isTraining}
+              />
+              {forecaster && (
+                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  Reset the model to train it with these settings
+                </p>
+              )}
+            </div>
+            <HyperparameterSearch
+              kind="tradeForecaster"
+              onSearch={handleSearch}
+              onAdopt={adoptHyperparameters}
+              disabled={isTraining || !canBuildSeries}
+              seed={seed}
+            />
+          </>
+        )}
+      </div>
+
+      {trainingProgress && (
+        <TrainingProgress progress={trainingProgress} onCancel={cancelTraining} />
+      )}
+
       {error && (
         <div className="mb-4 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
           <p className="text-red-800 dark:text-red-200 text-sm">{error}</p>
@@ -340,7 +842,7 @@ export default function TradeForecasterPanel() {
           <div className="flex flex-wrap gap-4 items-center">
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                Data Type
+                Series
               </label>
               <select
                 value={selectedType || ''}
@@ -356,7 +858,7 @@ export default function TradeForecasterPanel() {
 
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                Forecast Months
+                Forecast Horizon
               </label>
               <select
                 value={forecastSteps}
@@ -365,10 +867,81 @@ export default function TradeForecasterPanel() {
                          rounded-lg text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500"
               >
                 {[3, 6, 9, 12].map(n => (
-                  <option key={n} value={n}>{n} months</option>
+                  <option key={n} value={n}>{n} {periodUnit}s</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Intervals
+              </label>
+              <select
+                value={intervalMethod}
+                onChange={(e) => setIntervalMethod(e.target.value)}
+                className="px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600
+                         rounded-lg text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500"
+              >
+                {INTERVAL_METHODS.map(({ id, label }) => (
+                  <option key={id} value={id}>{label}</option>
                 ))}
               </select>
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Confidence Levels
+              </label>
+              <div className="flex gap-1.5">
+                {INTERVAL_LEVELS.map(level => (
+                  <button
+                    key={level}
+                    onClick={() => toggleIntervalLevel(level)}
+                    className={`px-3 py-2 rounded-lg text-sm transition-colors ${
+                      intervalLevels.includes(level)
+                        ? 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300'
+                        : 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-600'
+                    }`}
+                  >
+                    {percentLabel(level)}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Anomalies
+              </label>
+              <div className="flex gap-1.5">
+                <select
+                  value={anomalySettings.method}
+                  onChange={(e) => setAnomalySettings({ ...anomalySettings, method: e.target.value })}
+                  className="px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600
+                           rounded-lg text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="off">Off</option>
+                  {SERIES_DETECTORS.map(({ id, label }) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+                {anomalySettings.method !== 'off' && (
+                  <input
+                    type="number"
+                    min={1}
+                    step={0.5}
+                    value={anomalySettings.threshold}
+                    onChange={(e) => {
+                      const threshold = parseFloat(e.target.value);
+                      if (threshold > 0) setAnomalySettings({ ...anomalySettings, threshold });
+                    }}
+                    title="Flag points whose |z| exceeds this"
+                    className="w-20 px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600
+                             rounded-lg text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500"
+                  />
+                )}
+              </div>
+            </div>
           </div>
 
           {/* Statistics Cards */}
@@ -379,7 +952,7 @@ export default function TradeForecasterPanel() {
                 <div className="text-2xl font-bold text-violet-600 dark:text-violet-400">
                   {(trainResults[selectedType].r2 * 100).toFixed(1)}%
                 </div>
-                <div className="text-sm text-violet-700 dark:text-violet-300">R² Score</div>
+                <div className="text-sm text-violet-700 dark:text-violet-300">R² Score (in-sample)</div>
               </div>
 
               <div className="bg-gradient-to-br from-blue-50 to-blue-100 dark:from-blue-900/30 dark:to-blue-800/30
@@ -387,7 +960,7 @@ export default function TradeForecasterPanel() {
                 <div className="text-2xl font-bold text-blue-600 dark:text-blue-400">
                   {trainResults[selectedType].mape?.toFixed(1) || 'N/A'}%
                 </div>
-                <div className="text-sm text-blue-700 dark:text-blue-300">MAPE</div>
+                <div className="text-sm text-blue-700 dark:text-blue-300">MAPE (in-sample)</div>
               </div>
 
               <div className="bg-gradient-to-br from-emerald-50 to-emerald-100 dark:from-emerald-900/30 dark:to-emerald-800/30
@@ -425,24 +998,155 @@ export default function TradeForecasterPanel() {
               {selectedType} Forecast
             </h3>
             {forecastChartOptions ? (
-              <ReactECharts option={forecastChartOptions} style={{ height: 350 }} />
+              <ReactECharts option={forecastChartOptions} style={{ height: 350 }} notMerge={true} />
             ) : (
               <p className="text-gray-500 dark:text-gray-400">No data available for chart</p>
             )}
-          </div>
-
-          {/* Top Countries */}
-          <div className="bg-gray-50 dark:bg-gray-900/50 rounded-lg p-4">
-            <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
-              Top 10 Countries/Territories
-            </h3>
-            {topCountriesOptions ? (
-              <ReactECharts option={topCountriesOptions} style={{ height: 300 }} />
-            ) : (
-              <p className="text-gray-500 dark:text-gray-400">No country data available</p>
+            {anomalies && (
+              <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                {anomalies.length === 0
+                  ? `No anomalies beyond |z| > ${anomalySettings.threshold}.`
+                  : `${anomalies.length} anomal${anomalies.length === 1 ? 'y' : 'ies'} beyond |z| > ${anomalySettings.threshold}: ${anomalies.map(a => a.period).join(', ')}. `}
+                {anomalies.length > 0 && savedModel?.dataSetId && dataSets.some(ds => ds.id === savedModel.dataSetId) && (
+                  <button onClick={showAnomalyRows} className="text-blue-600 dark:text-blue-400 hover:underline">
+                    Show rows
+                  </button>
+                )}
+              </p>
             )}
           </div>
 
+          {/* Parts of training that failed */}
+          {(trainResults[selectedType]?.backtestError || trainResults[selectedType]?.failedGroups?.length > 0) && (
+            <div className="p-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg space-y-1">
+              {trainResults[selectedType].backtestError && (
+                <p className="text-amber-800 dark:text-amber-200 text-sm">
+                  ⚠️ Backtest skipped: {trainResults[selectedType].backtestError}
+                </p>
+              )}
+              {trainResults[selectedType].failedGroups?.map(({ group, error: groupError }) => (
+                <p key={group} className="text-amber-800 dark:text-amber-200 text-sm">
+                  ⚠️ No forecast for {breakdownColumn} {group}: {groupError}
+                </p>
+              ))}
+              {trainResults[selectedType].failedGroups?.length > 0 && trainResults[selectedType].requestedReconciliation !== 'none' && (
+                <p className="text-amber-800 dark:text-amber-200 text-sm">
+                  Reconciliation ({RECONCILIATION_LABELS[trainResults[selectedType].requestedReconciliation]}) was not applied: only a complete set of groups adds up to the total.
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Backtest */}
+          {backtest && (
+            <div className="bg-gray-50 dark:bg-gray-900/50 rounded-lg p-4">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">
+                Backtest
+              </h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                Refitted at each of the last {backtest.cutoffs.length} {periodUnit}s and scored on the {periodUnit}s that followed.
+                Out-of-sample MAPE {formatMetric(backtest.overall.mape, '%')} vs {formatMetric(trainResults[selectedType].mape, '%')} in-sample.
+              </p>
+              {backtestChartOptions && (
+                <ReactECharts option={backtestChartOptions} style={{ height: 300 }} />
+              )}
+              <div className="overflow-x-auto mt-4">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-gray-200 dark:border-gray-700">
+                      <th className="text-left py-2 px-3 text-gray-600 dark:text-gray-400">Horizon</th>
+                      <th className="text-right py-2 px-3 text-gray-600 dark:text-gray-400">Forecasts</th>
+                      <th className="text-right py-2 px-3 text-gray-600 dark:text-gray-400">MAE</th>
+                      <th className="text-right py-2 px-3 text-gray-600 dark:text-gray-400">RMSE</th>
+                      <th className="text-right py-2 px-3 text-gray-600 dark:text-gray-400">MAPE</th>
+                      <th className="text-right py-2 px-3 text-gray-600 dark:text-gray-400">sMAPE</th>
+                      <th className="text-right py-2 px-3 text-gray-600 dark:text-gray-400">MASE</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[...backtest.horizons, { ...backtest.overall, horizon: null }].map(row => (
+                      <tr
+                        key={row.horizon ?? 'all'}
+                        className={`border-b border-gray-100 dark:border-gray-800 ${row.horizon === null ? 'font-semibold' : ''}`}
+                      >
+                        <td className="py-2 px-3 text-gray-900 dark:text-white">
+                          {row.horizon === null ? 'All' : `${row.horizon} ${periodUnit}${row.horizon > 1 ? 's' : ''} ahead`}
+                        </td>
+                        <td className="text-right py-2 px-3 text-gray-500 dark:text-gray-400">{row.count}</td>
+                        <td className="text-right py-2 px-3 text-gray-700 dark:text-gray-300">{formatAmount(row.mae, 2)}</td>
+                        <td className="text-right py-2 px-3 text-gray-700 dark:text-gray-300">{formatAmount(row.rmse, 2)}</td>
+                        <td className="text-right py-2 px-3 text-gray-700 dark:text-gray-300">{formatMetric(row.mape, '%')}</td>
+                        <td className="text-right py-2 px-3 text-gray-700 dark:text-gray-300">{formatMetric(row.smape, '%')}</td>
+                        <td className="text-right py-2 px-3 text-gray-700 dark:text-gray-300">{formatMetric(row.mase, '', 2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Top Contributors */}
+          {breakdownColumn && (
+            <div className="bg-gray-50 dark:bg-gray-900/50 rounded-lg p-4">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                Top 10 by {breakdownColumn}
+              </h3>
+              {topCountriesOptions ? (
+                <ReactECharts option={topCountriesOptions} style={{ height: 300 }} />
+              ) : (
+                <p className="text-gray-500 dark:text-gray-400">No {breakdownColumn} data available</p>
+              )}
+            </div>
+          )}
+
+          {/* Group Forecasts */}
+          {groupForecast && smallMultiplesOptions && (
+            <div className="bg-gray-50 dark:bg-gray-900/50 rounded-lg p-4">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">
+                Forecasts by {breakdownColumn}
+              </h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                {groupForecast.method === 'none'
+                  ? `Forecast independently: over the next ${forecastSteps} ${periodUnit}s the groups add up to ${formatAmount(groupRanking.reduce((sum, row) => sum + row.upcoming, 0))} against ${formatAmount(groupForecast.total.reduce((a, b) => a + b, 0))} for the total.`
+                  : `Reconciled ${RECONCILIATION_LABELS[groupForecast.method]}: the groups add up to the total forecast.`}
+              </p>
+              <ReactECharts option={smallMultiplesOptions.options} style={{ height: smallMultiplesOptions.height }} />
+              <div className="overflow-x-auto mt-4">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-gray-200 dark:border-gray-700">
+                      <th className="text-left py-2 px-3 text-gray-600 dark:text-gray-400">#</th>
+                      <th className="text-left py-2 px-3 text-gray-600 dark:text-gray-400">{breakdownColumn}</th>
+                      <th className="text-right py-2 px-3 text-gray-600 dark:text-gray-400">Last {forecastSteps} {periodUnit}s</th>
+                      <th className="text-right py-2 px-3 text-gray-600 dark:text-gray-400">Next {forecastSteps} {periodUnit}s</th>
+                      <th className="text-right py-2 px-3 text-gray-600 dark:text-gray-400">Growth</th>
+                      <th className="text-right py-2 px-3 text-gray-600 dark:text-gray-400">Share of Forecast</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {groupRanking.map((row, i) => (
+                      <tr key={row.group} className="border-b border-gray-100 dark:border-gray-800">
+                        <td className="py-2 px-3 text-gray-500 dark:text-gray-400">{i + 1}</td>
+                        <td className="py-2 px-3 text-gray-900 dark:text-white font-medium">{row.group}</td>
+                        <td className="text-right py-2 px-3 text-gray-700 dark:text-gray-300">{formatAmount(row.recent)}</td>
+                        <td className="text-right py-2 px-3 text-blue-600 dark:text-blue-400 font-semibold">{formatAmount(row.upcoming)}</td>
+                        <td className={`text-right py-2 px-3 ${
+                          row.growth === null
+                            ? 'text-gray-500 dark:text-gray-400'
+                            : row.growth >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'
+                        }`}>
+                          {row.growth === null ? '—' : `${row.growth >= 0 ? '+' : ''}${row.growth.toFixed(1)}%`}
+                        </td>
+                        <td className="text-right py-2 px-3 text-gray-500 dark:text-gray-400">{formatMetric(row.share, '%')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
           {/* Forecast Table */}
           {forecastData && (
             <div className="bg-gray-50 dark:bg-gray-900/50 rounded-lg p-4">
@@ -453,16 +1157,16 @@ export default function TradeForecasterPanel() {
                 <table className="w-full text-sm">
                   <thead>
                     <tr className="border-b border-gray-200 dark:border-gray-700">
-                      <th className="text-left py-2 px-3 text-gray-600 dark:text-gray-400">Month</th>
+                      <th className="text-left py-2 px-3 text-gray-600 dark:text-gray-400">Period</th>
                       <th className="text-right py-2 px-3 text-gray-600 dark:text-gray-400">Predicted</th>
-                      <th className="text-right py-2 px-3 text-gray-600 dark:text-gray-400">Lower Bound</th>
-                      <th className="text-right py-2 px-3 text-gray-600 dark:text-gray-400">Upper Bound</th>
+                      <th className="text-right py-2 px-3 text-gray-600 dark:text-gray-400">Lower ({percentLabel(intervalLevels[intervalLevels.length - 1])})</th>
+                      <th className="text-right py-2 px-3 text-gray-600 dark:text-gray-400">Upper ({percentLabel(intervalLevels[intervalLevels.length - 1])})</th>
                     </tr>
                   </thead>
                   <tbody>
                     {forecastData.forecasts.map((f, i) => (
                       <tr key={i} className="border-b border-gray-100 dark:border-gray-800">
-                        <td className="py-2 px-3 text-gray-900 dark:text-white font-medium">{f.month}</td>
+                        <td className="py-2 px-3 text-gray-900 dark:text-white font-medium">{f.period}</td>
                         <td className="text-right py-2 px-3 text-blue-600 dark:text-blue-400 font-semibold">
                           {f.prediction.toLocaleString(undefined, { maximumFractionDigits: 2 })}
                         </td>
@@ -493,30 +1197,146 @@ export default function TradeForecasterPanel() {
               <div className="mt-4 bg-gray-50 dark:bg-gray-900/50 rounded-lg p-4">
                 <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
                   <div>
-                    <span className="text-gray-500 dark:text-gray-400">Alpha (Level):</span>
+                    <span className="text-gray-500 dark:text-gray-400">Model:</span>
                     <span className="ml-2 text-gray-900 dark:text-white">
-                      {trainResults[selectedType].alpha}
-                    </span>
-                  </div>
-                  <div>
-                    <span className="text-gray-500 dark:text-gray-400">Beta (Trend):</span>
-                    <span className="ml-2 text-gray-900 dark:text-white">
-                      {trainResults[selectedType].beta}
+                      {modelLabel(trainResults[selectedType].method)}
                     </span>
                   </div>
+                  {trainResults[selectedType].method === 'arima' ? (
+                    <>
+                      <div>
+                        <span className="text-gray-500 dark:text-gray-400">Order:</span>
+                        <span className="ml-2 text-gray-900 dark:text-white">
+                          {arimaLabel(trainResults[selectedType].order, trainResults[selectedType].seasonLength)}
+                        </span>
+                      </div>
+                      <div className="col-span-2">
+                        <span className="text-gray-500 dark:text-gray-400">Coefficients:</span>
+                        <span className="ml-2 text-gray-900 dark:text-white">
+                          {arimaCoefficients(trainResults[selectedType])}
+                        </span>
+                      </div>
+                      {trainResults[selectedType].mean !== null && (
+                        <div>
+                          <span className="text-gray-500 dark:text-gray-400">Mean:</span>
+                          <span className="ml-2 text-gray-900 dark:text-white">
+                            {formatAmount(trainResults[selectedType].mean, 2)}
+                          </span>
+                        </div>
+                      )}
+                      <div>
+                        <span className="text-gray-500 dark:text-gray-400">Orders:</span>
+                        <span className="ml-2 text-gray-900 dark:text-white">
+                          {trainResults[selectedType].selected ? 'selected by AIC' : 'fixed'}
+                        </span>
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                    <div>
+                      <span className="text-gray-500 dark:text-gray-400">Alpha (Level):</span>
+                      <span className="ml-2 text-gray-900 dark:text-white">
+                        {trainResults[selectedType].alpha.toFixed(3)}
+                      </span>
+                    </div>
+                    <div>
+                      <span className="text-gray-500 dark:text-gray-400">Beta (Trend):</span>
+                      <span className="ml-2 text-gray-900 dark:text-white">
+                        {trainResults[selectedType].beta.toFixed(3)}
+                      </span>
+                    </div>
+                    {trainResults[selectedType].seasonLength && (
+                      <div>
+                        <span className="text-gray-500 dark:text-gray-400">Gamma (Season):</span>
+                        <span className="ml-2 text-gray-900 dark:text-white">
+                          {trainResults[selectedType].gamma.toFixed(3)} · {trainResults[selectedType].seasonLength} per season
+                        </span>
+                      </div>
+                    )}
+                    <div>
+                      <span className="text-gray-500 dark:text-gray-400">Phi (Damping):</span>
+                      <span className="ml-2 text-gray-900 dark:text-white">
+                        {trainResults[selectedType].damped ? trainResults[selectedType].phi.toFixed(3) : 'none'}
+                      </span>
+                    </div>
+                    <div>
+                      <span className="text-gray-500 dark:text-gray-400">Parameters:</span>
+                      <span className="ml-2 text-gray-900 dark:text-white">
+                        {trainResults[selectedType].optimized ? 'fitted by one-step SSE' : 'fixed'}
+                      </span>
+                    </div>
+                    </>
+                  )}
                   <div>
                     <span className="text-gray-500 dark:text-gray-400">RMSE:</span>
                     <span className="ml-2 text-gray-900 dark:text-white">
                       {trainResults[selectedType].rmse?.toFixed(2)}
                     </span>
                   </div>
+                  {trainResults[selectedType].aic !== undefined && (
+                    <div>
+                      <span className="text-gray-500 dark:text-gray-400">AIC:</span>
+                      <span className="ml-2 text-gray-900 dark:text-white">
+                        {trainResults[selectedType].aic.toFixed(1)}
+                      </span>
+                    </div>
+                  )}
                   <div>
                     <span className="text-gray-500 dark:text-gray-400">Date Range:</span>
                     <span className="ml-2 text-gray-900 dark:text-white text-xs">
                       {trainResults[selectedType].dateRange?.start} → {trainResults[selectedType].dateRange?.end}
                     </span>
                   </div>
+                  {forecaster.processedData?.dateColumn && (
+                    <div className="col-span-2">
+                      <span className="text-gray-500 dark:text-gray-400">Series:</span>
+                      <span className="ml-2 text-gray-900 dark:text-white">
+                        {forecaster.processedData.valueColumn} by {forecaster.processedData.dateColumn},{' '}
+                        {FREQUENCY_BY_ID[forecaster.getFrequency()].label.toLowerCase()}
+                        {trainResults[selectedType].filledPoints > 0 &&
+                          ` · ${trainResults[selectedType].filledPoints} gap ${periodUnit}${trainResults[selectedType].filledPoints > 1 ? 's' : ''} filled`}
+                      </span>
+                    </div>
+                  )}
+                  <div>
+                    <span className="text-gray-500 dark:text-gray-400">Seed:</span>
+                    <span className="ml-2 text-gray-900 dark:text-white">
+                      {forecaster.seed}
+                    </span>
+                  </div>
                 </div>
+                {trainResults[selectedType].comparison?.length > 1 && (
+                  <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+                    AIC by model (lowest is chosen):{' '}
+                    {trainResults[selectedType].comparison
+                      .map(({ method, aic }) => `${modelLabel(method)} ${aic.toFixed(1)}`)
+                      .join(' · ')}
+                  </p>
+                )}
+                {trainResults[selectedType].orderComparison?.length > 1 && (
+                  <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+                    AIC by order (lowest is chosen):{' '}
+                    {trainResults[selectedType].orderComparison
+                      .map(({ order, aic }) => `${arimaLabel(order, trainResults[selectedType].seasonLength)} ${aic.toFixed(1)}`)
+                      .join(' · ')}
+                  </p>
+                )}
+                {correlograms && (
+                  <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        ACF / PACF of the differenced series
+                      </h4>
+                      <ReactECharts option={correlograms.series} style={{ height: 220 }} />
+                    </div>
+                    <div>
+                      <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        ACF of the residuals
+                      </h4>
+                      <ReactECharts option={correlograms.residuals} style={{ height: 220 }} />
+                    </div>
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -529,9 +1349,15 @@ export default function TradeForecasterPanel() {
             <ul className="text-sm text-violet-700 dark:text-violet-300 space-y-1">
               <li>• Uses <strong>Holt's Exponential Smoothing</strong> (double exponential smoothing)</li>
               <li>• Captures both level and trend in time series data</li>
+              <li>• Fits α and β (and φ for a damped trend) per series by minimizing the one-step-ahead squared error</li>
+              <li>• Holt-Winters adds a seasonal component (γ); by default each series gets the model with the lowest AIC</li>
+              <li>• ARIMA / SARIMA models differences and autoregressive terms instead, with orders selected by AIC and ACF/PACF diagnostics in the model details</li>
               <li>• R² indicates how well the model fits historical data</li>
               <li>• MAPE shows average percentage error (lower is better)</li>
-              <li>• 95% confidence intervals show prediction uncertainty</li>
+              <li>• The backtest refits the model at rolling cutoffs and scores its forecasts on the periods after each cutoff, per horizon; MASE compares its errors with a naive last-value forecast (below 1 is better)</li>
+              <li>• Prediction intervals use the model's h-step error variance, or bootstrap simulation from its residuals</li>
+              <li>• Anomalies are history points far from what the model expects (robust z-score of its one-step residuals) or from an STL trend-plus-season decomposition; Show rows lists the rows behind them in the data table</li>
+              <li>• Per-group forecasts fit a model to each of the largest breakdown groups; reconciliation makes them add up to the total (bottom-up, top-down by historical shares, or the OLS combination of both levels), and the total's forecast and intervals move with it</li>
               <li>• Best for: Trade forecasting, demand planning, budget projections</li>
             </ul>
           </div>
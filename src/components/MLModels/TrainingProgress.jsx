@@ -0,0 +1,35 @@
+/**
+ * Stage and progress bar of a model being trained in the worker, with a
+ * cancel button
+ */
+export default function TrainingProgress({ progress, onCancel }) {
+  const { stage, done, total } = progress;
+  const fraction = total > 0 ? done / total : null;
+
+  return (
+    <div className="mb-4 p-3 rounded-xl bg-slate-50 dark:bg-slate-800/50">
+      <div className="flex items-center justify-between gap-3 mb-1.5">
+        <p className="text-xs text-slate-600 dark:text-slate-300 truncate">
+          Training: {stage}
+          {fraction !== null && <> · {Math.round(fraction * 100)}%</>}
+        </p>
+        <button
+          onClick={onCancel}
+          className="px-2 py-1 rounded-lg text-xs font-medium text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+      <div className="h-2 rounded-full bg-slate-200 dark:bg-slate-700 overflow-hidden">
+        {fraction === null ? (
+          <div className="h-full w-1/3 rounded-full bg-primary-500 animate-pulse" />
+        ) : (
+          <div
+            className="h-full rounded-full bg-gradient-to-r from-primary-500 to-purple-500 transition-[width] duration-300"
+            style={{ width: `${(fraction * 100).toFixed(1)}%` }}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { trainModel, predictBatch, searchHyperparameters } from '../../ml/modelWorkerClient';
+
+/**
+ * Train one kind of model in a worker. train() resolves to the serialized
+ * model and search() to the scored hyperparameter candidates, or either to
+ * null when the run was cancelled (by cancel(), a newer run or unmounting);
+ * progress is { stage, done, total } while a run is going. One run goes at a
+ * time, so starting a search cancels a training run and vice versa.
+ * predict() runs a serialized model on a batch of samples in a worker of
+ * its own, beside any training run; it resolves to null when a newer
+ * prediction replaced it or the panel unmounted.
+ */
+export default function useModelTraining(kind) {
+  const [progress, setProgress] = useState(null);
+  const controllerRef = useRef(null);
+  const predictControllerRef = useRef(null);
+
+  // Stop running jobs when the panel goes away
+  useEffect(() => () => {
+    controllerRef.current?.abort();
+    predictControllerRef.current?.abort();
+  }, []);
+
+  // Run a worker job with a fresh abort signal, replacing any running job
+  const run = useCallback(async (job) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setProgress({ stage: 'Starting', done: 0, total: 0 });
+
+    try {
+      return await job({ signal: controller.signal, onProgress: setProgress });
+    } catch (error) {
+      if (controller.signal.aborted) return null;
+      throw error;
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setProgress(null);
+      }
+    }
+  }, []);
+
+  const train = useCallback(
+    (table, options) => run(control => trainModel(kind, table, options, control)),
+    [kind, run]
+  );
+
+  const search = useCallback(
+    (table, candidates, options) => run(control => searchHyperparameters(kind, table, candidates, options, control)),
+    [kind, run]
+  );
+
+  const predict = useCallback(async (model, samples) => {
+    predictControllerRef.current?.abort();
+    const controller = new AbortController();
+    predictControllerRef.current = controller;
+
+    try {
+      return await predictBatch(kind, model, samples, { signal: controller.signal });
+    } catch (error) {
+      if (controller.signal.aborted) return null;
+      throw error;
+    } finally {
+      if (predictControllerRef.current === controller) predictControllerRef.current = null;
+    }
+  }, [kind]);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  return { train, search, predict, cancel, progress, isTraining: progress !== null };
+}
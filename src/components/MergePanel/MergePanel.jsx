@@ -1,5 +1,7 @@
 import { useState, useMemo } from 'react';
 import useDataStore from '../../store/useDataStore';
+import { inferAndParseTable } from '../../data/columnarTable';
+import { concatTables, joinTables } from '../../data/tableView';
 
 const MergeIcon = () => (
   <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -14,6 +16,30 @@ const CloseIcon = () => (
   </svg>
 );
 
+// Source [dataSet, column] pairs of each merged column: a stacked column's
+// in both datasets, otherwise the one its values are read from (the left
+// dataset for the join key, the right one on a prefixed name clash)
+function mergedColumnSources(mergeType, left, right, joinColumn, leftPrefix, rightPrefix) {
+  if (mergeType === 'union') {
+    const columns = [...new Set([...left.columns, ...right.columns])];
+    return new Map(columns.map((col) => [
+      col,
+      [left, right].filter((ds) => ds.columns.includes(col)).map((ds) => [ds, col]),
+    ]));
+  }
+
+  const sources = new Map([[joinColumn, [[left, joinColumn]]]]);
+  left.columns.filter((col) => col !== joinColumn).forEach((col) => {
+    sources.set(`${leftPrefix}${col}`, [[left, col]]);
+  });
+  right.columns.filter((col) => col !== joinColumn).forEach((col) => {
+    sources.set(`${rightPrefix}${col}`, [[right, col]]);
+  });
+  return sources;
+}
+
+const sameFormat = (a, b) => JSON.stringify(a ?? {}) === JSON.stringify(b ?? {});
+
 export default function MergePanel() {
   const { dataSets, addDataSet } = useDataStore();
   const [isOpen, setIsOpen] = useState(false);
@@ -45,135 +71,53 @@ export default function MergePanel() {
     setIsProcessing(true);
 
     try {
-      let mergedData = [];
-      let mergedColumns = [];
+      let merged;
+      const leftPrefix = `${selectedDataset1.name.slice(0, 10)}_`;
+      const rightPrefix = `${selectedDataset2.name.slice(0, 10)}_`;
 
       if (mergeType === 'union') {
         // Union: Stack datasets vertically (same columns)
-        const allColumns = [
-          ...new Set([...selectedDataset1.columns, ...selectedDataset2.columns]),
-        ];
-        mergedColumns = allColumns;
-
-        // Add data from dataset1
-        selectedDataset1.data.forEach((row) => {
-          const newRow = {};
-          allColumns.forEach((col) => {
-            newRow[col] = row[col] ?? null;
-          });
-          mergedData.push(newRow);
-        });
-
-        // Add data from dataset2
-        selectedDataset2.data.forEach((row) => {
-          const newRow = {};
-          allColumns.forEach((col) => {
-            newRow[col] = row[col] ?? null;
-          });
-          mergedData.push(newRow);
-        });
+        merged = concatTables(selectedDataset1.table, selectedDataset2.table);
       } else {
         // Join operations require a common column
         if (!joinColumn) {
           throw new Error('Please select a column to join on');
         }
 
-        // Get all columns (prefixing duplicates)
-        const ds1Cols = selectedDataset1.columns.map((col) =>
-          col === joinColumn ? col : `${selectedDataset1.name.slice(0, 10)}_${col}`
-        );
-        const ds2Cols = selectedDataset2.columns
-          .filter((col) => col !== joinColumn)
-          .map((col) => `${selectedDataset2.name.slice(0, 10)}_${col}`);
-
-        mergedColumns = [...new Set([joinColumn, ...ds1Cols.filter(c => c !== joinColumn), ...ds2Cols])];
-
-        // Create lookup for dataset2
-        const ds2Lookup = new Map();
-        selectedDataset2.data.forEach((row) => {
-          const key = String(row[joinColumn]);
-          if (!ds2Lookup.has(key)) {
-            ds2Lookup.set(key, []);
-          }
-          ds2Lookup.get(key).push(row);
+        // Inner join keeps only matching rows; left join keeps every row of
+        // dataset1. Non-key columns are prefixed with their dataset's name.
+        merged = joinTables(selectedDataset1.table, selectedDataset2.table, joinColumn, {
+          how: mergeType,
+          leftPrefix,
+          rightPrefix,
         });
-
-        if (mergeType === 'inner') {
-          // Inner join: Only matching rows
-          selectedDataset1.data.forEach((row1) => {
-            const key = String(row1[joinColumn]);
-            const matchingRows = ds2Lookup.get(key) || [];
-
-            matchingRows.forEach((row2) => {
-              const newRow = { [joinColumn]: row1[joinColumn] };
-
-              // Add dataset1 columns
-              selectedDataset1.columns.forEach((col) => {
-                if (col !== joinColumn) {
-                  newRow[`${selectedDataset1.name.slice(0, 10)}_${col}`] = row1[col];
-                }
-              });
-
-              // Add dataset2 columns
-              selectedDataset2.columns.forEach((col) => {
-                if (col !== joinColumn) {
-                  newRow[`${selectedDataset2.name.slice(0, 10)}_${col}`] = row2[col];
-                }
-              });
-
-              mergedData.push(newRow);
-            });
-          });
-        } else if (mergeType === 'left') {
-          // Left join: All rows from dataset1, matching from dataset2
-          selectedDataset1.data.forEach((row1) => {
-            const key = String(row1[joinColumn]);
-            const matchingRows = ds2Lookup.get(key) || [null];
-
-            matchingRows.forEach((row2) => {
-              const newRow = { [joinColumn]: row1[joinColumn] };
-
-              // Add dataset1 columns
-              selectedDataset1.columns.forEach((col) => {
-                if (col !== joinColumn) {
-                  newRow[`${selectedDataset1.name.slice(0, 10)}_${col}`] = row1[col];
-                }
-              });
-
-              // Add dataset2 columns
-              selectedDataset2.columns.forEach((col) => {
-                if (col !== joinColumn) {
-                  newRow[`${selectedDataset2.name.slice(0, 10)}_${col}`] = row2?.[col] ?? null;
-                }
-              });
-
-              mergedData.push(newRow);
-            });
-          });
-        }
       }
 
-      // Detect column types
-      const columnTypes = {};
-      mergedColumns.forEach((col) => {
-        const sampleValues = mergedData.slice(0, 100).map((row) => row[col]).filter((v) => v != null);
-        const numericCount = sampleValues.filter((v) => !isNaN(parseFloat(v)) && isFinite(v)).length;
-
-        if (numericCount / sampleValues.length > 0.8) {
-          columnTypes[col] = 'number';
-        } else {
-          columnTypes[col] = 'string';
-        }
+      // Keep the source datasets' types and formats (including overrides);
+      // only columns whose sources disagree are inferred again
+      const sources = mergedColumnSources(mergeType, selectedDataset1, selectedDataset2, joinColumn, leftPrefix, rightPrefix);
+      const carriedFormats = {};
+      const columnsToInfer = merged.columns.filter((col) => {
+        const [first, ...rest] = (sources.get(col) || []).map(([ds, column]) => ({
+          type: ds.columnTypes?.[column],
+          format: ds.columnFormats?.[column],
+        }));
+        const agree = first?.type && rest.every(({ type, format }) => type === first.type && sameFormat(format, first.format));
+        if (agree) carriedFormats[col] = first.format ?? {};
+        return !agree;
       });
+      const typed = inferAndParseTable(merged, { columns: columnsToInfer });
 
       // Add merged dataset
       addDataSet({
         name: `Merged_${selectedDataset1.name.slice(0, 15)}_${selectedDataset2.name.slice(0, 15)}`,
-        data: mergedData,
-        columns: mergedColumns,
-        columnTypes,
+        table: typed.table,
+        columns: typed.table.columns,
+        columnTypes: typed.columnTypes,
+        columnFormats: { ...carriedFormats, ...typed.columnFormats },
+        sourceValues: {},
         source: 'merged',
-        rowCount: mergedData.length,
+        rowCount: typed.table.rowCount,
         uploadedAt: new Date().toISOString(),
       });
 
@@ -274,7 +218,7 @@ export default function MergePanel() {
                   <option value="">Select dataset...</option>
                   {dataSets.map((ds) => (
                     <option key={ds.id} value={ds.id}>
-                      {ds.name} ({ds.data.length.toLocaleString()} rows)
+                      {ds.name} ({ds.rowCount.toLocaleString()} rows)
                     </option>
                   ))}
                 </select>
@@ -298,7 +242,7 @@ export default function MergePanel() {
                     .filter((ds) => ds.id !== dataset1)
                     .map((ds) => (
                       <option key={ds.id} value={ds.id}>
-                        {ds.name} ({ds.data.length.toLocaleString()} rows)
+                        {ds.name} ({ds.rowCount.toLocaleString()} rows)
                       </option>
                     ))}
                 </select>
@@ -336,7 +280,7 @@ export default function MergePanel() {
                     <strong>Result preview:</strong>
                     {mergeType === 'union' ? (
                       <span className="block mt-1">
-                        ≈ {((selectedDataset1?.data.length || 0) + (selectedDataset2?.data.length || 0)).toLocaleString()} rows
+                        ≈ {((selectedDataset1?.rowCount || 0) + (selectedDataset2?.rowCount || 0)).toLocaleString()} rows
                         × {new Set([...(selectedDataset1?.columns || []), ...(selectedDataset2?.columns || [])]).size} columns
                       </span>
                     ) : (
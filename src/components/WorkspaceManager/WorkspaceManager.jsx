@@ -0,0 +1,218 @@
+import { useState, useEffect, useCallback } from 'react';
+import useDataStore from '../../store/useDataStore';
+import { listWorkspaces, saveWorkspace, loadWorkspace, deleteWorkspace } from '../../store/workspaceStorage';
+
+const FolderIcon = () => (
+  <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2}
+      d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z" />
+  </svg>
+);
+
+const CloseIcon = () => (
+  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+  </svg>
+);
+
+const TrashIcon = () => (
+  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2}
+      d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+  </svg>
+);
+
+export default function WorkspaceManager() {
+  const {
+    dataSets,
+    currentWorkspace,
+    getWorkspaceSnapshot,
+    loadWorkspaceSnapshot,
+    setCurrentWorkspace,
+    setError,
+  } = useDataStore();
+  const [isOpen, setIsOpen] = useState(false);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspaceName, setWorkspaceName] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  const refreshWorkspaces = useCallback(async () => {
+    try {
+      setWorkspaces(await listWorkspaces());
+    } catch (error) {
+      setError(`Failed to list workspaces: ${error.message}`);
+    }
+  }, [setError]);
+
+  useEffect(() => {
+    if (isOpen) {
+      refreshWorkspaces();
+    }
+  }, [isOpen, refreshWorkspaces]);
+
+  const handleOpen = () => {
+    setWorkspaceName(currentWorkspace?.name || '');
+    setIsOpen(!isOpen);
+  };
+
+  const handleSave = async () => {
+    setBusyId('save');
+    try {
+      const meta = await saveWorkspace(workspaceName, getWorkspaceSnapshot());
+      setCurrentWorkspace({ id: meta.id, name: meta.name });
+      await refreshWorkspaces();
+    } catch (error) {
+      setError(`Failed to save workspace: ${error.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleLoad = async (id) => {
+    setBusyId(id);
+    try {
+      const { meta, snapshot } = await loadWorkspace(id);
+      loadWorkspaceSnapshot(snapshot, { id: meta.id, name: meta.name });
+      setIsOpen(false);
+    } catch (error) {
+      setError(`Failed to load workspace: ${error.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    setBusyId(id);
+    try {
+      await deleteWorkspace(id);
+      if (currentWorkspace?.id === id) {
+        setCurrentWorkspace(null);
+      }
+      await refreshWorkspaces();
+    } catch (error) {
+      setError(`Failed to delete workspace: ${error.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const nameExists = workspaces.some((ws) => ws.name === workspaceName.trim());
+
+  return (
+    <div className="relative">
+      <button
+        onClick={handleOpen}
+        className="btn-secondary flex items-center gap-2 py-1.5"
+        title="Save or restore a workspace"
+      >
+        <FolderIcon />
+        <span className="hidden md:inline max-w-[10rem] truncate">
+          {currentWorkspace?.name || 'Workspaces'}
+        </span>
+      </button>
+
+      {isOpen && (
+        <>
+          {/* Backdrop */}
+          <div
+            className="fixed inset-0 z-40"
+            onClick={() => setIsOpen(false)}
+          />
+
+          {/* Dropdown */}
+          <div className="absolute right-0 top-full mt-2 w-96 card p-4 z-50 animate-slide-up">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="font-semibold text-slate-800 dark:text-slate-200">
+                Workspaces
+              </h3>
+              <button
+                onClick={() => setIsOpen(false)}
+                className="p-1 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 text-slate-500 transition-colors"
+              >
+                <CloseIcon />
+              </button>
+            </div>
+
+            {/* Save current workspace */}
+            <div className="space-y-2 mb-4">
+              <label className="text-sm font-medium text-slate-700 dark:text-slate-300 block">
+                Save current workspace
+              </label>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={workspaceName}
+                  onChange={(e) => setWorkspaceName(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && workspaceName.trim() && handleSave()}
+                  placeholder="e.g. Morning coffee dashboard"
+                  className="input flex-1"
+                />
+                <button
+                  onClick={handleSave}
+                  disabled={!workspaceName.trim() || dataSets.length === 0 || busyId !== null}
+                  className="btn-primary px-4"
+                >
+                  {nameExists ? 'Update' : 'Save'}
+                </button>
+              </div>
+              <p className="text-xs text-slate-500 dark:text-slate-400">
+                Saves datasets, column types, charts and trained models in this browser.
+              </p>
+            </div>
+
+            {/* Saved workspaces */}
+            <div className="border-t border-slate-200 dark:border-slate-700 pt-3">
+              {workspaces.length === 0 ? (
+                <p className="text-sm text-slate-500 dark:text-slate-400 text-center py-4">
+                  No saved workspaces yet.
+                </p>
+              ) : (
+                <div className="space-y-2 max-h-72 overflow-y-auto pr-1">
+                  {workspaces.map((ws) => (
+                    <div
+                      key={ws.id}
+                      className={`flex items-center gap-3 p-2.5 rounded-xl border ${
+                        ws.id === currentWorkspace?.id
+                          ? 'bg-primary-50 dark:bg-primary-900/20 border-primary-200 dark:border-primary-800'
+                          : 'bg-slate-50 dark:bg-slate-800/50 border-transparent'
+                      }`}
+                    >
+                      <div className="flex-1 min-w-0">
+                        <p className="font-medium text-sm text-slate-800 dark:text-slate-200 truncate">
+                          {ws.name}
+                        </p>
+                        <p className="text-xs text-slate-500 dark:text-slate-400">
+                          {ws.dataSetCount} dataset{ws.dataSetCount !== 1 ? 's' : ''} · {ws.rowCount.toLocaleString()} rows
+                          · {ws.chartCount} chart{ws.chartCount !== 1 ? 's' : ''}
+                          {ws.modelCount > 0 && ` · ${ws.modelCount} model${ws.modelCount !== 1 ? 's' : ''}`}
+                        </p>
+                        <p className="text-xs text-slate-400 dark:text-slate-500">
+                          Saved {new Date(ws.savedAt).toLocaleString()}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => handleLoad(ws.id)}
+                        disabled={busyId !== null}
+                        className="shrink-0 px-3 py-1.5 rounded-lg text-sm font-medium bg-primary-500 hover:bg-primary-600 text-white transition-colors disabled:opacity-50"
+                      >
+                        {busyId === ws.id ? '...' : 'Load'}
+                      </button>
+                      <button
+                        onClick={() => handleDelete(ws.id)}
+                        disabled={busyId !== null}
+                        className="shrink-0 p-1.5 rounded-lg text-slate-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors disabled:opacity-50"
+                        title="Delete workspace"
+                      >
+                        <TrashIcon />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,273 @@
+/**
+ * Columnar Table Storage
+ *
+ * Keeps dataset values column by column instead of as one object per row.
+ * Number and currency columns live in Float64Arrays (NaN marks a missing
+ * value) and boolean columns in Uint8Arrays, so millions of rows cost a few
+ * bytes per cell. Other columns are dictionary-encoded: each distinct value is
+ * stored once and rows hold an Int32Array of codes (-1 for missing). The few
+ * values of a typed column that did not parse are kept in a sparse overflow
+ * Map by row index.
+ *
+ * A table is a plain object { rowCount, columns, columnTypes, vectors,
+ * overflow } so it can be structured-cloned into IndexedDB and transferred
+ * from a worker.
+ */
+
+import { isNumericType, inferColumnTypes, parseValue } from './typeInference';
+
+const BOOLEAN_NULL = 2;
+const INITIAL_CAPACITY = 1024;
+const INFERENCE_SAMPLE_ROWS = 100;
+const CONVERTED_TYPES = new Set(['number', 'currency', 'boolean']);
+
+const storageFor = (type) => {
+  if (isNumericType(type)) return Float64Array;
+  if (type === 'boolean') return Uint8Array;
+  return null;
+};
+
+const isDictionary = (vector) => vector.codes !== undefined;
+
+const isMissing = (value) => value === null || value === undefined;
+
+// Encode a value for a typed vector; undefined when it does not fit
+const encodeValue = (Storage, value) => {
+  if (Storage === Float64Array) {
+    if (isMissing(value)) return NaN;
+    return typeof value === 'number' ? value : undefined;
+  }
+  if (isMissing(value)) return BOOLEAN_NULL;
+  return typeof value === 'boolean' ? Number(value) : undefined;
+};
+
+/**
+ * Build a function that reads one cell of a vector by row index. Missing
+ * cells of a typed vector are looked up in its overflow Map.
+ */
+function vectorReader(vector, overflow = null) {
+  if (isDictionary(vector)) {
+    const { codes, dictionary } = vector;
+    return (i) => (codes[i] < 0 ? null : dictionary[codes[i]]);
+  }
+  if (vector instanceof Float64Array) {
+    return (i) => {
+      const value = vector[i];
+      return Number.isNaN(value) ? (overflow?.get(i) ?? null) : value;
+    };
+  }
+  if (vector instanceof Uint8Array) {
+    return (i) => (vector[i] === BOOLEAN_NULL ? (overflow?.get(i) ?? null) : vector[i] === 1);
+  }
+  return () => null;
+}
+
+/**
+ * Build a table row by row. append() takes an array of values in column
+ * order; values that do not fit a typed column go to its overflow Map.
+ */
+export function createTableBuilder(columns, columnTypes, { capacity = INITIAL_CAPACITY } = {}) {
+  let size = Math.max(1, capacity);
+  let rowCount = 0;
+  const vectors = columns.map((col) => {
+    const Storage = storageFor(columnTypes[col]);
+    return Storage ? new Storage(size) : new Int32Array(size);
+  });
+  // Per dictionary column: the distinct values and a value -> code lookup
+  const dictionaries = columns.map((col) => (storageFor(columnTypes[col]) ? null : []));
+  const lookups = columns.map((col) => (storageFor(columnTypes[col]) ? null : new Map()));
+  const overflow = columns.map(() => null);
+
+  const grow = () => {
+    size *= 2;
+    vectors.forEach((vector, c) => {
+      const next = new vector.constructor(size);
+      next.set(vector);
+      vectors[c] = next;
+    });
+  };
+
+  const encodeDictionary = (c, value) => {
+    if (isMissing(value)) return -1;
+    let code = lookups[c].get(value);
+    if (code === undefined) {
+      code = dictionaries[c].length;
+      dictionaries[c].push(value);
+      lookups[c].set(value, code);
+    }
+    return code;
+  };
+
+  return {
+    get rowCount() {
+      return rowCount;
+    },
+
+    append(values) {
+      if (rowCount === size) grow();
+      for (let c = 0; c < vectors.length; c++) {
+        const vector = vectors[c];
+        const value = values[c] ?? null;
+        if (dictionaries[c]) {
+          vector[rowCount] = encodeDictionary(c, value);
+          continue;
+        }
+        const encoded = encodeValue(vector.constructor, value);
+        if (encoded === undefined) {
+          vector[rowCount] = encodeValue(vector.constructor, null);
+          overflow[c] = overflow[c] || new Map();
+          overflow[c].set(rowCount, value);
+        } else {
+          vector[rowCount] = encoded;
+        }
+      }
+      rowCount++;
+    },
+
+    finish() {
+      return {
+        rowCount,
+        columns: [...columns],
+        columnTypes: { ...columnTypes },
+        vectors: Object.fromEntries(columns.map((col, c) => [
+          col,
+          dictionaries[c]
+            ? { codes: vectors[c].slice(0, rowCount), dictionary: dictionaries[c] }
+            : vectors[c].slice(0, rowCount),
+        ])),
+        overflow: Object.fromEntries(columns
+          .map((col, c) => [col, overflow[c]])
+          .filter(([, values]) => values)),
+      };
+    },
+  };
+}
+
+/**
+ * Build a table from row objects
+ */
+export function tableFromRows(rows, columns, columnTypes) {
+  const builder = createTableBuilder(columns, columnTypes, { capacity: rows.length });
+  rows.forEach((row) => {
+    builder.append(columns.map((col) => row[col]));
+  });
+  return builder.finish();
+}
+
+/**
+ * Build a function that reads one column of a table by row index
+ */
+export function columnReader(table, column) {
+  const vector = table.vectors[column];
+  return vector ? vectorReader(vector, table.overflow?.[column]) : () => null;
+}
+
+/**
+ * Read a single cell
+ */
+export function getCell(table, column, rowIndex) {
+  return columnReader(table, column)(rowIndex);
+}
+
+/**
+ * Read a whole column as a plain array of values
+ */
+export function getColumnValues(table, column) {
+  const read = columnReader(table, column);
+  return Array.from({ length: table.rowCount }, (_, i) => read(i));
+}
+
+/**
+ * Materialize every row as an object
+ */
+export function tableToRows(table) {
+  const readers = table.columns.map((col) => columnReader(table, col));
+  const rows = new Array(table.rowCount);
+  for (let i = 0; i < table.rowCount; i++) {
+    const row = {};
+    table.columns.forEach((col, c) => {
+      row[col] = readers[c](i);
+    });
+    rows[i] = row;
+  }
+  return rows;
+}
+
+/**
+ * Return a copy of the table with one column's values (and type) replaced.
+ * The other vectors are shared.
+ */
+export function replaceColumn(table, column, values, type) {
+  const single = createTableBuilder([column], { [column]: type }, { capacity: values.length });
+  values.forEach((value) => single.append([value]));
+  const replacement = single.finish();
+
+  const overflow = { ...table.overflow };
+  delete overflow[column];
+  if (replacement.overflow[column]) overflow[column] = replacement.overflow[column];
+
+  return {
+    ...table,
+    columnTypes: { ...table.columnTypes, [column]: type },
+    vectors: { ...table.vectors, [column]: replacement.vectors[column] },
+    overflow,
+  };
+}
+
+/**
+ * Infer the types of a table's columns from its first rows and re-store the
+ * columns that hold number, currency or boolean text as parsed values (the
+ * columnar counterpart of inferAndParseColumns). Pass `columns` to infer only
+ * those; the others keep their stored type. Returns { table, columnTypes,
+ * columnFormats }, the formats covering the inferred columns.
+ */
+export function inferAndParseTable(table, { columns = table.columns, ...options } = {}) {
+  const sample = Array.from({ length: Math.min(table.rowCount, INFERENCE_SAMPLE_ROWS) }, (_, i) => i);
+  const sampleRows = sample.map((i) =>
+    Object.fromEntries(columns.map((col) => [col, getCell(table, col, i)]))
+  );
+  const inferred = inferColumnTypes(sampleRows, columns, options);
+  const columnTypes = { ...table.columnTypes, ...inferred.columnTypes };
+  const { columnFormats } = inferred;
+
+  let parsed = table;
+  columns.forEach((col) => {
+    const type = columnTypes[col];
+    if (type === table.columnTypes[col]) return;
+
+    const values = getColumnValues(table, col);
+    const converted = CONVERTED_TYPES.has(type)
+      ? values.map((value) => {
+        if (typeof value !== 'string') return value;
+        const result = parseValue(value, type, columnFormats[col]);
+        return result === undefined ? value : result;
+      })
+      : values;
+    parsed = replaceColumn(parsed, col, converted, type);
+  });
+
+  return { table: parsed, columnTypes, columnFormats };
+}
+
+/**
+ * The ArrayBuffers backing a table's typed vectors, for postMessage transfer
+ */
+export function tableTransferables(table) {
+  return Object.values(table.vectors).map((vector) => (isDictionary(vector) ? vector.codes.buffer : vector.buffer));
+}
+
+/**
+ * A column's storage: a Float64Array, a Uint8Array of booleans (2 = missing)
+ * or a dictionary { codes, dictionary }. Used by the view operators to work
+ * on codes and numbers directly.
+ */
+export function getVector(table, column) {
+  return table.vectors[column] || null;
+}
+
+/**
+ * Values of a typed column that did not fit its storage, by row index
+ */
+export function getOverflow(table, column) {
+  return table.overflow?.[column] || null;
+}
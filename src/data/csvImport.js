@@ -0,0 +1,344 @@
+/**
+ * CSV Import
+ *
+ * Decodes a delimited text file with a chosen encoding and parses it with
+ * PapaParse using user-controlled options (delimiter, quote character, rows
+ * to skip, header row, number separators and null tokens). Parse problems are
+ * returned per row so the import dialog can show them.
+ *
+ * The dialog previews the start of the file as text; the import itself
+ * streams the file in chunks into a columnar table, reporting progress and
+ * stopping when its AbortSignal fires.
+ */
+
+import Papa from 'papaparse';
+import { inferAndParseColumns, inferColumnTypes, parseValue } from './typeInference';
+import { createTableBuilder } from './columnarTable';
+
+export const ENCODINGS = [
+  { id: 'utf-8', label: 'UTF-8' },
+  { id: 'windows-1252', label: 'Windows-1252 (Western European)' },
+  { id: 'iso-8859-1', label: 'ISO-8859-1 (Latin-1)' },
+  { id: 'iso-8859-15', label: 'ISO-8859-15 (Latin-9, with €)' },
+  { id: 'utf-16le', label: 'UTF-16 LE' },
+  { id: 'utf-16be', label: 'UTF-16 BE' },
+];
+
+export const DELIMITERS = [
+  { id: '', label: 'Auto-detect' },
+  { id: ',', label: 'Comma ( , )' },
+  { id: ';', label: 'Semicolon ( ; )' },
+  { id: '\t', label: 'Tab' },
+  { id: '|', label: 'Pipe ( | )' },
+];
+
+export const QUOTE_CHARS = [
+  { id: '"', label: 'Double quote ( " )' },
+  { id: "'", label: "Single quote ( ' )" },
+];
+
+export const THOUSANDS_SEPARATORS = [
+  { id: '', label: 'Auto' },
+  { id: ',', label: 'Comma ( , )' },
+  { id: '.', label: 'Dot ( . )' },
+  { id: ' ', label: 'Space' },
+  { id: 'none', label: 'None' },
+];
+
+export const DEFAULT_CSV_OPTIONS = {
+  encoding: 'utf-8',
+  delimiter: '',
+  quoteChar: '"',
+  hasHeader: true,
+  skipRows: 0,
+  decimalSeparator: '', // '' = detect per column
+  thousandsSeparator: '', // '' = the other of "," and "."
+  nullTokens: 'NA, N/A, NULL',
+};
+
+// Bytes of a file read for the import dialog preview
+export const PREVIEW_BYTES = 1024 * 1024;
+
+// Bytes parsed per chunk when streaming, and rows sampled to infer types
+const STREAM_CHUNK_BYTES = 4 * 1024 * 1024;
+const INFERENCE_SAMPLE_ROWS = 1000;
+const MAX_ROW_ERRORS = 1000;
+
+const CONVERTED_TYPES = new Set(['number', 'currency', 'boolean']);
+
+/**
+ * Read a file (or a slice of it) into an ArrayBuffer so it can be decoded
+ * with any encoding. onProgress receives (bytesRead, totalBytes).
+ */
+export function readFileBuffer(file, { onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    if (onProgress) {
+      reader.onprogress = (e) => onProgress(e.loaded, e.total);
+    }
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+/**
+ * Guess the encoding from a byte order mark, falling back to Windows-1252
+ * when the bytes are not valid UTF-8
+ */
+export function detectEncoding(buffer) {
+  const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 4));
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+  try {
+    // Streaming mode tolerates a character cut off at the end of a preview slice
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return 'utf-8';
+  } catch {
+    return 'windows-1252';
+  }
+}
+
+/**
+ * Decode a buffer to text (the decoder drops any byte order mark)
+ */
+export function decodeText(buffer, encoding) {
+  return new TextDecoder(encoding).decode(buffer);
+}
+
+const parseNullTokens = (nullTokens) =>
+  new Set(nullTokens.split(',').map((token) => token.trim()).filter(Boolean));
+
+/**
+ * Group parse problems by row: [{ row, messages }], row being the 1-based
+ * record number in the file, or null for problems not tied to a row
+ */
+function groupErrorsByRow(errors) {
+  const byRow = new Map();
+  errors.forEach(({ row, message }) => {
+    if (!byRow.has(row)) byRow.set(row, []);
+    byRow.get(row).push(message);
+  });
+  return [...byRow.entries()]
+    .sort((a, b) => (a[0] ?? 0) - (b[0] ?? 0))
+    .map(([row, messages]) => ({ row, messages }));
+}
+
+/**
+ * Make column names from the header record (or "Column n"), unique
+ */
+function buildColumnNames(headerRecord, width) {
+  const seen = new Map();
+  return Array.from({ length: width }, (_, c) => {
+    const raw = headerRecord ? String(headerRecord[c] ?? '').trim() : '';
+    const name = raw || `Column ${c + 1}`;
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    return count > 1 ? `${name} (${count})` : name;
+  });
+}
+
+// Blank cells and null tokens become null
+const cleanCell = (value, nullTokens) => {
+  const trimmed = value === undefined ? '' : value.trim();
+  return trimmed === '' || nullTokens.has(trimmed) ? null : value;
+};
+
+// Separator options in the shape the type inference expects
+const separatorOptions = (opts) => ({
+  decimalSeparator: opts.decimalSeparator || null,
+  thousandsSeparator: opts.thousandsSeparator === 'none' ? '' : (opts.thousandsSeparator || null),
+});
+
+/**
+ * Parse CSV text into { data, columns, columnTypes, columnFormats,
+ * sourceValues, rowErrors, delimiter }. Pass `previewRows` to only parse the
+ * first data rows.
+ */
+export function parseCSVText(text, options = DEFAULT_CSV_OPTIONS, { previewRows = null } = {}) {
+  const opts = { ...DEFAULT_CSV_OPTIONS, ...options };
+  const skipRows = Math.max(0, parseInt(opts.skipRows, 10) || 0);
+  const headerRows = opts.hasHeader ? 1 : 0;
+
+  const results = Papa.parse(text, {
+    delimiter: opts.delimiter,
+    quoteChar: opts.quoteChar,
+    skipEmptyLines: 'greedy',
+    preview: previewRows ? skipRows + headerRows + previewRows : 0,
+  });
+
+  const records = results.data.slice(skipRows);
+  const width = Math.max(0, ...records.map((record) => record.length));
+
+  const columns = buildColumnNames(opts.hasHeader ? records[0] : null, width);
+  const expectedFields = opts.hasHeader ? (records[0]?.length ?? 0) : width;
+
+  const errors = results.errors.map((error) => ({
+    row: error.row === undefined ? null : error.row + 1,
+    message: error.message,
+  }));
+
+  const nullTokens = parseNullTokens(opts.nullTokens);
+  const data = records.slice(headerRows).map((record, i) => {
+    if (record.length !== expectedFields) {
+      errors.push({
+        row: skipRows + headerRows + i + 1,
+        message: `Expected ${expectedFields} fields but found ${record.length}`,
+      });
+    }
+
+    const row = {};
+    columns.forEach((col, c) => {
+      row[col] = cleanCell(record[c], nullTokens);
+    });
+    return row;
+  });
+
+  const typed = inferAndParseColumns(data, columns, separatorOptions(opts));
+
+  return {
+    columns,
+    ...typed,
+    rowErrors: groupErrorsByRow(errors),
+    delimiter: results.meta.delimiter,
+  };
+}
+
+/**
+ * Stream a delimited file into a columnar table with the dialog's options.
+ * Types are inferred from the first rows; number, currency and boolean
+ * values are parsed as they arrive.
+ *
+ * onProgress receives { rows, bytes, totalBytes }. Aborting the signal stops
+ * the parser and rejects with the signal's reason. Resolves to { table, columns,
+ * columnTypes, columnFormats, rowErrors, problemRowCount, delimiter };
+ * rowErrors lists at most the first 1000 problem rows.
+ */
+export function streamCSVFile(file, options = DEFAULT_CSV_OPTIONS, { signal, onProgress } = {}) {
+  const opts = { ...DEFAULT_CSV_OPTIONS, ...options };
+  const skipRows = Math.max(0, parseInt(opts.skipRows, 10) || 0);
+  const nullTokens = parseNullTokens(opts.nullTokens);
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    let recordIndex = 0; // records seen so far, including skipped and header rows
+    let columns = null;
+    let expectedFields = 0;
+    let typed = null;
+    let builder = null;
+    let sample = []; // cleaned rows held back until the types are inferred
+    let delimiter = opts.delimiter;
+    const errorsByRow = new Map();
+    let problemRowCount = 0;
+
+    const addError = (row, message) => {
+      if (!errorsByRow.has(row)) {
+        if (row !== null) problemRowCount++;
+        if (errorsByRow.size >= MAX_ROW_ERRORS) return;
+        errorsByRow.set(row, []);
+      }
+      errorsByRow.get(row).push(message);
+    };
+
+    const appendRow = (cells) => {
+      builder.append(columns.map((col, c) => {
+        const value = cells[c];
+        if (typeof value !== 'string' || !CONVERTED_TYPES.has(typed.columnTypes[col])) return value;
+        const parsed = parseValue(value, typed.columnTypes[col], typed.columnFormats[col]);
+        return parsed === undefined ? value : parsed;
+      }));
+    };
+
+    // Infer the column types from the sample and flush it into the table
+    const startTable = () => {
+      const rows = sample.map((cells) => Object.fromEntries(columns.map((col, c) => [col, cells[c]])));
+      typed = inferColumnTypes(rows, columns, { sampleSize: INFERENCE_SAMPLE_ROWS, ...separatorOptions(opts) });
+      builder = createTableBuilder(columns, typed.columnTypes, { capacity: Math.max(sample.length, 1024) });
+      sample.forEach(appendRow);
+      sample = [];
+    };
+
+    const handleRecord = (record) => {
+      recordIndex++;
+      if (recordIndex <= skipRows) return;
+
+      if (!columns) {
+        if (opts.hasHeader) {
+          columns = buildColumnNames(record, record.length);
+          expectedFields = record.length;
+          return;
+        }
+        columns = buildColumnNames(null, record.length);
+        expectedFields = record.length;
+      }
+
+      if (record.length !== expectedFields) {
+        addError(recordIndex, `Expected ${expectedFields} fields but found ${record.length}`);
+      }
+
+      const cells = columns.map((_, c) => cleanCell(record[c], nullTokens));
+      if (builder) {
+        appendRow(cells);
+      } else {
+        sample.push(cells);
+        if (sample.length >= INFERENCE_SAMPLE_ROWS) startTable();
+      }
+    };
+
+    Papa.parse(file, {
+      delimiter: opts.delimiter,
+      quoteChar: opts.quoteChar,
+      skipEmptyLines: 'greedy',
+      encoding: opts.encoding,
+      chunkSize: STREAM_CHUNK_BYTES,
+      chunk: (results, parser) => {
+        if (signal?.aborted) {
+          parser.abort();
+          return;
+        }
+
+        const chunkStart = recordIndex;
+        delimiter = results.meta.delimiter || delimiter;
+        results.errors.forEach((error) => {
+          addError(error.row === undefined ? null : chunkStart + error.row + 1, error.message);
+        });
+        results.data.forEach(handleRecord);
+
+        onProgress?.({
+          rows: (builder?.rowCount ?? 0) + sample.length,
+          bytes: Math.min(results.meta.cursor, file.size),
+          totalBytes: file.size,
+        });
+      },
+      complete: () => {
+        if (signal?.aborted) {
+          reject(signal.reason);
+          return;
+        }
+
+        columns = columns || [];
+        if (!builder) startTable();
+
+        const rowErrors = [...errorsByRow.entries()]
+          .sort((a, b) => (a[0] ?? 0) - (b[0] ?? 0))
+          .map(([row, messages]) => ({ row, messages }));
+
+        resolve({
+          table: builder.finish(),
+          columns,
+          columnTypes: typed.columnTypes,
+          columnFormats: typed.columnFormats,
+          rowErrors,
+          problemRowCount,
+          delimiter,
+        });
+      },
+      error: (error) => reject(new Error(`CSV parsing failed: ${error.message}`)),
+    });
+  });
+}
@@ -0,0 +1,308 @@
+/**
+ * Excel Workbook Import
+ *
+ * Reads every sheet of a workbook, finds the header row below any title
+ * rows, fills merged header cells and turns a sheet (or a cell range of it)
+ * into rows ready for a dataset.
+ */
+
+import * as XLSX from 'xlsx';
+import { inferAndParseColumns } from './typeInference';
+
+// Rows scanned when looking for the header
+const HEADER_SCAN_ROWS = 30;
+const CELL_RANGE_PATTERN = /^[A-Z]+\d+:[A-Z]+\d+$/;
+// Rows converted between progress reports
+const PROGRESS_INTERVAL_ROWS = 10000;
+
+/**
+ * Read a workbook from an ArrayBuffer
+ */
+export function readWorkbook(arrayBuffer) {
+  return XLSX.read(new Uint8Array(arrayBuffer), {
+    type: 'array',
+    cellDates: true,  // Parse dates as JS Date objects
+    cellNF: true,     // Keep number formats
+    cellText: false,  // Don't generate text
+  });
+}
+
+// Convert Excel serial date to JS Date string
+const excelDateToString = (serial, includeTime = false) => {
+  // Excel epoch starts at 1900-01-01 (but Excel incorrectly thinks 1900 was a leap year)
+  const utcDays = Math.floor(serial - 25569); // 25569 = days from 1900-01-01 to 1970-01-01
+  const utcValue = utcDays * 86400 * 1000; // Convert to milliseconds
+  const date = new Date(utcValue);
+
+  if (includeTime && serial % 1 !== 0) {
+    // Has time component
+    const timeFraction = serial % 1;
+    const totalSeconds = Math.round(timeFraction * 86400);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    date.setUTCHours(hours, minutes, seconds);
+    return date.toISOString().replace('T', ' ').substring(0, 19);
+  }
+
+  return date.toISOString().split('T')[0];
+};
+
+// Check if a value looks like an Excel date serial number
+const isExcelDateSerial = (value, colName) => {
+  if (typeof value !== 'number') return false;
+  // Excel dates are typically between 1 (1900-01-01) and 2958465 (9999-12-31)
+  // But realistically, most dates are between 30000 (1982) and 55000 (2050)
+  // Also check column name hints
+  const dateHints = ['date', 'time', 'tarih', 'saat', 'datetime', 'timestamp', 'created', 'updated', 'modified'];
+  const colLower = colName.toLowerCase();
+  const hasDateHint = dateHints.some(hint => colLower.includes(hint));
+
+  // If column name suggests date, be more lenient with range
+  if (hasDateHint && value > 1 && value < 2958465) {
+    return true;
+  }
+  // Otherwise, use a narrower range (1980-2050)
+  return value > 29221 && value < 54789 && Number.isFinite(value);
+};
+
+// Format a cell value for a dataset row
+const convertCell = (value, colName) => {
+  if (value instanceof Date) {
+    if (value.getHours() !== 0 || value.getMinutes() !== 0) {
+      return value.toISOString().replace('T', ' ').substring(0, 19);
+    }
+    return value.toISOString().split('T')[0];
+  }
+  if (isExcelDateSerial(value, colName)) {
+    return excelDateToString(value, value % 1 !== 0);
+  }
+  return value;
+};
+
+const isEmptyCell = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Resolve the cell range to read: a manual "A3:F120" override or the used
+ * range of the sheet
+ */
+function resolveRange(sheet, range) {
+  if (range) {
+    const normalized = range.trim().toUpperCase().replace(/\$/g, '');
+    if (!CELL_RANGE_PATTERN.test(normalized)) {
+      throw new Error(`Invalid cell range "${range}". Use a range like A3:F120.`);
+    }
+    return XLSX.utils.decode_range(normalized);
+  }
+  return sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : null;
+}
+
+/**
+ * Read the rows of a range as arrays of raw values
+ */
+function readRows(sheet, bounds) {
+  return XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    raw: true,
+    defval: null,
+    blankrows: true,
+    range: bounds,
+  });
+}
+
+/**
+ * Find the header row: the first row whose cells are mostly distinct text and
+ * that spans at least half the width of the table. Title rows (one cell, or
+ * one merged value) and blank rows are skipped. Returns a row index into rows.
+ */
+export function detectHeaderRow(rows) {
+  const scanned = rows.slice(0, HEADER_SCAN_ROWS);
+  const widest = Math.max(0, ...scanned.map((row) => row.filter((v) => !isEmptyCell(v)).length));
+  const minCells = Math.max(Math.min(2, widest), Math.ceil(widest * 0.5));
+
+  for (let r = 0; r < scanned.length; r++) {
+    const cells = scanned[r].filter((v) => !isEmptyCell(v));
+    if (cells.length === 0) continue;
+    const distinctText = new Set(
+      cells.filter((v) => typeof v === 'string').map((v) => v.trim())
+    ).size;
+    if (distinctText >= minCells && distinctText >= cells.length * 0.8) {
+      return r;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Detect the header row, stepping past a group row: when the detected row has
+ * a merge spanning several columns and the row below it is all text, the row
+ * below is the real header (e.g. "Sales" merged over "Q1", "Q2").
+ */
+function findHeaderRow(sheet, rows, bounds) {
+  const detected = detectHeaderRow(rows);
+  const sheetRow = bounds.s.r + detected;
+  const hasGroupMerge = (sheet['!merges'] || []).some((merge) =>
+    merge.s.r === sheetRow && merge.e.c > merge.s.c
+  );
+  const next = (rows[detected + 1] || []).filter((v) => !isEmptyCell(v));
+
+  if (hasGroupMerge && next.length > 0 && next.every((v) => typeof v === 'string')) {
+    return detected + 1;
+  }
+  return detected;
+}
+
+/**
+ * Copy the value of merged cells into every cell the merge covers, for merges
+ * that start at or above the header row. Returns, per column, the value of a
+ * multi-column merge in the row directly above the header (a group label).
+ */
+function fillMergedHeaderCells(sheet, rows, bounds, headerRow) {
+  const groupLabels = [];
+
+  (sheet['!merges'] || []).forEach((merge) => {
+    const top = merge.s.r - bounds.s.r;
+    if (top > headerRow || merge.e.r - bounds.s.r < 0) return;
+
+    const value = rows[top]?.[merge.s.c - bounds.s.c];
+    if (isEmptyCell(value)) return;
+
+    const lastRow = Math.min(merge.e.r - bounds.s.r, headerRow);
+    for (let r = Math.max(top, 0); r <= lastRow; r++) {
+      for (let c = merge.s.c; c <= merge.e.c; c++) {
+        const col = c - bounds.s.c;
+        if (col < 0 || !rows[r]) continue;
+        rows[r][col] = value;
+        if (r === headerRow - 1 && merge.e.c > merge.s.c) {
+          groupLabels[col] = String(value).trim();
+        }
+      }
+    }
+  });
+
+  return groupLabels;
+}
+
+/**
+ * Build unique column names from the header row and any group labels above it
+ */
+function buildColumnNames(headerCells, groupLabels) {
+  const seen = new Map();
+
+  return headerCells.map((value, c) => {
+    let name = isEmptyCell(value) ? '' : String(value).trim();
+    const group = groupLabels[c];
+    if (group && name && group !== name) {
+      name = `${group} ${name}`;
+    } else if (group && !name) {
+      name = group;
+    }
+    name = name || `Column ${c + 1}`;
+
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    return count > 1 ? `${name} (${count})` : name;
+  });
+}
+
+/**
+ * Summarize every sheet: size, detected header row and its column names
+ */
+export function describeWorkbook(workbook) {
+  return workbook.SheetNames.map((name) => {
+    const sheet = workbook.Sheets[name];
+    const bounds = resolveRange(sheet, '');
+    if (!bounds) {
+      return { name, range: '', rowCount: 0, columnCount: 0, headerRow: 0, columns: [] };
+    }
+
+    const scanBounds = { s: bounds.s, e: { r: Math.min(bounds.e.r, bounds.s.r + HEADER_SCAN_ROWS - 1), c: bounds.e.c } };
+    const rows = readRows(sheet, scanBounds);
+    const headerRow = findHeaderRow(sheet, rows, scanBounds);
+    const groupLabels = fillMergedHeaderCells(sheet, rows, scanBounds, headerRow);
+
+    return {
+      name,
+      range: XLSX.utils.encode_range(bounds),
+      rowCount: bounds.e.r - bounds.s.r + 1,
+      columnCount: bounds.e.c - bounds.s.c + 1,
+      headerRow: bounds.s.r + headerRow, // 0-based sheet row
+      columns: buildColumnNames(rows[headerRow] || [], groupLabels),
+    };
+  });
+}
+
+/**
+ * Parse one sheet into { data, columns, columnTypes, columnFormats, sourceValues }.
+ *
+ * Options:
+ * - headerRow: 0-based sheet row of the header (detected when omitted)
+ * - range: cell range override such as "A3:F120"; its first row is the header
+ * - limit: only read this many data rows (for previews)
+ * - onProgress: called with (rowsConverted, totalRows) while converting rows
+ */
+export function parseSheet(workbook, sheetName, { headerRow = null, range = '', limit = null, onProgress = null } = {}) {
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet) {
+    throw new Error(`Sheet "${sheetName}" not found`);
+  }
+
+  const bounds = resolveRange(sheet, range);
+  if (!bounds) {
+    return { data: [], columns: [], columnTypes: {}, columnFormats: {}, sourceValues: {} };
+  }
+
+  // Previews only read the rows around the header
+  let readBounds = bounds;
+  if (limit !== null) {
+    const headerSpan = headerRow !== null && !range ? headerRow - bounds.s.r + 1 : HEADER_SCAN_ROWS;
+    readBounds = { s: bounds.s, e: { r: Math.min(bounds.e.r, bounds.s.r + headerSpan + limit * 4), c: bounds.e.c } };
+  }
+
+  const rows = readRows(sheet, readBounds);
+  let header;
+  if (range) {
+    header = 0;
+  } else if (headerRow !== null) {
+    header = headerRow - bounds.s.r;
+  } else {
+    header = findHeaderRow(sheet, rows, bounds);
+  }
+  if (header < 0 || header >= rows.length) {
+    throw new Error(`Header row ${header + bounds.s.r + 1} is outside the sheet`);
+  }
+
+  const groupLabels = fillMergedHeaderCells(sheet, rows, bounds, header);
+  const width = Math.max(...rows.map((row) => row.length));
+  const headerCells = Array.from({ length: width }, (_, c) => rows[header][c] ?? null);
+  const columns = buildColumnNames(headerCells, groupLabels);
+
+  let dataRows = rows.slice(header + 1).filter((row) => row.some((v) => !isEmptyCell(v)));
+  if (limit !== null) {
+    dataRows = dataRows.slice(0, limit);
+  }
+
+  // Drop unnamed columns that hold no data (e.g. formatting past the table)
+  const keptIndices = columns
+    .map((_, c) => c)
+    .filter((c) => !isEmptyCell(headerCells[c]) || groupLabels[c] || dataRows.some((row) => !isEmptyCell(row[c])));
+  const keptColumns = keptIndices.map((c) => columns[c]);
+
+  const data = dataRows.map((row, r) => {
+    if (onProgress && r % PROGRESS_INTERVAL_ROWS === 0) {
+      onProgress(r, dataRows.length);
+    }
+    const obj = {};
+    keptIndices.forEach((c, i) => {
+      obj[keptColumns[i]] = convertCell(row[c] ?? null, keptColumns[i]);
+    });
+    return obj;
+  });
+  onProgress?.(dataRows.length, dataRows.length);
+
+  return {
+    columns: keptColumns,
+    ...inferAndParseColumns(data, keptColumns),
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * Excel Import Worker
+ *
+ * Reads a workbook off the main thread and keeps it in memory so the sheet
+ * picker can request previews and imports. Messages are { id, type, ... }
+ * and every reply carries the same id: { id, result }, { id, error } or, while
+ * a sheet is being converted, { id, progress }.
+ */
+
+import { readWorkbook, describeWorkbook, parseSheet } from './excelImport';
+import { tableFromRows, tableTransferables } from './columnarTable';
+
+let workbook = null;
+
+const handlers = {
+  load({ buffer }) {
+    try {
+      workbook = readWorkbook(buffer);
+    } catch (error) {
+      throw new Error(`Excel parsing failed: ${error.message}`);
+    }
+    return { result: describeWorkbook(workbook) };
+  },
+
+  preview({ sheetName, options }) {
+    return { result: parseSheet(workbook, sheetName, options) };
+  },
+
+  parse({ id, sheetName, options }) {
+    const { data, columns, columnTypes, columnFormats } = parseSheet(workbook, sheetName, {
+      ...options,
+      onProgress: (rows, totalRows) => self.postMessage({ id, progress: { rows, totalRows } }),
+    });
+    const table = tableFromRows(data, columns, columnTypes);
+    return {
+      result: { table, columns, columnTypes, columnFormats },
+      transfer: tableTransferables(table),
+    };
+  },
+};
+
+self.onmessage = ({ data: message }) => {
+  const { id, type } = message;
+  try {
+    if (!workbook && type !== 'load') {
+      throw new Error('No workbook loaded');
+    }
+    const { result, transfer = [] } = handlers[type](message);
+    self.postMessage({ id, result }, transfer);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
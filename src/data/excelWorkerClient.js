@@ -0,0 +1,81 @@
+/**
+ * Excel Worker Client
+ *
+ * Promise wrapper around excelWorker.js. One client holds one workbook;
+ * terminate() stops the worker, cancelling whatever it is doing, and rejects
+ * pending requests with an AbortError.
+ */
+
+/**
+ * Start a worker for one workbook
+ */
+export function createExcelWorker() {
+  const worker = new Worker(new URL('./excelWorker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let nextId = 0;
+  let terminated = false;
+
+  const rejectAll = (error) => {
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+  };
+
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+
+    if (data.progress) {
+      request.onProgress?.(data.progress);
+      return;
+    }
+
+    pending.delete(data.id);
+    if (data.error) {
+      request.reject(new Error(data.error));
+    } else {
+      request.resolve(data.result);
+    }
+  };
+
+  worker.onerror = (event) => {
+    event.preventDefault();
+    rejectAll(new Error(event.message || 'Excel worker failed'));
+  };
+
+  const request = (type, payload, { onProgress, transfer = [] } = {}) =>
+    new Promise((resolve, reject) => {
+      if (terminated) {
+        reject(new DOMException('Import cancelled', 'AbortError'));
+        return;
+      }
+      const id = ++nextId;
+      pending.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ id, type, ...payload }, transfer);
+    });
+
+  return {
+    /**
+     * Load a workbook from an ArrayBuffer (transferred to the worker) and
+     * resolve to its sheet summaries
+     */
+    load: (buffer) => request('load', { buffer }, { transfer: [buffer] }),
+
+    /**
+     * Parse the first rows of a sheet as row objects
+     */
+    preview: (sheetName, options) => request('preview', { sheetName, options }),
+
+    /**
+     * Parse a sheet into { table, columns, columnTypes, columnFormats };
+     * onProgress receives { rows, totalRows }
+     */
+    parse: (sheetName, options, { onProgress } = {}) =>
+      request('parse', { sheetName, options }, { onProgress }),
+
+    terminate() {
+      terminated = true;
+      worker.terminate();
+      rejectAll(new DOMException('Import cancelled', 'AbortError'));
+    },
+  };
+}
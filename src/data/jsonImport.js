@@ -0,0 +1,145 @@
+/**
+ * JSON and NDJSON Import
+ *
+ * Turns JSON arrays of objects and newline-delimited JSON logs into dataset
+ * rows. Nested objects are flattened to dotted column names
+ * ({ user: { id: 1 } } becomes "user.id"); arrays are kept as JSON text.
+ */
+
+import { inferAndParseColumns } from './typeInference';
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !ArrayBuffer.isView(value);
+
+/**
+ * Convert a leaf value to something a table cell can hold
+ */
+function toCellValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'bigint') {
+    return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+  }
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.toISOString().replace('T', ' ').replace(/(\s00:00:00)?\.\d{3}Z$/, '');
+  }
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+    return JSON.stringify(Array.from(value, (item) => (typeof item === 'bigint' ? item.toString() : item)));
+  }
+  return value;
+}
+
+/**
+ * Flatten nested objects into a single-level row with dotted keys
+ */
+export function flattenRecord(record, prefix = '', out = {}) {
+  Object.entries(record).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flattenRecord(value, path, out);
+    } else {
+      out[path] = isPlainObject(value) ? null : toCellValue(value);
+    }
+  });
+  return out;
+}
+
+/**
+ * Flatten records and collect their columns in first-seen order, then infer
+ * column types. Rows missing a column get null.
+ */
+export function recordsToDataset(records) {
+  const columnSet = new Set();
+  const rows = records.map((record) => {
+    const row = isPlainObject(record) ? flattenRecord(record) : { value: toCellValue(record) };
+    Object.keys(row).forEach((key) => columnSet.add(key));
+    return row;
+  });
+
+  const columns = [...columnSet];
+  const data = rows.map((row) => {
+    if (Object.keys(row).length === columns.length) return row;
+    const full = {};
+    columns.forEach((col) => {
+      full[col] = row[col] ?? null;
+    });
+    return full;
+  });
+
+  return { columns, ...inferAndParseColumns(data, columns) };
+}
+
+/**
+ * Find the records in a parsed JSON document: the array itself, the only
+ * array-of-objects property of a wrapper object ({ data: [...] }), or the
+ * object as a single row
+ */
+function findRecords(json) {
+  if (Array.isArray(json)) return json;
+  if (isPlainObject(json)) {
+    const arrays = Object.values(json).filter((value) => Array.isArray(value) && value.some(isPlainObject));
+    if (arrays.length === 1) return arrays[0];
+    return [json];
+  }
+  throw new Error('JSON file must contain an array of objects');
+}
+
+/**
+ * Parse a JSON document into { data, columns, columnTypes, ... }
+ */
+export function parseJSONText(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  return recordsToDataset(findRecords(json));
+}
+
+/**
+ * Stream an NDJSON file line by line. Lines that are not valid JSON are
+ * skipped and reported as { line, message } in `lineErrors`. onProgress
+ * receives { rows, bytes, totalBytes }; aborting the signal stops reading.
+ */
+export async function parseNDJSONFile(file, { signal, onProgress } = {}) {
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder('utf-8');
+  const records = [];
+  const lineErrors = [];
+  let buffered = '';
+  let lineNumber = 0;
+  let bytes = 0;
+
+  const handleLine = (line) => {
+    lineNumber++;
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    try {
+      records.push(JSON.parse(trimmed));
+    } catch (error) {
+      lineErrors.push({ line: lineNumber, message: error.message });
+    }
+  };
+
+  for (;;) {
+    if (signal?.aborted) {
+      await reader.cancel();
+      signal.throwIfAborted();
+    }
+
+    const { done, value } = await reader.read();
+    buffered += decoder.decode(value, { stream: !done });
+
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    lines.forEach(handleLine);
+
+    if (done) break;
+    bytes += value.byteLength;
+    onProgress?.({ rows: records.length, bytes, totalBytes: file.size });
+  }
+  handleLine(buffered);
+
+  return { ...recordsToDataset(records), lineErrors };
+}
@@ -0,0 +1,23 @@
+/**
+ * Parquet Import
+ *
+ * Decodes Parquet files in the browser with hyparquet. Struct columns are
+ * flattened to dotted names like JSON imports, INT64 values become numbers
+ * when they fit and timestamps become date strings.
+ */
+
+import { parquetReadObjects } from 'hyparquet';
+import { recordsToDataset } from './jsonImport';
+
+/**
+ * Parse a Parquet file (as an ArrayBuffer) into { data, columns, columnTypes, ... }
+ */
+export async function parseParquetBuffer(arrayBuffer) {
+  let records;
+  try {
+    records = await parquetReadObjects({ file: arrayBuffer });
+  } catch (error) {
+    throw new Error(`Parquet parsing failed: ${error.message}`);
+  }
+  return recordsToDataset(records);
+}
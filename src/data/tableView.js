@@ -0,0 +1,348 @@
+/**
+ * Table Views and Operators
+ *
+ * A view is a selection of a columnar table's rows, in order, without a copy
+ * of its columns: { table, indices } where indices is a Uint32Array of row
+ * indices, or null for every row. Filter, sort and slice return new views;
+ * group and aggregate read through them. Dictionary-encoded columns are
+ * filtered, grouped and sorted by code, so a predicate runs once per distinct
+ * value instead of once per row.
+ */
+
+import { createTableBuilder, columnReader, getVector, getOverflow } from './columnarTable';
+
+const AGGREGATIONS = ['sum', 'avg', 'count', 'min', 'max'];
+
+const isDictionary = (vector) => vector?.codes !== undefined;
+
+/**
+ * A view of every row of a table
+ */
+export function tableView(table) {
+  return { table, indices: null };
+}
+
+/**
+ * Number of rows in a view
+ */
+export function viewSize(view) {
+  return view.indices ? view.indices.length : view.table.rowCount;
+}
+
+/**
+ * Table row index of a view position
+ */
+export function viewRowIndex(view, position) {
+  return view.indices ? view.indices[position] : position;
+}
+
+/**
+ * Build a function that reads one column of a view by position
+ */
+export function viewReader(view, column) {
+  const read = columnReader(view.table, column);
+  const { indices } = view;
+  return indices ? (position) => read(indices[position]) : read;
+}
+
+/**
+ * Evaluate a value predicate for every row of a view; returns a Uint8Array
+ * mask by view position
+ */
+export function filterMask(view, column, predicate) {
+  const size = viewSize(view);
+  const mask = new Uint8Array(size);
+  const vector = getVector(view.table, column);
+
+  if (isDictionary(vector) && !getOverflow(view.table, column)) {
+    // Decide once per distinct value; slot 0 is the missing value
+    const { codes, dictionary } = vector;
+    const matches = new Uint8Array(dictionary.length + 1);
+    matches[0] = predicate(null) ? 1 : 0;
+    dictionary.forEach((value, code) => {
+      matches[code + 1] = predicate(value) ? 1 : 0;
+    });
+    for (let p = 0; p < size; p++) {
+      mask[p] = matches[codes[viewRowIndex(view, p)] + 1];
+    }
+    return mask;
+  }
+
+  const read = viewReader(view, column);
+  for (let p = 0; p < size; p++) {
+    mask[p] = predicate(read(p)) ? 1 : 0;
+  }
+  return mask;
+}
+
+/**
+ * Keep the view positions whose mask entry is set
+ */
+export function applyMask(view, mask) {
+  let count = 0;
+  for (let p = 0; p < mask.length; p++) count += mask[p];
+
+  const indices = new Uint32Array(count);
+  let next = 0;
+  for (let p = 0; p < mask.length; p++) {
+    if (mask[p]) indices[next++] = viewRowIndex(view, p);
+  }
+  return { table: view.table, indices };
+}
+
+/**
+ * Keep the rows whose value in a column satisfies the predicate
+ */
+export function filterView(view, column, predicate) {
+  return applyMask(view, filterMask(view, column, predicate));
+}
+
+// Order values: missing last, numbers numerically, everything else as text
+const compareValues = (a, b) => {
+  if (a === null) return b === null ? 0 : 1;
+  if (b === null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+/**
+ * Sort a view by a column (stable; missing values last)
+ */
+export function sortView(view, column, { descending = false } = {}) {
+  const size = viewSize(view);
+  const positions = Array.from({ length: size }, (_, p) => viewRowIndex(view, p));
+  const vector = getVector(view.table, column);
+  const direction = descending ? -1 : 1;
+
+  let compare;
+  if (isDictionary(vector) && !getOverflow(view.table, column)) {
+    // Rank the dictionary once, then sort rows by rank
+    const { codes, dictionary } = vector;
+    const order = dictionary.map((_, code) => code).sort((a, b) => compareValues(dictionary[a], dictionary[b]));
+    const rank = new Int32Array(dictionary.length);
+    order.forEach((code, r) => {
+      rank[code] = r;
+    });
+    compare = (a, b) => {
+      const ca = codes[a];
+      const cb = codes[b];
+      if (ca < 0 || cb < 0) return (ca < 0) - (cb < 0);
+      return (rank[ca] - rank[cb]) * direction;
+    };
+  } else {
+    const read = columnReader(view.table, column);
+    compare = (a, b) => {
+      const va = read(a);
+      const vb = read(b);
+      if (va === null || vb === null) return compareValues(va, vb);
+      return compareValues(va, vb) * direction;
+    };
+  }
+
+  positions.sort(compare);
+  return { table: view.table, indices: Uint32Array.from(positions) };
+}
+
+/**
+ * Rows start (inclusive) to end (exclusive) of a view
+ */
+export function sliceView(view, start, end = viewSize(view)) {
+  const from = Math.max(0, start);
+  const to = Math.min(viewSize(view), end);
+  const indices = new Uint32Array(Math.max(0, to - from));
+  for (let p = from; p < to; p++) {
+    indices[p - from] = viewRowIndex(view, p);
+  }
+  return { table: view.table, indices };
+}
+
+/**
+ * Split a view by the values of a column: a Map from value (null for
+ * missing) to a view, in first-seen order
+ */
+export function groupView(view, column) {
+  const size = viewSize(view);
+  const read = viewReader(view, column);
+  const groups = new Map();
+
+  for (let p = 0; p < size; p++) {
+    const key = read(p);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(viewRowIndex(view, p));
+  }
+
+  return new Map([...groups.entries()].map(([key, rows]) => [
+    key,
+    { table: view.table, indices: Uint32Array.from(rows) },
+  ]));
+}
+
+// Running state of one aggregation
+const createAccumulator = () => ({ sum: 0, numeric: 0, count: 0, min: Infinity, max: -Infinity });
+
+const accumulate = (acc, value) => {
+  acc.count++;
+  const num = typeof value === 'number' ? value : parseFloat(value);
+  if (Number.isNaN(num)) return;
+  acc.numeric++;
+  acc.sum += num;
+  if (num < acc.min) acc.min = num;
+  if (num > acc.max) acc.max = num;
+};
+
+const finishAccumulator = (acc, aggregation) => {
+  switch (aggregation) {
+    case 'sum':
+      return acc.sum;
+    case 'avg':
+      return acc.numeric > 0 ? acc.sum / acc.numeric : 0;
+    case 'count':
+      return acc.count;
+    case 'min':
+      return acc.numeric > 0 ? acc.min : 0;
+    case 'max':
+      return acc.numeric > 0 ? acc.max : 0;
+    default:
+      throw new Error(`Unknown aggregation "${aggregation}". Use one of: ${AGGREGATIONS.join(', ')}`);
+  }
+};
+
+/**
+ * Aggregate a column over a view: sum, avg, count, min or max. count counts
+ * every row; the others use the values that are numbers (0 when there are
+ * none).
+ */
+export function aggregateColumn(view, column, aggregation) {
+  const size = viewSize(view);
+  const read = viewReader(view, column);
+  const acc = createAccumulator();
+  for (let p = 0; p < size; p++) {
+    accumulate(acc, read(p));
+  }
+  return finishAccumulator(acc, aggregation);
+}
+
+/**
+ * Group a view by one column and aggregate another per group. Returns
+ * [{ key, value, count }] in first-seen key order.
+ */
+export function groupAggregate(view, keyColumn, valueColumn, aggregation) {
+  const size = viewSize(view);
+  const readKey = viewReader(view, keyColumn);
+  const readValue = viewReader(view, valueColumn);
+  const groups = new Map();
+
+  for (let p = 0; p < size; p++) {
+    const key = readKey(p);
+    let acc = groups.get(key);
+    if (!acc) {
+      acc = createAccumulator();
+      groups.set(key, acc);
+    }
+    accumulate(acc, readValue(p));
+  }
+
+  return [...groups.entries()].map(([key, acc]) => ({
+    key,
+    value: finishAccumulator(acc, aggregation),
+    count: acc.count,
+  }));
+}
+
+/**
+ * Distinct non-missing values of a column in a view, in first-seen order
+ */
+export function distinctValues(view, column, { limit = Infinity } = {}) {
+  const size = viewSize(view);
+  const read = viewReader(view, column);
+  const seen = new Set();
+  for (let p = 0; p < size && seen.size < limit; p++) {
+    const value = read(p);
+    if (value !== null) seen.add(value);
+  }
+  return [...seen];
+}
+
+/**
+ * Materialize the rows of a view as objects, for the few places that need
+ * them (a handful of chart points, a preview)
+ */
+export function viewToRows(view, columns = view.table.columns) {
+  const readers = columns.map((col) => viewReader(view, col));
+  return Array.from({ length: viewSize(view) }, (_, p) => {
+    const row = {};
+    columns.forEach((col, c) => {
+      row[col] = readers[c](p);
+    });
+    return row;
+  });
+}
+
+/**
+ * Stack two tables: columns are the union of both, missing cells are null.
+ * A column typed differently in the two tables is stored as text.
+ */
+export function concatTables(first, second) {
+  const columns = [...new Set([...first.columns, ...second.columns])];
+  const columnTypes = Object.fromEntries(columns.map((col) => {
+    const a = first.columnTypes[col];
+    const b = second.columnTypes[col];
+    return [col, !a || !b || a === b ? (a || b) : 'string'];
+  }));
+
+  const builder = createTableBuilder(columns, columnTypes, { capacity: first.rowCount + second.rowCount });
+  [first, second].forEach((table) => {
+    const readers = columns.map((col) => columnReader(table, col));
+    for (let i = 0; i < table.rowCount; i++) {
+      builder.append(readers.map((read) => read(i)));
+    }
+  });
+  return builder.finish();
+}
+
+/**
+ * Join two tables on a key column (compared as text). how is 'inner' or
+ * 'left'; unmatched left rows get nulls. Non-key columns are prefixed with
+ * leftPrefix / rightPrefix; on a name clash the right column wins.
+ */
+export function joinTables(left, right, keyColumn, { how = 'inner', leftPrefix = '', rightPrefix = '' } = {}) {
+  const outputs = new Map([[keyColumn, { table: left, column: keyColumn }]]);
+  left.columns.filter((col) => col !== keyColumn).forEach((col) => {
+    outputs.set(`${leftPrefix}${col}`, { table: left, column: col });
+  });
+  right.columns.filter((col) => col !== keyColumn).forEach((col) => {
+    outputs.set(`${rightPrefix}${col}`, { table: right, column: col });
+  });
+
+  const columns = [...outputs.keys()];
+  const columnTypes = Object.fromEntries(columns.map((name) => {
+    const { table, column } = outputs.get(name);
+    return [name, table.columnTypes[column]];
+  }));
+  const readers = columns.map((name) => {
+    const { table, column } = outputs.get(name);
+    return { fromLeft: table === left, read: columnReader(table, column) };
+  });
+
+  // Right row indices by key
+  const readRightKey = columnReader(right, keyColumn);
+  const lookup = new Map();
+  for (let i = 0; i < right.rowCount; i++) {
+    const key = String(readRightKey(i));
+    if (!lookup.has(key)) lookup.set(key, []);
+    lookup.get(key).push(i);
+  }
+
+  const builder = createTableBuilder(columns, columnTypes);
+  const readLeftKey = columnReader(left, keyColumn);
+  for (let i = 0; i < left.rowCount; i++) {
+    const matches = lookup.get(String(readLeftKey(i))) || (how === 'left' ? [null] : []);
+    matches.forEach((j) => {
+      builder.append(readers.map(({ fromLeft, read }) => {
+        if (fromLeft) return read(i);
+        return j === null ? null : read(j);
+      }));
+    });
+  }
+  return builder.finish();
+}
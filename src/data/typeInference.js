@@ -0,0 +1,422 @@
+/**
+ * Column Type Inference
+ *
+ * Shared by every data source (file uploads, CSO tables, merges) so a column
+ * is typed the same way wherever it comes from. A column has a type plus
+ * optional parse rules (decimal separator, currency symbol, date format);
+ * the rules are kept so a column can be re-parsed when the user overrides it.
+ */
+
+export const COLUMN_TYPES = [
+  { id: 'number', label: 'Number' },
+  { id: 'currency', label: 'Currency' },
+  { id: 'date', label: 'Date' },
+  { id: 'boolean', label: 'Boolean' },
+  { id: 'categorical', label: 'Categorical' },
+  { id: 'string', label: 'Text' },
+];
+
+export const DECIMAL_SEPARATORS = [
+  { id: '.', label: 'Dot (1,234.56)' },
+  { id: ',', label: 'Comma (1.234,56)' },
+];
+
+export const CURRENCY_SYMBOLS = ['€', '$', '£', '¥'];
+
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+const monthFromName = (name) => {
+  const lower = name.toLowerCase();
+  const index = MONTH_NAMES.findIndex((month) => month === lower || month.slice(0, 3) === lower);
+  return index === -1 ? null : index + 1;
+};
+
+/**
+ * Supported date formats. `parse` receives the regex match and returns
+ * { year, month, day } or null. Order matters for auto-detection: the first
+ * format matching most of the sample wins, so DD/MM comes before MM/DD.
+ */
+export const DATE_FORMATS = [
+  {
+    id: 'YYYY-MM-DD',
+    example: '2024-01-31',
+    pattern: /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/,
+    parse: (m) => ({ year: +m[1], month: +m[2], day: +m[3], hours: +(m[4] || 0), minutes: +(m[5] || 0), seconds: +(m[6] || 0) }),
+  },
+  {
+    id: 'YYYY/MM/DD',
+    example: '2024/01/31',
+    pattern: /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/,
+    parse: (m) => ({ year: +m[1], month: +m[2], day: +m[3] }),
+  },
+  {
+    id: 'DD/MM/YYYY',
+    example: '31/01/2024',
+    pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/,
+    parse: (m) => ({ year: +m[3], month: +m[2], day: +m[1] }),
+  },
+  {
+    id: 'MM/DD/YYYY',
+    example: '01/31/2024',
+    pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/,
+    parse: (m) => ({ year: +m[3], month: +m[1], day: +m[2] }),
+  },
+  {
+    id: 'DD-MM-YYYY',
+    example: '31-01-2024',
+    pattern: /^(\d{1,2})-(\d{1,2})-(\d{4})$/,
+    parse: (m) => ({ year: +m[3], month: +m[2], day: +m[1] }),
+  },
+  {
+    id: 'DD.MM.YYYY',
+    example: '31.01.2024',
+    pattern: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/,
+    parse: (m) => ({ year: +m[3], month: +m[2], day: +m[1] }),
+  },
+  {
+    id: 'YYYYMmm',
+    example: '2024M01',
+    pattern: /^(\d{4})M(\d{2})$/,
+    parse: (m) => ({ year: +m[1], month: +m[2], day: 1 }),
+  },
+  {
+    id: 'YYYY Month',
+    example: '2024 January',
+    pattern: /^(\d{4})\s+([A-Za-z]+)$/,
+    parse: (m) => {
+      const month = monthFromName(m[2]);
+      return month ? { year: +m[1], month, day: 1 } : null;
+    },
+  },
+  {
+    id: 'YYYYQq',
+    example: '2024Q1',
+    pattern: /^(\d{4})Q([1-4])$/,
+    parse: (m) => ({ year: +m[1], month: (+m[2] - 1) * 3 + 1, day: 1 }),
+  },
+  {
+    id: 'YYYY',
+    example: '2024',
+    pattern: /^(\d{4})$/,
+    parse: (m) => ({ year: +m[1], month: 1, day: 1 }),
+  },
+];
+
+const DATE_FORMAT_BY_ID = new Map(DATE_FORMATS.map((format) => [format.id, format]));
+
+// Number patterns per decimal/thousands separator pair, built on first use
+const numberPatterns = new Map();
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Grouped or plain integer part, optional fraction
+function getNumberPattern(decimalSeparator, thousandsSeparator) {
+  const key = `${decimalSeparator}|${thousandsSeparator}`;
+  if (!numberPatterns.has(key)) {
+    const d = escapeRegExp(decimalSeparator);
+    const integerPart = thousandsSeparator
+      ? `(?:\\d{1,3}(?:${escapeRegExp(thousandsSeparator)}\\d{3})+|\\d+)?`
+      : '\\d*';
+    numberPatterns.set(key, new RegExp(`^[-+]?${integerPart}(?:${d}\\d+)?$`));
+  }
+  return numberPatterns.get(key);
+}
+
+const SCIENTIFIC_PATTERN = /^[-+]?\d+(?:\.\d+)?[eE][-+]?\d+$/;
+const CURRENCY_PATTERN = /[€$£¥]/;
+const BOOLEAN_VALUES = {
+  true: true, false: false,
+  yes: true, no: false,
+  y: true, n: false,
+  1: true, 0: false,
+};
+// Only unambiguous tokens are inferred; yes/no and 1/0 need an explicit override
+const INFERRED_BOOLEAN_TOKENS = new Set(['true', 'false']);
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Check whether a type holds numeric values
+ */
+export function isNumericType(type) {
+  return type === 'number' || type === 'currency';
+}
+
+/**
+ * Parse a number, accepting thousands separators, surrounding whitespace and
+ * currency symbols. The thousands separator defaults to whichever of "," and
+ * "." is not the decimal separator; whitespace grouping is always accepted.
+ * Returns null when the value is not a number.
+ */
+export function parseNumber(value, decimalSeparator = '.', thousandsSeparator = null) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (isBlank(value) || typeof value === 'boolean') return null;
+
+  const cleaned = String(value)
+    .replace(/\s/g, '')
+    .replace(/^([-+]?)[€$£¥]/, '$1')
+    .replace(/[€$£¥]$/, '');
+
+  if (!/\d/.test(cleaned)) return null;
+
+  if (decimalSeparator === '.' && SCIENTIFIC_PATTERN.test(cleaned)) {
+    return Number(cleaned);
+  }
+
+  const thousands = (thousandsSeparator ?? (decimalSeparator === ',' ? '.' : ',')).trim();
+  if (!getNumberPattern(decimalSeparator, thousands).test(cleaned)) return null;
+
+  const normalized = (thousands ? cleaned.split(thousands).join('') : cleaned)
+    .replace(decimalSeparator, '.');
+  const num = Number(normalized);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Parse a boolean from true/false, yes/no, y/n or 1/0
+ */
+export function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (isBlank(value)) return null;
+  const parsed = BOOLEAN_VALUES[String(value).trim().toLowerCase()];
+  return parsed === undefined ? null : parsed;
+}
+
+/**
+ * Parse a date string in the given format (or any known format when omitted).
+ * Returns a Date or null.
+ */
+export function parseDate(value, formatId = null) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (isBlank(value)) return null;
+
+  const str = String(value).trim();
+  const formats = formatId ? [DATE_FORMAT_BY_ID.get(formatId)].filter(Boolean) : DATE_FORMATS;
+
+  for (const format of formats) {
+    const match = str.match(format.pattern);
+    if (!match) continue;
+    const parts = format.parse(match);
+    if (!parts || parts.month < 1 || parts.month > 12 || parts.day < 1 || parts.day > 31) continue;
+
+    const date = new Date(parts.year, parts.month - 1, parts.day, parts.hours || 0, parts.minutes || 0, parts.seconds || 0);
+    // Reject rollovers such as 31/02
+    if (date.getMonth() !== parts.month - 1) continue;
+    return date;
+  }
+
+  return null;
+}
+
+/**
+ * Format a Date as YYYY-MM-DD, adding the time when it is not midnight
+ */
+export function formatISODate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  if (date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0) {
+    return day;
+  }
+  return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Convert a raw cell value according to a column type and its parse rules.
+ * Returns undefined when the value cannot be parsed so callers can decide
+ * whether to keep the raw value.
+ */
+export function parseValue(value, type, format = {}) {
+  if (isBlank(value)) return value ?? null;
+
+  switch (type) {
+    case 'number':
+    case 'currency': {
+      const num = parseNumber(value, format.decimalSeparator, format.thousandsSeparator);
+      return num === null ? undefined : num;
+    }
+    case 'boolean': {
+      const bool = parseBoolean(value);
+      return bool === null ? undefined : bool;
+    }
+    case 'date': {
+      const date = parseDate(value, format.dateFormat);
+      return date ? formatISODate(date) : undefined;
+    }
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Guess the decimal separator from values such as "14,000" or "3,50"
+ */
+function detectDecimalSeparator(values) {
+  let commaDecimal = 0;
+  let dotDecimal = 0;
+
+  values.forEach((value) => {
+    if (typeof value !== 'string') return;
+    const cleaned = value.replace(/[\s€$£¥]/g, '');
+    if (/^[-+]?\d{1,3}(\.\d{3})+(,\d+)?$/.test(cleaned) || /^[-+]?\d*,\d{1,2}$|^[-+]?\d*,\d{4,}$/.test(cleaned)) {
+      commaDecimal++;
+    } else if (/[.,]/.test(cleaned)) {
+      dotDecimal++;
+    }
+  });
+
+  return commaDecimal > dotDecimal ? ',' : '.';
+}
+
+// Four-digit text is only read as a year inside this range, and only in a
+// column named like one or holding a strictly increasing or decreasing run
+const YEAR_RANGE = [1800, 2100];
+const YEAR_COLUMN_PATTERN = /year|period|date|^yr$/i;
+
+// Whether sampled 4-digit text looks like years rather than IDs or counts
+const looksLikeYears = (sample, column) => {
+  const years = sample.map((v) => Number(String(v).trim()));
+  if (!years.every((year) => year >= YEAR_RANGE[0] && year <= YEAR_RANGE[1])) return false;
+  if (column && YEAR_COLUMN_PATTERN.test(column)) return true;
+  if (years.length < 2) return false;
+  const increasing = years.every((year, i) => i === 0 || year > years[i - 1]);
+  const decreasing = years.every((year, i) => i === 0 || year < years[i - 1]);
+  return increasing || decreasing;
+};
+
+/**
+ * Infer the type and parse rules of a column from a sample of its values.
+ * `decimalSeparator` / `thousandsSeparator` force the number format instead
+ * of detecting it; `column` is the column's name, a hint for years.
+ */
+export function inferColumnType(values, { threshold = 0.8, decimalSeparator: forcedDecimal = null, thousandsSeparator = null, column = null } = {}) {
+  const sample = values.filter((v) => !isBlank(v));
+  if (sample.length === 0) {
+    return { type: 'string', format: {} };
+  }
+
+  const ratio = (predicate) => sample.filter(predicate).length / sample.length;
+
+  // Booleans (only native booleans and true/false text)
+  if (ratio((v) => typeof v === 'boolean' || INFERRED_BOOLEAN_TOKENS.has(String(v).trim().toLowerCase())) >= threshold) {
+    return { type: 'boolean', format: {} };
+  }
+
+  // Years given as text (e.g. CSO "2024") are dates; numeric years, and
+  // 4-digit IDs or counts, stay numbers
+  const yearText = sample.filter((v) => typeof v === 'string' && /^\d{4}$/.test(v.trim()));
+  if (yearText.length / sample.length >= threshold && looksLikeYears(yearText, column)) {
+    return { type: 'date', format: { dateFormat: 'YYYY' } };
+  }
+
+  // Numbers and currency amounts
+  const decimalSeparator = forcedDecimal || detectDecimalSeparator(sample);
+  if (ratio((v) => parseNumber(v, decimalSeparator, thousandsSeparator) !== null) > threshold) {
+    const numberFormat = thousandsSeparator === null ? { decimalSeparator } : { decimalSeparator, thousandsSeparator };
+    const currencyValues = sample.filter((v) => typeof v === 'string' && CURRENCY_PATTERN.test(v));
+    if (currencyValues.length / sample.length > 0.5) {
+      const currencySymbol = currencyValues[0].match(CURRENCY_PATTERN)[0];
+      return { type: 'currency', format: { ...numberFormat, currencySymbol } };
+    }
+    return { type: 'number', format: numberFormat };
+  }
+
+  // Dates: pick the known format matching most values
+  let bestFormat = null;
+  let bestRatio = 0;
+  DATE_FORMATS.forEach((format) => {
+    const r = ratio((v) => parseDate(v, format.id) !== null);
+    if (r > bestRatio) {
+      bestFormat = format;
+      bestRatio = r;
+    }
+  });
+  if (bestFormat && bestRatio > threshold) {
+    return { type: 'date', format: { dateFormat: bestFormat.id } };
+  }
+
+  // Anything else the browser understands (e.g. "Jan 31, 2024")
+  if (ratio((v) => typeof v === 'string' && !isNaN(Date.parse(v))) > threshold) {
+    return { type: 'date', format: {} };
+  }
+
+  return { type: 'string', format: {} };
+}
+
+/**
+ * Infer types and parse rules for every column from the first rows
+ */
+export function inferColumnTypes(data, columns, { sampleSize = 100, ...options } = {}) {
+  const columnTypes = {};
+  const columnFormats = {};
+  const sampleRows = data.slice(0, sampleSize);
+
+  columns.forEach((col) => {
+    const { type, format } = inferColumnType(sampleRows.map((row) => row[col]), { ...options, column: col });
+    columnTypes[col] = type;
+    columnFormats[col] = format;
+  });
+
+  return { columnTypes, columnFormats };
+}
+
+/**
+ * Convert the values of one column, keeping raw values that fail to parse.
+ * Returns the converted values and how many non-empty values failed.
+ */
+export function parseColumnValues(values, type, format = {}) {
+  let failed = 0;
+  const parsed = values.map((value) => {
+    const result = parseValue(value, type, format);
+    if (result === undefined) {
+      failed++;
+      return value;
+    }
+    return result;
+  });
+  return { values: parsed, failed };
+}
+
+// Types whose values are converted at load time (dates keep their source text)
+const CONVERTED_TYPES = new Set(['number', 'currency', 'boolean']);
+
+/**
+ * Infer column types and convert numeric/boolean text ("€3.50", "14,000",
+ * "true") to native values. Rows are only copied when something changes.
+ * The original text of converted columns is returned as `sourceValues` so a
+ * later type override can re-parse it with different rules.
+ */
+export function inferAndParseColumns(data, columns, options = {}) {
+  const { columnTypes, columnFormats } = inferColumnTypes(data, columns, options);
+
+  const columnsToParse = columns.filter((col) =>
+    CONVERTED_TYPES.has(columnTypes[col]) &&
+    data.some((row) => typeof row[col] === 'string')
+  );
+
+  if (columnsToParse.length === 0) {
+    return { data, columnTypes, columnFormats, sourceValues: {} };
+  }
+
+  const sourceValues = {};
+  columnsToParse.forEach((col) => {
+    sourceValues[col] = data.map((row) => row[col]);
+  });
+
+  const parsedData = data.map((row) => {
+    let newRow = row;
+    columnsToParse.forEach((col) => {
+      const value = row[col];
+      if (typeof value !== 'string') return;
+      const parsed = parseValue(value, columnTypes[col], columnFormats[col]);
+      if (parsed === undefined || parsed === value) return;
+      if (newRow === row) newRow = { ...row };
+      newRow[col] = parsed;
+    });
+    return newRow;
+  });
+
+  return { data: parsedData, columnTypes, columnFormats, sourceValues };
+}
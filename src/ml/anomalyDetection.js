@@ -0,0 +1,266 @@
+/**
+ * Anomaly Detection
+ *
+ * Flags unusual values in numeric columns and time series. Column detectors
+ * look at the values alone: Tukey's IQR fences and the MAD-based modified
+ * z-score. Series detectors score what a model cannot explain: the residuals
+ * of a fitted forecaster, or the remainder of an STL (seasonal-trend loess)
+ * decomposition. Every detector returns the flagged indices with a score, so
+ * charts can mark them and tables can show the rows behind them.
+ */
+
+import { quantile } from './statistics';
+
+export const COLUMN_DETECTORS = [
+  { id: 'iqr', label: 'IQR fences', threshold: 1.5, thresholdLabel: 'IQR multiple' },
+  { id: 'mad', label: 'MAD (robust z-score)', threshold: 3.5, thresholdLabel: 'Modified z' }
+];
+
+export const SERIES_DETECTORS = [
+  { id: 'residual', label: 'Model residual z-score', threshold: 3.5, thresholdLabel: 'z' },
+  { id: 'stl', label: 'STL decomposition', threshold: 3.5, thresholdLabel: 'z' }
+];
+
+// MAD of normal data is 0.6745σ; the mean absolute deviation is 0.7979σ
+const MAD_SCALE = 0.6745;
+const MEAN_ABSOLUTE_SCALE = 0.7979;
+
+// Robustness passes of STL (after the first, unweighted one)
+const STL_ROBUST_ITERATIONS = 2;
+
+const median = (values) => quantile([...values].sort((a, b) => a - b), 0.5);
+
+// Finite numbers of values with their positions; nulls and text are skipped
+function numericEntries(values) {
+  const entries = [];
+  values.forEach((value, index) => {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    if (Number.isFinite(number)) entries.push({ index, value: number });
+  });
+  return entries;
+}
+
+/**
+ * Centre and robust scale (σ estimate) of values: the median and MAD / 0.6745,
+ * falling back to the mean absolute deviation when over half the values are
+ * equal; the scale is 0 when all are
+ */
+export function robustScale(values) {
+  const center = median(values);
+  const deviations = values.map(v => Math.abs(v - center));
+  const mad = median(deviations);
+  if (mad > 0) return { center, scale: mad / MAD_SCALE };
+  const meanDeviation = deviations.reduce((a, b) => a + b, 0) / (deviations.length || 1);
+  return { center, scale: meanDeviation / MEAN_ABSOLUTE_SCALE };
+}
+
+/**
+ * Outliers of a numeric column by method 'iqr' (outside Q1 - k·IQR and
+ * Q3 + k·IQR, threshold k) or 'mad' (modified z-score |x - median| / σ̂
+ * above threshold, σ̂ from robustScale). Non-numeric values are ignored.
+ * Returns { method, threshold, lower, upper, anomalies: [{ index, value,
+ * score }] }, score being the distance past the fence in IQRs or the
+ * modified z-score. With no spread (an IQR or scale of 0) every value off
+ * the centre is flagged and its score is null.
+ */
+export function detectOutliers(values, { method = 'iqr', threshold } = {}) {
+  const detector = COLUMN_DETECTORS.find(d => d.id === method);
+  if (!detector) throw new Error(`Unknown outlier method: ${method}`);
+  const limit = threshold ?? detector.threshold;
+  const entries = numericEntries(values);
+  if (entries.length === 0) return { method, threshold: limit, lower: null, upper: null, anomalies: [] };
+
+  let lower;
+  let upper;
+  let score;
+  if (method === 'iqr') {
+    const sorted = entries.map(e => e.value).sort((a, b) => a - b);
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const iqr = q3 - q1;
+    lower = q1 - limit * iqr;
+    upper = q3 + limit * iqr;
+    score = (v) => (iqr > 0 ? Math.max(lower - v, v - upper) / iqr : null);
+  } else {
+    const { center, scale } = robustScale(entries.map(e => e.value));
+    lower = center - limit * scale;
+    upper = center + limit * scale;
+    score = (v) => (scale > 0 ? Math.abs(v - center) / scale : null);
+  }
+
+  const anomalies = entries
+    .filter(({ value }) => value < lower || value > upper)
+    .map(({ index, value }) => ({ index, value, score: score(value) }));
+  return { method, threshold: limit, lower, upper, anomalies };
+}
+
+// Locally weighted fit of ys (at positions 0..n-1), evaluated at position
+// x0, over the span nearest points with tricube distance weights times
+// weights: a line, or with degree 0 a weighted mean
+function loessAt(ys, weights, span, x0, degree = 1) {
+  const n = ys.length;
+  const q = Math.min(span, n);
+  const left = Math.min(n - q, Math.max(0, Math.ceil(x0 - (q - 1) / 2)));
+  const right = left + q - 1;
+  let maxDistance = Math.max(x0 - left, right - x0);
+  if (span > n) maxDistance += (span - n) / 2;
+  if (maxDistance <= 0) maxDistance = 1;
+
+  let sw = 0;
+  let sx = 0;
+  let sy = 0;
+  let sxx = 0;
+  let sxy = 0;
+  for (let x = left; x <= right; x++) {
+    const u = Math.abs(x - x0) / maxDistance;
+    const w = u < 1 ? (1 - u ** 3) ** 3 * weights[x] : 0;
+    sw += w;
+    sx += w * x;
+    sy += w * ys[x];
+    sxx += w * x * x;
+    sxy += w * x * ys[x];
+  }
+  if (sw <= 0) return ys[Math.min(n - 1, Math.max(0, Math.round(x0)))];
+  const meanX = sx / sw;
+  const meanY = sy / sw;
+  const variance = sxx / sw - meanX * meanX;
+  if (degree === 0 || variance <= 1e-12) return meanY;
+  return meanY + ((sxy / sw - meanX * meanY) / variance) * (x0 - meanX);
+}
+
+// Moving average of window length (the result is length - 1 shorter)
+function movingAverage(values, length) {
+  const result = [];
+  let sum = 0;
+  values.forEach((v, i) => {
+    sum += v;
+    if (i >= length) sum -= values[i - length];
+    if (i >= length - 1) result.push(sum / length);
+  });
+  return result;
+}
+
+const nextOdd = (x) => {
+  const rounded = Math.ceil(x);
+  return rounded % 2 === 1 ? rounded : rounded + 1;
+};
+
+/**
+ * STL decomposition (Cleveland et al., 1990) of values into trend, seasonal
+ * and remainder parts with seasonLength points per season, using the usual
+ * spans (seasonal 7, low-pass and trend from the season length) and
+ * bisquare robustness weights so outliers land in the remainder instead of
+ * bending the trend. Without a season (seasonLength < 2, or fewer than two
+ * seasons of data) only the trend is smoothed. Returns { trend, seasonal,
+ * remainder }.
+ */
+export function stlDecompose(values, seasonLength) {
+  const n = values.length;
+  const m = seasonLength >= 2 && n >= 2 * seasonLength ? seasonLength : 1;
+  const seasonalSpan = 7;
+  const lowPassSpan = nextOdd(m);
+  const trendSpan = m > 1 ? nextOdd((1.5 * m) / (1 - 1.5 / seasonalSpan)) : nextOdd(Math.max(7, n / 5));
+  const positions = Array.from({ length: n }, (_, i) => i);
+
+  let trend = new Array(n).fill(0);
+  let seasonal = new Array(n).fill(0);
+  let robustness = new Array(n).fill(1);
+
+  for (let pass = 0; pass <= STL_ROBUST_ITERATIONS; pass++) {
+    // Two inner loops per pass, as in the reference implementation
+    for (let inner = 0; inner < 2; inner++) {
+      if (m > 1) {
+        // Smooth each cycle-subseries of the detrended values, one extra
+        // season at both ends; locally constant, so one season's outlier
+        // cannot tilt its subseries
+        const detrended = values.map((v, i) => v - trend[i]);
+        const cycle = new Array(n + 2 * m).fill(0);
+        for (let phase = 0; phase < m; phase++) {
+          const ys = [];
+          const ws = [];
+          for (let i = phase; i < n; i += m) {
+            ys.push(detrended[i]);
+            ws.push(robustness[i]);
+          }
+          for (let k = -1; k <= ys.length; k++) {
+            const index = phase + (k + 1) * m;
+            if (index < n + 2 * m) cycle[index] = loessAt(ys, ws, seasonalSpan, k, 0);
+          }
+        }
+
+        // Low-pass filter of the cycle (moving averages of m, m and 3, then
+        // loess) keeps any trend out of the seasonal part
+        const filtered = movingAverage(movingAverage(movingAverage(cycle, m), m), 3);
+        const ones = new Array(n).fill(1);
+        const lowPass = positions.map(i => loessAt(filtered, ones, lowPassSpan, i));
+        seasonal = positions.map(i => cycle[i + m] - lowPass[i]);
+      }
+
+      const deseasonalized = values.map((v, i) => v - seasonal[i]);
+      trend = positions.map(i => loessAt(deseasonalized, robustness, trendSpan, i));
+    }
+
+    // Bisquare weights of the remainder against six times its median size
+    const remainder = values.map((v, i) => v - trend[i] - seasonal[i]);
+    const h = 6 * median(remainder.map(Math.abs));
+    robustness = remainder.map(r => {
+      if (h <= 0) return 1;
+      const u = Math.abs(r) / h;
+      return u < 1 ? (1 - u * u) ** 2 : 0;
+    });
+  }
+
+  return {
+    trend,
+    seasonal,
+    remainder: values.map((v, i) => v - trend[i] - seasonal[i])
+  };
+}
+
+/**
+ * Anomalies of a time series by method 'residual' (the given one-step
+ * residuals of a fitted model, from index start on) or 'stl' (the
+ * remainder of stlDecompose with seasonLength). Either is standardized by
+ * its median and robust scale, so the anomalies themselves do not inflate
+ * it, and points beyond threshold are flagged. Returns { method, threshold,
+ * scale, anomalies: [{ index, value, expected, score }] }, where expected is
+ * the model's fit (or trend plus season) and score the signed z-score.
+ */
+export function detectSeriesAnomalies(values, {
+  method = 'residual',
+  threshold,
+  residuals = null,
+  start = 1,
+  seasonLength = 12
+} = {}) {
+  const detector = SERIES_DETECTORS.find(d => d.id === method);
+  if (!detector) throw new Error(`Unknown anomaly method: ${method}`);
+  const limit = threshold ?? detector.threshold;
+
+  let errors;
+  if (method === 'residual') {
+    if (!residuals || residuals.length !== values.length) {
+      throw new Error('Residual anomalies need one residual per value');
+    }
+    errors = residuals;
+  } else {
+    if (values.length < 4) throw new Error('Need at least 4 points for an STL decomposition');
+    errors = stlDecompose(values, seasonLength).remainder;
+    start = 0;
+  }
+
+  const scored = errors.slice(start);
+  if (scored.length < 3) return { method, threshold: limit, scale: 0, anomalies: [] };
+  const { center, scale } = robustScale(scored);
+
+  const anomalies = [];
+  if (scale > 0) {
+    for (let i = start; i < values.length; i++) {
+      const score = (errors[i] - center) / scale;
+      if (Math.abs(score) > limit) {
+        anomalies.push({ index: i, value: values[i], expected: values[i] - errors[i], score });
+      }
+    }
+  }
+  return { method, threshold: limit, scale, anomalies };
+}
@@ -0,0 +1,180 @@
+/**
+ * ARIMA Estimation
+ *
+ * The numerical core of seasonal ARIMA(p,d,q)(P,D,Q)m models. The AR,
+ * differencing and MA factors are multiplied out into one AR and one MA
+ * polynomial on the original series, so residuals, forecasts and ψ-weights
+ * all follow from a single recursion. Coefficients are fitted by conditional
+ * sum of squares (the first points are conditioned on rather than
+ * forecast), restricted to stationary AR and invertible MA factors.
+ * ArimaForecaster in timeSeriesForecasting.js wraps this as a series model.
+ */
+
+import { nelderMead } from './optimize';
+import { autocorrelations, kpssStatistic, KPSS_CRITICAL_VALUE } from './statistics';
+
+// Product of two polynomials in the backshift operator B, as coefficient
+// arrays indexed by power
+function multiply(a, b) {
+  const product = new Array(a.length + b.length - 1).fill(0);
+  a.forEach((x, i) => b.forEach((y, j) => { product[i + j] += x * y; }));
+  return product;
+}
+
+// 1 + sign·(c₁B^span + c₂B^2·span + …): sign -1 for AR factors, +1 for MA
+function lagPolynomial(coefficients, span, sign) {
+  const polynomial = new Array(coefficients.length * span + 1).fill(0);
+  polynomial[0] = 1;
+  coefficients.forEach((c, i) => { polynomial[(i + 1) * span] = sign * c; });
+  return polynomial;
+}
+
+/**
+ * The full AR polynomial φ(B)Φ(B^m)(1 - B)^d(1 - B^m)^D and MA polynomial
+ * θ(B)Θ(B^m) of a model, so that Σ ar_i·y[t-i] = Σ ma_j·e[t-j]
+ */
+export function arimaPolynomials({ ar = [], ma = [], seasonalAr = [], seasonalMa = [] }, { d = 0, D = 0, seasonLength = 12 }) {
+  let arPolynomial = multiply(lagPolynomial(ar, 1, -1), lagPolynomial(seasonalAr, seasonLength, -1));
+  for (let i = 0; i < d; i++) arPolynomial = multiply(arPolynomial, [1, -1]);
+  for (let i = 0; i < D; i++) arPolynomial = multiply(arPolynomial, lagPolynomial([1], seasonLength, -1));
+  const maPolynomial = multiply(lagPolynomial(ma, 1, 1), lagPolynomial(seasonalMa, seasonLength, 1));
+  return { arPolynomial, maPolynomial };
+}
+
+/**
+ * Apply d regular and D seasonal differences
+ */
+export function difference(values, { d = 0, D = 0, seasonLength = 12 }) {
+  const { arPolynomial } = arimaPolynomials({}, { d, D, seasonLength });
+  const result = [];
+  for (let t = arPolynomial.length - 1; t < values.length; t++) {
+    result.push(arPolynomial.reduce((sum, a, i) => sum + a * values[t - i], 0));
+  }
+  return result;
+}
+
+/**
+ * Whether 1 - c₁B - … - c_kB^k has all roots outside the unit circle
+ * (stationary as an AR factor; with the signs flipped, invertible as an MA
+ * one), by stepping the Levinson recursion down to partial autocorrelations
+ */
+export function isStationary(coefficients) {
+  let a = [...coefficients];
+  for (let k = a.length; k > 0; k--) {
+    const r = a[k - 1];
+    if (!(Math.abs(r) < 1)) return false;
+    a = a.slice(0, k - 1).map((v, i) => (v + r * a[k - 2 - i]) / (1 - r * r));
+  }
+  return true;
+}
+
+/**
+ * One-step residuals of values (minus mean) under the polynomials from index
+ * start on; the earlier ones are the conditioning points and stay 0. start
+ * must be at least the AR polynomial's degree.
+ */
+export function arimaResiduals(values, { arPolynomial, maPolynomial }, mean, start) {
+  const residuals = new Array(values.length).fill(0);
+  for (let t = start; t < values.length; t++) {
+    let e = 0;
+    for (let i = 0; i < arPolynomial.length; i++) e += arPolynomial[i] * (values[t - i] - mean);
+    for (let j = 1; j < maPolynomial.length && j <= t; j++) e -= maPolynomial[j] * residuals[t - j];
+    residuals[t] = e;
+  }
+  return residuals;
+}
+
+/**
+ * Continue values steps points past the end, with future errors 0 (the
+ * point forecast) or, when given, the shocks (a simulated path)
+ */
+export function arimaForecast(values, residuals, { arPolynomial, maPolynomial }, mean, steps, shocks = null) {
+  const y = values.map(v => v - mean);
+  const e = [...residuals];
+  for (let h = 0; h < steps; h++) {
+    const t = y.length;
+    let next = 0;
+    for (let i = 1; i < arPolynomial.length; i++) next -= arPolynomial[i] * y[t - i];
+    for (let j = 1; j < maPolynomial.length; j++) next += maPolynomial[j] * (e[t - j] ?? 0);
+    const shock = shocks ? shocks[h] : 0;
+    y.push(next + shock);
+    e.push(shock);
+  }
+  return y.slice(values.length).map(v => v + mean);
+}
+
+/**
+ * ψ-weights ψ₀ … ψ_(steps-1) of the model's infinite MA form; the h-step
+ * forecast error variance is σ² times the sum of the first h squared
+ */
+export function psiWeights({ arPolynomial, maPolynomial }, steps) {
+  const psi = [];
+  for (let j = 0; j < steps; j++) {
+    let value = j === 0 ? 1 : (maPolynomial[j] ?? 0);
+    for (let i = 1; i <= Math.min(j, arPolynomial.length - 1); i++) value -= arPolynomial[i] * psi[j - i];
+    psi.push(value);
+  }
+  return psi;
+}
+
+/**
+ * Fit the coefficients of ARIMA(p,d,q)(P,D,Q)m by conditional sum of
+ * squares with Nelder–Mead from all zeros, conditioning on the points before
+ * start (by default the AR polynomial's degree). Undifferenced models get
+ * the sample mean. Returns { coefficients: { ar, ma, seasonalAr, seasonalMa },
+ * mean, residuals, sse, start }.
+ */
+export function fitArimaCoefficients(values, { p = 0, d = 0, q = 0, P = 0, D = 0, Q = 0, seasonLength = 12 }, { start } = {}) {
+  const differencing = { d, D, seasonLength };
+  const mean = d + D === 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+  const from = start ?? p + P * seasonLength + d + D * seasonLength;
+  if (values.length - from < p + q + P + Q + 2) {
+    throw new Error(`Need more than ${from + p + q + P + Q + 1} points for this ARIMA order`);
+  }
+
+  const toCoefficients = (x) => ({
+    ar: x.slice(0, p),
+    ma: x.slice(p, p + q),
+    seasonalAr: x.slice(p + q, p + q + P),
+    seasonalMa: x.slice(p + q + P)
+  });
+  const sumOfSquares = (residuals) => residuals.reduce((sum, r, t) => (t >= from ? sum + r * r : sum), 0);
+
+  const css = (x) => {
+    const c = toCoefficients(x);
+    if (!isStationary(c.ar) || !isStationary(c.seasonalAr) ||
+      !isStationary(c.ma.map(v => -v)) || !isStationary(c.seasonalMa.map(v => -v))) return Infinity;
+    return sumOfSquares(arimaResiduals(values, arimaPolynomials(c, differencing), mean, from));
+  };
+
+  const size = p + q + P + Q;
+  const x = size > 0
+    ? nelderMead(css, new Array(size).fill(0), { step: 0.2, lower: new Array(size).fill(-2), upper: new Array(size).fill(2) }).x
+    : [];
+
+  const coefficients = toCoefficients(x);
+  const residuals = arimaResiduals(values, arimaPolynomials(coefficients, differencing), mean, from);
+  return { coefficients, mean, residuals, sse: sumOfSquares(residuals), start: from };
+}
+
+/**
+ * Differencing orders: one seasonal difference when there are at least two
+ * seasons and the first differences still correlate at the seasonal lag
+ * (above 0.3), then regular differences (up to 2) for as long as the KPSS
+ * test rejects stationarity at 5%
+ */
+export function chooseDifferencing(values, seasonLength) {
+  let D = 0;
+  if (seasonLength > 1 && values.length >= 2 * seasonLength + 4) {
+    const changes = difference(values, { d: 1 });
+    if (autocorrelations(changes, seasonLength)[seasonLength - 1] > 0.3) D = 1;
+  }
+
+  let d = 0;
+  let current = difference(values, { D, seasonLength });
+  while (d < 2 && current.length > 3 && kpssStatistic(current) > KPSS_CRITICAL_VALUE) {
+    current = difference(current, { d: 1 });
+    d++;
+  }
+  return { d, D };
+}
@@ -1,76 +1,209 @@
 /**
- * Decision Tree Classifier - ID3 Algorithm Implementation
+ * Decision Tree Classifier - ID3 with C4.5/CART extensions
  * Pure JavaScript - No external dependencies
+ *
+ * Categorical features get one branch per value; numeric features get binary
+ * threshold splits and may be split again further down. Splits are chosen by
+ * gain ratio (C4.5) or Gini decrease (CART), limited by minSamplesLeaf and
+ * minGain, and the grown tree can be pruned against a held-out validation set
+ * (reduced-error or cost-complexity pruning).
  */
 
-// Calculate entropy of a dataset
-function calculateEntropy(data, targetColumn) {
-  const total = data.length;
-  if (total === 0) return 0;
+import { columnReader } from '../data/columnarTable';
+import { isNumericType } from '../data/typeInference';
+import { DEFAULT_SEED, createRandom } from './random';
+import { stratifiedSplit, classificationReport, crossValidate } from './evaluation';
+
+// Feature value used for blank cells
+const MISSING_VALUE = '(blank)';
+
+// Distinct values kept per feature for building a prediction form
+const MAX_FEATURE_VALUES = 200;
+
+// Share of the rows held back to test the final tree on
+const TEST_RATIO = 0.2;
+
+// Share of the training rows held back to prune against
+const VALIDATION_RATIO = 0.25;
+
+export const SPLIT_CRITERIA = [
+  { id: 'gainRatio', label: 'Gain ratio (C4.5)' },
+  { id: 'gini', label: 'Gini (CART)' }
+];
+
+export const PRUNING_METHODS = [
+  { id: 'none', label: 'No pruning' },
+  { id: 'reducedError', label: 'Reduced-error' },
+  { id: 'costComplexity', label: 'Cost-complexity' }
+];
 
+// Colors assigned to the target classes in order
+const CLASS_PALETTE = [
+  '#0ea5e9', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6',
+  '#ec4899', '#14b8a6', '#f97316', '#6366f1', '#84cc16'
+];
+
+// Count the rows of each class
+function countClasses(data, targetColumn) {
   const counts = {};
   data.forEach(row => {
     const label = row[targetColumn];
     counts[label] = (counts[label] || 0) + 1;
   });
+  return counts;
+}
 
-  let entropy = 0;
+// Entropy of class counts
+function entropy(counts, total) {
+  let result = 0;
   Object.values(counts).forEach(count => {
     const probability = count / total;
     if (probability > 0) {
-      entropy -= probability * Math.log2(probability);
+      result -= probability * Math.log2(probability);
     }
   });
+  return result;
+}
 
-  return entropy;
+// Gini impurity of class counts
+function gini(counts, total) {
+  let sumOfSquares = 0;
+  Object.values(counts).forEach(count => {
+    sumOfSquares += (count / total) ** 2;
+  });
+  return 1 - sumOfSquares;
 }
 
-// Calculate information gain for a feature
-function calculateInformationGain(data, feature, targetColumn) {
-  const totalEntropy = calculateEntropy(data, targetColumn);
-  const total = data.length;
+const impurityFor = (criterion) => (criterion === 'gini' ? gini : entropy);
+
+// Impurity decrease of a split into branches of { counts, size }; for gain
+// ratio the information gain is divided by the split information
+function scoreSplit(parentImpurity, branches, total, criterion) {
+  const impurity = impurityFor(criterion);
+  let weighted = 0;
+  let splitInfo = 0;
+  branches.forEach(({ counts, size }) => {
+    const weight = size / total;
+    weighted += weight * impurity(counts, size);
+    splitInfo -= weight * Math.log2(weight);
+  });
+
+  const decrease = parentImpurity - weighted;
+  if (criterion !== 'gainRatio') return decrease;
+  return splitInfo > 0 ? decrease / splitInfo : 0;
+}
 
-  // Group data by feature values
-  const groups = {};
+// One branch per value of a categorical feature
+function categoricalSplit(data, feature, targetColumn, parentImpurity, { criterion, minSamplesLeaf }) {
+  const groups = new Map();
   data.forEach(row => {
-    const value = row[feature];
-    if (!groups[value]) groups[value] = [];
-    groups[value].push(row);
+    const key = String(row[feature]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
   });
 
-  // Calculate weighted entropy
-  let weightedEntropy = 0;
-  Object.values(groups).forEach(group => {
-    const weight = group.length / total;
-    weightedEntropy += weight * calculateEntropy(group, targetColumn);
+  const branches = [...groups.values()];
+  if (branches.length < 2 || branches.some(rows => rows.length < minSamplesLeaf)) return null;
+
+  const score = scoreSplit(
+    parentImpurity,
+    branches.map(rows => ({ counts: countClasses(rows, targetColumn), size: rows.length })),
+    data.length,
+    criterion
+  );
+  return { feature, score, branches: groups };
+}
+
+// Branch labels of a numeric split
+function thresholdBranches(threshold) {
+  const label = Number(threshold.toPrecision(6));
+  return [`≤ ${label}`, `> ${label}`];
+}
+
+// Binary split of a numeric feature at the best midpoint between two sorted
+// values. Rows without a value follow the larger branch.
+function numericSplit(data, feature, targetColumn, { criterion, minSamplesLeaf }) {
+  const known = [];
+  const missing = [];
+  data.forEach(row => {
+    const value = row[feature];
+    (typeof value === 'number' && !Number.isNaN(value) ? known : missing).push(row);
   });
+  if (known.length < 2 * minSamplesLeaf) return null;
+
+  known.sort((a, b) => a[feature] - b[feature]);
+  const totalCounts = countClasses(known, targetColumn);
+  const knownImpurity = impurityFor(criterion)(totalCounts, known.length);
+  const leftCounts = {};
+  const rightCounts = { ...totalCounts };
+
+  // Pick the threshold by impurity decrease (C4.5 uses plain information gain here)
+  const thresholdCriterion = criterion === 'gini' ? 'gini' : 'entropy';
+  let best = null;
+  for (let i = 0; i < known.length - 1; i++) {
+    const label = known[i][targetColumn];
+    leftCounts[label] = (leftCounts[label] || 0) + 1;
+    rightCounts[label]--;
+
+    const leftSize = i + 1;
+    const rightSize = known.length - leftSize;
+    if (known[i][feature] === known[i + 1][feature]) continue;
+    if (leftSize < minSamplesLeaf || rightSize < minSamplesLeaf) continue;
+
+    const decrease = scoreSplit(knownImpurity, [
+      { counts: leftCounts, size: leftSize },
+      { counts: rightCounts, size: rightSize }
+    ], known.length, thresholdCriterion);
+    if (!best || decrease > best.decrease) {
+      best = { decrease, index: i };
+    }
+  }
+  if (!best) return null;
+
+  const threshold = (known[best.index][feature] + known[best.index + 1][feature]) / 2;
+  const left = known.slice(0, best.index + 1);
+  const right = known.slice(best.index + 1);
+  const [leftKey, rightKey] = thresholdBranches(threshold);
+  const missingBranch = left.length >= right.length ? leftKey : rightKey;
+  (missingBranch === leftKey ? left : right).push(...missing);
+
+  // Scale by the share of rows with a value, as C4.5 does
+  const score = scoreSplit(
+    impurityFor(criterion)(countClasses(data, targetColumn), data.length),
+    [left, right].map(rows => ({ counts: countClasses(rows, targetColumn), size: rows.length })),
+    data.length,
+    criterion
+  ) * (known.length / data.length);
 
-  return totalEntropy - weightedEntropy;
+  return {
+    feature,
+    score,
+    threshold,
+    missingBranch,
+    branches: new Map([[leftKey, left], [rightKey, right]])
+  };
 }
 
-// Find the best feature to split on
-function findBestFeature(data, features, targetColumn) {
-  let bestFeature = null;
-  let bestGain = -Infinity;
+// Find the best split over all features
+function findBestSplit(data, features, targetColumn, options) {
+  const parentImpurity = impurityFor(options.criterion)(countClasses(data, targetColumn), data.length);
+  let best = null;
 
   features.forEach(feature => {
-    const gain = calculateInformationGain(data, feature, targetColumn);
-    if (gain > bestGain) {
-      bestGain = gain;
-      bestFeature = feature;
+    const split = options.featureTypes[feature] === 'numeric'
+      ? numericSplit(data, feature, targetColumn, options)
+      : categoricalSplit(data, feature, targetColumn, parentImpurity, options);
+    if (split && (!best || split.score > best.score)) {
+      best = split;
     }
   });
 
-  return { feature: bestFeature, gain: bestGain };
+  return best;
 }
 
 // Get the majority class in data
 function getMajorityClass(data, targetColumn) {
-  const counts = {};
-  data.forEach(row => {
-    const label = row[targetColumn];
-    counts[label] = (counts[label] || 0) + 1;
-  });
+  const counts = countClasses(data, targetColumn);
 
   let majorityClass = null;
   let maxCount = 0;
@@ -84,8 +217,9 @@ function getMajorityClass(data, targetColumn) {
   return { label: majorityClass, count: maxCount, total: data.length };
 }
 
-// Build the decision tree recursively
-function buildTree(data, features, targetColumn, depth = 0, maxDepth = 5) {
+// Build the decision tree recursively. options: { maxDepth, minSamplesLeaf,
+// minGain, criterion, featureTypes }
+function buildTree(data, features, targetColumn, depth, options) {
   // Base cases
   if (data.length === 0) {
     return { type: 'leaf', label: 'Unknown', confidence: 0, samples: 0 };
@@ -93,53 +227,47 @@ function buildTree(data, features, targetColumn, depth = 0, maxDepth = 5) {
 
   const { label: majorityClass, count, total } = getMajorityClass(data, targetColumn);
   const confidence = count / total;
-
-  // If all samples have same class or max depth reached or no features left
-  if (confidence === 1 || depth >= maxDepth || features.length === 0) {
-    return {
-      type: 'leaf',
-      label: majorityClass,
-      confidence: confidence,
-      samples: total,
-      distribution: getClassDistribution(data, targetColumn)
-    };
+  const distribution = getClassDistribution(data, targetColumn);
+  const leaf = { type: 'leaf', label: majorityClass, confidence, samples: total, distribution };
+
+  // If all samples have same class, max depth is reached, no features are
+  // left or the rows cannot fill two leaves
+  if (confidence === 1 || depth >= options.maxDepth || features.length === 0 ||
+      total < 2 * options.minSamplesLeaf) {
+    return leaf;
   }
 
-  // Find best feature to split
-  const { feature: bestFeature, gain } = findBestFeature(data, features, targetColumn);
-
-  // If no information gain, return leaf
-  if (gain <= 0) {
-    return {
-      type: 'leaf',
-      label: majorityClass,
-      confidence: confidence,
-      samples: total,
-      distribution: getClassDistribution(data, targetColumn)
-    };
+  // Find best split; stop when it does not gain enough
+  const split = findBestSplit(data, features, targetColumn, options);
+  if (!split || split.score <= options.minGain) {
+    return leaf;
   }
 
-  // Create node and split
+  // Internal nodes keep their majority class so they can be pruned to a leaf
   const node = {
     type: 'node',
-    feature: bestFeature,
-    gain: gain,
+    feature: split.feature,
+    gain: split.score,
     samples: total,
-    children: {}
+    children: {},
+    defaultPrediction: majorityClass,
+    confidence,
+    distribution
   };
+  if (split.threshold !== undefined) {
+    node.threshold = split.threshold;
+    node.missingBranch = split.missingBranch;
+  }
 
-  // Get unique values for the best feature
-  const featureValues = [...new Set(data.map(row => row[bestFeature]))];
-  const remainingFeatures = features.filter(f => f !== bestFeature);
+  // Numeric features can be split again at another threshold
+  const remainingFeatures = split.threshold === undefined
+    ? features.filter(f => f !== split.feature)
+    : features;
 
-  featureValues.forEach(value => {
-    const subset = data.filter(row => row[bestFeature] === value);
-    node.children[value] = buildTree(subset, remainingFeatures, targetColumn, depth + 1, maxDepth);
+  split.branches.forEach((rows, key) => {
+    node.children[key] = buildTree(rows, remainingFeatures, targetColumn, depth + 1, options);
   });
 
-  // Store default prediction for unseen values
-  node.defaultPrediction = majorityClass;
-
   return node;
 }
 
@@ -163,6 +291,20 @@ function getClassDistribution(data, targetColumn) {
   return distribution;
 }
 
+// Child key a sample follows at a node, or null for an unseen category
+function branchFor(node, sample) {
+  const value = sample[node.feature];
+
+  if (node.threshold !== undefined) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    if (Number.isNaN(number)) return node.missingBranch;
+    const [leftKey, rightKey] = thresholdBranches(node.threshold);
+    return number <= node.threshold ? leftKey : rightKey;
+  }
+
+  return node.children[value] ? String(value) : null;
+}
+
 // Predict a single sample
 function predict(tree, sample) {
   if (tree.type === 'leaf') {
@@ -173,10 +315,9 @@ function predict(tree, sample) {
     };
   }
 
-  const featureValue = sample[tree.feature];
-
-  if (tree.children[featureValue]) {
-    return predict(tree.children[featureValue], sample);
+  const branch = branchFor(tree, sample);
+  if (branch !== null) {
+    return predict(tree.children[branch], sample);
   }
 
   // If value not seen during training, use default prediction
@@ -209,70 +350,174 @@ function predictTopN(tree, sample, n = 3) {
   return sorted;
 }
 
-// Feature preprocessing for Coffee Shop data
-export function preprocessCoffeeData(data) {
-  return data.map(row => {
-    const processed = { ...row };
-
-    // Time to time slot (Morning: 6-12, Afternoon: 12-17, Evening: 17-22)
-    if (row.Time) {
-      const timeParts = String(row.Time).split(':');
-      const hour = parseInt(timeParts[0], 10);
-
-      if (hour >= 6 && hour < 12) {
-        processed.TimeSlot = 'Morning';
-      } else if (hour >= 12 && hour < 17) {
-        processed.TimeSlot = 'Afternoon';
+// Training rows from a columnar table plus the target label. Number and
+// currency features stay numbers (null when missing); other features become
+// text, with blank cells as "(blank)". Rows without a label are left out;
+// rowIndices holds each row's index in the table.
+export function prepareTrainingRows(table, features, targetColumn) {
+  const readers = features.map(feature => columnReader(table, feature));
+  const numeric = features.map(feature => isNumericType(table.columnTypes[feature]));
+  const readTarget = columnReader(table, targetColumn);
+  const rows = [];
+  const rowIndices = [];
+
+  for (let i = 0; i < table.rowCount; i++) {
+    const label = readTarget(i);
+    if (label === null || label === '') continue;
+
+    const row = { [targetColumn]: String(label) };
+    features.forEach((feature, f) => {
+      const value = readers[f](i);
+      if (numeric[f]) {
+        row[feature] = typeof value === 'number' ? value : null;
       } else {
-        processed.TimeSlot = 'Evening';
+        row[feature] = value === null || value === '' ? MISSING_VALUE : String(value);
       }
-    }
+    });
+    rows.push(row);
+    rowIndices.push(i);
+  }
 
-    // Temperature to category
-    const maxTemp = parseFloat(row['Max Temp'] || row.MaxTemp || row['Max temp']);
-    if (!isNaN(maxTemp)) {
-      if (maxTemp < 10) {
-        processed.TempCategory = 'Cold';
-      } else if (maxTemp < 18) {
-        processed.TempCategory = 'Mild';
-      } else {
-        processed.TempCategory = 'Warm';
-      }
-    }
+  return { rows, rowIndices };
+}
 
-    // Rain to boolean string
-    if (row.Rain !== undefined) {
-      const rainVal = String(row.Rain).toLowerCase();
-      processed.IsRainy = (rainVal === 'yes' || rainVal === 'true' || rainVal === '1') ? 'Yes' : 'No';
+// A feature is numeric when all its values are numbers (or missing)
+function detectFeatureTypes(data, features) {
+  return Object.fromEntries(features.map(feature => {
+    let sawNumber = false;
+    for (const row of data) {
+      const value = row[feature];
+      if (value === null || value === undefined) continue;
+      if (typeof value !== 'number') return [feature, 'categorical'];
+      sawNumber = true;
     }
+    return [feature, sawNumber ? 'numeric' : 'categorical'];
+  }));
+}
 
-    return processed;
+// Smallest and largest value of a numeric feature
+function valueRange(data, feature) {
+  let min = Infinity;
+  let max = -Infinity;
+  data.forEach(row => {
+    const value = row[feature];
+    if (typeof value !== 'number' || Number.isNaN(value)) return;
+    if (value < min) min = value;
+    if (value > max) max = value;
   });
+  return min <= max ? { min, max } : { min: 0, max: 0 };
+}
+
+// Sorted distinct values of a column of training rows
+function distinctSorted(data, column, limit = Infinity) {
+  const values = new Set();
+  for (const row of data) {
+    if (values.size >= limit) break;
+    values.add(row[column]);
+  }
+  return [...values].sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+}
+
+// Class probabilities, in classes order, from a predictTopN ranking
+function rankingToProbabilities(ranking, classes) {
+  const byLabel = Object.fromEntries(ranking.map(({ label, confidence }) => [label, confidence / 100]));
+  return classes.map(label => byLabel[label] ?? 0);
 }
 
-// Train/Test split
-function trainTestSplit(data, testRatio = 0.2) {
-  const shuffled = [...data].sort(() => Math.random() - 0.5);
-  const splitIndex = Math.floor(data.length * (1 - testRatio));
+// Map each target class to a palette color
+export function getClassColors(classes) {
+  return Object.fromEntries(classes.map((label, i) => [label, CLASS_PALETTE[i % CLASS_PALETTE.length]]));
+}
+
+// Misclassified rows
+function countErrors(tree, data, targetColumn) {
+  return data.filter(row => predict(tree, row).prediction !== row[targetColumn]).length;
+}
 
+// A node collapsed into a leaf predicting its majority class
+function toLeaf(node) {
   return {
-    train: shuffled.slice(0, splitIndex),
-    test: shuffled.slice(splitIndex)
+    type: 'leaf',
+    label: node.defaultPrediction,
+    confidence: node.confidence,
+    samples: node.samples,
+    distribution: node.distribution
   };
 }
 
-// Calculate accuracy
-function calculateAccuracy(tree, testData, targetColumn) {
-  let correct = 0;
+// Reduced-error pruning: bottom-up, replace a subtree by a leaf whenever
+// that does not add errors on the validation rows reaching it
+function reducedErrorPrune(node, validation, targetColumn) {
+  if (node.type === 'leaf') return node;
 
-  testData.forEach(row => {
-    const result = predict(tree, row);
-    if (result.prediction === row[targetColumn]) {
-      correct++;
-    }
+  const routed = {};
+  validation.forEach(row => {
+    const branch = branchFor(node, row);
+    if (branch === null) return;
+    (routed[branch] = routed[branch] || []).push(row);
+  });
+  Object.keys(node.children).forEach(key => {
+    node.children[key] = reducedErrorPrune(node.children[key], routed[key] || [], targetColumn);
   });
 
-  return correct / testData.length;
+  const leafErrors = validation.filter(row => row[targetColumn] !== node.defaultPrediction).length;
+  return leafErrors <= countErrors(node, validation, targetColumn) ? toLeaf(node) : node;
+}
+
+// Training rows a node misclassifies as a leaf
+const trainingErrors = (node) => {
+  const label = node.type === 'leaf' ? node.label : node.defaultPrediction;
+  return node.samples - (node.distribution?.[label]?.count || 0);
+};
+
+// Collapse the weakest link: the internal node whose subtree removes the
+// fewest training errors per extra leaf. Returns the new root.
+function collapseWeakestLink(tree) {
+  let weakest = null;
+
+  // Returns { errors, leaves } of the subtree's leaves
+  const visit = (node, parent, key) => {
+    if (node.type === 'leaf') return { errors: trainingErrors(node), leaves: 1 };
+
+    let errors = 0;
+    let leaves = 0;
+    Object.entries(node.children).forEach(([childKey, child]) => {
+      const stats = visit(child, node, childKey);
+      errors += stats.errors;
+      leaves += stats.leaves;
+    });
+
+    const alpha = (trainingErrors(node) - errors) / (leaves - 1);
+    if (!weakest || alpha < weakest.alpha) {
+      weakest = { alpha, node, parent, key };
+    }
+    return { errors, leaves };
+  };
+  visit(tree, null, null);
+
+  if (!weakest.parent) return toLeaf(weakest.node);
+  weakest.parent.children[weakest.key] = toLeaf(weakest.node);
+  return tree;
+}
+
+// Cost-complexity pruning (CART): collapse weakest links one at a time down
+// to the root and keep the tree of that sequence with the fewest validation
+// errors (the smaller tree on ties)
+function costComplexityPrune(tree, validation, targetColumn) {
+  let best = structuredClone(tree);
+  let bestErrors = countErrors(tree, validation, targetColumn);
+  let current = tree;
+
+  while (current.type !== 'leaf') {
+    current = collapseWeakestLink(current);
+    const errors = countErrors(current, validation, targetColumn);
+    if (errors <= bestErrors) {
+      best = structuredClone(current);
+      bestErrors = errors;
+    }
+  }
+
+  return best;
 }
 
 // Get feature importance from tree
@@ -294,7 +539,7 @@ function getFeatureImportance(tree, importance = {}, depth = 0) {
 }
 
 // Convert tree to visualization format for ECharts (Enhanced)
-export function treeToEChartsFormat(tree, edgeLabel = null, depth = 0) {
+export function treeToEChartsFormat(tree, classColors = {}, edgeLabel = null, depth = 0) {
   if (tree.type === 'leaf') {
     // Get top 2 classes for display
     const topClasses = tree.distribution
@@ -323,7 +568,7 @@ export function treeToEChartsFormat(tree, edgeLabel = null, depth = 0) {
         }
       },
       itemStyle: {
-        color: getColorForLabel(tree.label),
+        color: classColors[tree.label] || '#6B7280',
         borderWidth: 3,
         borderColor: '#10b981'
       },
@@ -334,27 +579,17 @@ export function treeToEChartsFormat(tree, edgeLabel = null, depth = 0) {
     };
   }
 
-  // Feature icons for better visual
-  const featureIcons = {
-    'Day': '📅',
-    'TimeSlot': '🕐',
-    'IsRainy': '🌧️',
-    'TempCategory': '🌡️'
-  };
-
-  const icon = featureIcons[tree.feature] || '❓';
-
   const children = Object.entries(tree.children).map(([value, child]) => {
-    return treeToEChartsFormat(child, value, depth + 1);
+    return treeToEChartsFormat(child, classColors, value, depth + 1);
   });
 
   return {
-    name: `${icon} ${tree.feature}`,
+    name: tree.feature,
     value: tree.samples,
     label: {
       formatter: [
-        `{title|${icon} ${tree.feature}}`,
-        `{gain|IG: ${(tree.gain * 100).toFixed(1)}%}`,
+        `{title|${tree.feature}}`,
+        `{gain|Gain: ${(tree.gain * 100).toFixed(1)}%}`,
         `{samples|n=${tree.samples}}`
       ].join('\n'),
       rich: {
@@ -393,26 +628,23 @@ export function getTreeStats(tree, stats = { nodes: 0, leaves: 0, maxDepth: 0 },
   return stats;
 }
 
-// Get color for product label
-function getColorForLabel(label) {
-  const colors = {
-    'Hot Chocolate': '#8B4513',
-    'Latte': '#D2691E',
-    'Americano': '#4A2C2A',
-    'Cortado': '#CD853F',
-    'Cappuccino': '#DEB887',
-    'Espresso': '#3C1414',
-    'Mocha': '#5C4033',
-    'Flat White': '#F5DEB3',
-    'default': '#6B7280'
-  };
-  return colors[label] || colors.default;
-}
-
 // Main class for the Decision Tree
 export class DecisionTreeClassifier {
-  constructor(maxDepth = 5) {
+  constructor(maxDepth = 5, {
+    criterion = 'gainRatio',
+    minSamplesLeaf = 1,
+    minGain = 0,
+    pruning = 'none',
+    folds = 5,
+    seed = DEFAULT_SEED
+  } = {}) {
     this.maxDepth = maxDepth;
+    this.folds = folds;
+    this.seed = seed;
+    this.criterion = criterion;
+    this.minSamplesLeaf = minSamplesLeaf;
+    this.minGain = minGain;
+    this.pruning = pruning;
     this.tree = null;
     this.features = [];
     this.targetColumn = null;
@@ -420,22 +652,81 @@ export class DecisionTreeClassifier {
     this.featureImportance = {};
     this.trainSize = 0;
     this.testSize = 0;
+    this.evaluation = null;
+    this.crossValidation = null;
+    this.testPredictions = null;
+    this.classes = [];
+    this.featureTypes = {};
+    this.featureValues = {};
+    this.featureRanges = {};
+    this.nodesBeforePruning = 0;
   }
 
-  train(data, features, targetColumn) {
+  // onProgress({ stage, done, total }) is called before each training step.
+  // rowIndices maps data rows back to table rows for the test predictions.
+  train(data, features, targetColumn, { rowIndices = null, onProgress } = {}) {
     this.features = features;
     this.targetColumn = targetColumn;
+    this.classes = distinctSorted(data, targetColumn);
+    this.featureTypes = detectFeatureTypes(data, features);
+    this.featureValues = {};
+    this.featureRanges = {};
+    features.forEach(feature => {
+      if (this.featureTypes[feature] === 'numeric') {
+        this.featureRanges[feature] = valueRange(data, feature);
+      } else {
+        this.featureValues[feature] = distinctSorted(data, feature, MAX_FEATURE_VALUES);
+      }
+    });
 
-    // Split data
-    const { train, test } = trainTestSplit(data, 0.2);
+    // Cross-validate the whole grow-and-prune procedure, then fit the final
+    // tree on a stratified holdout split. All splits come from the seed.
+    const random = createRandom(this.seed);
+    const labels = data.map(row => row[targetColumn]);
+    const folds = this.folds >= 2 ? Math.min(this.folds, data.length) : 0;
+    const pruned = this.pruning !== 'none';
+    const total = folds + (pruned ? 3 : 2);
+
+    this.crossValidation = folds > 0
+      ? crossValidate(labels, (trainIndices, testIndices) => {
+          const { tree } = this.fitTree(trainIndices.map(i => data[i]), random);
+          return testIndices.map(i => predict(tree, data[i]).prediction);
+        }, {
+          folds,
+          random,
+          classes: this.classes,
+          onFold: (fold) => onProgress?.({ stage: `Cross-validation fold ${fold + 1} of ${folds}`, done: fold, total })
+        })
+      : null;
+
+    const split = stratifiedSplit(labels, TEST_RATIO, random);
+    const train = split.train.map(i => data[i]);
+    const test = split.test.map(i => data[i]);
     this.trainSize = train.length;
     this.testSize = test.length;
 
-    // Build tree
-    this.tree = buildTree(train, features, targetColumn, 0, this.maxDepth);
-
-    // Calculate accuracy
-    this.accuracy = calculateAccuracy(this.tree, test, targetColumn);
+    // Build (and prune) the final tree
+    onProgress?.({ stage: 'Building tree', done: folds, total });
+    const fitted = this.fitTree(train, random, () => onProgress?.({ stage: 'Pruning', done: folds + 1, total }));
+    this.tree = fitted.tree;
+    this.nodesBeforePruning = fitted.nodesBeforePruning;
+
+    // Evaluate on the held-out rows, keeping each row's class probabilities
+    // for the confusion matrix and ROC/PR curves
+    onProgress?.({ stage: 'Evaluating', done: total - 1, total });
+    const actual = test.map(row => row[targetColumn]);
+    const predicted = test.map(row => predict(this.tree, row).prediction);
+    this.evaluation = classificationReport(actual, predicted, this.classes);
+    this.accuracy = this.evaluation.accuracy;
+    this.testPredictions = {
+      classes: this.classes,
+      rowIndices: split.test.map(i => (rowIndices ? rowIndices[i] : i)),
+      actual,
+      predicted,
+      probabilities: test.map(row =>
+        rankingToProbabilities(predictTopN(this.tree, row, this.classes.length), this.classes)
+      )
+    };
 
     // Calculate feature importance
     const rawImportance = getFeatureImportance(this.tree);
@@ -450,10 +741,43 @@ export class DecisionTreeClassifier {
       accuracy: this.accuracy,
       trainSize: this.trainSize,
       testSize: this.testSize,
+      evaluation: this.evaluation,
+      crossValidation: this.crossValidation,
       featureImportance: this.featureImportance
     };
   }
 
+  // Grow a tree on rows and, when pruning, prune it against validation rows
+  // held back from them; onPrune is called before pruning
+  fitTree(rows, random, onPrune) {
+    const pruned = this.pruning !== 'none';
+    let grow = rows;
+    let validation = [];
+    if (pruned) {
+      const split = stratifiedSplit(rows.map(row => row[this.targetColumn]), VALIDATION_RATIO, random);
+      grow = split.train.map(i => rows[i]);
+      validation = split.test.map(i => rows[i]);
+    }
+
+    let tree = buildTree(grow, this.features, this.targetColumn, 0, {
+      maxDepth: this.maxDepth,
+      minSamplesLeaf: Math.max(1, this.minSamplesLeaf),
+      minGain: this.minGain,
+      criterion: this.criterion,
+      featureTypes: this.featureTypes
+    });
+    const nodesBeforePruning = getTreeStats(tree).nodes;
+
+    if (pruned) {
+      onPrune?.();
+      tree = this.pruning === 'costComplexity'
+        ? costComplexityPrune(tree, validation, this.targetColumn)
+        : reducedErrorPrune(tree, validation, this.targetColumn);
+    }
+
+    return { tree, nodesBeforePruning };
+  }
+
   predict(sample) {
     if (!this.tree) {
       throw new Error('Model not trained yet');
@@ -470,7 +794,7 @@ export class DecisionTreeClassifier {
 
   getTreeForVisualization() {
     if (!this.tree) return null;
-    return treeToEChartsFormat(this.tree);
+    return treeToEChartsFormat(this.tree, getClassColors(this.classes));
   }
 
   getModelStats() {
@@ -482,6 +806,13 @@ export class DecisionTreeClassifier {
       features: this.features,
       featureImportance: this.featureImportance,
       maxDepth: this.maxDepth,
+      criterion: this.criterion,
+      pruning: this.pruning,
+      seed: this.seed,
+      evaluation: this.evaluation,
+      crossValidation: this.crossValidation,
+      testPredictions: this.testPredictions,
+      prunedNodes: this.nodesBeforePruning - treeStats.nodes,
       treeNodes: treeStats.nodes,
       treeLeaves: treeStats.leaves,
       actualDepth: treeStats.maxDepth
@@ -498,7 +829,21 @@ export class DecisionTreeClassifier {
       featureImportance: this.featureImportance,
       trainSize: this.trainSize,
       testSize: this.testSize,
-      maxDepth: this.maxDepth
+      evaluation: this.evaluation,
+      crossValidation: this.crossValidation,
+      testPredictions: this.testPredictions,
+      maxDepth: this.maxDepth,
+      criterion: this.criterion,
+      minSamplesLeaf: this.minSamplesLeaf,
+      minGain: this.minGain,
+      pruning: this.pruning,
+      folds: this.folds,
+      seed: this.seed,
+      nodesBeforePruning: this.nodesBeforePruning,
+      classes: this.classes,
+      featureTypes: this.featureTypes,
+      featureValues: this.featureValues,
+      featureRanges: this.featureRanges
     };
   }
 
@@ -511,7 +856,21 @@ export class DecisionTreeClassifier {
     this.featureImportance = json.featureImportance;
     this.trainSize = json.trainSize;
     this.testSize = json.testSize;
+    this.evaluation = json.evaluation || null;
+    this.crossValidation = json.crossValidation || null;
+    this.testPredictions = json.testPredictions || null;
     this.maxDepth = json.maxDepth;
+    this.criterion = json.criterion || 'gainRatio';
+    this.minSamplesLeaf = json.minSamplesLeaf ?? 1;
+    this.minGain = json.minGain ?? 0;
+    this.pruning = json.pruning || 'none';
+    this.folds = json.folds ?? 5;
+    this.seed = json.seed ?? DEFAULT_SEED;
+    this.nodesBeforePruning = json.nodesBeforePruning ?? 0;
+    this.classes = json.classes || [];
+    this.featureTypes = json.featureTypes || {};
+    this.featureValues = json.featureValues || {};
+    this.featureRanges = json.featureRanges || {};
     return this;
   }
 }
@@ -0,0 +1,285 @@
+/**
+ * Model Evaluation
+ *
+ * Stratified holdout and k-fold splits plus the usual classification metrics,
+ * shared by the classifiers, and plain k-fold splits with regression metrics
+ * for the regression model. Splits work on row indices; stratified ones keep
+ * each class's share of rows roughly equal in every part, so a rare class is
+ * not left out of a test set by chance. Randomness comes from a generator
+ * made with createRandom(), so a seed reproduces the same splits.
+ */
+
+import { shuffle } from './random';
+
+// Row indices grouped by label, in first-seen label order
+function indicesByLabel(labels) {
+  const groups = new Map();
+  labels.forEach((label, i) => {
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(i);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Holdout split that keeps the class balance: about testRatio of each class's
+ * rows go to the test set. Returns { train, test } as arrays of row indices.
+ */
+export function stratifiedSplit(labels, testRatio, random) {
+  const train = [];
+  const test = [];
+  indicesByLabel(labels).forEach(group => {
+    const shuffled = shuffle(group, random);
+    const testCount = Math.round(shuffled.length * testRatio);
+    test.push(...shuffled.slice(0, testCount));
+    train.push(...shuffled.slice(testCount));
+  });
+  return { train: shuffle(train, random), test: shuffle(test, random) };
+}
+
+/**
+ * Stratified k-fold split: each class's rows are dealt round-robin over the
+ * folds. Returns k entries of { train, test } row indices; k is capped at the
+ * number of rows.
+ */
+export function stratifiedKFold(labels, k, random) {
+  const folds = Math.max(1, Math.min(k, labels.length));
+  const testSets = Array.from({ length: folds }, () => []);
+  let next = 0;
+  indicesByLabel(labels).forEach(group => {
+    shuffle(group, random).forEach(index => {
+      testSets[next].push(index);
+      next = (next + 1) % folds;
+    });
+  });
+
+  return testSets.map((test, fold) => ({
+    train: testSets.flatMap((indices, other) => (other === fold ? [] : indices)),
+    test
+  }));
+}
+
+/**
+ * Plain k-fold split of n rows in random order. Returns k entries of
+ * { train, test } row indices; k is capped at n.
+ */
+export function kFold(n, k, random) {
+  const folds = Math.max(1, Math.min(k, n));
+  const order = shuffle([...Array(n).keys()], random);
+  const testSets = Array.from({ length: folds }, (_, fold) => order.filter((_, i) => i % folds === fold));
+
+  return testSets.map((test, fold) => ({
+    train: testSets.flatMap((indices, other) => (other === fold ? [] : indices)),
+    test
+  }));
+}
+
+/**
+ * RMSE, MAE and R² of predicted against actual values
+ */
+export function regressionMetrics(actual, predicted) {
+  const n = actual.length;
+  if (n === 0) return { rmse: 0, mae: 0, r2: 0 };
+  const mean = actual.reduce((sum, v) => sum + v, 0) / n;
+  let squared = 0;
+  let absolute = 0;
+  let total = 0;
+  actual.forEach((value, i) => {
+    squared += (value - predicted[i]) ** 2;
+    absolute += Math.abs(value - predicted[i]);
+    total += (value - mean) ** 2;
+  });
+  return {
+    rmse: Math.sqrt(squared / n),
+    mae: absolute / n,
+    r2: total > 0 ? 1 - squared / total : 0
+  };
+}
+
+/**
+ * Mean and sample standard deviation of a list of numbers
+ */
+export function summarize(values) {
+  const n = values.length;
+  if (n === 0) return { mean: 0, std: 0 };
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const variance = n > 1
+    ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1)
+    : 0;
+  return { mean, std: Math.sqrt(variance) };
+}
+
+/**
+ * Accuracy, per-class precision/recall/F1/support and macro and weighted F1
+ * of predicted against actual labels. classes defaults to every label seen.
+ */
+export function classificationReport(actual, predicted, classes = null) {
+  const labels = classes || [...new Set([...actual, ...predicted])];
+  const counts = new Map(labels.map(label => [label, { truePositive: 0, predicted: 0, support: 0 }]));
+  const countFor = (label) => {
+    if (!counts.has(label)) counts.set(label, { truePositive: 0, predicted: 0, support: 0 });
+    return counts.get(label);
+  };
+
+  let correct = 0;
+  actual.forEach((label, i) => {
+    const guess = predicted[i];
+    countFor(label).support++;
+    countFor(guess).predicted++;
+    if (guess === label) {
+      countFor(label).truePositive++;
+      correct++;
+    }
+  });
+
+  const perClass = [...counts.entries()].map(([label, { truePositive, predicted: predictedCount, support }]) => {
+    const precision = predictedCount > 0 ? truePositive / predictedCount : 0;
+    const recall = support > 0 ? truePositive / support : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+    return { label, precision, recall, f1, support };
+  });
+
+  // Classes that never occur in actual are left out of the averages
+  const present = perClass.filter(c => c.support > 0);
+  const samples = actual.length;
+
+  return {
+    samples,
+    accuracy: samples > 0 ? correct / samples : 0,
+    perClass,
+    macroF1: present.length > 0 ? present.reduce((sum, c) => sum + c.f1, 0) / present.length : 0,
+    weightedF1: samples > 0 ? present.reduce((sum, c) => sum + c.f1 * c.support, 0) / samples : 0
+  };
+}
+
+/**
+ * Stratified k-fold cross-validation. fitPredict(trainIndices, testIndices)
+ * trains on the first set of rows and returns a predicted label for each test
+ * row; onFold(fold, folds) is called before each fold. Returns the fold count,
+ * mean/std of accuracy and macro F1 over the folds, and a report pooled over
+ * all out-of-fold predictions.
+ */
+export function crossValidate(labels, fitPredict, { folds = 5, random, classes = null, onFold } = {}) {
+  const splits = stratifiedKFold(labels, folds, random);
+  const actual = [];
+  const predicted = [];
+  const foldAccuracy = [];
+  const foldMacroF1 = [];
+
+  splits.forEach(({ train, test }, fold) => {
+    onFold?.(fold, splits.length);
+    const foldActual = test.map(i => labels[i]);
+    const foldPredicted = fitPredict(train, test);
+    const report = classificationReport(foldActual, foldPredicted, classes);
+    foldAccuracy.push(report.accuracy);
+    foldMacroF1.push(report.macroF1);
+    actual.push(...foldActual);
+    predicted.push(...foldPredicted);
+  });
+
+  return {
+    folds: splits.length,
+    foldAccuracy,
+    accuracy: summarize(foldAccuracy),
+    macroF1: summarize(foldMacroF1),
+    report: classificationReport(actual, predicted, classes)
+  };
+}
+
+/**
+ * Confusion matrix of counts: counts[a][p] is the number of rows of class
+ * classes[a] predicted as classes[p]
+ */
+export function confusionMatrix(actual, predicted, classes) {
+  const position = new Map(classes.map((label, i) => [label, i]));
+  const counts = classes.map(() => classes.map(() => 0));
+  actual.forEach((label, i) => {
+    const a = position.get(label);
+    const p = position.get(predicted[i]);
+    if (a !== undefined && p !== undefined) counts[a][p]++;
+  });
+  return counts;
+}
+
+// Rows ordered by descending score, grouped so tied scores form one step
+function thresholdSteps(positives, scores) {
+  const order = [...scores.keys()].sort((a, b) => scores[b] - scores[a]);
+  const steps = [];
+  let truePositives = 0;
+  let falsePositives = 0;
+  order.forEach((index, k) => {
+    if (positives[index]) truePositives++;
+    else falsePositives++;
+    const next = order[k + 1];
+    if (next === undefined || scores[next] !== scores[index]) {
+      steps.push({ truePositives, falsePositives });
+    }
+  });
+  return steps;
+}
+
+/**
+ * ROC curve of a binary problem (positives[i] true for the positive class)
+ * from scores, as [falsePositiveRate, truePositiveRate] points, with the area
+ * under it (trapezoidal, so ties count half). auc is null when either class is
+ * missing.
+ */
+export function rocCurve(positives, scores) {
+  const positiveCount = positives.filter(Boolean).length;
+  const negativeCount = positives.length - positiveCount;
+  if (positiveCount === 0 || negativeCount === 0) {
+    return { points: [], auc: null };
+  }
+
+  const points = [[0, 0]];
+  thresholdSteps(positives, scores).forEach(({ truePositives, falsePositives }) => {
+    points.push([falsePositives / negativeCount, truePositives / positiveCount]);
+  });
+
+  let auc = 0;
+  for (let i = 1; i < points.length; i++) {
+    auc += (points[i][0] - points[i - 1][0]) * (points[i][1] + points[i - 1][1]) / 2;
+  }
+  return { points, auc };
+}
+
+/**
+ * Precision-recall curve of a binary problem as [recall, precision] points,
+ * with the average precision (precision summed over the recall steps).
+ * averagePrecision is null when there are no positives.
+ */
+export function precisionRecallCurve(positives, scores) {
+  const positiveCount = positives.filter(Boolean).length;
+  if (positiveCount === 0) {
+    return { points: [], averagePrecision: null };
+  }
+
+  const steps = thresholdSteps(positives, scores);
+  const points = [[0, 1]];
+  let averagePrecision = 0;
+  let previousRecall = 0;
+  steps.forEach(({ truePositives, falsePositives }) => {
+    const recall = truePositives / positiveCount;
+    const precision = truePositives / (truePositives + falsePositives);
+    points.push([recall, precision]);
+    averagePrecision += (recall - previousRecall) * precision;
+    previousRecall = recall;
+  });
+  return { points, averagePrecision };
+}
+
+/**
+ * One-vs-rest ROC and precision-recall curves for each class, from
+ * probabilities[i][c] = the model's probability that row i is classes[c]
+ */
+export function oneVsRestCurves(actual, probabilities, classes) {
+  return classes.map((label, c) => {
+    const positives = actual.map(value => value === label);
+    const scores = probabilities.map(row => row[c]);
+    return {
+      label,
+      roc: rocCurve(positives, scores),
+      pr: precisionRecallCurve(positives, scores)
+    };
+  });
+}
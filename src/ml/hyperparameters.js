@@ -0,0 +1,158 @@
+/**
+ * Model Hyperparameters
+ *
+ * The tunable settings of each model kind, with their defaults, ranges and
+ * the candidate values a search starts from, plus the cross-validated metrics
+ * a search can rank candidates by. Candidates are plain { [id]: value }
+ * objects that are passed straight to the model's train options.
+ */
+
+import { SPLIT_CRITERIA, PRUNING_METHODS } from './decisionTree';
+import { DEFAULT_LAMBDA } from './linearRegression';
+import { SERIES_MODELS } from './timeSeriesForecasting';
+import { randomInt } from './random';
+
+export const MAX_FEATURES_OPTIONS = [
+  { id: 'sqrt', label: '√ of features' },
+  { id: 0.5, label: '50% of features' },
+  { id: 0.7, label: '70% of features' },
+  { id: 1, label: 'All features' }
+];
+
+export const SMOOTHING_OPTIONS = [
+  { id: true, label: 'Fitted (min. SSE)' },
+  { id: false, label: 'Fixed α, β, γ, φ' }
+];
+
+export const ORDER_OPTIONS = [
+  { id: true, label: 'Selected by AIC' },
+  { id: false, label: 'Fixed p, d, q, P, D, Q' }
+];
+
+export const TREND_OPTIONS = [
+  { id: false, label: 'Linear' },
+  { id: true, label: 'Damped' }
+];
+
+// Per model kind: { id, label, type: 'int' | 'float' | 'choice', default,
+// min, max, step, options (choice only), searchValues }
+export const HYPERPARAMETERS = {
+  decisionTree: [
+    { id: 'maxDepth', label: 'Max depth', type: 'int', default: 5, min: 1, max: 20, searchValues: [3, 5, 8] },
+    { id: 'minSamplesLeaf', label: 'Min samples per leaf', type: 'int', default: 1, min: 1, searchValues: [1, 5] },
+    { id: 'minGain', label: 'Min gain', type: 'float', default: 0, min: 0, step: 0.001, searchValues: [0, 0.01] },
+    { id: 'criterion', label: 'Split criterion', type: 'choice', options: SPLIT_CRITERIA, default: 'gainRatio', searchValues: ['gainRatio', 'gini'] },
+    { id: 'pruning', label: 'Pruning', type: 'choice', options: PRUNING_METHODS, default: 'none', searchValues: ['none'] }
+  ],
+  priceSensitivity: [
+    { id: 'nTrees', label: 'Trees', type: 'int', default: 15, min: 1, max: 200, searchValues: [10, 25] },
+    { id: 'maxDepth', label: 'Max depth', type: 'int', default: 6, min: 1, max: 20, searchValues: [4, 6, 8] },
+    { id: 'minSamplesSplit', label: 'Min samples to split', type: 'int', default: 3, min: 2, searchValues: [3, 6] },
+    { id: 'maxFeatures', label: 'Features per tree', type: 'choice', options: MAX_FEATURES_OPTIONS, default: 'sqrt', searchValues: ['sqrt', 0.7] }
+  ],
+  demandRegression: [
+    { id: 'lambda', label: 'Ridge penalty (λ)', type: 'float', default: DEFAULT_LAMBDA, min: 0, step: 0.01, searchValues: [0, 0.01, 0.1, 1, 10] }
+  ],
+  // α, β, γ and φ only apply when they are not fitted; γ and the season
+  // length to Holt-Winters (a season length of 1 means no seasonality), φ
+  // to Holt. The ARIMA orders only apply to ARIMA
+  // when they are not selected (the season length applies there too).
+  tradeForecaster: [
+    { id: 'model', label: 'Model', type: 'choice', options: SERIES_MODELS, default: 'auto', searchValues: ['auto'] },
+    { id: 'seasonLength', label: 'Season length', type: 'int', default: 12, min: 1, max: 52, searchValues: [12] },
+    { id: 'optimize', label: 'Smoothing parameters', type: 'choice', options: SMOOTHING_OPTIONS, default: true, searchValues: [true, false] },
+    { id: 'damped', label: 'Trend', type: 'choice', options: TREND_OPTIONS, default: false, searchValues: [false, true] },
+    { id: 'alpha', label: 'Level smoothing (α)', type: 'float', default: 0.3, min: 0.01, max: 1, step: 0.05, searchValues: [0.3] },
+    { id: 'beta', label: 'Trend smoothing (β)', type: 'float', default: 0.1, min: 0, max: 1, step: 0.05, searchValues: [0.1] },
+    { id: 'gamma', label: 'Seasonal smoothing (γ)', type: 'float', default: 0.1, min: 0, max: 1, step: 0.05, searchValues: [0.1] },
+    { id: 'phi', label: 'Trend damping (φ)', type: 'float', default: 0.98, min: 0.8, max: 1, step: 0.01, searchValues: [0.98] },
+    { id: 'selectOrder', label: 'ARIMA order', type: 'choice', options: ORDER_OPTIONS, default: true, searchValues: [true] },
+    { id: 'p', label: 'AR order (p)', type: 'int', default: 1, min: 0, max: 5, searchValues: [1] },
+    { id: 'd', label: 'Differences (d)', type: 'int', default: 1, min: 0, max: 2, searchValues: [1] },
+    { id: 'q', label: 'MA order (q)', type: 'int', default: 1, min: 0, max: 5, searchValues: [1] },
+    { id: 'P', label: 'Seasonal AR order (P)', type: 'int', default: 0, min: 0, max: 2, searchValues: [0] },
+    { id: 'D', label: 'Seasonal differences (D)', type: 'int', default: 0, min: 0, max: 1, searchValues: [0] },
+    { id: 'Q', label: 'Seasonal MA order (Q)', type: 'int', default: 0, min: 0, max: 2, searchValues: [0] }
+  ]
+};
+
+// Per model kind: the metrics a search reports, the first one ranking by
+// default
+export const SEARCH_METRICS = {
+  decisionTree: [
+    { id: 'accuracy', label: 'CV accuracy', higherIsBetter: true, format: 'percent' },
+    { id: 'macroF1', label: 'CV macro F1', higherIsBetter: true, format: 'decimal' }
+  ],
+  priceSensitivity: [
+    { id: 'accuracy', label: 'CV accuracy', higherIsBetter: true, format: 'percent' },
+    { id: 'macroF1', label: 'CV macro F1', higherIsBetter: true, format: 'decimal' },
+    { id: 'oobAccuracy', label: 'OOB accuracy', higherIsBetter: true, format: 'percent' }
+  ],
+  demandRegression: [
+    { id: 'rmse', label: 'CV RMSE', higherIsBetter: false, format: 'decimal' },
+    { id: 'mae', label: 'CV MAE', higherIsBetter: false, format: 'decimal' },
+    { id: 'r2', label: 'CV R²', higherIsBetter: true, format: 'decimal' }
+  ],
+  tradeForecaster: [
+    { id: 'mape', label: 'CV MAPE', higherIsBetter: false, format: 'percentValue' },
+    { id: 'mae', label: 'CV MAE', higherIsBetter: false, format: 'decimal' }
+  ]
+};
+
+/**
+ * Default value of every hyperparameter of a model kind
+ */
+export function defaultHyperparameters(kind) {
+  return Object.fromEntries(HYPERPARAMETERS[kind].map(param => [param.id, param.default]));
+}
+
+/**
+ * Clamp and round a value to a numeric hyperparameter's range
+ */
+export function clampHyperparameter(param, value) {
+  if (param.type === 'choice') return value;
+  let number = Number(value);
+  if (!Number.isFinite(number)) return param.default;
+  if (param.type === 'int') number = Math.round(number);
+  if (param.min !== undefined) number = Math.max(param.min, number);
+  if (param.max !== undefined) number = Math.min(param.max, number);
+  return number;
+}
+
+/**
+ * Every combination of the search values, given as { [id]: values[] }
+ */
+export function gridCandidates(space) {
+  return Object.entries(space).reduce(
+    (candidates, [id, values]) => candidates.flatMap(candidate =>
+      values.map(value => ({ ...candidate, [id]: value }))
+    ),
+    [{}]
+  );
+}
+
+/**
+ * count random candidates: numeric hyperparameters are drawn uniformly
+ * between the smallest and largest search value, choices from the listed
+ * values. Duplicates are dropped, so fewer may come back.
+ */
+export function randomCandidates(definitions, space, count, random) {
+  const candidates = new Map();
+  for (let i = 0; i < count; i++) {
+    const candidate = {};
+    definitions.forEach(param => {
+      const values = space[param.id];
+      if (!values || values.length === 0) return;
+      if (param.type === 'choice') {
+        candidate[param.id] = values[randomInt(random, values.length)];
+        return;
+      }
+      const low = Math.min(...values);
+      const high = Math.max(...values);
+      const value = low + random() * (high - low);
+      candidate[param.id] = param.type === 'int' ? Math.round(value) : Number(value.toPrecision(3));
+    });
+    candidates.set(JSON.stringify(candidate), candidate);
+  }
+  return [...candidates.values()];
+}
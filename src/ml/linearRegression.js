@@ -6,6 +6,13 @@
  * Output: Predicted number of sales (item-specific or total daily)
  */
 
+import { columnReader } from '../data/columnarTable';
+import { DEFAULT_SEED, createRandom } from './random';
+import { kFold, regressionMetrics } from './evaluation';
+
+// Ridge penalty used unless another is given
+export const DEFAULT_LAMBDA = 0.01;
+
 /**
  * Encode categorical features to numeric values
  */
@@ -70,11 +77,11 @@ function getTimeSlot(hour) {
  * Preprocess data for regression
  * Converts raw data to numeric features
  */
-export function preprocessForRegression(data) {
+export function preprocessForRegression(table) {
   const processed = [];
 
   // Find column names (case-insensitive)
-  const columns = Object.keys(data[0] || {});
+  const { columns } = table;
   const findCol = (patterns) => columns.find(c =>
     patterns.some(p => c.toLowerCase().includes(p.toLowerCase()))
   );
@@ -90,11 +97,19 @@ export function preprocessForRegression(data) {
   // Group data by date/day to count sales
   const salesByGroup = new Map();
 
-  data.forEach(row => {
+  const readers = Object.fromEntries(
+    [dayCol, timeCol, rainCol, minTempCol, maxTempCol, dateCol, itemCol]
+      .filter(Boolean)
+      .map(col => [col, columnReader(table, col)])
+  );
+
+  for (let i = 0; i < table.rowCount; i++) {
+    const value = (col) => (col ? readers[col](i) : undefined);
+
     // Extract day
-    let day = row[dayCol];
+    let day = value(dayCol);
     if (!day && dateCol) {
-      const date = new Date(row[dateCol]);
+      const date = new Date(value(dateCol));
       if (!isNaN(date)) {
         const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
         day = days[date.getDay()];
@@ -104,26 +119,26 @@ export function preprocessForRegression(data) {
     // Extract time slot
     let timeSlot = 'Afternoon';
     if (timeCol) {
-      const hour = parseTimeToHour(row[timeCol]);
+      const hour = parseTimeToHour(value(timeCol));
       timeSlot = getTimeSlot(hour);
     }
 
     // Extract weather
-    const rain = row[rainCol] ? parseFloat(row[rainCol]) : 0;
-    const minTemp = row[minTempCol] ? parseFloat(row[minTempCol]) : 10;
-    const maxTemp = row[maxTempCol] ? parseFloat(row[maxTempCol]) : 20;
+    const rain = value(rainCol) ? parseFloat(value(rainCol)) : 0;
+    const minTemp = value(minTempCol) ? parseFloat(value(minTempCol)) : 10;
+    const maxTemp = value(maxTempCol) ? parseFloat(value(maxTempCol)) : 20;
 
     // Extract season
     let season = 'Summer';
-    if (dateCol && row[dateCol]) {
-      const date = new Date(row[dateCol]);
+    if (dateCol && value(dateCol)) {
+      const date = new Date(value(dateCol));
       if (!isNaN(date)) {
         season = getSeason(date.getMonth() + 1);
       }
     }
 
     // Extract item
-    const item = row[itemCol] || 'Unknown';
+    const item = value(itemCol) || 'Unknown';
 
     // Create group key
     const groupKey = `${day}_${timeSlot}_${Math.round(rain)}_${Math.round(minTemp)}_${Math.round(maxTemp)}_${season}`;
@@ -141,7 +156,7 @@ export function preprocessForRegression(data) {
     const group = salesByGroup.get(groupKey);
     group.totalSales++;
     group.itemSales.set(item, (group.itemSales.get(item) || 0) + 1);
-  });
+  }
 
   // Convert to training data
   const trainingData = [];
@@ -205,7 +220,8 @@ function featuresToNumeric(features) {
  * θ = (X^T X)^(-1) X^T y
  */
 export class LinearRegressionModel {
-  constructor() {
+  constructor(lambda = DEFAULT_LAMBDA) {
+    this.lambda = lambda;
     this.weights = null;
     this.bias = 0;
     this.featureMeans = null;
@@ -344,10 +360,9 @@ export class LinearRegressionModel {
     // Calculate X^T * X
     const XTX = this.matMul(X_T, X_bias);
 
-    // Add regularization (Ridge regression, λ = 0.01)
-    const lambda = 0.01;
+    // Add regularization (Ridge regression, penalty λ on all but the bias)
     for (let i = 1; i < XTX.length; i++) {
-      XTX[i][i] += lambda;
+      XTX[i][i] += this.lambda;
     }
 
     // Calculate (X^T * X)^(-1)
@@ -438,6 +453,33 @@ export class LinearRegressionModel {
       featureImportance: this.getFeatureImportance()
     };
   }
+
+  /**
+   * Serialize model for storage
+   */
+  toJSON() {
+    return {
+      lambda: this.lambda,
+      weights: this.weights,
+      bias: this.bias,
+      featureMeans: this.featureMeans,
+      featureStds: this.featureStds,
+      trainStats: this.trainStats
+    };
+  }
+
+  /**
+   * Load model from JSON
+   */
+  fromJSON(json) {
+    this.lambda = json.lambda ?? DEFAULT_LAMBDA;
+    this.weights = json.weights;
+    this.bias = json.bias;
+    this.featureMeans = json.featureMeans;
+    this.featureStds = json.featureStds;
+    this.trainStats = json.trainStats;
+    return this;
+  }
 }
 
 /**
@@ -448,24 +490,37 @@ export class DemandForecaster {
     this.totalModel = new LinearRegressionModel();
     this.itemModels = new Map();
     this.items = [];
+    this.lambda = DEFAULT_LAMBDA;
+    this.seed = DEFAULT_SEED;
     this.trained = false;
   }
 
   /**
-   * Train all models
+   * Train all models. onProgress({ stage, done, total }) is called before
+   * each model is fitted. lambda is the ridge penalty of every model. Least
+   * squares draws no random numbers; the seed is only recorded so every model
+   * reports the one it was trained with.
    */
-  train(data) {
-    const processed = preprocessForRegression(data);
+  train(table, { lambda = DEFAULT_LAMBDA, seed = DEFAULT_SEED, onProgress } = {}) {
+    const processed = preprocessForRegression(table);
+    this.lambda = lambda;
+    this.seed = seed;
+    this.totalModel = new LinearRegressionModel(lambda);
+    this.itemModels = new Map();
     this.items = processed.items;
+    const total = 1 + processed.itemSalesData.size;
 
     // Train total sales model
+    onProgress?.({ stage: 'Total sales model', done: 0, total });
     const totalStats = this.totalModel.train(processed.totalSalesData);
 
     // Train item-specific models
     const itemStats = {};
+    let done = 1;
     processed.itemSalesData.forEach((itemData, item) => {
+      onProgress?.({ stage: `Model for ${item}`, done: done++, total });
       if (itemData.length >= 3) {
-        const model = new LinearRegressionModel();
+        const model = new LinearRegressionModel(lambda);
         try {
           itemStats[item] = model.train(itemData);
           this.itemModels.set(item, model);
@@ -481,7 +536,8 @@ export class DemandForecaster {
       totalModel: totalStats,
       itemModels: itemStats,
       itemCount: this.itemModels.size,
-      totalItems: this.items.length
+      totalItems: this.items.length,
+      seed
     };
   }
 
@@ -538,9 +594,65 @@ export class DemandForecaster {
         item,
         stats: model.getStats()
       })),
-      items: this.items
+      items: this.items,
+      lambda: this.lambda,
+      seed: this.seed
     };
   }
+
+  /**
+   * Serialize all models for storage
+   */
+  toJSON() {
+    return {
+      totalModel: this.totalModel.toJSON(),
+      itemModels: Array.from(this.itemModels.entries()).map(([item, model]) => [item, model.toJSON()]),
+      items: this.items,
+      lambda: this.lambda,
+      seed: this.seed,
+      trained: this.trained
+    };
+  }
+
+  /**
+   * Load all models from JSON
+   */
+  fromJSON(json) {
+    this.totalModel = new LinearRegressionModel().fromJSON(json.totalModel);
+    this.itemModels = new Map(
+      json.itemModels.map(([item, model]) => [item, new LinearRegressionModel().fromJSON(model)])
+    );
+    this.items = json.items;
+    this.lambda = json.lambda ?? DEFAULT_LAMBDA;
+    this.seed = json.seed ?? DEFAULT_SEED;
+    this.trained = json.trained;
+    return this;
+  }
+}
+
+/**
+ * k-fold cross-validated RMSE, MAE and R² of the total sales model with a
+ * given ridge penalty, pooled over the out-of-fold predictions. The seed
+ * fixes the fold assignment.
+ */
+export function crossValidateDemand(table, { lambda = DEFAULT_LAMBDA, folds = 5, seed = DEFAULT_SEED } = {}) {
+  const data = preprocessForRegression(table).totalSalesData;
+  if (data.length < folds * 2) {
+    throw new Error(`Need at least ${folds * 2} days of sales to cross-validate`);
+  }
+
+  const actual = [];
+  const predicted = [];
+  kFold(data.length, folds, createRandom(seed)).forEach(({ train, test }) => {
+    const model = new LinearRegressionModel(lambda);
+    model.train(train.map(i => data[i]));
+    test.forEach(i => {
+      actual.push(data[i].Sales);
+      predicted.push(model.predict(data[i]));
+    });
+  });
+
+  return regressionMetrics(actual, predicted);
 }
 
 /**
@@ -0,0 +1,136 @@
+/**
+ * Model Training Worker
+ *
+ * Trains the models in src/ml and runs batch predictions off the main thread,
+ * so a 15-tree forest or a model per item does not freeze the page. Messages
+ * are { id, type, kind, ... } and replies follow excelWorker.js: { id, result },
+ * { id, error } or, while training or searching, { id, progress }. Models go
+ * in and out in their toJSON() form.
+ */
+
+import { DecisionTreeClassifier, prepareTrainingRows } from './decisionTree';
+import { DemandForecaster, crossValidateDemand } from './linearRegression';
+import { PriceSensitivityModel } from './priceSensitivity';
+import { TradeForecaster, crossValidateTrade } from './timeSeriesForecasting';
+
+// Per model kind: train(table, options, onProgress) -> JSON,
+// predict(json, samples) -> one result per sample, and score(table, options)
+// -> the cross-validated metrics listed in hyperparameters.js
+const MODELS = {
+  decisionTree: {
+    train(table, { features, targetColumn, maxDepth = 5, ...treeOptions }, onProgress) {
+      const classifier = new DecisionTreeClassifier(maxDepth, treeOptions);
+      const { rows, rowIndices } = prepareTrainingRows(table, features, targetColumn);
+      classifier.train(rows, features, targetColumn, { rowIndices, onProgress });
+      return classifier.toJSON();
+    },
+    predict(json, samples) {
+      const classifier = new DecisionTreeClassifier().fromJSON(json);
+      return samples.map(sample => classifier.predictTopN(sample, 3));
+    },
+    score(table, { features, targetColumn, maxDepth = 5, ...treeOptions }) {
+      const classifier = new DecisionTreeClassifier(maxDepth, treeOptions);
+      const { rows } = prepareTrainingRows(table, features, targetColumn);
+      const { crossValidation } = classifier.train(rows, features, targetColumn);
+      if (!crossValidation) throw new Error('Scoring needs at least 2 folds');
+      return { accuracy: crossValidation.accuracy.mean, macroF1: crossValidation.macroF1.mean };
+    },
+  },
+
+  // Samples are { features, item }; without an item the total is predicted
+  demandRegression: {
+    train(table, options, onProgress) {
+      const forecaster = new DemandForecaster();
+      forecaster.train(table, { ...options, onProgress });
+      return forecaster.toJSON();
+    },
+    predict(json, samples) {
+      const forecaster = new DemandForecaster().fromJSON(json);
+      return samples.map(({ features, item }) =>
+        item ? forecaster.predictItem(features, item) : forecaster.predictTotal(features)
+      );
+    },
+    score(table, options) {
+      return crossValidateDemand(table, options);
+    },
+  },
+
+  priceSensitivity: {
+    train(table, options, onProgress) {
+      const model = new PriceSensitivityModel();
+      model.train(table, { ...options, onProgress });
+      return model.toJSON();
+    },
+    predict(json, samples) {
+      const model = new PriceSensitivityModel().fromJSON(json);
+      return samples.map(sample => model.predict(sample));
+    },
+    score(table, options) {
+      const { crossValidation, oobAccuracy } = new PriceSensitivityModel().train(table, options);
+      if (!crossValidation) throw new Error('Scoring needs at least 2 folds');
+      return {
+        accuracy: crossValidation.accuracy.mean,
+        macroF1: crossValidation.macroF1.mean,
+        oobAccuracy
+      };
+    },
+  },
+
+  // Samples are { type, steps, levels, method } for a forecast, or with
+  // output 'groups' ({ type, steps }) the reconciled group forecasts and with
+  // output 'anomalies' ({ type, method, threshold }) the anomalous points
+  tradeForecaster: {
+    train(table, options, onProgress) {
+      const forecaster = new TradeForecaster();
+      forecaster.train(table, { ...options, onProgress });
+      return forecaster.toJSON();
+    },
+    predict(json, samples) {
+      const forecaster = new TradeForecaster().fromJSON(json);
+      return samples.map(({ output = 'forecast', type, steps, ...options }) => {
+        if (output === 'groups') return forecaster.forecastGroups(type, steps);
+        if (output === 'anomalies') return forecaster.detectAnomalies(type, options);
+        return forecaster.forecast(type, steps, options);
+      });
+    },
+    score(table, options) {
+      return crossValidateTrade(table, options);
+    },
+  },
+};
+
+const handlers = {
+  train({ id, kind, table, options }) {
+    const onProgress = (progress) => self.postMessage({ id, progress });
+    return MODELS[kind].train(table, options || {}, onProgress);
+  },
+
+  predict({ kind, model, samples }) {
+    return MODELS[kind].predict(model, samples);
+  },
+
+  // Score each candidate { [hyperparameter]: value } merged over options;
+  // a candidate that fails gets an error instead of metrics
+  search({ id, kind, table, candidates, options }) {
+    return candidates.map((params, i) => {
+      self.postMessage({ id, progress: { stage: `Candidate ${i + 1} of ${candidates.length}`, done: i, total: candidates.length } });
+      try {
+        return { params, metrics: MODELS[kind].score(table, { ...options, ...params }) };
+      } catch (error) {
+        return { params, error: error.message };
+      }
+    });
+  },
+};
+
+self.onmessage = ({ data: message }) => {
+  const { id, type, kind } = message;
+  try {
+    if (!MODELS[kind]) {
+      throw new Error(`Unknown model "${kind}"`);
+    }
+    self.postMessage({ id, result: handlers[type](message) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * Model Worker Client
+ *
+ * Promise wrappers around modelWorker.js. Every job runs in its own worker,
+ * so aborting the job's signal terminates the worker mid-training and rejects
+ * with the signal's reason (an AbortError).
+ */
+
+// Run one message in a fresh worker and resolve to its result
+function runInWorker(message, { signal, onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const worker = new Worker(new URL('./modelWorker.js', import.meta.url), { type: 'module' });
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    worker.onmessage = ({ data }) => {
+      if (data.progress) {
+        onProgress?.(data.progress);
+        return;
+      }
+      finish();
+      if (data.error) {
+        reject(new Error(data.error));
+      } else {
+        resolve(data.result);
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish();
+      reject(new Error(event.message || 'Model worker failed'));
+    };
+
+    worker.postMessage({ id: 0, ...message });
+  });
+}
+
+/**
+ * Train a model ('decisionTree', 'demandRegression', 'priceSensitivity' or
+ * 'tradeForecaster') on a columnar table and resolve to its toJSON() form.
+ * The table is copied to the worker, not transferred. onProgress receives
+ * { stage, done, total }.
+ */
+export function trainModel(kind, table, options, { signal, onProgress } = {}) {
+  return runInWorker({ type: 'train', kind, table, options }, { signal, onProgress });
+}
+
+/**
+ * Predict a batch of samples with a serialized model; resolves to one result
+ * per sample
+ */
+export function predictBatch(kind, model, samples, { signal } = {}) {
+  return runInWorker({ type: 'predict', kind, model, samples }, { signal });
+}
+
+/**
+ * Score hyperparameter candidates by cross-validation. Each candidate is
+ * merged over options (folds, seed, columns) and trained in the worker;
+ * resolves to [{ params, metrics }] in candidate order, with { params, error }
+ * for candidates that could not be scored. onProgress receives { stage,
+ * done, total } per candidate.
+ */
+export function searchHyperparameters(kind, table, candidates, options, { signal, onProgress } = {}) {
+  return runInWorker({ type: 'search', kind, table, candidates, options }, { signal, onProgress });
+}
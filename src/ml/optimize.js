@@ -0,0 +1,78 @@
+/**
+ * Numerical Optimization
+ *
+ * Derivative-free minimization for fitting model parameters (smoothing
+ * constants and the like) whose loss has no closed-form gradient. Bounds are
+ * enforced by clamping every trial point into the box, which is enough for
+ * the few, well-scaled parameters the models tune.
+ */
+
+/**
+ * Minimize f(x) over a vector x with the Nelder–Mead simplex method, starting
+ * from start with an initial simplex of size step (a number or one per
+ * dimension). lower/upper are optional per-dimension bounds. Returns
+ * { x, value, iterations }.
+ */
+export function nelderMead(f, start, {
+  step = 0.1,
+  lower = null,
+  upper = null,
+  maxIterations = 200 * start.length,
+  tolerance = 1e-8
+} = {}) {
+  const n = start.length;
+  const clamp = (x) => x.map((v, i) => Math.min(upper?.[i] ?? Infinity, Math.max(lower?.[i] ?? -Infinity, v)));
+  const evaluate = (x) => {
+    const point = clamp(x);
+    const value = f(point);
+    return { x: point, value: Number.isNaN(value) ? Infinity : value };
+  };
+
+  // Initial simplex: the start plus one step along each axis (stepping back
+  // instead when the step would leave the box)
+  const origin = clamp(start);
+  let simplex = [evaluate(origin)];
+  for (let i = 0; i < n; i++) {
+    const size = Array.isArray(step) ? step[i] : step;
+    const x = [...origin];
+    x[i] = upper && x[i] + size > upper[i] ? x[i] - size : x[i] + size;
+    simplex.push(evaluate(x));
+  }
+
+  const byValue = (a, b) => a.value - b.value;
+  let iterations = 0;
+  for (; iterations < maxIterations; iterations++) {
+    simplex.sort(byValue);
+    const best = simplex[0];
+    const worst = simplex[n];
+    if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) break;
+
+    const centroid = new Array(n).fill(0);
+    for (let k = 0; k < n; k++) {
+      simplex[k].x.forEach((v, i) => { centroid[i] += v / n; });
+    }
+    // Point on the line from the centroid through the worst vertex
+    const along = (t) => evaluate(centroid.map((c, i) => c + t * (worst.x[i] - c)));
+
+    const reflected = along(-1);
+    if (reflected.value < best.value) {
+      const expanded = along(-2);
+      simplex[n] = expanded.value < reflected.value ? expanded : reflected;
+    } else if (reflected.value < simplex[n - 1].value) {
+      simplex[n] = reflected;
+    } else {
+      const contracted = reflected.value < worst.value ? along(-0.5) : along(0.5);
+      if (contracted.value < Math.min(worst.value, reflected.value)) {
+        simplex[n] = contracted;
+      } else {
+        // Shrink every vertex towards the best one
+        simplex = simplex.map((vertex, k) => (k === 0
+          ? vertex
+          : evaluate(vertex.x.map((v, i) => best.x[i] + 0.5 * (v - best.x[i])))));
+      }
+    }
+  }
+
+  simplex.sort(byValue);
+  return { x: simplex[0].x, value: simplex[0].value, iterations };
+}
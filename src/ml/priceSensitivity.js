@@ -5,6 +5,16 @@
  * to predict willingness to pay based on demographics and preferences
  */
 
+import { columnReader } from '../data/columnarTable';
+import { DEFAULT_SEED, createRandom, randomInt, shuffle } from './random';
+import { stratifiedSplit, classificationReport, crossValidate, summarize, confusionMatrix } from './evaluation';
+
+// Share of the responses held back to test the final forest on
+const TEST_RATIO = 0.2;
+
+// Price categories, in the order they are reported
+const PRICE_CATEGORIES = ['budget', 'moderate', 'premium'];
+
 /**
  * Parse price string to numeric value
  */
@@ -99,9 +109,9 @@ const encodings = {
 /**
  * Preprocess survey data for price sensitivity model
  */
-export function preprocessSurveyData(data) {
+export function preprocessSurveyData(table) {
   const processed = [];
-  const columns = Object.keys(data[0] || {});
+  const { columns } = table;
 
   // Find columns (case-insensitive partial match)
   const findCol = (patterns) => columns.find(c =>
@@ -129,29 +139,38 @@ export function preprocessSurveyData(data) {
     throw new Error('Dataset must have a price/willingness to pay column');
   }
 
+  // Read each row's values of the matched columns by name
+  const readers = Object.fromEntries(
+    [ageCol, genderCol, incomeCol, cupsCol, priceCol, tempCol, chainCol, productivityCol,
+      reusableCol, reasonCol, studentCol, fulltimeCol, parttimeCol, selfEmployedCol]
+      .filter(Boolean)
+      .map(col => [col, columnReader(table, col)])
+  );
+
   // Process each row
-  data.forEach((row, idx) => {
-    const price = parsePrice(row[priceCol]);
+  for (let i = 0; i < table.rowCount; i++) {
+    const value = (col) => (col ? readers[col](i) : undefined);
+    const price = parsePrice(value(priceCol));
     const priceCategory = categorizePriceWillingness(price);
 
-    if (priceCategory === null) return; // Skip rows without valid price
+    if (priceCategory === null) continue; // Skip rows without valid price
 
     // Extract features
-    const age = row[ageCol] ? parseFloat(row[ageCol]) : null;
-    const gender = genderCol ? String(row[genderCol]).toLowerCase().trim() : null;
-    const income = incomeCol ? parseIncome(row[incomeCol]) : null;
-    const cups = cupsCol ? parseFloat(row[cupsCol]) : null;
-    const temp = tempCol ? String(row[tempCol]).toLowerCase().trim().split('\n')[0] : null;
-    const chain = chainCol ? String(row[chainCol]).toLowerCase().trim().split('\n')[0] : null;
-    const productivity = productivityCol ? String(row[productivityCol]).toLowerCase().trim().split('\n')[0] : null;
-    const reusable = reusableCol ? String(row[reusableCol]).toLowerCase().trim().split('\n')[0] : null;
-    const reason = reasonCol ? String(row[reasonCol]).toLowerCase() : '';
+    const age = value(ageCol) ? parseFloat(value(ageCol)) : null;
+    const gender = genderCol ? String(value(genderCol)).toLowerCase().trim() : null;
+    const income = incomeCol ? parseIncome(value(incomeCol)) : null;
+    const cups = cupsCol ? parseFloat(value(cupsCol)) : null;
+    const temp = tempCol ? String(value(tempCol)).toLowerCase().trim().split('\n')[0] : null;
+    const chain = chainCol ? String(value(chainCol)).toLowerCase().trim().split('\n')[0] : null;
+    const productivity = productivityCol ? String(value(productivityCol)).toLowerCase().trim().split('\n')[0] : null;
+    const reusable = reusableCol ? String(value(reusableCol)).toLowerCase().trim().split('\n')[0] : null;
+    const reason = reasonCol ? String(value(reasonCol)).toLowerCase() : '';
 
     // Employment status
-    const isStudent = studentCol && row[studentCol] == 1;
-    const isFulltime = fulltimeCol && row[fulltimeCol] == 1;
-    const isParttime = parttimeCol && row[parttimeCol] == 1;
-    const isSelfEmployed = selfEmployedCol && row[selfEmployedCol] == 1;
+    const isStudent = studentCol && value(studentCol) == 1;
+    const isFulltime = fulltimeCol && value(fulltimeCol) == 1;
+    const isParttime = parttimeCol && value(parttimeCol) == 1;
+    const isSelfEmployed = selfEmployedCol && value(selfEmployedCol) == 1;
 
     // Derived features
     const energyFocused = reason.includes('energy') || reason.includes('caffeine');
@@ -159,6 +178,9 @@ export function preprocessSurveyData(data) {
     const lifestyleFocused = reason.includes('lifestyle');
 
     processed.push({
+      // Table row the response came from
+      rowIndex: i,
+
       // Raw values for display
       rawPrice: price,
       rawAge: age,
@@ -190,7 +212,7 @@ export function preprocessSurveyData(data) {
       tasteFocused: tasteFocused ? 1 : 0,
       lifestyleFocused: lifestyleFocused ? 1 : 0
     });
-  });
+  }
 
   return processed;
 }
@@ -219,6 +241,8 @@ class DecisionTreeClassifier {
     this.root = null;
     this.featureNames = [];
     this.classes = [];
+    this.impurityDecrease = [];
+    this.trainSamples = 0;
   }
 
   /**
@@ -324,6 +348,9 @@ class DecisionTreeClassifier {
     node.featureIndex = feature;
     node.threshold = threshold;
 
+    // Gini decrease of the split, weighted by the share of samples reaching it
+    this.impurityDecrease[feature] += gain * y.length / this.trainSamples;
+
     // Split data
     const leftIndices = [];
     const rightIndices = [];
@@ -353,6 +380,8 @@ class DecisionTreeClassifier {
   fit(X, y, featureNames) {
     this.featureNames = featureNames;
     this.classes = [...new Set(y)];
+    this.impurityDecrease = featureNames.map(() => 0);
+    this.trainSamples = y.length;
     const featureIndices = X[0].map((_, i) => i);
     this.root = this.buildTree(X, y, 0, featureIndices);
     return this;
@@ -379,51 +408,116 @@ class DecisionTreeClassifier {
   predict(X) {
     return X.map(x => this.predictOne(x));
   }
+
+  /**
+   * Serialize tree for storage
+   */
+  toJSON() {
+    return {
+      maxDepth: this.maxDepth,
+      minSamplesSplit: this.minSamplesSplit,
+      root: this.root,
+      featureNames: this.featureNames,
+      classes: this.classes,
+      impurityDecrease: this.impurityDecrease
+    };
+  }
+
+  /**
+   * Load tree from JSON
+   */
+  fromJSON(json) {
+    this.maxDepth = json.maxDepth;
+    this.minSamplesSplit = json.minSamplesSplit;
+    this.root = json.root;
+    this.featureNames = json.featureNames;
+    this.classes = json.classes;
+    this.impurityDecrease = json.impurityDecrease || [];
+    return this;
+  }
 }
 
 /**
  * Random Forest Classifier (ensemble of decision trees)
  */
 export class RandomForestClassifier {
-  constructor(nTrees = 10, maxDepth = 5, minSamplesSplit = 5, maxFeatures = 'sqrt') {
+  constructor(nTrees = 10, maxDepth = 5, minSamplesSplit = 5, maxFeatures = 'sqrt', seed = DEFAULT_SEED) {
     this.nTrees = nTrees;
     this.maxDepth = maxDepth;
     this.minSamplesSplit = minSamplesSplit;
     this.maxFeatures = maxFeatures;
+    this.seed = seed;
     this.trees = [];
     this.featureSubsets = [];
     this.featureNames = [];
     this.classes = [];
+    this.treeImportances = [];
+    this.oobIndices = [];
+    this.oob = null;
   }
 
   /**
-   * Bootstrap sample
+   * Bootstrap sample; indices are the rows drawn
    */
-  bootstrap(X, y) {
+  bootstrap(X, y, random) {
     const n = X.length;
     const indices = [];
     for (let i = 0; i < n; i++) {
-      indices.push(Math.floor(Math.random() * n));
+      indices.push(randomInt(random, n));
     }
     return {
       X: indices.map(i => X[i]),
-      y: indices.map(i => y[i])
+      y: indices.map(i => y[i]),
+      indices
     };
   }
 
+  /**
+   * Importance of every feature to one tree: the tree's mean decrease in Gini
+   * impurity (normalized to sum to 1) and the drop in its accuracy on its
+   * out-of-bag rows when a feature's values are shuffled among them. Features
+   * outside the tree's subset score 0 on both.
+   */
+  treeImportance(tree, featureSubset, X, y, oobIndices, random) {
+    const nFeatures = X[0].length;
+    const impurity = new Array(nFeatures).fill(0);
+    const permutation = new Array(nFeatures).fill(0);
+
+    const totalDecrease = tree.impurityDecrease.reduce((a, b) => a + b, 0);
+    featureSubset.forEach((f, local) => {
+      impurity[f] = totalDecrease > 0 ? tree.impurityDecrease[local] / totalDecrease : 0;
+    });
+
+    if (oobIndices.length > 0) {
+      const oobX = oobIndices.map(i => featureSubset.map(f => X[i][f]));
+      const oobY = oobIndices.map(i => y[i]);
+      const accuracy = (rows) => rows.filter((row, k) => tree.predictOne(row) === oobY[k]).length / rows.length;
+      const baseline = accuracy(oobX);
+
+      featureSubset.forEach((f, local) => {
+        const shuffled = shuffle(oobX.map(row => row[local]), random);
+        const permuted = oobX.map((row, k) => row.map((value, c) => (c === local ? shuffled[k] : value)));
+        permutation[f] = baseline - accuracy(permuted);
+      });
+    }
+
+    return { impurity, permutation };
+  }
+
   /**
    * Select random features
    */
-  selectFeatures(nFeatures) {
+  selectFeatures(nFeatures, random) {
+    // 'sqrt', a fraction of the features, or 70% by default
     const nSelect = this.maxFeatures === 'sqrt'
       ? Math.ceil(Math.sqrt(nFeatures))
-      : Math.ceil(nFeatures * 0.7);
+      : Math.min(nFeatures, Math.ceil(nFeatures * (typeof this.maxFeatures === 'number' ? this.maxFeatures : 0.7)));
 
     const indices = [];
     const available = [...Array(nFeatures).keys()];
 
     for (let i = 0; i < nSelect; i++) {
-      const idx = Math.floor(Math.random() * available.length);
+      const idx = randomInt(random, available.length);
       indices.push(available.splice(idx, 1)[0]);
     }
 
@@ -431,20 +525,28 @@ export class RandomForestClassifier {
   }
 
   /**
-   * Train the forest
+   * Train the forest. onProgress({ stage, done, total }) is called before
+   * each tree is grown. Samples and feature subsets are drawn from the seed,
+   * so refitting the same data grows the same forest. Each tree's feature
+   * importance is measured as it is grown (see treeImportance).
    */
-  fit(X, y, featureNames) {
+  fit(X, y, featureNames, { onProgress } = {}) {
     this.featureNames = featureNames;
     this.classes = [...new Set(y)];
     this.trees = [];
     this.featureSubsets = [];
+    this.treeImportances = [];
+    this.oobIndices = [];
+    const random = createRandom(this.seed);
 
     for (let i = 0; i < this.nTrees; i++) {
+      onProgress?.({ stage: `Tree ${i + 1} of ${this.nTrees}`, done: i, total: this.nTrees });
+
       // Bootstrap sample
-      const { X: bootX, y: bootY } = this.bootstrap(X, y);
+      const { X: bootX, y: bootY, indices } = this.bootstrap(X, y, random);
 
       // Select random features
-      const featureSubset = this.selectFeatures(X[0].length);
+      const featureSubset = this.selectFeatures(X[0].length, random);
       this.featureSubsets.push(featureSubset);
 
       // Subset features
@@ -455,11 +557,59 @@ export class RandomForestClassifier {
       tree.fit(subsetX, bootY, featureSubset.map(f => featureNames[f]));
 
       this.trees.push(tree);
+
+      // Rows left out of the bootstrap sample test the tree
+      const inBag = new Set(indices);
+      const oobIndices = [...X.keys()].filter(row => !inBag.has(row));
+      this.oobIndices.push(oobIndices);
+      this.treeImportances.push(this.treeImportance(tree, featureSubset, X, y, oobIndices, random));
     }
 
+    this.oob = this.outOfBag(X, y);
     return this;
   }
 
+  /**
+   * Out-of-bag estimate: every row is voted on only by the trees that did not
+   * see it during training (rows drawn into every bootstrap sample are left
+   * out). Returns the rows' positions in X, their actual and predicted
+   * classes, vote shares per class, accuracy and a confusion matrix in
+   * this.classes order.
+   */
+  outOfBag(X, y) {
+    const votes = X.map(() => ({}));
+    this.trees.forEach((tree, t) => {
+      const subset = this.featureSubsets[t];
+      this.oobIndices[t].forEach(row => {
+        const pred = tree.predictOne(subset.map(f => X[row][f]));
+        votes[row][pred] = (votes[row][pred] || 0) + 1;
+      });
+    });
+
+    const rows = [];
+    const actual = [];
+    const predicted = [];
+    const probabilities = [];
+    votes.forEach((rowVotes, row) => {
+      const total = Object.values(rowVotes).reduce((a, b) => a + b, 0);
+      if (total === 0) return;
+      rows.push(row);
+      actual.push(y[row]);
+      predicted.push(Object.entries(rowVotes).sort((a, b) => b[1] - a[1])[0][0]);
+      probabilities.push(Object.fromEntries(this.classes.map(c => [c, (rowVotes[c] || 0) / total])));
+    });
+
+    return {
+      rows,
+      actual,
+      predicted,
+      probabilities,
+      samples: rows.length,
+      accuracy: classificationReport(actual, predicted, this.classes).accuracy,
+      confusion: confusionMatrix(actual, predicted, this.classes)
+    };
+  }
+
   /**
    * Predict with voting
    */
@@ -505,26 +655,63 @@ export class RandomForestClassifier {
   }
 
   /**
-   * Get feature importance (based on frequency of use)
+   * Feature importance averaged over the trees, most important first:
+   * importance is the mean decrease in impurity and permutation the mean drop
+   * in out-of-bag accuracy, each with its standard deviation across trees
    */
   getFeatureImportance() {
-    const importance = {};
-    this.featureNames.forEach(name => importance[name] = 0);
-
-    this.featureSubsets.forEach(subset => {
-      subset.forEach(idx => {
-        importance[this.featureNames[idx]] += 1;
-      });
-    });
+    return this.featureNames
+      .map((feature, f) => {
+        const impurity = summarize(this.treeImportances.map(t => t.impurity[f]));
+        const permutation = summarize(this.treeImportances.map(t => t.permutation[f]));
+        return {
+          feature,
+          importance: impurity.mean,
+          importanceStd: impurity.std,
+          permutation: permutation.mean,
+          permutationStd: permutation.std
+        };
+      })
+      .sort((a, b) => b.importance - a.importance);
+  }
 
-    const total = Object.values(importance).reduce((a, b) => a + b, 0) || 1;
+  /**
+   * Serialize forest for storage
+   */
+  toJSON() {
+    return {
+      nTrees: this.nTrees,
+      maxDepth: this.maxDepth,
+      minSamplesSplit: this.minSamplesSplit,
+      maxFeatures: this.maxFeatures,
+      seed: this.seed,
+      trees: this.trees.map(tree => tree.toJSON()),
+      featureSubsets: this.featureSubsets,
+      featureNames: this.featureNames,
+      classes: this.classes,
+      treeImportances: this.treeImportances,
+      oobIndices: this.oobIndices,
+      oob: this.oob
+    };
+  }
 
-    return Object.entries(importance)
-      .map(([feature, count]) => ({
-        feature,
-        importance: count / total
-      }))
-      .sort((a, b) => b.importance - a.importance);
+  /**
+   * Load forest from JSON
+   */
+  fromJSON(json) {
+    this.nTrees = json.nTrees;
+    this.maxDepth = json.maxDepth;
+    this.minSamplesSplit = json.minSamplesSplit;
+    this.maxFeatures = json.maxFeatures;
+    this.seed = json.seed ?? DEFAULT_SEED;
+    this.trees = json.trees.map(tree => new DecisionTreeClassifier().fromJSON(tree));
+    this.featureSubsets = json.featureSubsets;
+    this.featureNames = json.featureNames;
+    this.classes = json.classes;
+    this.treeImportances = json.treeImportances || [];
+    this.oobIndices = json.oobIndices || [];
+    this.oob = json.oob || null;
+    return this;
   }
 }
 
@@ -565,10 +752,21 @@ export class PriceSensitivityModel {
   }
 
   /**
-   * Train the model
+   * Train the model. The forest is cross-validated over `folds` stratified
+   * folds (fewer than 2 skips this), then fitted on a stratified holdout split
+   * and tested on the held-out responses. seed drives every split and forest;
+   * nTrees, maxDepth, minSamplesSplit and maxFeatures configure the forests.
    */
-  train(data) {
-    const processed = preprocessSurveyData(data);
+  train(table, {
+    seed = DEFAULT_SEED,
+    folds = 5,
+    nTrees = 15,
+    maxDepth = 6,
+    minSamplesSplit = 3,
+    maxFeatures = 'sqrt',
+    onProgress
+  } = {}) {
+    const processed = preprocessSurveyData(table);
 
     if (processed.length < 10) {
       throw new Error('Need at least 10 valid samples to train');
@@ -577,15 +775,60 @@ export class PriceSensitivityModel {
     // Prepare training data
     const X = processed.map(p => this.extractFeatures(p));
     const y = processed.map(p => p.priceCategory);
+    const random = createRandom(seed);
+    const foldCount = folds >= 2 ? Math.min(folds, y.length) : 0;
+    const total = foldCount + 1;
+    const hyperparameters = { nTrees, maxDepth, minSamplesSplit, maxFeatures };
+
+    const crossValidation = foldCount > 0
+      ? crossValidate(y, (trainIndices, testIndices) => {
+          const forest = new RandomForestClassifier(nTrees, maxDepth, minSamplesSplit, maxFeatures, randomInt(random, 2 ** 32));
+          forest.fit(trainIndices.map(i => X[i]), trainIndices.map(i => y[i]), this.featureNames);
+          return forest.predict(testIndices.map(i => X[i]));
+        }, {
+          folds: foldCount,
+          random,
+          classes: PRICE_CATEGORIES,
+          onFold: (fold) => onProgress?.({ stage: `Cross-validation fold ${fold + 1} of ${foldCount}`, done: fold, total })
+        })
+      : null;
+
+    // Train the final random forest on the training split
+    const split = stratifiedSplit(y, TEST_RATIO, random);
+    this.model = new RandomForestClassifier(nTrees, maxDepth, minSamplesSplit, maxFeatures, seed);
+    this.model.fit(split.train.map(i => X[i]), split.train.map(i => y[i]), this.featureNames, {
+      onProgress: ({ stage, done, total: trees }) =>
+        onProgress?.({ stage: `Final model: ${stage}`, done: foldCount + done / trees, total })
+    });
 
-    // Train random forest
-    this.model = new RandomForestClassifier(15, 6, 3);
-    this.model.fit(X, y, this.featureNames);
+    // Test on the held-out responses, keeping each response's class
+    // probabilities for the confusion matrix and ROC/PR curves
+    const testX = split.test.map(i => X[i]);
+    const actual = split.test.map(i => y[i]);
+    const predicted = this.model.predict(testX);
+    const evaluation = classificationReport(actual, predicted, PRICE_CATEGORIES);
+    const testPredictions = {
+      classes: PRICE_CATEGORIES,
+      rowIndices: split.test.map(i => processed[i].rowIndex),
+      actual,
+      predicted,
+      probabilities: this.model.predictProba(testX).map(probs => PRICE_CATEGORIES.map(c => probs[c] ?? 0))
+    };
 
-    // Calculate training accuracy
-    const predictions = this.model.predict(X);
-    const correct = predictions.filter((p, i) => p === y[i]).length;
-    const accuracy = correct / y.length;
+    // Training accuracy next to the forest's out-of-bag estimate, which
+    // needs no held-out rows; OOB predictions are kept in the same shape as
+    // the test predictions
+    const trainX = split.train.map(i => X[i]);
+    const trainY = split.train.map(i => y[i]);
+    const trainingAccuracy = classificationReport(trainY, this.model.predict(trainX), PRICE_CATEGORIES).accuracy;
+    const { oob } = this.model;
+    const oobPredictions = {
+      classes: PRICE_CATEGORIES,
+      rowIndices: oob.rows.map(i => processed[split.train[i]].rowIndex),
+      actual: oob.actual,
+      predicted: oob.predicted,
+      probabilities: oob.probabilities.map(probs => PRICE_CATEGORIES.map(c => probs[c] ?? 0))
+    };
 
     // Class distribution
     const distribution = {};
@@ -593,7 +836,7 @@ export class PriceSensitivityModel {
 
     // Calculate average price by category
     const avgPrices = {};
-    ['budget', 'moderate', 'premium'].forEach(cat => {
+    PRICE_CATEGORIES.forEach(cat => {
       const items = processed.filter(p => p.priceCategory === cat);
       avgPrices[cat] = items.length > 0
         ? items.reduce((sum, p) => sum + p.rawPrice, 0) / items.length
@@ -602,9 +845,20 @@ export class PriceSensitivityModel {
 
     this.stats = {
       samples: processed.length,
-      accuracy,
+      trainSize: split.train.length,
+      testSize: split.test.length,
+      accuracy: evaluation.accuracy,
+      trainingAccuracy,
+      oobAccuracy: oob.accuracy,
+      oobSamples: oob.samples,
+      evaluation,
+      crossValidation,
+      testPredictions,
+      oobPredictions,
       distribution,
       avgPrices,
+      seed,
+      hyperparameters,
       featureImportance: this.model.getFeatureImportance()
     };
 
@@ -650,6 +904,27 @@ export class PriceSensitivityModel {
   getStats() {
     return this.stats;
   }
+
+  /**
+   * Serialize model for storage
+   */
+  toJSON() {
+    return {
+      model: this.model ? this.model.toJSON() : null,
+      trained: this.trained,
+      stats: this.stats
+    };
+  }
+
+  /**
+   * Load model from JSON
+   */
+  fromJSON(json) {
+    this.model = json.model ? new RandomForestClassifier().fromJSON(json.model) : null;
+    this.trained = json.trained;
+    this.stats = json.stats;
+    return this;
+  }
 }
 
 /**
@@ -0,0 +1,50 @@
+/**
+ * Seeded Random Numbers
+ *
+ * A small seedable generator (mulberry32) shared by the models, so the same
+ * seed always gives the same train/test splits, bootstrap samples and
+ * feature subsets, and a retrain reproduces the reported numbers.
+ */
+
+export const DEFAULT_SEED = 42;
+
+/**
+ * Normalize a seed to an unsigned 32-bit integer (invalid seeds become 0)
+ */
+export function normalizeSeed(seed) {
+  const number = Math.trunc(Number(seed));
+  return Number.isFinite(number) ? number >>> 0 : 0;
+}
+
+/**
+ * Create a generator of floats in [0, 1) from a seed
+ */
+export function createRandom(seed = DEFAULT_SEED) {
+  let state = normalizeSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random integer in [0, n)
+ */
+export function randomInt(random, n) {
+  return Math.floor(random() * n);
+}
+
+/**
+ * Unbiased Fisher–Yates shuffle; returns a shuffled copy
+ */
+export function shuffle(array, random) {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = randomInt(random, i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
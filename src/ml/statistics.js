@@ -0,0 +1,119 @@
+/**
+ * Statistical Helpers
+ *
+ * Distribution functions and sample quantiles used to turn model errors into
+ * prediction intervals, and the (partial) autocorrelations used to identify
+ * and check time-series models.
+ */
+
+/**
+ * Inverse of the standard normal CDF: the z with P(Z ≤ z) = p, for p in
+ * (0, 1). Acklam's rational approximation (relative error below 1.2e-9).
+ */
+export function normalQuantile(p) {
+  if (!(p > 0 && p < 1)) {
+    throw new Error(`Probability must be between 0 and 1, got ${p}`);
+  }
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  // Tails
+  if (p < low || p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(p < low ? p : 1 - p));
+    const z = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    return p < low ? z : -z;
+  }
+
+  // Central region
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * p-quantile of an ascending sorted array, interpolating linearly between
+ * the closest ranks
+ */
+export function quantile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  const position = (sorted.length - 1) * p;
+  const below = Math.floor(position);
+  const above = Math.ceil(position);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
+
+/**
+ * Sample autocorrelations of values at lags 1..maxLag
+ */
+export function autocorrelations(values, maxLag) {
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const centered = values.map(v => v - mean);
+  const variance = centered.reduce((sum, v) => sum + v * v, 0);
+
+  const result = [];
+  for (let lag = 1; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let t = lag; t < n; t++) sum += centered[t] * centered[t - lag];
+    result.push(variance > 0 ? sum / variance : 0);
+  }
+  return result;
+}
+
+/**
+ * Sample partial autocorrelations at lags 1..maxLag, from the
+ * autocorrelations by the Durbin–Levinson recursion
+ */
+export function partialAutocorrelations(values, maxLag) {
+  const r = autocorrelations(values, maxLag);
+  const result = [];
+  let phi = [];
+  for (let k = 1; k <= maxLag; k++) {
+    let numerator = r[k - 1];
+    let denominator = 1;
+    for (let j = 1; j < k; j++) {
+      numerator -= phi[j - 1] * r[k - j - 1];
+      denominator -= phi[j - 1] * r[j - 1];
+    }
+    const phiKK = denominator !== 0 ? numerator / denominator : 0;
+    phi = [...phi.map((p, j) => p - phiKK * phi[k - j - 2]), phiKK];
+    result.push(phiKK);
+  }
+  return result;
+}
+
+// 5% critical value of the KPSS level-stationarity test
+export const KPSS_CRITICAL_VALUE = 0.463;
+
+/**
+ * KPSS statistic for level stationarity: the squared partial sums of the
+ * demeaned values, scaled by n² and a Newey–West long-run variance over
+ * ⌊4(n/100)^¼⌋ lags. Above KPSS_CRITICAL_VALUE, stationarity is rejected.
+ */
+export function kpssStatistic(values) {
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const centered = values.map(v => v - mean);
+
+  let partialSum = 0;
+  let squaredPartialSums = 0;
+  centered.forEach(v => {
+    partialSum += v;
+    squaredPartialSums += partialSum * partialSum;
+  });
+
+  const lags = Math.floor(4 * (n / 100) ** 0.25);
+  let longRunVariance = centered.reduce((sum, v) => sum + v * v, 0) / n;
+  for (let lag = 1; lag <= lags; lag++) {
+    let covariance = 0;
+    for (let t = lag; t < n; t++) covariance += centered[t] * centered[t - lag];
+    longRunVariance += 2 * (1 - lag / (lags + 1)) * covariance / n;
+  }
+  return squaredPartialSums / (n * n * longRunVariance);
+}
@@ -1,170 +1,635 @@
 /**
  * Time Series Forecasting Model for Trade Data
  *
- * Uses Exponential Smoothing with Trend (Holt's Method)
- * Suitable for trade data with trends but limited seasonality data
+ * Any table with a date and a value column becomes one regular series per
+ * series key (daily to yearly, gaps filled); CSO trade data is the default
+ * layout.
+ * Uses Exponential Smoothing with Trend (Holt's Method) and its seasonal
+ * extension (Holt-Winters, additive or multiplicative). The smoothing
+ * parameters are fitted per series by minimizing the one-step-ahead squared
+ * error, Holt's trend can be damped so it flattens out over the forecast
+ * horizon, and each series can get whichever model has the lowest AIC.
+ * Seasonal ARIMA, with its orders selected by AIC, is the alternative for
+ * series better described by differences and autoregression.
+ * Prediction intervals come from the models' analytic h-step variances or
+ * from simulating future paths with bootstrapped residuals, and a
+ * rolling-origin backtest scores out-of-sample forecasts per horizon.
+ * Each series can also be forecast per breakdown group (country, commodity,
+ * …), with the group forecasts reconciled so they add up to the total's.
+ * Points the model cannot explain are flagged as anomalies.
  */
 
-/**
- * Parse month string to sortable date
- * Handles formats like "2023 January", "2024 February"
- */
-function parseMonthToDate(monthStr) {
-  if (!monthStr) return null;
-
-  const parts = monthStr.trim().split(' ');
-  if (parts.length !== 2) return null;
-
-  const year = parseInt(parts[0], 10);
-  const monthNames = {
-    'january': 0, 'february': 1, 'march': 2, 'april': 3,
-    'may': 4, 'june': 5, 'july': 6, 'august': 7,
-    'september': 8, 'october': 9, 'november': 10, 'december': 11
-  };
-
-  const month = monthNames[parts[1].toLowerCase()];
-  if (isNaN(year) || month === undefined) return null;
-
-  return new Date(year, month, 1);
+import { columnReader } from '../data/columnarTable';
+import { formatISODate, isNumericType, parseDate } from '../data/typeInference';
+import { DEFAULT_SEED, createRandom, randomInt } from './random';
+import { nelderMead } from './optimize';
+import { normalQuantile, quantile, autocorrelations, partialAutocorrelations } from './statistics';
+import {
+  arimaPolynomials,
+  arimaForecast,
+  chooseDifferencing,
+  difference,
+  fitArimaCoefficients,
+  psiWeights
+} from './arima';
+import { detectSeriesAnomalies } from './anomalyDetection';
+
+// Bounds of the fitted smoothing parameters (α, β, γ, φ); φ stays below 0.98
+// so a damped trend visibly damps
+const PARAMETER_BOUNDS = {
+  alpha: [0.01, 0.99],
+  beta: [0.001, 0.99],
+  gamma: [0.001, 0.99],
+  phi: [0.8, 0.98]
+};
+
+export const SERIES_MODELS = [
+  { id: 'auto', label: 'Best by AIC' },
+  { id: 'holt', label: 'Holt (no seasonality)' },
+  { id: 'additive', label: 'Holt-Winters additive' },
+  { id: 'multiplicative', label: 'Holt-Winters multiplicative' },
+  { id: 'arima', label: 'ARIMA / SARIMA' }
+];
+
+export const INTERVAL_METHODS = [
+  { id: 'analytic', label: 'Analytic' },
+  { id: 'bootstrap', label: 'Bootstrap simulation' }
+];
+
+// Future paths simulated per forecast in bootstrap mode
+const DEFAULT_SIMULATIONS = 1000;
+
+// Default damping when φ is fixed rather than fitted
+const DEFAULT_PHI = 0.98;
+
+// Rolling-origin backtest defaults: forecast horizon and number of cutoffs
+const BACKTEST_HORIZON = 6;
+const BACKTEST_ORIGINS = 12;
+
+export const FREQUENCIES = [
+  { id: 'day', label: 'Daily', unit: 'day', seasonLength: 7 },
+  { id: 'week', label: 'Weekly', unit: 'week', seasonLength: 52 },
+  { id: 'month', label: 'Monthly', unit: 'month', seasonLength: 12 },
+  { id: 'quarter', label: 'Quarterly', unit: 'quarter', seasonLength: 4 },
+  { id: 'year', label: 'Yearly', unit: 'year', seasonLength: 1 }
+];
+
+export const AGGREGATIONS = [
+  { id: 'sum', label: 'Sum' },
+  { id: 'mean', label: 'Mean' }
+];
+
+export const GAP_FILLS = [
+  { id: 'zero', label: 'Zero' },
+  { id: 'interpolate', label: 'Linear interpolation' },
+  { id: 'carry', label: 'Carry forward' }
+];
+
+// Longest series preprocessing builds, gaps included
+const MAX_SERIES_POINTS = 10000;
+
+// Most groups forecast separately per series, and the name of the group the
+// remaining breakdown values are pooled into
+const MAX_GROUPS = 50;
+export const OTHER_GROUP = 'All others';
+
+export const RECONCILIATION_METHODS = [
+  { id: 'none', label: 'None (independent)' },
+  { id: 'bottomUp', label: 'Bottom-up' },
+  { id: 'topDown', label: 'Top-down (historical shares)' },
+  { id: 'ols', label: 'OLS (optimal combination)' }
+];
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Any date the type inference recognizes: the column's format, any known
+// format, then whatever Date.parse accepts (e.g. "Jan 31, 2024")
+function parseSeriesDate(value, dateFormat) {
+  const date = (dateFormat && parseDate(value, dateFormat)) || parseDate(value);
+  if (date) return date;
+  const timestamp = typeof value === 'string' ? Date.parse(value) : NaN;
+  return isNaN(timestamp) ? null : new Date(timestamp);
 }
 
 /**
- * Format date to month string
+ * Start of the period (day, Monday-based week, month, quarter or year)
+ * containing date
  */
-function formatDateToMonth(date) {
-  const monthNames = [
-    'January', 'February', 'March', 'April', 'May', 'June',
-    'July', 'August', 'September', 'October', 'November', 'December'
-  ];
-  return `${date.getFullYear()} ${monthNames[date.getMonth()]}`;
+function periodStart(date, frequency) {
+  const year = date.getFullYear();
+  const month = date.getMonth();
+  switch (frequency) {
+    case 'day':
+      return new Date(year, month, date.getDate());
+    case 'week':
+      return new Date(year, month, date.getDate() - ((date.getDay() + 6) % 7));
+    case 'quarter':
+      return new Date(year, month - (month % 3), 1);
+    case 'year':
+      return new Date(year, 0, 1);
+    default:
+      return new Date(year, month, 1);
+  }
 }
 
 /**
- * Add months to a date
+ * Move a period start count periods ahead
  */
-function addMonths(date, months) {
+function addPeriods(date, frequency, count) {
   const result = new Date(date);
-  result.setMonth(result.getMonth() + months);
+  switch (frequency) {
+    case 'day':
+      result.setDate(result.getDate() + count);
+      break;
+    case 'week':
+      result.setDate(result.getDate() + 7 * count);
+      break;
+    case 'quarter':
+      result.setMonth(result.getMonth() + 3 * count);
+      break;
+    case 'year':
+      result.setFullYear(result.getFullYear() + count);
+      break;
+    default:
+      result.setMonth(result.getMonth() + count);
+  }
   return result;
 }
 
 /**
- * Preprocess trade data for time series analysis
+ * Label of the period starting at date, e.g. "2024 January" (the CSO month
+ * format), "2024Q1" or "2024-01-31"
+ */
+function formatPeriod(date, frequency) {
+  switch (frequency) {
+    case 'day':
+      return formatISODate(date);
+    case 'week':
+      return `Week of ${formatISODate(date)}`;
+    case 'quarter':
+      return `${date.getFullYear()}Q${Math.floor(date.getMonth() / 3) + 1}`;
+    case 'year':
+      return String(date.getFullYear());
+    default:
+      return `${date.getFullYear()} ${MONTH_NAMES[date.getMonth()]}`;
+  }
+}
+
+/**
+ * Default columns to build series from: the first whose name mentions a
+ * month/date/period, a value/amount/volume, a statistic/type and a
+ * country/region (the CSO trade layout), falling back to the first date and
+ * numeric columns. Returns { dateColumn, valueColumn, seriesColumn,
+ * breakdownColumn }, null where nothing fits.
  */
-export function preprocessTradeData(data) {
-  // Find relevant columns
-  const columns = Object.keys(data[0] || {});
+export function suggestSeriesColumns(table) {
+  const { columns, columnTypes = {} } = table;
   const findCol = (patterns) => columns.find(c =>
     patterns.some(p => c.toLowerCase().includes(p.toLowerCase()))
-  );
+  ) ?? null;
+
+  const dateColumn = findCol(['month', 'date', 'period']) ?? columns.find(c => columnTypes[c] === 'date') ?? null;
+  const valueColumn = findCol(['value', 'amount', 'volume']) ??
+    columns.find(c => c !== dateColumn && isNumericType(columnTypes[c])) ?? null;
+
+  return {
+    dateColumn,
+    valueColumn,
+    seriesColumn: findCol(['statistic', 'type', 'stat']),
+    breakdownColumn: findCol(['country', 'countries', 'territory', 'region'])
+  };
+}
+
+/**
+ * Guess a date column's frequency from the median gap between its distinct
+ * dates; 'month' when there are too few to tell
+ */
+export function inferFrequency(table, dateColumn, dateFormat) {
+  const readDate = columnReader(table, dateColumn);
+  const distinct = new Set();
+  for (let i = 0; i < table.rowCount; i++) distinct.add(readDate(i));
+
+  const timestamps = new Set();
+  distinct.forEach(value => {
+    const date = parseSeriesDate(value, dateFormat);
+    if (date) timestamps.add(date.getTime());
+  });
+
+  const sorted = [...timestamps].sort((a, b) => a - b);
+  if (sorted.length < 3) return 'month';
+  const gaps = sorted.slice(1).map((t, i) => (t - sorted[i]) / 86400000).sort((a, b) => a - b);
+  const days = quantile(gaps, 0.5);
+
+  if (days <= 1.5) return 'day';
+  if (days <= 10) return 'week';
+  if (days <= 45) return 'month';
+  if (days <= 135) return 'quarter';
+  return 'year';
+}
 
-  const monthCol = findCol(['month', 'date', 'period']);
-  const countryCol = findCol(['country', 'countries', 'territory', 'region']);
-  const valueCol = findCol(['value', 'amount', 'volume']);
-  const statisticCol = findCol(['statistic', 'type', 'stat']);
+// Values for the gap between two observed points: zeros, a straight line
+// between them, or the earlier value repeated
+function gapValues(before, after, length, fill) {
+  return Array.from({ length }, (_, k) => {
+    if (fill === 'carry') return before;
+    if (fill === 'interpolate') return before + (after - before) * (k + 1) / (length + 1);
+    return 0;
+  });
+}
 
-  if (!monthCol || !valueCol) {
-    throw new Error('Dataset must have Month and Value columns');
+// Fill the nulls in values as gaps between their known neighbours; leading
+// and trailing nulls take the nearest known value (or zero)
+function fillGaps(values, fill) {
+  const filled = [...values];
+  let last = -1;
+  for (let i = 0; i <= values.length; i++) {
+    if (i < values.length && values[i] === null) continue;
+    const length = i - last - 1;
+    if (length > 0) {
+      const before = last >= 0 ? values[last] : null;
+      const after = i < values.length ? values[i] : null;
+      const gap = before !== null && after !== null
+        ? gapValues(before, after, length, fill)
+        : new Array(length).fill(fill === 'zero' ? 0 : (before ?? after ?? 0));
+      gap.forEach((value, k) => { filled[last + 1 + k] = value; });
+    }
+    last = i;
+  }
+  return filled;
+}
+
+// Per group ([name, breakdown values]), its series on the periods of a
+// series built from the observed entries: the members' sum or mean where
+// observed, gaps (and, for means, periods without member rows) filled
+function groupSeries(entries, series, groups, aggregate, fill) {
+  const entryAt = new Map(entries.map(entry => [entry.date.getTime(), entry]));
+  return new Map(groups.map(([name, members]) => {
+    const values = series.map(point => {
+      const entry = point.filled ? null : entryAt.get(point.timestamp);
+      if (!entry) return null;
+      let total = 0;
+      let count = 0;
+      members.forEach(member => {
+        total += entry.breakdown.get(member) || 0;
+        count += entry.breakdownCounts.get(member) || 0;
+      });
+      if (aggregate === 'mean') return count > 0 ? total / count : null;
+      return total;
+    });
+    const filled = fillGaps(values, fill);
+    return [name, series.map((point, i) => ({
+      period: point.period,
+      date: point.date,
+      timestamp: point.timestamp,
+      value: filled[i],
+      filled: values[i] === null
+    }))];
+  }));
+}
+
+/**
+ * Build one regular time series per series key from a table. options pick
+ * the dateColumn (in any format the type inference recognizes, dateFormat
+ * first), the valueColumn, an optional seriesColumn splitting the rows into
+ * series and an optional breakdownColumn whose largest contributors are
+ * tracked (countries, in trade data); columns not given default to
+ * suggestSeriesColumns(). Values are aggregated (summed or averaged) per
+ * period of the frequency, and periods without rows are filled with zero, a
+ * linear interpolation or the previous value and marked filled.
+ * With options.groupCount, each series is also split by the breakdownColumn
+ * into its groupCount largest values plus OTHER_GROUP for the rest, on the
+ * same periods; with summed values the groups add up to the series.
+ */
+export function preprocessTradeData(table, options = {}) {
+  const suggested = suggestSeriesColumns(table);
+  const {
+    dateColumn = suggested.dateColumn,
+    valueColumn = suggested.valueColumn,
+    seriesColumn = suggested.seriesColumn,
+    breakdownColumn = suggested.breakdownColumn,
+    dateFormat = null,
+    frequency = 'month',
+    aggregate = 'sum',
+    fill = 'zero',
+    groupCount = 0
+  } = options;
+
+  if (!dateColumn || !valueColumn) {
+    throw new Error('Dataset needs a date column and a value column');
+  }
+  if (groupCount > 0 && !breakdownColumn) {
+    throw new Error('Choose a breakdown column to forecast by group');
+  }
+  if (groupCount > MAX_GROUPS) {
+    throw new Error(`At most ${MAX_GROUPS} groups can be forecast separately`);
   }
 
-  // Group data by month and statistic type
-  const monthlyData = new Map();
-  const countryTotals = new Map();
+  // Group data by period and series key
+  const periodData = new Map();
+  // Per series key, the total of each breakdown value (kept as read, so
+  // numeric codes and missing values match the per-period maps)
+  const breakdownTotals = new Map();
   const statisticTypes = new Set();
+  let parsedRows = 0;
+
+  const readDate = columnReader(table, dateColumn);
+  const readValue = columnReader(table, valueColumn);
+  const readBreakdown = breakdownColumn ? columnReader(table, breakdownColumn) : () => 'All';
+  const readStatistic = seriesColumn ? columnReader(table, seriesColumn) : () => 'Value';
 
-  data.forEach(row => {
-    const monthStr = row[monthCol];
-    const value = parseFloat(row[valueCol]);
-    const country = countryCol ? row[countryCol] : 'All';
-    const statistic = statisticCol ? row[statisticCol] : 'Value';
+  for (let i = 0; i < table.rowCount; i++) {
+    const date = parseSeriesDate(readDate(i), dateFormat);
+    const value = parseFloat(readValue(i));
+    const breakdown = readBreakdown(i);
+    const statistic = String(readStatistic(i) ?? '(blank)');
 
-    if (!monthStr || isNaN(value)) return;
+    if (!date || isNaN(value)) continue;
+    parsedRows++;
 
     statisticTypes.add(statistic);
 
-    // Aggregate by month and statistic type
-    const key = `${monthStr}_${statistic}`;
-    if (!monthlyData.has(key)) {
-      monthlyData.set(key, {
-        month: monthStr,
+    // Aggregate by period and series key
+    const start = periodStart(date, frequency);
+    const key = `${start.getTime()}_${statistic}`;
+    if (!periodData.has(key)) {
+      periodData.set(key, {
+        date: start,
         statistic,
         totalValue: 0,
         count: 0,
-        countries: new Map()
+        breakdown: new Map(),
+        breakdownCounts: new Map()
       });
     }
 
-    const entry = monthlyData.get(key);
+    const entry = periodData.get(key);
     entry.totalValue += value;
     entry.count++;
-    entry.countries.set(country, (entry.countries.get(country) || 0) + value);
-
-    // Track country totals
-    const countryKey = `${country}_${statistic}`;
-    countryTotals.set(countryKey, (countryTotals.get(countryKey) || 0) + value);
-  });
+    entry.breakdown.set(breakdown, (entry.breakdown.get(breakdown) || 0) + value);
+    entry.breakdownCounts.set(breakdown, (entry.breakdownCounts.get(breakdown) || 0) + 1);
 
-  // Convert to sorted arrays by date
-  const seriesByType = new Map();
+    // Track breakdown totals
+    if (!breakdownTotals.has(statistic)) breakdownTotals.set(statistic, new Map());
+    const totals = breakdownTotals.get(statistic);
+    totals.set(breakdown, (totals.get(breakdown) || 0) + value);
+  }
 
-  Array.from(monthlyData.values()).forEach(entry => {
-    const date = parseMonthToDate(entry.month);
-    if (!date) return;
+  if (parsedRows === 0) {
+    throw new Error(`No rows have both a date in "${dateColumn}" and a number in "${valueColumn}"`);
+  }
 
-    if (!seriesByType.has(entry.statistic)) {
-      seriesByType.set(entry.statistic, []);
-    }
+  // Observed periods per series, sorted by date
+  const observedByType = new Map();
+  periodData.forEach(entry => {
+    if (!observedByType.has(entry.statistic)) observedByType.set(entry.statistic, []);
+    observedByType.get(entry.statistic).push(entry);
+  });
 
-    seriesByType.get(entry.statistic).push({
-      month: entry.month,
-      date,
-      timestamp: date.getTime(),
-      value: entry.totalValue,
-      count: entry.count,
-      topCountries: Array.from(entry.countries.entries())
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 5)
-        .map(([country, val]) => ({ country, value: val }))
-    });
+  const point = (date, value, extra) => ({
+    period: formatPeriod(date, frequency),
+    date,
+    timestamp: date.getTime(),
+    value,
+    ...extra
   });
 
-  // Sort each series by date
-  seriesByType.forEach((series, type) => {
-    series.sort((a, b) => a.timestamp - b.timestamp);
+  // Walk every period from the first to the last, filling the gaps
+  const seriesByType = new Map();
+  observedByType.forEach((entries, type) => {
+    entries.sort((a, b) => a.date - b.date);
+    const series = [];
+    entries.forEach((entry, k) => {
+      if (k > 0) {
+        const previous = entries[k - 1];
+        const gap = [];
+        for (let date = addPeriods(previous.date, frequency, 1); date < entry.date; date = addPeriods(date, frequency, 1)) {
+          gap.push(date);
+          if (series.length + gap.length > MAX_SERIES_POINTS) {
+            throw new Error(`Series "${type}" would have more than ${MAX_SERIES_POINTS} points; choose a coarser frequency`);
+          }
+        }
+        const previousValue = series[series.length - 1].value;
+        const nextValue = aggregate === 'mean' ? entry.totalValue / entry.count : entry.totalValue;
+        gapValues(previousValue, nextValue, gap.length, fill).forEach((value, g) => {
+          series.push(point(gap[g], value, { count: 0, filled: true, topCountries: [] }));
+        });
+      }
+
+      series.push(point(entry.date, aggregate === 'mean' ? entry.totalValue / entry.count : entry.totalValue, {
+        count: entry.count,
+        filled: false,
+        topCountries: Array.from(entry.breakdown.entries())
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 5)
+          .map(([country, val]) => ({ country, value: val }))
+      }));
+    });
+    seriesByType.set(type, series);
   });
 
-  // Get top countries overall
+  // Get top breakdown values overall
   const topCountries = new Map();
+  const groupSeriesByType = new Map();
   Array.from(statisticTypes).forEach(stat => {
-    const countries = Array.from(countryTotals.entries())
-      .filter(([key]) => key.endsWith(`_${stat}`))
-      .map(([key, value]) => ({
-        country: key.replace(`_${stat}`, ''),
-        value
-      }))
-      .sort((a, b) => b.value - a.value)
-      .slice(0, 10);
-    topCountries.set(stat, countries);
+    const ranked = Array.from((breakdownTotals.get(stat) ?? new Map()).entries())
+      .sort((a, b) => b[1] - a[1]);
+    topCountries.set(stat, ranked.slice(0, 10).map(([breakdown, value]) => ({
+      country: String(breakdown ?? '(blank)'),
+      value
+    })));
+
+    if (groupCount > 0 && seriesByType.has(stat)) {
+      const groups = ranked.slice(0, groupCount).map(([breakdown]) => [String(breakdown ?? '(blank)'), [breakdown]]);
+      const rest = ranked.slice(groupCount).map(([breakdown]) => breakdown);
+      if (rest.length > 0) groups.push([OTHER_GROUP, rest]);
+      groupSeriesByType.set(stat, groupSeries(observedByType.get(stat), seriesByType.get(stat), groups, aggregate, fill));
+    }
   });
 
   return {
     seriesByType,
+    groupSeriesByType,
     statisticTypes: Array.from(statisticTypes),
     topCountries,
-    monthCol,
-    valueCol,
-    countryCol
+    dateColumn,
+    valueColumn,
+    seriesColumn,
+    breakdownColumn,
+    dateFormat,
+    frequency,
+    aggregate,
+    fill
   };
 }
 
+// Sum of squared one-step-ahead errors of Holt's method on values, without
+// building a model; the recursion matches HoltForecaster.fit()
+function holtSSE(values, alpha, beta, phi) {
+  let level = values[0];
+  let trend = values[1] - values[0];
+  let sse = 0;
+  for (let i = 1; i < values.length; i++) {
+    const expected = level + phi * trend;
+    const error = values[i] - expected;
+    sse += error * error;
+    const prevLevel = level;
+    level = alpha * values[i] + (1 - alpha) * expected;
+    trend = beta * (level - prevLevel) + (1 - beta) * phi * trend;
+  }
+  return sse;
+}
+
+/**
+ * Fit α and β (and φ when damped) to values by minimizing the one-step-ahead
+ * SSE: the best point of a coarse grid seeds a bounded Nelder–Mead search.
+ * Returns { alpha, beta, phi, sse }; phi is 1 without damping.
+ */
+export function optimizeHoltParameters(values, { damped = false } = {}) {
+  const names = damped ? ['alpha', 'beta', 'phi'] : ['alpha', 'beta'];
+  const toParams = (x) => ({ alpha: x[0], beta: x[1], phi: damped ? x[2] : 1 });
+  const loss = (x) => {
+    const { alpha, beta, phi } = toParams(x);
+    return holtSSE(values, alpha, beta, phi);
+  };
+
+  let start = null;
+  let startLoss = Infinity;
+  [0.1, 0.3, 0.5, 0.7, 0.9].forEach(alpha => {
+    [0.01, 0.05, 0.1, 0.3].forEach(beta => {
+      (damped ? [0.9, 0.98] : [1]).forEach(phi => {
+        const x = damped ? [alpha, beta, phi] : [alpha, beta];
+        const value = loss(x);
+        if (value < startLoss) {
+          start = x;
+          startLoss = value;
+        }
+      });
+    });
+  });
+
+  const { x, value } = nelderMead(loss, start, {
+    step: damped ? [0.1, 0.05, 0.02] : [0.1, 0.05],
+    lower: names.map(name => PARAMETER_BOUNDS[name][0]),
+    upper: names.map(name => PARAMETER_BOUNDS[name][1])
+  });
+  return { ...toParams(x), sse: value };
+}
+
+/**
+ * Goodness of fit of one-step-ahead residuals: R², RMSE, MAPE, SSE and AIC.
+ * The first residual is left out of the AIC, as Holt's is zero by
+ * construction, so AICs of the different models compare the same points;
+ * parameterCount counts smoothing parameters and initial states.
+ */
+function fitStatistics(values, residuals, parameterCount) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+
+  // R² score
+  const ssRes = residuals.reduce((sum, r) => sum + r * r, 0);
+  const ssTot = values.reduce((sum, v) => sum + (v - mean) ** 2, 0);
+  const r2 = 1 - (ssRes / ssTot);
+
+  // RMSE
+  const rmse = Math.sqrt(ssRes / values.length);
+
+  // MAPE (Mean Absolute Percentage Error)
+  const mape = values.reduce((sum, v, i) => {
+    if (v === 0) return sum;
+    return sum + Math.abs(residuals[i] / v);
+  }, 0) / values.filter(v => v !== 0).length * 100;
+
+  // AIC of Gaussian errors: n·ln(SSE/n) + 2k
+  const n = residuals.length - 1;
+  const sse = residuals.slice(1).reduce((sum, r) => sum + r * r, 0);
+  const aic = n * Math.log(Math.max(sse, Number.EPSILON) / n) + 2 * parameterCount;
+
+  return { r2: Math.max(0, Math.min(1, r2)), rmse, mape, sse: ssRes, aic };
+}
+
+// Mean squared one-step error; the first residual is left out as for the AIC
+function residualVariance(residuals) {
+  const errors = residuals.slice(1);
+  return errors.reduce((sum, e) => sum + e * e, 0) / Math.max(1, errors.length);
+}
+
+/**
+ * Prediction intervals of a fitted series model for each of steps horizons,
+ * one band per confidence level (e.g. [0.8, 0.95]). The analytic method uses
+ * the model's forecastVariances() with normal errors; bootstrap simulates
+ * `simulations` future paths with model.simulate() and takes the empirical
+ * quantiles, so skewed or heavy-tailed residuals show. Bounds are clipped
+ * at zero like the forecasts. Returns [{ prediction, bands: [{ level, lower,
+ * upper }] }] with bands in ascending level.
+ */
+export function predictionIntervals(model, steps, {
+  levels = [0.95],
+  method = 'analytic',
+  simulations = DEFAULT_SIMULATIONS,
+  seed = DEFAULT_SEED
+} = {}) {
+  const predictions = model.forecast(steps);
+  const sortedLevels = [...levels].sort((a, b) => a - b);
+
+  if (method === 'bootstrap') {
+    const random = createRandom(seed);
+    const paths = predictions.map(() => []);
+    for (let k = 0; k < simulations; k++) {
+      model.simulate(steps, random).forEach((value, h) => paths[h].push(value));
+    }
+    return predictions.map((prediction, h) => {
+      const sorted = paths[h].sort((a, b) => a - b);
+      return {
+        prediction,
+        bands: sortedLevels.map(level => ({
+          level,
+          lower: Math.max(0, quantile(sorted, (1 - level) / 2)),
+          upper: Math.max(0, quantile(sorted, (1 + level) / 2))
+        }))
+      };
+    });
+  }
+
+  const variances = model.forecastVariances(steps);
+  return predictions.map((prediction, h) => {
+    const se = Math.sqrt(variances[h]);
+    return {
+      prediction,
+      bands: sortedLevels.map(level => {
+        const z = normalQuantile((1 + level) / 2);
+        return { level, lower: Math.max(0, prediction - z * se), upper: prediction + z * se };
+      })
+    };
+  });
+}
+
+// Residual pool for bootstrap paths, centered so the paths do not drift
+// away from the point forecast through a nonzero mean error
+function centeredErrors(errors) {
+  const mean = errors.reduce((sum, e) => sum + e, 0) / errors.length;
+  return errors.map(e => e - mean);
+}
+
+// Single-level intervals as { prediction, lower, upper }
+function confidenceIntervals(model, steps, confidence, options) {
+  return predictionIntervals(model, steps, { ...options, levels: [confidence] })
+    .map(({ prediction, bands: [{ lower, upper }] }) => ({ prediction, lower, upper }));
+}
+
 /**
  * Holt's Exponential Smoothing (Double Exponential Smoothing)
- * For time series with trend but no seasonality
+ * For time series with trend but no seasonality. phi < 1 damps the trend:
+ * the h-step forecast adds (φ + φ² + … + φ^h) times the trend instead of h
+ * times it.
  */
 export class HoltForecaster {
-  constructor(alpha = 0.3, beta = 0.1) {
+  constructor(alpha = 0.3, beta = 0.1, phi = 1) {
     this.alpha = alpha; // Level smoothing
     this.beta = beta;   // Trend smoothing
+    this.phi = phi;     // Trend damping (1 = none)
+    this.optimized = false;
     this.level = null;
     this.trend = null;
     this.fitted = [];
@@ -195,12 +660,12 @@ export class HoltForecaster {
       const prevTrend = this.trend;
 
       // Update level
-      this.level = this.alpha * values[i] + (1 - this.alpha) * (prevLevel + prevTrend);
+      this.level = this.alpha * values[i] + (1 - this.alpha) * (prevLevel + this.phi * prevTrend);
 
       // Update trend
-      this.trend = this.beta * (this.level - prevLevel) + (1 - this.beta) * prevTrend;
+      this.trend = this.beta * (this.level - prevLevel) + (1 - this.beta) * this.phi * prevTrend;
 
-      const fitted = prevLevel + prevTrend;
+      const fitted = prevLevel + this.phi * prevTrend;
       this.fitted.push(fitted);
       this.residuals.push(values[i] - fitted);
     }
@@ -217,35 +682,57 @@ export class HoltForecaster {
     }
 
     const predictions = [];
+    let damping = 0;
     for (let i = 1; i <= steps; i++) {
-      predictions.push(Math.max(0, this.level + i * this.trend));
+      damping += this.phi ** i;
+      predictions.push(Math.max(0, this.level + damping * this.trend));
     }
 
     return predictions;
   }
 
   /**
-   * Calculate confidence intervals
+   * Variance of the h-step forecast error for h = 1..steps: σ²(1 + Σ c_j²)
+   * over j < h with c_j = α(1 + β(φ + … + φ^j))
    */
-  getConfidenceIntervals(steps = 6, confidence = 0.95) {
-    const predictions = this.forecast(steps);
-
-    // Calculate standard error from residuals
-    const mse = this.residuals.reduce((sum, r) => sum + r * r, 0) / this.residuals.length;
-    const se = Math.sqrt(mse);
+  forecastVariances(steps = 6) {
+    const sigma2 = residualVariance(this.residuals);
+    const variances = [];
+    let sum = 0;
+    let damping = 0;
+    for (let h = 1; h <= steps; h++) {
+      variances.push(sigma2 * (1 + sum));
+      damping += this.phi ** h;
+      sum += (this.alpha * (1 + this.beta * damping)) ** 2;
+    }
+    return variances;
+  }
 
-    // Z-score for confidence level
-    const z = confidence === 0.95 ? 1.96 : confidence === 0.9 ? 1.645 : 1.96;
+  /**
+   * One simulated future path: each step adds a residual drawn at random
+   * from the (centered) fitted ones and updates the level and trend with it
+   */
+  simulate(steps, random) {
+    const errors = centeredErrors(this.residuals.slice(1));
+    let level = this.level;
+    let trend = this.trend;
+    const path = [];
+    for (let h = 0; h < steps; h++) {
+      const expected = level + this.phi * trend;
+      const value = expected + errors[randomInt(random, errors.length)];
+      const prevLevel = level;
+      level = this.alpha * value + (1 - this.alpha) * expected;
+      trend = this.beta * (level - prevLevel) + (1 - this.beta) * this.phi * trend;
+      path.push(value);
+    }
+    return path;
+  }
 
-    return predictions.map((pred, i) => {
-      // Uncertainty grows with forecast horizon
-      const uncertainty = se * Math.sqrt(1 + (i + 1) * 0.1);
-      return {
-        prediction: pred,
-        lower: Math.max(0, pred - z * uncertainty),
-        upper: pred + z * uncertainty
-      };
-    });
+  /**
+   * Calculate confidence intervals at one level (see predictionIntervals)
+   */
+  getConfidenceIntervals(steps = 6, confidence = 0.95, options = {}) {
+    return confidenceIntervals(this, steps, confidence, options);
   }
 
   /**
@@ -254,34 +741,644 @@ export class HoltForecaster {
   getStats() {
     if (this.trainData.length === 0) return null;
 
-    const values = this.trainData;
-    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const damped = this.phi < 1;
+    return {
+      // α, β, initial level and trend, and φ when damped
+      ...fitStatistics(this.trainData, this.residuals, damped ? 5 : 4),
+      method: 'holt',
+      samples: this.trainData.length,
+      alpha: this.alpha,
+      beta: this.beta,
+      phi: this.phi,
+      damped,
+      optimized: this.optimized,
+      lastLevel: this.level,
+      lastTrend: this.trend
+    };
+  }
+
+  /**
+   * Serialize model for storage
+   */
+  toJSON() {
+    return {
+      method: 'holt',
+      alpha: this.alpha,
+      beta: this.beta,
+      phi: this.phi,
+      optimized: this.optimized,
+      level: this.level,
+      trend: this.trend,
+      fitted: this.fitted,
+      residuals: this.residuals,
+      trainData: this.trainData
+    };
+  }
+
+  /**
+   * Load model from JSON
+   */
+  fromJSON(json) {
+    this.alpha = json.alpha;
+    this.beta = json.beta;
+    this.phi = json.phi ?? 1;
+    this.optimized = json.optimized ?? false;
+    this.level = json.level;
+    this.trend = json.trend;
+    this.fitted = json.fitted;
+    this.residuals = json.residuals;
+    this.trainData = json.trainData;
+    return this;
+  }
+}
+
+/**
+ * Fit Holt's method to values. With optimize the smoothing parameters are
+ * fitted by optimizeHoltParameters(); otherwise alpha and beta (and phi when
+ * damped) are used as given.
+ */
+export function fitHolt(values, { optimize = true, damped = false, alpha = 0.3, beta = 0.1, phi = DEFAULT_PHI } = {}) {
+  if (!optimize || values.length < 3) {
+    return new HoltForecaster(alpha, beta, damped ? phi : 1).fit(values);
+  }
+
+  const fitted = optimizeHoltParameters(values, { damped });
+  const model = new HoltForecaster(fitted.alpha, fitted.beta, fitted.phi);
+  model.optimized = true;
+  return model.fit(values);
+}
+
+// Initial level, trend and seasonal indices from the complete seasons at the
+// start of values: the level and trend come from the first two season means
+// (moved back to just before the first point), each index from its average
+// deviation (additive) or ratio (multiplicative) to its season's mean
+function initialSeasonalStates(values, seasonLength, multiplicative) {
+  const seasons = Math.floor(values.length / seasonLength);
+  const seasonMeans = [];
+  for (let k = 0; k < seasons; k++) {
+    const season = values.slice(k * seasonLength, (k + 1) * seasonLength);
+    seasonMeans.push(season.reduce((a, b) => a + b, 0) / seasonLength);
+  }
+
+  const trend = (seasonMeans[1] - seasonMeans[0]) / seasonLength;
+  const level = seasonMeans[0] - trend * (seasonLength + 1) / 2;
+  const seasonal = Array.from({ length: seasonLength }, (_, j) => {
+    let sum = 0;
+    for (let k = 0; k < seasons; k++) {
+      const value = values[k * seasonLength + j];
+      sum += multiplicative ? value / seasonMeans[k] : value - seasonMeans[k];
+    }
+    return sum / seasons;
+  });
+
+  // Indices sum to zero (additive) or average one (multiplicative)
+  const meanIndex = seasonal.reduce((a, b) => a + b, 0) / seasonLength;
+  return {
+    level,
+    trend,
+    seasonal: seasonal.map(index => (multiplicative ? index / meanIndex : index - meanIndex))
+  };
+}
+
+// Run the Holt-Winters recursions over values from the initial states;
+// returns the final states with the one-step-ahead fitted values and SSE
+function holtWintersFilter(values, alpha, beta, gamma, seasonLength, multiplicative) {
+  let { level, trend, seasonal } = initialSeasonalStates(values, seasonLength, multiplicative);
+  const fitted = [];
+  let sse = 0;
+
+  values.forEach((value, t) => {
+    const j = t % seasonLength;
+    const expected = multiplicative ? (level + trend) * seasonal[j] : level + trend + seasonal[j];
+    fitted.push(expected);
+    sse += (value - expected) ** 2;
+
+    const prevLevel = level;
+    level = multiplicative
+      ? alpha * (value / seasonal[j]) + (1 - alpha) * (prevLevel + trend)
+      : alpha * (value - seasonal[j]) + (1 - alpha) * (prevLevel + trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * trend;
+    seasonal[j] = multiplicative
+      ? gamma * (value / level) + (1 - gamma) * seasonal[j]
+      : gamma * (value - level) + (1 - gamma) * seasonal[j];
+  });
+
+  return { level, trend, seasonal, fitted, sse };
+}
+
+/**
+ * Fit α, β and γ of Holt-Winters to values by minimizing the one-step-ahead
+ * SSE: the best point of a coarse grid seeds a bounded Nelder–Mead search.
+ * Returns { alpha, beta, gamma, sse }.
+ */
+export function optimizeHoltWintersParameters(values, { seasonLength = 12, seasonality = 'additive' } = {}) {
+  const multiplicative = seasonality === 'multiplicative';
+  const loss = ([alpha, beta, gamma]) =>
+    holtWintersFilter(values, alpha, beta, gamma, seasonLength, multiplicative).sse;
+
+  let start = null;
+  let startLoss = Infinity;
+  [0.1, 0.3, 0.5, 0.8].forEach(alpha => {
+    [0.01, 0.1].forEach(beta => {
+      [0.05, 0.2, 0.5].forEach(gamma => {
+        const value = loss([alpha, beta, gamma]);
+        if (value < startLoss) {
+          start = [alpha, beta, gamma];
+          startLoss = value;
+        }
+      });
+    });
+  });
+  if (!start) throw new Error('No smoothing parameters give a finite Holt-Winters fit');
 
-    // R² score
-    const ssRes = this.residuals.reduce((sum, r) => sum + r * r, 0);
-    const ssTot = values.reduce((sum, v) => sum + (v - mean) ** 2, 0);
-    const r2 = 1 - (ssRes / ssTot);
+  const names = ['alpha', 'beta', 'gamma'];
+  const { x, value } = nelderMead(loss, start, {
+    step: [0.1, 0.05, 0.1],
+    lower: names.map(name => PARAMETER_BOUNDS[name][0]),
+    upper: names.map(name => PARAMETER_BOUNDS[name][1])
+  });
+  return { alpha: x[0], beta: x[1], gamma: x[2], sse: value };
+}
+
+/**
+ * Holt-Winters Exponential Smoothing (Triple Exponential Smoothing)
+ * For time series with trend and a repeating season of seasonLength points
+ * (12 for monthly data, 4 for quarterly). Additive seasonality adds a fixed
+ * amount per season position; multiplicative scales with the level and needs
+ * positive values. The initial states are estimated from the data, so fitting
+ * needs at least two complete seasons.
+ */
+export class HoltWintersForecaster {
+  constructor(alpha = 0.3, beta = 0.1, gamma = 0.1, { seasonLength = 12, seasonality = 'additive' } = {}) {
+    this.alpha = alpha; // Level smoothing
+    this.beta = beta;   // Trend smoothing
+    this.gamma = gamma; // Seasonal smoothing
+    this.seasonLength = seasonLength;
+    this.seasonality = seasonality;
+    this.optimized = false;
+    this.level = null;
+    this.trend = null;
+    this.seasonal = [];
+    this.fitted = [];
+    this.residuals = [];
+    this.trainData = [];
+  }
+
+  /**
+   * Fit the model to time series data
+   */
+  fit(values) {
+    if (this.seasonLength < 2) {
+      throw new Error('Seasonal models need a season length of at least 2');
+    }
+    if (values.length < 2 * this.seasonLength) {
+      throw new Error(`Need at least ${2 * this.seasonLength} data points (two seasons)`);
+    }
+    if (this.seasonality === 'multiplicative' && values.some(v => v <= 0)) {
+      throw new Error('Multiplicative seasonality needs positive values');
+    }
+
+    this.trainData = [...values];
+    const result = holtWintersFilter(
+      values, this.alpha, this.beta, this.gamma, this.seasonLength, this.seasonality === 'multiplicative'
+    );
+    this.level = result.level;
+    this.trend = result.trend;
+    this.seasonal = result.seasonal;
+    this.fitted = result.fitted;
+    this.residuals = values.map((v, i) => v - result.fitted[i]);
+    return this;
+  }
+
+  /**
+   * Forecast future values
+   */
+  forecast(steps = 6) {
+    if (this.level === null) {
+      throw new Error('Model not fitted');
+    }
+
+    const n = this.trainData.length;
+    const predictions = [];
+    for (let i = 1; i <= steps; i++) {
+      const index = this.seasonal[(n + i - 1) % this.seasonLength];
+      const base = this.level + i * this.trend;
+      predictions.push(Math.max(0, this.seasonality === 'multiplicative' ? base * index : base + index));
+    }
+    return predictions;
+  }
+
+  /**
+   * Variance of the h-step forecast error for h = 1..steps: σ²(1 + Σ c_j²)
+   * over j < h with c_j = α(1 + βj) + γ when j is a whole number of seasons
+   * and α(1 + βj) otherwise. Multiplicative models use the relative errors'
+   * variance scaled by the squared forecast, an approximation.
+   */
+  forecastVariances(steps = 6) {
+    const multiplicative = this.seasonality === 'multiplicative';
+    const errors = multiplicative ? this.relativeResiduals() : this.residuals;
+    const sigma2 = residualVariance(errors);
+    const predictions = multiplicative ? this.forecast(steps) : null;
+    const variances = [];
+    let sum = 0;
+    for (let h = 1; h <= steps; h++) {
+      const variance = sigma2 * (1 + sum);
+      variances.push(multiplicative ? variance * predictions[h - 1] ** 2 : variance);
+      const seasonal = h % this.seasonLength === 0 ? this.gamma : 0;
+      sum += (this.alpha * (1 + this.beta * h) + seasonal) ** 2;
+    }
+    return variances;
+  }
+
+  // One-step errors relative to the fitted values
+  relativeResiduals() {
+    return this.residuals.map((r, i) => (this.fitted[i] !== 0 ? r / this.fitted[i] : 0));
+  }
+
+  /**
+   * One simulated future path: each step adds a residual drawn at random
+   * from the centered fitted ones (relative to the forecast when
+   * multiplicative) and updates the level, trend and seasonal index with it
+   */
+  simulate(steps, random) {
+    const multiplicative = this.seasonality === 'multiplicative';
+    const errors = centeredErrors((multiplicative ? this.relativeResiduals() : this.residuals).slice(1));
+    const seasonal = [...this.seasonal];
+    const n = this.trainData.length;
+    let level = this.level;
+    let trend = this.trend;
+    const path = [];
+    for (let h = 0; h < steps; h++) {
+      const j = (n + h) % this.seasonLength;
+      const error = errors[randomInt(random, errors.length)];
+      const expected = multiplicative ? (level + trend) * seasonal[j] : level + trend + seasonal[j];
+      const value = multiplicative ? expected * (1 + error) : expected + error;
+      const prevLevel = level;
+      level = multiplicative
+        ? this.alpha * (value / seasonal[j]) + (1 - this.alpha) * (prevLevel + trend)
+        : this.alpha * (value - seasonal[j]) + (1 - this.alpha) * (prevLevel + trend);
+      trend = this.beta * (level - prevLevel) + (1 - this.beta) * trend;
+      seasonal[j] = multiplicative
+        ? this.gamma * (value / level) + (1 - this.gamma) * seasonal[j]
+        : this.gamma * (value - level) + (1 - this.gamma) * seasonal[j];
+      path.push(value);
+    }
+    return path;
+  }
 
-    // RMSE
-    const rmse = Math.sqrt(ssRes / values.length);
+  /**
+   * Calculate confidence intervals at one level (see predictionIntervals)
+   */
+  getConfidenceIntervals(steps = 6, confidence = 0.95, options = {}) {
+    return confidenceIntervals(this, steps, confidence, options);
+  }
 
-    // MAPE (Mean Absolute Percentage Error)
-    const mape = values.reduce((sum, v, i) => {
-      if (v === 0) return sum;
-      return sum + Math.abs(this.residuals[i] / v);
-    }, 0) / values.filter(v => v !== 0).length * 100;
+  /**
+   * Get model statistics
+   */
+  getStats() {
+    if (this.trainData.length === 0) return null;
 
     return {
-      r2: Math.max(0, Math.min(1, r2)),
-      rmse,
-      mape,
-      samples: values.length,
+      // α, β, γ, initial level and trend, and all but one seasonal index
+      ...fitStatistics(this.trainData, this.residuals, 4 + this.seasonLength),
+      method: this.seasonality,
+      samples: this.trainData.length,
       alpha: this.alpha,
       beta: this.beta,
+      gamma: this.gamma,
+      phi: 1,
+      damped: false,
+      seasonLength: this.seasonLength,
+      seasonality: this.seasonality,
+      optimized: this.optimized,
       lastLevel: this.level,
       lastTrend: this.trend
     };
   }
+
+  /**
+   * Serialize model for storage
+   */
+  toJSON() {
+    return {
+      method: this.seasonality,
+      alpha: this.alpha,
+      beta: this.beta,
+      gamma: this.gamma,
+      seasonLength: this.seasonLength,
+      seasonality: this.seasonality,
+      optimized: this.optimized,
+      level: this.level,
+      trend: this.trend,
+      seasonal: this.seasonal,
+      fitted: this.fitted,
+      residuals: this.residuals,
+      trainData: this.trainData
+    };
+  }
+
+  /**
+   * Load model from JSON
+   */
+  fromJSON(json) {
+    this.alpha = json.alpha;
+    this.beta = json.beta;
+    this.gamma = json.gamma;
+    this.seasonLength = json.seasonLength;
+    this.seasonality = json.seasonality;
+    this.optimized = json.optimized ?? false;
+    this.level = json.level;
+    this.trend = json.trend;
+    this.seasonal = json.seasonal;
+    this.fitted = json.fitted;
+    this.residuals = json.residuals;
+    this.trainData = json.trainData;
+    return this;
+  }
+}
+
+/**
+ * Fit Holt-Winters to values, with α, β and γ fitted by
+ * optimizeHoltWintersParameters() or, without optimize, as given
+ */
+export function fitHoltWinters(values, {
+  optimize = true,
+  seasonLength = 12,
+  seasonality = 'additive',
+  alpha = 0.3,
+  beta = 0.1,
+  gamma = 0.1
+} = {}) {
+  // A zero or negative value makes every multiplicative loss NaN
+  if (seasonality === 'multiplicative' && values.some(v => v <= 0)) {
+    throw new Error('Multiplicative seasonality needs positive values');
+  }
+
+  const optimized = optimize && values.length >= 2 * seasonLength;
+  const params = optimized
+    ? optimizeHoltWintersParameters(values, { seasonLength, seasonality })
+    : { alpha, beta, gamma };
+  const model = new HoltWintersForecaster(params.alpha, params.beta, params.gamma, { seasonLength, seasonality });
+  model.optimized = optimized;
+  return model.fit(values);
+}
+
+// Automatic ARIMA order selection tries p and q up to this, P and Q up to 1
+const MAX_ARIMA_ORDER = 2;
+
+// One-step residuals a candidate ARIMA order must leave after conditioning
+const MIN_ARIMA_RESIDUALS = 8;
+
+/**
+ * Seasonal ARIMA(p,d,q)(P,D,Q)m fitted by conditional sum of squares (see
+ * arima.js). Undifferenced models forecast around the sample mean;
+ * differenced ones carry the trend and season forward through the
+ * differences.
+ */
+export class ArimaForecaster {
+  constructor({ p = 1, d = 1, q = 1, P = 0, D = 0, Q = 0 } = {}, { seasonLength = 12 } = {}) {
+    this.order = { p, d, q, P, D, Q };
+    this.seasonLength = seasonLength;
+    this.coefficients = null;
+    this.mean = 0;
+    this.start = 0;
+    this.selected = false;
+    this.orderComparison = [];
+    this.residuals = [];
+    this.trainData = [];
+  }
+
+  /**
+   * Fit the coefficients, conditioning on the points before options.start
+   */
+  fit(values, { start } = {}) {
+    const fitted = fitArimaCoefficients(values, { ...this.order, seasonLength: this.seasonLength }, { start });
+    this.trainData = [...values];
+    this.coefficients = fitted.coefficients;
+    this.mean = fitted.mean;
+    this.start = fitted.start;
+    this.residuals = fitted.residuals;
+    return this;
+  }
+
+  polynomials() {
+    const { d, D } = this.order;
+    return arimaPolynomials(this.coefficients, { d, D, seasonLength: this.seasonLength });
+  }
+
+  // One-step errors after the conditioning points
+  errors() {
+    return this.residuals.slice(this.start);
+  }
+
+  /**
+   * Forecast future values
+   */
+  forecast(steps = 6) {
+    if (!this.coefficients) {
+      throw new Error('Model not fitted');
+    }
+    return arimaForecast(this.trainData, this.residuals, this.polynomials(), this.mean, steps)
+      .map(v => Math.max(0, v));
+  }
+
+  /**
+   * Variance of the h-step forecast error for h = 1..steps: σ² times the sum
+   * of the first h squared ψ-weights
+   */
+  forecastVariances(steps = 6) {
+    const errors = this.errors();
+    const sigma2 = errors.reduce((sum, e) => sum + e * e, 0) / errors.length;
+    let sum = 0;
+    return psiWeights(this.polynomials(), steps).map(psi => {
+      sum += psi * psi;
+      return sigma2 * sum;
+    });
+  }
+
+  /**
+   * One simulated future path, driven by residuals drawn at random from the
+   * (centered) fitted ones
+   */
+  simulate(steps, random) {
+    const errors = centeredErrors(this.errors());
+    const shocks = Array.from({ length: steps }, () => errors[randomInt(random, errors.length)]);
+    return arimaForecast(this.trainData, this.residuals, this.polynomials(), this.mean, steps, shocks);
+  }
+
+  /**
+   * Calculate confidence intervals at one level (see predictionIntervals)
+   */
+  getConfidenceIntervals(steps = 6, confidence = 0.95, options = {}) {
+    return confidenceIntervals(this, steps, confidence, options);
+  }
+
+  /**
+   * ACF and PACF of the differenced series (to read off the orders) and ACF of
+   * the residuals (which should show no structure left), at lags 1..lags,
+   * each with its ±1.96/√n significance bound
+   */
+  diagnostics() {
+    const { d, D } = this.order;
+    const differenced = difference(this.trainData, { d, D, seasonLength: this.seasonLength });
+    const errors = this.errors();
+    const lags = Math.max(1, Math.min(24, Math.floor(errors.length / 2)));
+    const z = normalQuantile(0.975);
+    return {
+      lags,
+      acf: autocorrelations(differenced, lags),
+      pacf: partialAutocorrelations(differenced, lags),
+      bound: z / Math.sqrt(differenced.length),
+      residualAcf: autocorrelations(errors, lags),
+      residualBound: z / Math.sqrt(errors.length)
+    };
+  }
+
+  /**
+   * Get model statistics
+   */
+  getStats() {
+    if (this.trainData.length === 0) return null;
+
+    const { p, d, q, P, D, Q } = this.order;
+    // fitStatistics drops the first residual it gets, so hand it the
+    // residuals from one before the first fitted point
+    const from = Math.max(0, this.start - 1);
+    return {
+      // Coefficients, plus the mean of an undifferenced model
+      ...fitStatistics(this.trainData.slice(from), this.residuals.slice(from), p + q + P + Q + (d + D === 0 ? 1 : 0)),
+      method: 'arima',
+      samples: this.trainData.length,
+      order: this.order,
+      seasonLength: this.seasonLength,
+      ...this.coefficients,
+      mean: d + D === 0 ? this.mean : null,
+      selected: this.selected,
+      orderComparison: this.orderComparison,
+      diagnostics: this.diagnostics()
+    };
+  }
+
+  /**
+   * Serialize model for storage
+   */
+  toJSON() {
+    return {
+      method: 'arima',
+      order: this.order,
+      seasonLength: this.seasonLength,
+      coefficients: this.coefficients,
+      mean: this.mean,
+      start: this.start,
+      selected: this.selected,
+      orderComparison: this.orderComparison,
+      residuals: this.residuals,
+      trainData: this.trainData
+    };
+  }
+
+  /**
+   * Load model from JSON
+   */
+  fromJSON(json) {
+    this.order = json.order;
+    this.seasonLength = json.seasonLength;
+    this.coefficients = json.coefficients;
+    this.mean = json.mean;
+    this.start = json.start;
+    this.selected = json.selected;
+    this.orderComparison = json.orderComparison;
+    this.residuals = json.residuals;
+    this.trainData = json.trainData;
+    return this;
+  }
+}
+
+/**
+ * Fit ARIMA to values. With selectOrder the differencing comes from
+ * chooseDifferencing() and p, q (up to 2) and P, Q (up to 1, when the series
+ * is long enough) are picked by AIC, all candidates conditioning on the same
+ * first points so their AICs compare; otherwise the given order is used.
+ */
+export function fitArima(values, { selectOrder = true, seasonLength = 12, ...order } = {}) {
+  if (!selectOrder) {
+    return new ArimaForecaster(order, { seasonLength }).fit(values);
+  }
+
+  const { d, D } = chooseDifferencing(values, seasonLength);
+  const base = d + D * seasonLength + MAX_ARIMA_ORDER;
+  const seasonal = seasonLength > 1;
+  const maxP = seasonal && values.length - base - seasonLength >= MIN_ARIMA_RESIDUALS ? 1 : 0;
+  const start = base + maxP * seasonLength;
+  const maxQ = seasonal && values.length - start >= seasonLength + MIN_ARIMA_RESIDUALS ? 1 : 0;
+
+  const candidates = [];
+  for (let p = 0; p <= MAX_ARIMA_ORDER; p++) {
+    for (let q = 0; q <= MAX_ARIMA_ORDER; q++) {
+      for (let P = 0; P <= maxP; P++) {
+        for (let Q = 0; Q <= maxQ; Q++) {
+          if (values.length - start < MIN_ARIMA_RESIDUALS + p + q + P + Q) continue;
+          candidates.push(new ArimaForecaster({ p, d, q, P, D, Q }, { seasonLength }).fit(values, { start }));
+        }
+      }
+    }
+  }
+  if (candidates.length === 0) {
+    throw new Error(`Need at least ${start + MIN_ARIMA_RESIDUALS} points to select an ARIMA order`);
+  }
+
+  const ranked = candidates
+    .map(model => ({ model, aic: model.getStats().aic }))
+    .sort((a, b) => a.aic - b.aic);
+  const best = ranked[0].model;
+  best.selected = true;
+  best.orderComparison = ranked.slice(0, 5).map(({ model, aic }) => ({ order: model.order, aic }));
+  return best;
+}
+
+/**
+ * Fit the series model chosen by options.model ('holt', 'additive',
+ * 'multiplicative' or 'arima'), or with 'auto' every exponential smoothing
+ * model the series supports and keep the one with the lowest AIC. ARIMA is
+ * left out of 'auto': its AIC covers only the points after differencing and
+ * conditioning, so it does not compare with the others'. Returns { model,
+ * comparison: [{ method, aic }] }.
+ */
+export function fitSeriesModel(values, { model = 'auto', ...options } = {}) {
+  const { seasonLength = 12 } = options;
+  const methods = model === 'auto' ? ['holt', 'additive', 'multiplicative'] : [model];
+  const candidates = [];
+
+  methods.forEach(method => {
+    if (method === 'holt') {
+      candidates.push(fitHolt(values, options));
+      return;
+    }
+    if (method === 'arima') {
+      candidates.push(fitArima(values, options));
+      return;
+    }
+    // Seasonal models are only tried automatically when the series allows them
+    if (model === 'auto' && (seasonLength < 2 || values.length < 2 * seasonLength ||
+      (method === 'multiplicative' && values.some(v => v <= 0)))) return;
+    candidates.push(fitHoltWinters(values, { ...options, seasonality: method }));
+  });
+
+  const comparison = candidates.map(candidate => {
+    const { method, aic } = candidate.getStats();
+    return { method, aic };
+  });
+  const best = candidates.reduce((a, b) => (b.getStats().aic < a.getStats().aic ? b : a));
+  return { model: best, comparison };
+}
+
+// Revive a serialized series model of any kind
+function seriesModelFromJSON(json) {
+  if (json.method === 'arima') return new ArimaForecaster().fromJSON(json);
+  return json.method === 'additive' || json.method === 'multiplicative'
+    ? new HoltWintersForecaster().fromJSON(json)
+    : new HoltForecaster().fromJSON(json);
 }
 
 /**
@@ -303,6 +1400,51 @@ export class MovingAverageForecaster {
     const avg = lastN.reduce((a, b) => a + b, 0) / lastN.length;
     return Array(steps).fill(avg);
   }
+
+  toJSON() {
+    return { window: this.window, values: this.values };
+  }
+
+  fromJSON(json) {
+    this.window = json.window;
+    this.values = json.values;
+    return this;
+  }
+}
+
+/**
+ * Restore a series point whose Date was flattened by JSON serialization.
+ * Points saved before other frequencies existed carry their label as month.
+ */
+function reviveSeriesPoint(point) {
+  return { ...point, period: point.period ?? point.month, date: new Date(point.timestamp) };
+}
+
+/**
+ * Make group forecasts add up to the total's at every step. total holds the
+ * total's point forecasts and groups each group's; shares are the groups'
+ * historical shares of the total, for 'topDown'. 'bottomUp' sums the groups,
+ * 'topDown' splits the total by the shares and 'ols' moves every forecast by
+ * an equal part of the gap between the total and the groups' sum (the
+ * least-squares coherent forecasts of a two-level hierarchy). Returns
+ * { total, groups }.
+ */
+export function reconcileForecasts(total, groups, method, shares = []) {
+  const groupSum = total.map((_, h) => groups.reduce((sum, group) => sum + group[h], 0));
+  switch (method) {
+    case 'none':
+      return { total, groups };
+    case 'bottomUp':
+      return { total: groupSum, groups };
+    case 'topDown':
+      return { total, groups: shares.map(share => total.map(value => value * share)) };
+    case 'ols': {
+      const adjusted = groups.map(group => group.map((value, h) => value + (total[h] - groupSum[h]) / (groups.length + 1)));
+      return { total: total.map((_, h) => adjusted.reduce((sum, group) => sum + group[h], 0)), groups: adjusted };
+    }
+    default:
+      throw new Error(`Unknown reconciliation method: ${method}`);
+  }
 }
 
 /**
@@ -311,31 +1453,71 @@ export class MovingAverageForecaster {
 export class TradeForecaster {
   constructor() {
     this.models = new Map();
+    this.groupModels = new Map();
     this.processedData = null;
+    this.trainResults = null;
+    this.seed = DEFAULT_SEED;
     this.trained = false;
   }
 
   /**
-   * Train models for each statistic type
+   * Train models for each statistic type. options.onProgress({ stage, done,
+   * total }) is called before each series is fitted. options.model picks
+   * Holt, additive or multiplicative Holt-Winters (seasonLength points per
+   * season), or 'auto' for the lowest AIC per series. Each series gets its own
+   * smoothing parameters unless optimize is false, in which case alpha, beta,
+   * gamma and phi are used for all. Each series is also backtested from
+   * rolling origins (options.backtest: { horizon, origins }). Smoothing is
+   * deterministic; the seed is only recorded alongside the results.
+   * options.series chooses the columns, frequency and gap filling (see
+   * preprocessTradeData). options.groups: { count, reconcile } also fits a
+   * model to each of the count largest breakdown groups of every series (and
+   * one to the rest), whose forecasts are reconciled with the total's by the
+   * reconcile method (see reconcileForecasts).
    */
-  train(data, options = {}) {
-    const { alpha = 0.3, beta = 0.1 } = options;
-
-    this.processedData = preprocessTradeData(data);
+  train(table, options = {}) {
+    const {
+      seed = DEFAULT_SEED,
+      onProgress,
+      backtest = {},
+      series: seriesOptions = {},
+      groups: { count: groupCount = 0, reconcile = 'none' } = {},
+      ...smoothing
+    } = options;
+
+    if (!RECONCILIATION_METHODS.some(({ id }) => id === reconcile)) {
+      throw new Error(`Unknown reconciliation method: ${reconcile}`);
+    }
+    this.processedData = preprocessTradeData(table, { ...seriesOptions, groupCount });
+    if (reconcile !== 'none' && this.processedData.aggregate !== 'sum') {
+      throw new Error('Group forecasts can only be reconciled when values are summed per period');
+    }
+    this.seed = seed;
+    this.groupModels = new Map();
 
     const trainResults = {};
+    let total = this.processedData.seriesByType.size;
+    this.processedData.groupSeriesByType.forEach(groups => { total += groups.size; });
+    let done = 0;
 
     this.processedData.seriesByType.forEach((series, type) => {
+      onProgress?.({ stage: `Series ${type}`, done: done++, total });
       if (series.length < 3) {
         console.warn(`Skipping ${type}: not enough data points`);
         return;
       }
 
       const values = series.map(s => s.value);
-      const model = new HoltForecaster(alpha, beta);
 
       try {
-        model.fit(values);
+        const { model, comparison } = fitSeriesModel(values, smoothing);
+        let backtestResults = null;
+        let backtestError = null;
+        try {
+          backtestResults = backtestSeries(values, { ...smoothing, ...backtest });
+        } catch (e) {
+          backtestError = e.message;
+        }
         this.models.set(type, {
           model,
           series,
@@ -344,49 +1526,91 @@ export class TradeForecaster {
 
         trainResults[type] = {
           ...model.getStats(),
+          comparison,
+          backtest: backtestResults,
+          backtestError,
           dataPoints: series.length,
+          filledPoints: series.filter(point => point.filled).length,
           dateRange: {
-            start: series[0].month,
-            end: series[series.length - 1].month
+            start: series[0].period,
+            end: series[series.length - 1].period
           }
         };
       } catch (e) {
         console.warn(`Failed to train ${type}:`, e.message);
+        return;
       }
+
+      const groupSeries = this.processedData.groupSeriesByType.get(type);
+      if (!groupSeries) return;
+      const fitted = new Map();
+      const failedGroups = [];
+      groupSeries.forEach((points, group) => {
+        onProgress?.({ stage: `Series ${type} · ${group}`, done: done++, total });
+        try {
+          const { model } = fitSeriesModel(points.map(point => point.value), smoothing);
+          fitted.set(group, { model, series: points });
+        } catch (e) {
+          failedGroups.push({ group, error: e.message });
+        }
+      });
+      this.groupModels.set(type, fitted);
+      trainResults[type].groups = Array.from(fitted.entries()).map(([group, { model, series: points }]) => {
+        const { method, mape } = model.getStats();
+        return { group, method, mape, dataPoints: points.length };
+      });
+      trainResults[type].failedGroups = failedGroups;
+      // Only a complete set of groups can add up to the total
+      trainResults[type].requestedReconciliation = reconcile;
+      trainResults[type].reconciliation = failedGroups.length === 0 ? reconcile : 'none';
     });
 
     this.trained = true;
+    this.trainResults = trainResults;
     return trainResults;
   }
 
   /**
-   * Forecast future values
+   * Forecast future values with prediction intervals at each of levels,
+   * computed by method ('analytic' or 'bootstrap')
    */
-  forecast(type, steps = 6) {
+  forecast(type, steps = 6, { levels = [0.95], method = 'analytic', simulations } = {}) {
     if (!this.trained) throw new Error('Model not trained');
 
     const modelData = this.models.get(type);
     if (!modelData) throw new Error(`No model for type: ${type}`);
 
     const { model, series, lastDate } = modelData;
-    const intervals = model.getConfidenceIntervals(steps);
-
-    // Generate future month labels
-    const forecasts = intervals.map((interval, i) => {
-      const futureDate = addMonths(lastDate, i + 1);
+    // Bootstrap paths are drawn with the training seed, so they are stable
+    const intervals = predictionIntervals(model, steps, { levels, method, simulations, seed: this.seed });
+
+    // Reconciliation can move the total; its intervals move with it
+    const groupForecast = this.forecastGroups(type, steps);
+    const shifts = intervals.map(({ prediction }, i) => (groupForecast ? groupForecast.total[i] - prediction : 0));
+
+    // Generate future period labels; lower/upper are the widest band
+    const frequency = this.getFrequency();
+    const forecasts = intervals.map(({ prediction, bands }, i) => {
+      const futureDate = addPeriods(lastDate, frequency, i + 1);
+      const shifted = bands.map(band => ({ ...band, lower: band.lower + shifts[i], upper: band.upper + shifts[i] }));
+      const widest = shifted[shifted.length - 1];
       return {
-        month: formatDateToMonth(futureDate),
+        period: formatPeriod(futureDate, frequency),
         date: futureDate,
-        ...interval,
+        prediction: prediction + shifts[i],
+        lower: widest.lower,
+        upper: widest.upper,
+        bands: shifted,
         isForecast: true
       };
     });
 
     // Include historical data
     const historical = series.map(s => ({
-      month: s.month,
+      period: s.period,
       date: s.date,
       value: s.value,
+      filled: s.filled ?? false,
       isForecast: false
     }));
 
@@ -397,6 +1621,100 @@ export class TradeForecaster {
     };
   }
 
+  /**
+   * Point forecasts of a series trained with groups and of each of its
+   * groups, reconciled as in training; null without groups. Returns
+   * { method, total, groups: [{ group, historical, predictions }] }, where
+   * historical is the group's series.
+   */
+  forecastGroups(type, steps = 6) {
+    const groupModels = this.groupModels.get(type);
+    const modelData = this.models.get(type);
+    if (!groupModels || groupModels.size === 0 || !modelData) return null;
+
+    const entries = Array.from(groupModels.entries());
+    const method = this.trainResults?.[type]?.reconciliation ?? 'none';
+    // Top-down shares: each group's part of the groups' combined history
+    const sums = entries.map(([, { series }]) => series.reduce((sum, point) => sum + point.value, 0));
+    const overall = sums.reduce((a, b) => a + b, 0);
+    const shares = sums.map(sum => (overall !== 0 ? sum / overall : 1 / sums.length));
+
+    const { total, groups } = reconcileForecasts(
+      modelData.model.forecast(steps),
+      entries.map(([, { model }]) => model.forecast(steps)),
+      method,
+      shares
+    );
+    return {
+      method,
+      total,
+      groups: entries.map(([group, { series }], i) => ({ group, historical: series, predictions: groups[i] }))
+    };
+  }
+
+  /**
+   * Anomalous points of a series' history (see detectSeriesAnomalies):
+   * method 'residual' scores the fitted model's one-step residuals, 'stl' the
+   * remainder of an STL decomposition over the model's season (or the
+   * frequency's). Each anomaly also carries its period, timestamp and
+   * whether the point was gap-filled.
+   */
+  detectAnomalies(type, { method = 'residual', threshold } = {}) {
+    const modelData = this.models.get(type);
+    if (!modelData) throw new Error(`No model for type: ${type}`);
+
+    const { model, series } = modelData;
+    const frequency = FREQUENCIES.find(({ id }) => id === this.getFrequency());
+    const result = detectSeriesAnomalies(series.map(point => point.value), {
+      method,
+      threshold,
+      residuals: model.residuals,
+      start: model.start ?? 1,
+      seasonLength: model.seasonLength ?? frequency.seasonLength
+    });
+    return {
+      ...result,
+      anomalies: result.anomalies.map(anomaly => {
+        const point = series[anomaly.index];
+        return { ...anomaly, period: point.period, timestamp: point.timestamp, filled: point.filled ?? false };
+      })
+    };
+  }
+
+  /**
+   * Indices of the table rows that were aggregated into a series' periods
+   * starting at the given timestamps, for showing the rows behind a point
+   */
+  seriesRows(table, type, timestamps) {
+    const { dateColumn, valueColumn, dateFormat = null } = this.processedData ?? {};
+    if (!dateColumn) return [];
+    // Models saved before columns could be chosen used the suggested one
+    const seriesColumn = this.processedData.seriesColumn !== undefined
+      ? this.processedData.seriesColumn
+      : suggestSeriesColumns(table).seriesColumn;
+
+    const wanted = new Set(timestamps);
+    const frequency = this.getFrequency();
+    const readDate = columnReader(table, dateColumn);
+    const readValue = columnReader(table, valueColumn);
+    const readStatistic = seriesColumn ? columnReader(table, seriesColumn) : () => 'Value';
+    const rows = [];
+    for (let i = 0; i < table.rowCount; i++) {
+      if (String(readStatistic(i) ?? '(blank)') !== type || isNaN(parseFloat(readValue(i)))) continue;
+      const date = parseSeriesDate(readDate(i), dateFormat);
+      if (date && wanted.has(periodStart(date, frequency).getTime())) rows.push(i);
+    }
+    return rows;
+  }
+
+  /**
+   * Frequency of the series; models trained before other frequencies
+   * existed are monthly
+   */
+  getFrequency() {
+    return this.processedData?.frequency ?? 'month';
+  }
+
   /**
    * Get all available statistic types
    */
@@ -433,6 +1751,207 @@ export class TradeForecaster {
     });
     return stats;
   }
+
+  /**
+   * Serialize all models and the preprocessed series for storage
+   */
+  toJSON() {
+    const processed = this.processedData;
+    return {
+      models: Array.from(this.models.entries()).map(([type, { model, series, lastDate }]) => [type, {
+        model: model.toJSON(),
+        series,
+        lastDate: lastDate.getTime()
+      }]),
+      groupModels: Array.from(this.groupModels.entries()).map(([type, groups]) => [
+        type,
+        Array.from(groups.entries()).map(([group, { model, series }]) => [group, { model: model.toJSON(), series }])
+      ]),
+      processedData: processed ? {
+        seriesByType: Array.from(processed.seriesByType.entries()),
+        statisticTypes: processed.statisticTypes,
+        topCountries: Array.from(processed.topCountries.entries()),
+        dateColumn: processed.dateColumn,
+        valueColumn: processed.valueColumn,
+        seriesColumn: processed.seriesColumn,
+        breakdownColumn: processed.breakdownColumn,
+        dateFormat: processed.dateFormat,
+        frequency: processed.frequency,
+        aggregate: processed.aggregate,
+        fill: processed.fill
+      } : null,
+      trainResults: this.trainResults,
+      seed: this.seed,
+      trained: this.trained
+    };
+  }
+
+  /**
+   * Load all models from JSON
+   */
+  fromJSON(json) {
+    this.models = new Map(json.models.map(([type, entry]) => [type, {
+      model: seriesModelFromJSON(entry.model),
+      series: entry.series.map(reviveSeriesPoint),
+      lastDate: new Date(entry.lastDate)
+    }]));
+    this.groupModels = new Map((json.groupModels ?? []).map(([type, groups]) => [type, new Map(
+      groups.map(([group, entry]) => [group, {
+        model: seriesModelFromJSON(entry.model),
+        series: entry.series.map(reviveSeriesPoint)
+      }])
+    )]));
+
+    const processed = json.processedData;
+    // Saved before columns could be chosen: monthCol, valueCol and countryCol
+    this.processedData = processed ? {
+      ...processed,
+      dateColumn: processed.dateColumn ?? processed.monthCol,
+      valueColumn: processed.valueColumn ?? processed.valueCol,
+      breakdownColumn: processed.breakdownColumn ?? processed.countryCol,
+      seriesByType: new Map(processed.seriesByType.map(([type, series]) => [type, series.map(reviveSeriesPoint)])),
+      topCountries: new Map(processed.topCountries)
+    } : null;
+
+    this.trainResults = json.trainResults;
+    this.seed = json.seed ?? DEFAULT_SEED;
+    this.trained = json.trained;
+    return this;
+  }
+}
+
+/**
+ * Refit the series model (options as for fitSeriesModel) at successive
+ * cutoffs and forecast up to horizon steps from each. The last `origins`
+ * points are cutoffs, keeping at least minTrain points (two seasons for an
+ * explicitly seasonal model) to fit on; forecasts stop at the end of the
+ * series. Returns [{ origin, predictions }], where origin is the index of the
+ * first forecast point.
+ */
+function rollingForecasts(values, { horizon, origins, minTrain, ...options }) {
+  const { model = 'auto', seasonLength = 12 } = options;
+  const minimum = model === 'additive' || model === 'multiplicative'
+    ? Math.max(minTrain, 2 * seasonLength)
+    : minTrain;
+
+  const cutoffs = [];
+  for (let origin = Math.max(minimum, values.length - origins); origin < values.length; origin++) {
+    const steps = Math.min(horizon, values.length - origin);
+    const { model: fitted } = fitSeriesModel(values.slice(0, origin), options);
+    cutoffs.push({ origin, predictions: fitted.forecast(steps) });
+  }
+  return cutoffs;
+}
+
+/**
+ * Rolling-origin backtest of one series: at each of the last `origins` cutoffs
+ * the model is refitted on the points before it and forecasts `horizon` steps.
+ * Returns the cutoffs' forecasts and, per horizon and over all forecasts, the
+ * MAE, RMSE, MAPE (%), sMAPE (%) and MASE. MASE scales each error by the
+ * in-sample mean absolute one-step naive error of its cutoff's training
+ * points; MAPE skips zero actuals.
+ */
+export function backtestSeries(values, {
+  horizon = BACKTEST_HORIZON,
+  origins = BACKTEST_ORIGINS,
+  minTrain = 3,
+  ...options
+} = {}) {
+  const cutoffs = rollingForecasts(values, { horizon, origins, minTrain, ...options });
+  if (cutoffs.length === 0) {
+    throw new Error(`Need at least ${minTrain + 1} points to backtest`);
+  }
+
+  const emptySums = () => ({ count: 0, absolute: 0, squared: 0, percent: 0, percentCount: 0, symmetric: 0, symmetricCount: 0, scaled: 0, scaledCount: 0 });
+  const byHorizon = Array.from({ length: horizon }, emptySums);
+  const overall = emptySums();
+
+  cutoffs.forEach(({ origin, predictions }) => {
+    // Naive one-step error of this cutoff's training points
+    let naive = 0;
+    for (let t = 1; t < origin; t++) naive += Math.abs(values[t] - values[t - 1]);
+    const scale = naive / (origin - 1);
+
+    predictions.forEach((prediction, h) => {
+      const actual = values[origin + h];
+      const error = actual - prediction;
+      [byHorizon[h], overall].forEach(sums => {
+        sums.count++;
+        sums.absolute += Math.abs(error);
+        sums.squared += error * error;
+        if (actual !== 0) {
+          sums.percent += Math.abs(error / actual);
+          sums.percentCount++;
+        }
+        if (actual !== 0 || prediction !== 0) {
+          sums.symmetric += 2 * Math.abs(error) / (Math.abs(actual) + Math.abs(prediction));
+          sums.symmetricCount++;
+        }
+        if (scale > 0) {
+          sums.scaled += Math.abs(error) / scale;
+          sums.scaledCount++;
+        }
+      });
+    });
+  });
+
+  const metrics = (sums) => ({
+    count: sums.count,
+    mae: sums.absolute / sums.count,
+    rmse: Math.sqrt(sums.squared / sums.count),
+    mape: sums.percentCount > 0 ? (sums.percent / sums.percentCount) * 100 : null,
+    smape: sums.symmetricCount > 0 ? (sums.symmetric / sums.symmetricCount) * 100 : null,
+    mase: sums.scaledCount > 0 ? sums.scaled / sums.scaledCount : null
+  });
+
+  return {
+    cutoffs,
+    horizons: byHorizon
+      .map((sums, h) => ({ horizon: h + 1, ...(sums.count > 0 ? metrics(sums) : { count: 0 }) }))
+      .filter(row => row.count > 0),
+    overall: metrics(overall)
+  };
+}
+
+/**
+ * Time-series cross-validation of the series models with given options (as
+ * for fitSeriesModel): for the last `folds` points of every series the model is
+ * fitted on the points before and forecasts one step ahead. Rows are never
+ * shuffled, so no fold sees the future. options.series builds the series as
+ * for preprocessTradeData. Returns the MAPE (%) and MAE over all forecasts.
+ */
+export function crossValidateTrade(table, { folds = 5, series: seriesOptions = {}, ...smoothing } = {}) {
+  const { seriesByType } = preprocessTradeData(table, seriesOptions);
+  let absolutePercent = 0;
+  let percentCount = 0;
+  let absolute = 0;
+  let forecasts = 0;
+
+  seriesByType.forEach(series => {
+    const values = series.map(s => s.value);
+    if (values.length < folds + 3) return;
+
+    rollingForecasts(values, { horizon: 1, origins: folds, minTrain: 3, ...smoothing })
+      .forEach(({ origin, predictions: [prediction] }) => {
+        const actual = values[origin];
+        absolute += Math.abs(actual - prediction);
+        forecasts++;
+        if (actual !== 0) {
+          absolutePercent += Math.abs((actual - prediction) / actual);
+          percentCount++;
+        }
+      });
+  });
+
+  if (forecasts === 0) {
+    throw new Error(`Need series with at least ${folds + 3} points to cross-validate`);
+  }
+
+  // MAPE is undefined (null) when every actual was zero
+  return {
+    mape: percentCount > 0 ? (absolutePercent / percentCount) * 100 : null,
+    mae: absolute / forecasts
+  };
 }
 
 /**
@@ -1,8 +1,56 @@
 import { create } from 'zustand';
+import { parseColumnValues } from '../data/typeInference';
+import { getColumnValues, getVector, replaceColumn, tableFromRows } from '../data/columnarTable';
+
+// Undo history keeps at most this many steps
+const HISTORY_LIMIT = 50;
+// Edits to the same target within this window collapse into one undo step
+const HISTORY_COALESCE_MS = 1000;
+
+// Last recorded mutation, used to coalesce rapid edits (e.g. typing in a chart filter)
+let lastRecorded = { key: null, at: 0 };
+
+// Snapshots only hold references: state updates are immutable, so unchanged
+// datasets are shared between snapshots instead of being copied. Trained
+// models and the workspace go along, since reset and workspace loads replace them
+const takeSnapshot = (state) => ({
+  dataSets: state.dataSets,
+  charts: state.charts,
+  activeDataSetId: state.activeDataSetId,
+  trainedModels: state.trainedModels,
+  currentWorkspace: state.currentWorkspace,
+});
+
+// Datasets hold their values as a columnar table; row data passed in (CSO
+// tables, workspaces saved before the columnar engine) is converted once
+const toColumnarDataSet = (dataSet) => {
+  if (dataSet.table) return { ...dataSet, rowCount: dataSet.table.rowCount };
+  const { data = [], ...rest } = dataSet;
+  return {
+    ...rest,
+    table: tableFromRows(data, dataSet.columns || [], dataSet.columnTypes || {}),
+    rowCount: data.length,
+  };
+};
+
+// Push the current state onto the undo stack before a mutation
+const recordHistory = (state, label, coalesceKey = null) => {
+  const now = Date.now();
+  if (coalesceKey && lastRecorded.key === coalesceKey && now - lastRecorded.at < HISTORY_COALESCE_MS) {
+    lastRecorded.at = now;
+    return { future: [] };
+  }
+
+  lastRecorded = { key: coalesceKey, at: now };
+  return {
+    past: [...state.past, { label, snapshot: takeSnapshot(state) }].slice(-HISTORY_LIMIT),
+    future: [],
+  };
+};
 
 const useDataStore = create((set, get) => ({
   // Data state
-  dataSets: [], // Array of { id, name, data, columns, source }
+  dataSets: [], // Array of { id, name, data, columns, columnTypes, columnFormats, sourceValues, source }
   activeDataSetId: null,
 
   // UI state
@@ -15,6 +63,17 @@ const useDataStore = create((set, get) => ({
   // Charts state
   charts: [], // Array of { id, type, config, dataSetId, filters }
 
+  // ML state
+  trainedModels: {}, // { [modelKey]: { dataSetId, model, trainedAt } } with model from toJSON()
+  rowFocus: null, // { dataSetId, rowIndices, label } rows picked in a model view, shown alone in the table
+
+  // Workspace state
+  currentWorkspace: null, // { id, name } of the last saved/loaded workspace
+
+  // History state
+  past: [], // Array of { label, snapshot } - most recent last
+  future: [], // Array of { label, snapshot } - next redo last
+
   // Actions - Theme
   toggleDarkMode: () => {
     set((state) => {
@@ -35,9 +94,15 @@ const useDataStore = create((set, get) => ({
 
   // Actions - Data
   addDataSet: (dataSet) => {
-    const id = `ds_${Date.now()}`;
+    // Several datasets can be added in the same millisecond (e.g. multi-sheet imports)
+    const existingIds = new Set(get().dataSets.map((ds) => ds.id));
+    let id = `ds_${Date.now()}`;
+    for (let n = 2; existingIds.has(id); n++) {
+      id = `ds_${Date.now()}_${n}`;
+    }
     set((state) => ({
-      dataSets: [...state.dataSets, { ...dataSet, id }],
+      ...recordHistory(state, `Add "${dataSet.name}"`),
+      dataSets: [...state.dataSets, { ...toColumnarDataSet(dataSet), id }],
       activeDataSetId: state.activeDataSetId || id,
     }));
     return id;
@@ -45,9 +110,11 @@ const useDataStore = create((set, get) => ({
 
   removeDataSet: (id) => {
     set((state) => {
+      const removed = state.dataSets.find((ds) => ds.id === id);
       const newDataSets = state.dataSets.filter((ds) => ds.id !== id);
       const newCharts = state.charts.filter((c) => c.dataSetId !== id);
       return {
+        ...recordHistory(state, `Remove "${removed?.name || 'dataset'}"`),
         dataSets: newDataSets,
         charts: newCharts,
         activeDataSetId: state.activeDataSetId === id
@@ -66,10 +133,39 @@ const useDataStore = create((set, get) => ({
     return state.dataSets.find((ds) => ds.id === state.activeDataSetId) || null;
   },
 
+  // Re-parse a column under a new type and parse rules. Values are parsed
+  // from the text originally loaded, so an override can always be changed again.
+  // Streamed imports keep no source text; their overrides parse the stored
+  // values, and only a text (dictionary) column's values are kept as its
+  // source, since typed values can be read back from their vector.
+  setColumnType: (dataSetId, column, type, format = {}) => {
+    const dataSet = get().dataSets.find((ds) => ds.id === dataSetId);
+    if (!dataSet) return null;
+
+    const storedSource = dataSet.sourceValues?.[column];
+    const current = storedSource || getColumnValues(dataSet.table, column);
+    const { values, failed } = parseColumnValues(current, type, format);
+    const keepSource = !storedSource && getVector(dataSet.table, column)?.codes !== undefined;
+
+    set((state) => ({
+      ...recordHistory(state, `Change type of "${column}"`),
+      dataSets: state.dataSets.map((ds) => ds.id !== dataSetId ? ds : {
+        ...ds,
+        table: replaceColumn(ds.table, column, values, type),
+        columnTypes: { ...ds.columnTypes, [column]: type },
+        columnFormats: { ...ds.columnFormats, [column]: format },
+        sourceValues: keepSource ? { ...ds.sourceValues, [column]: current } : ds.sourceValues,
+      }),
+    }));
+
+    return { failed };
+  },
+
   // Actions - Charts
   addChart: (chart) => {
     const id = `chart_${Date.now()}`;
     set((state) => ({
+      ...recordHistory(state, 'Add chart'),
       charts: [...state.charts, { ...chart, id }],
     }));
     return id;
@@ -77,6 +173,7 @@ const useDataStore = create((set, get) => ({
 
   updateChart: (id, updates) => {
     set((state) => ({
+      ...recordHistory(state, 'Edit chart', `chart:${id}`),
       charts: state.charts.map((c) =>
         c.id === id ? { ...c, ...updates } : c
       ),
@@ -85,6 +182,7 @@ const useDataStore = create((set, get) => ({
 
   removeChart: (id) => {
     set((state) => ({
+      ...recordHistory(state, 'Remove chart'),
       charts: state.charts.filter((c) => c.id !== id),
     }));
   },
@@ -95,6 +193,7 @@ const useDataStore = create((set, get) => ({
     if (chart) {
       const newId = `chart_${Date.now()}`;
       set((state) => ({
+        ...recordHistory(state, 'Duplicate chart'),
         charts: [...state.charts, { ...chart, id: newId }],
       }));
       return newId;
@@ -102,19 +201,97 @@ const useDataStore = create((set, get) => ({
     return null;
   },
 
+  // Actions - Trained models
+  setTrainedModel: (key, model, dataSetId) => {
+    set((state) => ({
+      trainedModels: {
+        ...state.trainedModels,
+        [key]: { dataSetId, model, trainedAt: new Date().toISOString() },
+      },
+    }));
+  },
+
+  clearTrainedModel: (key) => {
+    set((state) => {
+      const { [key]: _removed, ...rest } = state.trainedModels;
+      return { trainedModels: rest };
+    });
+  },
+
+  // Show only some rows of a dataset in the table (and make it active)
+  setRowFocus: (dataSetId, rowIndices, label) => {
+    set({ rowFocus: { dataSetId, rowIndices, label }, activeDataSetId: dataSetId });
+  },
+
+  clearRowFocus: () => set({ rowFocus: null }),
+
+  // Actions - Workspaces
+  getWorkspaceSnapshot: () => {
+    const { dataSets, activeDataSetId, charts, trainedModels } = get();
+    return { dataSets, activeDataSetId, charts, trainedModels };
+  },
+
+  loadWorkspaceSnapshot: (snapshot, workspace = null) => {
+    set((state) => ({
+      ...recordHistory(state, `Load workspace${workspace ? ` "${workspace.name}"` : ''}`),
+      dataSets: (snapshot.dataSets || []).map(toColumnarDataSet),
+      activeDataSetId: snapshot.activeDataSetId ?? snapshot.dataSets?.[0]?.id ?? null,
+      charts: snapshot.charts || [],
+      trainedModels: snapshot.trainedModels || {},
+      rowFocus: null,
+      currentWorkspace: workspace,
+    }));
+  },
+
+  setCurrentWorkspace: (workspace) => set({ currentWorkspace: workspace }),
+
+  // Actions - History
+  undo: () => {
+    set((state) => {
+      if (state.past.length === 0) return {};
+      const entry = state.past[state.past.length - 1];
+      lastRecorded = { key: null, at: 0 };
+      // Row indices may not match the restored datasets, so the focus goes
+      return {
+        ...entry.snapshot,
+        rowFocus: null,
+        past: state.past.slice(0, -1),
+        future: [...state.future, { label: entry.label, snapshot: takeSnapshot(state) }],
+      };
+    });
+  },
+
+  redo: () => {
+    set((state) => {
+      if (state.future.length === 0) return {};
+      const entry = state.future[state.future.length - 1];
+      lastRecorded = { key: null, at: 0 };
+      return {
+        ...entry.snapshot,
+        rowFocus: null,
+        past: [...state.past, { label: entry.label, snapshot: takeSnapshot(state) }],
+        future: state.future.slice(0, -1),
+      };
+    });
+  },
+
   // Actions - Loading/Error
   setLoading: (isLoading) => set({ isLoading }),
   setError: (error) => set({ error }),
   clearError: () => set({ error: null }),
 
   // Actions - Reset
-  reset: () => set({
+  reset: () => set((state) => ({
+    ...recordHistory(state, 'Reset'),
     dataSets: [],
     activeDataSetId: null,
     charts: [],
+    trainedModels: {},
+    rowFocus: null,
+    currentWorkspace: null,
     isLoading: false,
     error: null,
-  }),
+  })),
 }));
 
 export default useDataStore;
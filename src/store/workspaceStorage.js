@@ -0,0 +1,154 @@
+/**
+ * Workspace persistence backed by IndexedDB
+ *
+ * A workspace is a named snapshot of the data store: datasets (rows and
+ * column types), chart configs and serialized ML models. Metadata and the
+ * snapshot payload live in separate object stores so listing workspaces
+ * never has to read row data.
+ */
+
+const DB_NAME = 'data-table-analyzer';
+const DB_VERSION = 1;
+const META_STORE = 'workspaces';
+const DATA_STORE = 'workspaceData';
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and upgrade if needed) the database, reusing one connection
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(DATA_STORE)) {
+        db.createObjectStore(DATA_STORE, { keyPath: 'id' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a callback inside a transaction and resolve once it commits
+ */
+async function withTransaction(storeNames, mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+    Promise.resolve(callback(tx))
+      .then((value) => { result = value; })
+      .catch((error) => {
+        tx.abort();
+        reject(error);
+      });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Summarize a snapshot for the workspace list
+ */
+function describeSnapshot(snapshot) {
+  return {
+    dataSetCount: snapshot.dataSets.length,
+    rowCount: snapshot.dataSets.reduce((sum, ds) => sum + (ds.rowCount ?? 0), 0),
+    chartCount: snapshot.charts.length,
+    modelCount: Object.keys(snapshot.trainedModels || {}).length,
+  };
+}
+
+/**
+ * List saved workspaces, most recently saved first
+ */
+export async function listWorkspaces() {
+  const workspaces = await withTransaction([META_STORE], 'readonly', (tx) =>
+    promisifyRequest(tx.objectStore(META_STORE).getAll())
+  );
+  return workspaces.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+/**
+ * Save a snapshot under a name. Saving with the name of an existing
+ * workspace overwrites it.
+ */
+export async function saveWorkspace(name, snapshot) {
+  const trimmedName = name.trim();
+  if (!trimmedName) {
+    throw new Error('Workspace name is required');
+  }
+
+  const existing = (await listWorkspaces()).find((ws) => ws.name === trimmedName);
+  const meta = {
+    id: existing?.id || `ws_${Date.now()}`,
+    name: trimmedName,
+    savedAt: new Date().toISOString(),
+    ...describeSnapshot(snapshot),
+  };
+
+  await withTransaction([META_STORE, DATA_STORE], 'readwrite', (tx) => {
+    tx.objectStore(META_STORE).put(meta);
+    tx.objectStore(DATA_STORE).put({ id: meta.id, snapshot });
+  });
+
+  return meta;
+}
+
+/**
+ * Load the snapshot of a saved workspace
+ */
+export async function loadWorkspace(id) {
+  const [meta, record] = await withTransaction([META_STORE, DATA_STORE], 'readonly', (tx) =>
+    Promise.all([
+      promisifyRequest(tx.objectStore(META_STORE).get(id)),
+      promisifyRequest(tx.objectStore(DATA_STORE).get(id)),
+    ])
+  );
+
+  if (!meta || !record) {
+    throw new Error('Workspace not found');
+  }
+
+  return { meta, snapshot: record.snapshot };
+}
+
+/**
+ * Delete a saved workspace
+ */
+export async function deleteWorkspace(id) {
+  await withTransaction([META_STORE, DATA_STORE], 'readwrite', (tx) => {
+    tx.objectStore(META_STORE).delete(id);
+    tx.objectStore(DATA_STORE).delete(id);
+  });
+}